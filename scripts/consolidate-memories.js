@@ -0,0 +1,51 @@
+/**
+ * 整理角色记忆
+ *
+ * 合并相关记忆、衰减琐碎记忆的重要程度（与服务中的后台任务相同），可以重复执行。
+ * 没有 API Key 时可以使用 mock 提供方：LLM_PROVIDER=mock npm run consolidate:memories
+ *
+ * 用法：
+ *   npm run consolidate:memories                          # 所有角色
+ *   npm run consolidate:memories -- --character <id>      # 指定角色
+ *
+ * @version 0.1.0
+ */
+
+import { logger } from '../src/core/logger.js';
+import { config } from '../src/core/config.js';
+import DatabaseManager from '../src/core/database.js';
+import LLMClient from '../src/llm/client.js';
+import MemoryConsolidator from '../src/state/consolidator.js';
+
+const args = process.argv.slice(2);
+const characterIndex = args.indexOf('--character');
+const characterId = characterIndex >= 0 ? args[characterIndex + 1] : undefined;
+
+const db = new DatabaseManager();
+
+try {
+  const consolidator = new MemoryConsolidator({
+    db,
+    llmClient: new LLMClient(),
+    similarityThreshold: config.get('memory.consolidation.similarityThreshold'),
+    decayIntervalDays: config.get('memory.consolidation.decayIntervalDays'),
+    decayMaxImportance: config.get('memory.consolidation.decayMaxImportance')
+  });
+
+  const report = await consolidator.run({ characterId });
+
+  logger.info('Consolidation finished', {
+    characters: report.characters,
+    consolidated: report.consolidated.length,
+    decayed: report.decayed.length,
+    failed: report.failed.length
+  });
+
+  for (const { characterId: id, memoryIds, error } of report.failed) {
+    logger.error(`Failed: ${id}`, { memoryIds, error });
+  }
+
+  process.exitCode = report.failed.length > 0 ? 1 : 0;
+} finally {
+  db.close();
+}
@@ -0,0 +1,81 @@
+/**
+ * 评估状态提取质量
+ *
+ * 用标注语料（tests/fixtures/extraction-gold.json）运行 StateExtractor，输出各状态类型的
+ * 精确率、召回率、F1 和情绪混淆矩阵；低于基线（tests/fixtures/extraction-baseline.json）时退出码为 1。
+ * llm 模式使用默认的 LLMClient，可以配合 llm.cassette 回放录制的响应。
+ *
+ * 用法：
+ *   npm run eval:extraction                              # regex 模式
+ *   npm run eval:extraction -- --mode llm                # llm 模式
+ *   npm run eval:extraction -- --mode all                # 对比 regex 和 llm
+ *   npm run eval:extraction -- --verbose                 # 列出每条不一致的结果
+ *   npm run eval:extraction -- --update-baseline         # 把本次结果写入基线
+ *   npm run eval:extraction -- --dataset ./gold.json     # 指定语料
+ *
+ * @version 0.1.0
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { logger } from '../src/core/logger.js';
+import LLMClient from '../src/llm/client.js';
+import { EXTRACTION_MODES } from '../src/state/extractor.js';
+import ExtractionEvaluator, { compareBaseline, toBaseline, formatReport } from '../src/state/evaluator.js';
+
+const DEFAULT_DATASET = fileURLToPath(new URL('../tests/fixtures/extraction-gold.json', import.meta.url));
+const BASELINE_PATH = fileURLToPath(new URL('../tests/fixtures/extraction-baseline.json', import.meta.url));
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const mode = option('--mode') || EXTRACTION_MODES.REGEX;
+const modes = mode === 'all' ? Object.values(EXTRACTION_MODES) : [mode];
+const dataset = JSON.parse(readFileSync(option('--dataset') || DEFAULT_DATASET, 'utf8'));
+const baseline = existsSync(BASELINE_PATH) ? JSON.parse(readFileSync(BASELINE_PATH, 'utf8')) : {};
+
+const evaluator = new ExtractionEvaluator({
+  llmClient: modes.includes(EXTRACTION_MODES.LLM) ? new LLMClient() : null
+});
+
+try {
+  const reports = await evaluator.compare(dataset, modes);
+  let regressed = false;
+
+  for (const report of Object.values(reports)) {
+    process.stdout.write(`\n${formatReport(report)}\n`);
+
+    if (args.includes('--verbose')) {
+      for (const { id, type, expected, actual } of report.mismatches) {
+        process.stdout.write(`  ${id} [${type}] expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}\n`);
+      }
+    }
+
+    if (args.includes('--update-baseline')) {
+      baseline[report.mode] = toBaseline(report);
+      continue;
+    }
+
+    if (!baseline[report.mode]) {
+      logger.warn(`No baseline for ${report.mode} mode`);
+      continue;
+    }
+
+    for (const regression of compareBaseline(report, baseline[report.mode])) {
+      regressed = true;
+      logger.error(`Regression: ${report.mode} ${regression.type} ${regression.metric}`, regression);
+    }
+  }
+
+  if (args.includes('--update-baseline')) {
+    writeFileSync(BASELINE_PATH, `${JSON.stringify(baseline, null, 2)}\n`);
+    logger.info('Baseline updated', { path: BASELINE_PATH, modes });
+  }
+
+  process.exitCode = regressed ? 1 : 0;
+} finally {
+  evaluator.close();
+}
@@ -0,0 +1,42 @@
+/**
+ * 导入旧版对话文件
+ *
+ * 把 data/conversations/*.json（每个文件一个对话）导入 SQLite 数据库。
+ * 已导入的对话会被跳过，可以重复执行。
+ *
+ * 用法：
+ *   npm run import:conversations                  # 默认目录
+ *   npm run import:conversations -- ./backup      # 指定目录
+ *   npm run import:conversations -- --overwrite   # 覆盖已存在的对话
+ *
+ * @version 0.1.0
+ */
+
+import { logger } from '../src/core/logger.js';
+import DatabaseManager from '../src/core/database.js';
+import ConversationManager from '../src/conversation/manager.js';
+
+const args = process.argv.slice(2);
+const overwrite = args.includes('--overwrite');
+const dir = args.find(arg => !arg.startsWith('--'));
+
+const db = new DatabaseManager();
+
+try {
+  const manager = new ConversationManager({ db });
+  const result = await manager.importFromDirectory(dir, { overwrite });
+
+  logger.info('Import finished', {
+    imported: result.imported,
+    skipped: result.skipped,
+    failed: result.failed.length
+  });
+
+  for (const { file, error } of result.failed) {
+    logger.error(`Failed: ${file}`, { error });
+  }
+
+  process.exitCode = result.failed.length > 0 ? 1 : 0;
+} finally {
+  db.close();
+}
@@ -0,0 +1,716 @@
+/**
+ * API Server - HTTP 接口
+ *
+ * 功能：
+ * - 基于 Node.js 原生 http 模块，无额外依赖
+ * - 创建角色、创建对话、发送用户消息、读取角色状态
+ * - JSON 请求/响应，统一错误格式
+ * - 每个请求带 requestId，便于日志追踪
+ *
+ * 路由：
+ * - GET  /health                              健康检查
+ * - POST /api/characters                      创建角色
+ * - GET  /api/characters/:id/state            获取角色状态
+ * - GET  /api/history/:entity/:id             状态变化历史（?field=&limit=，entity 为 characters 等实体表）
+ * - GET  /api/conversations                   对话列表（?orderBy=&order=&limit=&offset=&characterId=）
+ * - POST /api/conversations                   创建对话
+ * - GET  /api/conversations/:id               获取对话（含消息）
+ * - GET  /api/conversations/:id/messages      分页读取对话历史（?limit=&offset=，从最新往前）
+ * - POST /api/conversations/:id/messages      发送用户消息，返回角色回复
+ * - POST /api/conversations/:id/messages/stream  流式回复（Server-Sent Events）
+ * - GET  /api/conversations/:id/messages/stream  同上，?content=...（供 EventSource 使用）
+ * - POST /api/conversations/:id/regenerate    重新生成最后一条（或指定）回复
+ * - PUT  /api/conversations/:id/messages/:messageId  编辑用户消息并从该处分叉
+ * - POST /api/conversations/:id/branches      切换分支（恢复对应的世界状态）
+ * - POST /api/conversations/:id/undo          撤销最后 N 个回合（{ turns }，默认 1；同时恢复世界状态）
+ * - GET  /api/search                          全文搜索（?q=&types=&characterId=&conversationId=&limit=&includeArchived=true）
+ * - GET  /api/change-sets                      待审核的状态变化集列表（?status=&characterId=&limit=&offset=）
+ * - GET  /api/change-sets/:id                  获取变化集
+ * - POST /api/change-sets/:id/approve          批准所有待审核的变化
+ * - POST /api/change-sets/:id/reject           拒绝所有待审核的变化（{ reason }）
+ * - PATCH /api/change-sets/:id/changes/:changeId          修改一项变化（{ data }）
+ * - POST /api/change-sets/:id/changes/:changeId/approve  批准一项变化（可带 { data } 修改）
+ * - POST /api/change-sets/:id/changes/:changeId/reject   拒绝一项变化（{ reason }）
+ *
+ * @module api/server
+ * @version 0.1.0
+ */
+
+import { createServer } from 'http';
+import { logger } from '../core/logger.js';
+import SearchEngine, { SEARCH_TYPES } from '../search/engine.js';
+
+/**
+ * 请求体大小上限（1MB）
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP 错误（携带状态码）
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP 状态码
+   * @param {string} message - 错误信息
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * API Server 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const server = new ApiServer({ chatService });
+ * await server.listen(3000);
+ *
+ * // POST /api/conversations/:id/messages { "content": "你好" }
+ *
+ * await server.close();
+ * ```
+ */
+class ApiServer {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {ChatService} options.chatService - 对话服务
+   * @param {SearchEngine} options.searchEngine - 全文搜索（默认: 使用对话所在的数据库）
+   * @param {string} options.host - 监听地址（默认: 0.0.0.0）
+   */
+  constructor(options = {}) {
+    if (!options.chatService) {
+      throw new Error('ApiServer requires a chatService');
+    }
+
+    this.options = {
+      host: options.host || '0.0.0.0'
+    };
+
+    this.chatService = options.chatService;
+    this.searchEngine = options.searchEngine ||
+      new SearchEngine({ db: this.chatService.conversationManager.db });
+    this.server = null;
+    this.routes = [];
+
+    this.logger = logger.child({ module: 'ApiServer' });
+
+    this._registerRoutes();
+  }
+
+  // ============================================
+  // 生命周期
+  // ============================================
+
+  /**
+   * 启动监听
+   *
+   * @param {number} port - 端口（0 表示随机端口）
+   * @returns {Promise<Object>} 实际监听地址 { host, port }
+   */
+  listen(port) {
+    this.server = createServer((req, res) => this._handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, this.options.host, () => {
+        const address = this.server.address();
+
+        this.logger.info('API server listening', {
+          host: address.address,
+          port: address.port
+        });
+
+        resolve({ host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * 停止监听
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        this.server = null;
+        this.logger.info('API server closed');
+        resolve();
+      });
+    });
+  }
+
+  // ============================================
+  // 路由
+  // ============================================
+
+  /**
+   * 注册路由
+   *
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 路径（支持 :param 占位）
+   * @param {Function} handler - 处理函数 (params, input, req, res) => 响应体
+   *   input 为 JSON 请求体（POST/PUT/PATCH）或查询参数（GET/DELETE）
+   */
+  route(method, path, handler) {
+    const keys = [];
+    const pattern = path.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+
+    this.routes.push({
+      method,
+      regex: new RegExp(`^${pattern}$`),
+      keys,
+      handler
+    });
+  }
+
+  /**
+   * 注册内置路由
+   * @private
+   */
+  _registerRoutes() {
+    this.route('GET', '/health', () => ({ status: 'ok' }));
+
+    // 角色
+    this.route('POST', '/api/characters', (params, body) => {
+      if (!body.name) {
+        throw new HttpError(400, 'name is required');
+      }
+      return { status: 201, body: this.chatService.createCharacter(body) };
+    });
+
+    this.route('GET', '/api/characters/:id/state', (params) => {
+      const state = this.chatService.getCharacterState(params.id);
+      if (!state) {
+        throw new HttpError(404, `Character not found: ${params.id}`);
+      }
+      return state;
+    });
+
+    // 状态变化历史
+    this.route('GET', '/api/history/:entity/:id', (params, query) => {
+      try {
+        return {
+          history: this.chatService.stateManager.getHistory(params.entity, params.id, {
+            field: query.field,
+            limit: this._parseInteger(query.limit, 'limit')
+          })
+        };
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          throw new HttpError(400, error.message);
+        }
+        throw error;
+      }
+    });
+
+    // 对话
+    this.route('GET', '/api/conversations', (params, query) => {
+      try {
+        return {
+          conversations: this.chatService.conversationManager.listConversations({
+            characterId: query.characterId,
+            orderBy: query.orderBy,
+            order: query.order,
+            limit: this._parseInteger(query.limit, 'limit'),
+            offset: this._parseInteger(query.offset, 'offset')
+          })
+        };
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          throw new HttpError(400, error.message);
+        }
+        throw error;
+      }
+    });
+
+    this.route('POST', '/api/conversations', (params, body) => {
+      let characterId = body.characterId;
+
+      if (!characterId && body.character) {
+        characterId = this.chatService.createCharacter(body.character).id;
+      }
+
+      if (!characterId) {
+        throw new HttpError(400, 'characterId or character is required');
+      }
+
+      if (!this.chatService.getCharacterState(characterId)) {
+        throw new HttpError(404, `Character not found: ${characterId}`);
+      }
+
+      const conversation = this.chatService.createConversation({
+        characterId,
+        title: body.title,
+        customData: body.customData
+      });
+
+      return { status: 201, body: conversation.toJSON() };
+    });
+
+    this.route('GET', '/api/conversations/:id', async (params) => {
+      const conversation = await this._requireConversation(params.id);
+      return conversation.toJSON();
+    });
+
+    this.route('GET', '/api/conversations/:id/messages', async (params, query) => {
+      await this._requireConversation(params.id);
+
+      return this.chatService.conversationManager.getHistory(params.id, {
+        limit: this._parseInteger(query.limit, 'limit'),
+        offset: this._parseInteger(query.offset, 'offset')
+      });
+    });
+
+    this.route('POST', '/api/conversations/:id/messages', async (params, body) => {
+      if (!body.content || typeof body.content !== 'string') {
+        throw new HttpError(400, 'content must be a non-empty string');
+      }
+
+      await this._requireConversation(params.id);
+
+      return this.chatService.sendMessage(params.id, body.content);
+    });
+
+    const streamHandler = async (params, input, req, res) => {
+      if (!input.content || typeof input.content !== 'string') {
+        throw new HttpError(400, 'content must be a non-empty string');
+      }
+
+      await this._requireConversation(params.id);
+
+      await this._streamEvents(res, this.chatService.streamMessage(params.id, input.content));
+    };
+
+    this.route('POST', '/api/conversations/:id/messages/stream', streamHandler);
+    this.route('GET', '/api/conversations/:id/messages/stream', streamHandler);
+
+    // 分支
+    this.route('POST', '/api/conversations/:id/regenerate', async (params, body) => {
+      const conversation = await this._requireConversation(params.id);
+
+      if (body.messageId) {
+        this._requireMessage(conversation, body.messageId, 'assistant');
+      } else if (!conversation.messages.some(m => m.role === 'assistant')) {
+        throw new HttpError(400, 'No assistant message to regenerate');
+      }
+
+      return this.chatService.regenerate(params.id, { messageId: body.messageId });
+    });
+
+    this.route('PUT', '/api/conversations/:id/messages/:messageId', async (params, body) => {
+      if (!body.content || typeof body.content !== 'string') {
+        throw new HttpError(400, 'content must be a non-empty string');
+      }
+
+      const conversation = await this._requireConversation(params.id);
+      this._requireMessage(conversation, params.messageId, 'user');
+
+      return this.chatService.editMessage(params.id, params.messageId, body.content);
+    });
+
+    this.route('POST', '/api/conversations/:id/branches', async (params, body) => {
+      if (!body.messageId) {
+        throw new HttpError(400, 'messageId is required');
+      }
+
+      const conversation = await this._requireConversation(params.id);
+      this._requireMessage(conversation, body.messageId);
+
+      return this.chatService.selectBranch(params.id, body.messageId);
+    });
+
+    this.route('POST', '/api/conversations/:id/undo', async (params, body) => {
+      const turns = body.turns ?? 1;
+      if (!Number.isInteger(turns) || turns < 1) {
+        throw new HttpError(400, 'turns must be a positive integer');
+      }
+
+      const conversation = await this._requireConversation(params.id);
+      const replies = conversation.messages.filter(m => m.role === 'assistant').length;
+      if (turns > replies) {
+        throw new HttpError(400, `Cannot undo ${turns} turns: only ${replies} on the current branch`);
+      }
+
+      return this.chatService.undoTurns(params.id, turns);
+    });
+
+    // 搜索
+    this.route('GET', '/api/search', (params, query) => {
+      if (!query.q || !query.q.trim()) {
+        throw new HttpError(400, 'q is required');
+      }
+
+      const types = query.types ? query.types.split(',') : undefined;
+      const invalid = (types || []).find(type => !Object.values(SEARCH_TYPES).includes(type));
+      if (invalid) {
+        throw new HttpError(400, `Invalid search type: ${invalid}`);
+      }
+
+      // 先写入内存中尚未保存的消息
+      this.chatService.conversationManager.flush();
+
+      return this.searchEngine.search(query.q, {
+        types,
+        characterId: query.characterId,
+        conversationId: query.conversationId,
+        includeArchived: query.includeArchived === 'true',
+        limit: this._parseInteger(query.limit, 'limit')
+      });
+    });
+
+    // 状态审核
+    this._registerReviewRoutes();
+  }
+
+  /**
+   * 注册状态审核路由
+   * @private
+   */
+  _registerReviewRoutes() {
+    const integrator = this.chatService.stateIntegrator;
+
+    this.route('GET', '/api/change-sets', (params, query) => this._review(() => ({
+      changeSets: integrator.listChangeSets({
+        status: query.status,
+        characterId: query.characterId,
+        limit: this._parseInteger(query.limit, 'limit'),
+        offset: this._parseInteger(query.offset, 'offset')
+      })
+    })));
+
+    this.route('GET', '/api/change-sets/:id', (params) => {
+      const changeSet = integrator.getChangeSet(params.id);
+      if (!changeSet) {
+        throw new HttpError(404, `Change set not found: ${params.id}`);
+      }
+      return changeSet;
+    });
+
+    this.route('POST', '/api/change-sets/:id/approve', (params) =>
+      this._review(() => integrator.approveChangeSet(params.id))
+    );
+
+    this.route('POST', '/api/change-sets/:id/reject', (params, body) =>
+      this._review(() => integrator.rejectChangeSet(params.id, body.reason))
+    );
+
+    this.route('PATCH', '/api/change-sets/:id/changes/:changeId', (params, body) => {
+      if (!body.data || typeof body.data !== 'object') {
+        throw new HttpError(400, 'data must be an object');
+      }
+      return this._review(() => integrator.editChange(params.id, params.changeId, body.data));
+    });
+
+    this.route('POST', '/api/change-sets/:id/changes/:changeId/approve', (params, body) =>
+      this._review(() => integrator.approveChange(params.id, params.changeId, body.data || null))
+    );
+
+    this.route('POST', '/api/change-sets/:id/changes/:changeId/reject', (params, body) =>
+      this._review(() => integrator.rejectChange(params.id, params.changeId, body.reason))
+    );
+  }
+
+  /**
+   * 执行审核操作，把错误转换为对应的 HTTP 状态码
+   * （不存在 404，已审核 409，参数无效 400）
+   * @private
+   */
+  _review(callback) {
+    try {
+      return callback();
+    } catch (error) {
+      if (error instanceof HttpError) {
+        throw error;
+      }
+      if (error.message.includes('not found')) {
+        throw new HttpError(404, error.message);
+      }
+      if (error.message.startsWith('Change already reviewed')) {
+        throw new HttpError(409, error.message);
+      }
+      if (error.message.startsWith('Invalid')) {
+        throw new HttpError(400, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取对话，不存在时抛出 404
+   * @private
+   */
+  async _requireConversation(conversationId) {
+    const conversation = await this.chatService.getConversation(conversationId);
+    if (!conversation) {
+      throw new HttpError(404, `Conversation not found: ${conversationId}`);
+    }
+    return conversation;
+  }
+
+  /**
+   * 解析非负整数查询参数（未提供时返回 undefined）
+   * @private
+   */
+  _parseInteger(value, name) {
+    if (value === undefined || value === '') {
+      return undefined;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new HttpError(400, `${name} must be a non-negative integer`);
+    }
+    return number;
+  }
+
+  /**
+   * 获取对话中的消息，不存在时抛出 404，角色不符时抛出 400
+   * @private
+   */
+  _requireMessage(conversation, messageId, role = null) {
+    const message = conversation.getMessage(messageId);
+    if (!message) {
+      throw new HttpError(404, `Message not found: ${messageId}`);
+    }
+    if (role && message.role !== role) {
+      throw new HttpError(400, `Message is not a ${role} message: ${messageId}`);
+    }
+    return message;
+  }
+
+  // ============================================
+  // 请求处理
+  // ============================================
+
+  /**
+   * 处理 HTTP 请求
+   * @private
+   */
+  async _handle(req, res) {
+    const requestId = this.logger.generateRequestId();
+    const startTime = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const match = this._match(req.method, url.pathname);
+      const input = ['POST', 'PUT', 'PATCH'].includes(req.method)
+        ? await this._readJson(req)
+        : Object.fromEntries(url.searchParams);
+
+      const result = await match.route.handler(match.params, input, req, res);
+
+      // 处理函数自行写入响应（如流式输出）
+      if (res.writableEnded || res.headersSent) {
+        return;
+      }
+
+      if (result && result.status && result.body !== undefined) {
+        this._send(res, result.status, result.body);
+      } else {
+        this._send(res, 200, result);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+
+      if (status >= 500) {
+        this.logger.error('Request failed', {
+          requestId,
+          method: req.method,
+          path: url.pathname,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+
+      if (!res.headersSent) {
+        this._send(res, status, { error: error.message });
+      } else {
+        res.end();
+      }
+    } finally {
+      this.logger.debug('Request handled', {
+        requestId,
+        method: req.method,
+        path: url.pathname,
+        status: res.statusCode,
+        duration: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * 匹配路由
+   * @private
+   */
+  _match(method, pathname) {
+    let pathMatched = false;
+
+    for (const route of this.routes) {
+      const match = pathname.match(route.regex);
+      if (!match) {
+        continue;
+      }
+
+      pathMatched = true;
+
+      if (route.method === method) {
+        const params = {};
+        try {
+          route.keys.forEach((key, i) => {
+            params[key] = decodeURIComponent(match[i + 1]);
+          });
+        } catch {
+          throw new HttpError(400, `Malformed URL: ${pathname}`);
+        }
+        return { route, params };
+      }
+    }
+
+    if (pathMatched) {
+      throw new HttpError(405, `Method not allowed: ${method} ${pathname}`);
+    }
+
+    throw new HttpError(404, `Route not found: ${method} ${pathname}`);
+  }
+
+  /**
+   * 读取 JSON 请求体（必须是对象）
+   * 超过大小限制时立即返回 413，其余数据读取后丢弃（不关闭连接，客户端才能收到响应）
+   * @private
+   */
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+
+      req.on('data', (chunk) => {
+        if (tooLarge) {
+          return;
+        }
+
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          tooLarge = true;
+          chunks.length = 0;
+          reject(new HttpError(413, 'Request body too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        if (tooLarge) {
+          return;
+        }
+
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw) {
+          resolve({});
+          return;
+        }
+
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          reject(new HttpError(400, 'Invalid JSON body'));
+          return;
+        }
+
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'Invalid JSON body'));
+          return;
+        }
+
+        resolve(body);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * 以 Server-Sent Events 输出事件流
+   *
+   * 事件格式：
+   * - event: delta  data: { content }
+   * - event: done   data: 回合结果
+   * - event: error  data: { error }
+   *
+   * 客户端断开时停止迭代（break 会触发生成器的 finally 清理）。
+   * @private
+   */
+  async _streamEvents(res, events) {
+    // 响应未结束就关闭，说明客户端已断开
+    let closed = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        closed = true;
+      }
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const write = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      for await (const { type, ...data } of events) {
+        if (closed) {
+          break;
+        }
+        write(type, data);
+      }
+    } catch (error) {
+      this.logger.error('Stream failed', {
+        error: error.message
+      });
+      if (!closed) {
+        write('error', { error: error.message });
+      }
+    } finally {
+      res.end();
+    }
+  }
+
+  /**
+   * 发送 JSON 响应
+   * @private
+   */
+  _send(res, status, body) {
+    const payload = JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+}
+
+/**
+ * 导出
+ */
+export default ApiServer;
@@ -0,0 +1,932 @@
+/**
+ * Chat Service - 对话回合编排
+ *
+ * 功能：
+ * - 串联 ConversationManager、LLMClient、StateIntegrator
+ * - 处理一次完整的对话回合（用户输入 → 模型回复 → 状态更新）
+ * - 流式回合（逐段输出回复，结束后再提取状态）
+ * - 长对话自动压缩（较早的回合滚动摘要为前情提要）
+ * - 按当前输入检索相关记忆，注入系统提示词
+ * - 重新生成、编辑历史消息、切换分支（同时恢复对应的世界状态）
+ * - 每个回合应用状态变化前自动保存检查点，撤销最后 N 个回合（对话和世界状态一起回退）
+ * - 根据角色状态构建系统提示词（可要求模型附加状态标签）
+ * - 从回复中移除状态标签（标签保存在消息 metadata.stateTags 中）
+ * - 查询角色当前状态（供 API 使用）
+ *
+ * 设计原则：
+ * - 单一入口：所有上层（HTTP API、CLI）都通过它驱动对话
+ * - 依赖注入：所有组件都可以替换（便于测试）
+ *
+ * @module chat/service
+ * @version 0.1.0
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../core/logger.js';
+import { config } from '../core/config.js';
+import LLMClient, { TASK_TYPES } from '../llm/client.js';
+import PromptManager from '../llm/prompt.js';
+import ConversationManager from '../conversation/manager.js';
+import ConversationSummarizer from '../conversation/summarizer.js';
+import StateIntegrator from '../state/integrator.js';
+import MemoryRetriever from '../state/memory.js';
+import { StateTagFilter } from '../state/extractor.js';
+import { EMOTIONS } from '../state/schema.js';
+
+/**
+ * 叙事系统提示词模板
+ */
+const NARRATOR_TEMPLATE = `你是{{characterName}}，正在与用户进行沉浸式角色扮演。
+{{personality}}
+
+当前状态：
+- 对用户的好感度：{{affection}}/100
+- 当前情绪：{{emotion}}
+- 当前位置：{{location}}
+
+请始终以{{characterName}}的身份回应，保持性格和状态的一致性。`;
+
+/**
+ * 状态标签说明（让模型在回复末尾输出机器可读的状态变化）
+ */
+const STATE_TAGS_TEMPLATE = `如果本次回复中发生了状态变化，请在回复末尾附加一个状态块（用户看不到），例如：
+<state>{"affection": +5, "emotion": "happy", "location": "酒馆", "gain": ["古书"], "lose": [], "event": "Alice 把古书送给了用户"}</state>
+- 只写发生了变化的字段，没有变化时不要附加
+- affection 为好感度变化量（减少用负数）
+- emotion 只能是：{{emotions}}
+- gain / lose 为用户获得 / 失去的物品`;
+
+/**
+ * 前情提要模板（对话被压缩后附加在系统提示词后）
+ */
+const STORY_SUMMARY_TEMPLATE = `前情提要（更早的对话已压缩）：
+{{summary}}`;
+
+/**
+ * Chat Service 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const chat = new ChatService({ stateIntegrator, llmClient, conversationManager });
+ *
+ * const alice = chat.createCharacter({ name: 'Alice' });
+ * const conversation = chat.createConversation({ characterId: alice.id });
+ *
+ * const turn = await chat.sendMessage(conversation.id, '你好！');
+ * console.log(turn.assistantMessage.content);
+ * console.log(turn.state.updates);
+ * ```
+ */
+class ChatService {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {ConversationManager} options.conversationManager - 对话管理器
+   * @param {LLMClient} options.llmClient - LLM 客户端
+   * @param {StateIntegrator} options.stateIntegrator - 状态集成器
+   * @param {PromptManager} options.promptManager - 提示词管理器
+   * @param {ConversationSummarizer|null} options.summarizer - 对话摘要器（null 关闭自动压缩）
+   * @param {MemoryRetriever|null} options.memoryRetriever - 记忆检索（null 关闭记忆注入）
+   * @param {number} options.memoryLimit - 每回合注入的记忆条数
+   * @param {boolean} options.stateTags - 在系统提示词中要求模型附加状态标签（默认: 配置 state.tags.enabled）
+   * @param {boolean} options.checkpoints - 应用回复的状态变化前保存检查点（默认: 配置 conversation.checkpoints.enabled）
+   * @param {number} options.checkpointTurns - 每个对话保留检查点的最近回合数，0 表示不限（默认: 配置 conversation.checkpoints.maxTurns）
+   * @param {number} options.maxTokens - 每次回复的最大 token 数
+   * @param {number} options.temperature - 温度参数
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxTokens: options.maxTokens || config.get('llm.anthropic.maxTokens', 1000),
+      temperature: options.temperature !== undefined
+        ? options.temperature
+        : config.get('llm.anthropic.temperature', 0.8),
+      memoryLimit: options.memoryLimit || config.get('memory.retrieval.limit', 5),
+      stateTags: options.stateTags !== undefined
+        ? options.stateTags
+        : config.get('state.tags.enabled', true),
+      checkpoints: options.checkpoints !== undefined
+        ? options.checkpoints
+        : config.get('conversation.checkpoints.enabled', true),
+      checkpointTurns: options.checkpointTurns !== undefined
+        ? options.checkpointTurns
+        : config.get('conversation.checkpoints.maxTurns', 20)
+    };
+
+    this.llmClient = options.llmClient || new LLMClient();
+    this.stateIntegrator = options.stateIntegrator || new StateIntegrator();
+    this.stateManager = this.stateIntegrator.stateManager;
+    // 对话与角色状态默认存放在同一个数据库
+    this.conversationManager = options.conversationManager ||
+      new ConversationManager({ db: this.stateIntegrator.db });
+    this.promptManager = options.promptManager || new PromptManager();
+
+    this.summarizer = options.summarizer !== undefined
+      ? options.summarizer
+      : this._createSummarizer();
+
+    this.memoryRetriever = options.memoryRetriever !== undefined
+      ? options.memoryRetriever
+      : this._createMemoryRetriever();
+
+    this.logger = logger.child({ module: 'ChatService' });
+
+    this._registerDefaultTemplates();
+
+    this.logger.info('Chat Service initialized', {
+      maxTokens: this.options.maxTokens,
+      summarization: Boolean(this.summarizer),
+      memoryRetrieval: Boolean(this.memoryRetriever)
+    });
+  }
+
+  /**
+   * 注册默认提示词模板
+   * @private
+   */
+  _registerDefaultTemplates() {
+    if (!this.promptManager.getTemplate('narrator')) {
+      this.promptManager.register('narrator', {
+        template: NARRATOR_TEMPLATE,
+        variables: ['characterName', 'personality', 'affection', 'emotion', 'location'],
+        description: '角色扮演叙事系统提示词'
+      });
+    }
+
+    if (!this.promptManager.getTemplate('state-tags')) {
+      this.promptManager.register('state-tags', {
+        template: STATE_TAGS_TEMPLATE,
+        variables: ['emotions'],
+        defaults: { emotions: EMOTIONS.join(' / ') },
+        description: '状态标签协议说明'
+      });
+    }
+
+    if (!this.promptManager.getTemplate('story-summary')) {
+      this.promptManager.register('story-summary', {
+        template: STORY_SUMMARY_TEMPLATE,
+        variables: ['summary'],
+        description: '对话压缩后的前情提要'
+      });
+    }
+  }
+
+  /**
+   * 根据配置创建对话摘要器
+   * @private
+   */
+  _createSummarizer() {
+    if (!config.get('conversation.summary.enabled', true)) {
+      return null;
+    }
+
+    return new ConversationSummarizer({
+      llmClient: this.llmClient,
+      promptManager: this.promptManager,
+      triggerTokens: config.get('conversation.summary.triggerTokens'),
+      keepRecentMessages: config.get('conversation.summary.keepRecentMessages'),
+      maxSummaryTokens: config.get('conversation.summary.maxSummaryTokens')
+    });
+  }
+
+  /**
+   * 根据配置创建记忆检索
+   * @private
+   */
+  _createMemoryRetriever() {
+    if (!config.get('memory.retrieval.enabled', true)) {
+      return null;
+    }
+
+    return new MemoryRetriever({
+      db: this.stateIntegrator.db,
+      promptManager: this.promptManager,
+      halfLifeDays: config.get('memory.retrieval.halfLifeDays')
+    });
+  }
+
+  // ============================================
+  // 角色与对话
+  // ============================================
+
+  /**
+   * 创建角色
+   *
+   * @param {Object} data - 角色数据（同 StateManager.createCharacter）
+   * @returns {Object} 角色状态
+   */
+  createCharacter(data) {
+    if (!data || !data.name) {
+      throw new Error('Character name is required');
+    }
+
+    const result = this.stateManager.createCharacter(data);
+
+    return this.getCharacterState(result.id);
+  }
+
+  /**
+   * 创建对话（绑定到一个角色）
+   *
+   * @param {Object} options - 对话选项
+   * @param {string} options.characterId - 角色 ID
+   * @param {string} options.title - 对话标题（可选）
+   * @param {Object} options.customData - 自定义数据（可选）
+   * @returns {Conversation} 对话对象
+   */
+  createConversation(options = {}) {
+    const character = this.stateManager.getCharacterState(options.characterId);
+
+    if (!character) {
+      throw new Error(`Character not found: ${options.characterId}`);
+    }
+
+    // 对话开始时的状态，分支回到开头时恢复
+    const snapshot = this.stateManager.createSnapshot(`Conversation start: ${character.name}`);
+
+    return this.conversationManager.createConversation({
+      title: options.title,
+      characterName: character.name,
+      characterId: character.id,
+      customData: options.customData,
+      baseSnapshotId: snapshot.id
+    });
+  }
+
+  /**
+   * 获取对话（内存缓存或持久化存储）
+   *
+   * @param {string} conversationId - 对话 ID
+   * @returns {Promise<Conversation|null>} 对话对象
+   */
+  async getConversation(conversationId) {
+    const cached = this.conversationManager.getConversation(conversationId);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      return await this.conversationManager.load(conversationId);
+    } catch (error) {
+      if (error.message.startsWith('Conversation not found')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 获取角色完整状态（角色 + 位置 + 库存）
+   *
+   * @param {string} characterId - 角色 ID
+   * @returns {Object|null} 角色状态
+   */
+  getCharacterState(characterId) {
+    const character = this.stateManager.getCharacterState(characterId);
+
+    if (!character) {
+      return null;
+    }
+
+    return {
+      ...character,
+      personality: character.personality ? JSON.parse(character.personality) : null,
+      aliases: character.aliases ? JSON.parse(character.aliases) : [],
+      metadata: character.metadata ? JSON.parse(character.metadata) : {},
+      location: character.current_location
+        ? this.stateManager.getLocation(character.current_location)
+        : null,
+      inventory: this.stateManager.getInventory(characterId)
+    };
+  }
+
+  // ============================================
+  // 对话回合
+  // ============================================
+
+  /**
+   * 发送用户消息并获取角色回复
+   *
+   * 流程：
+   * 1. 构建上下文（历史消息 + 新消息）
+   * 2. 调用 LLM 生成回复
+   * 3. 从回复中提取并应用状态变化
+   * 4. 写入对话历史（仅在生成成功后写入，保持 user/assistant 交替）
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {string} content - 用户消息内容
+   * @param {Object} options - 选项
+   * @param {string} options.taskType - 任务类型（默认: CONVERSATION）
+   * @returns {Promise<Object>} 回合结果
+   */
+  async sendMessage(conversationId, content, options = {}) {
+    const timer = this.logger.startTimer('sendMessage');
+
+    const turn = await this._prepareTurn(conversationId, content, options);
+    const result = await this._runTurn(turn);
+
+    timer.done('sendMessage');
+
+    return result;
+  }
+
+  /**
+   * 重新生成回复（作为原回复的兄弟分支保存，原回复保留）
+   *
+   * 生成前把世界状态恢复到该回合之前，生成后应用新回复的状态变化。
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {Object} options - 选项
+   * @param {string} options.messageId - 要重新生成的回复 ID（默认: 当前路径上最后一条回复）
+   * @param {string} options.taskType - 任务类型（默认: CONVERSATION）
+   * @returns {Promise<Object>} 回合结果（结构同 sendMessage()）
+   */
+  async regenerate(conversationId, options = {}) {
+    const conversation = await this._requireConversation(conversationId);
+
+    const messageId = options.messageId ||
+      conversation.messages.filter(m => m.role === 'assistant').at(-1)?.id;
+
+    if (!messageId) {
+      throw new Error('No assistant message to regenerate');
+    }
+
+    const message = conversation.getMessage(messageId);
+    if (!message || message.role !== 'assistant') {
+      throw new Error(`Assistant message not found: ${messageId}`);
+    }
+
+    const userMessage = conversation.getMessage(message.parentId);
+
+    const turn = await this._prepareTurn(conversationId, userMessage.content, options, {
+      mode: 'regenerate',
+      messageId,
+      beforeMessageId: userMessage.id
+    });
+
+    return this._runTurn(turn);
+  }
+
+  /**
+   * 编辑历史用户消息并从该处分叉（原消息及其后续保留为另一分支）
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {string} messageId - 用户消息 ID（必须在当前路径上）
+   * @param {string} content - 新内容
+   * @param {Object} options - 同 sendMessage()
+   * @returns {Promise<Object>} 回合结果（结构同 sendMessage()）
+   */
+  async editMessage(conversationId, messageId, content, options = {}) {
+    const conversation = await this._requireConversation(conversationId);
+
+    const message = conversation.getMessage(messageId);
+    if (!message || message.role !== 'user') {
+      throw new Error(`User message not found: ${messageId}`);
+    }
+
+    const turn = await this._prepareTurn(conversationId, content, options, {
+      mode: 'edit',
+      messageId,
+      beforeMessageId: messageId
+    });
+
+    return this._runTurn(turn);
+  }
+
+  /**
+   * 切换分支，并恢复该分支对应的世界状态
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {string} messageId - 目标分支上的消息 ID
+   * @returns {Promise<Object>} { conversationId, messages, character }
+   */
+  async selectBranch(conversationId, messageId) {
+    const conversation = await this._requireConversation(conversationId);
+
+    conversation.selectBranch(messageId);
+
+    const snapshotId = conversation.getStateSnapshotId();
+    if (snapshotId) {
+      this.stateManager.restoreSnapshot(snapshotId);
+    }
+
+    if (this.conversationManager.options.autoSave) {
+      await this.conversationManager.save(conversation.id);
+    }
+
+    this.logger.info('Branch selected', {
+      conversationId,
+      messageId,
+      snapshotId
+    });
+
+    return {
+      conversationId,
+      messages: conversation.messages,
+      character: this.getCharacterState(conversation.characterId)
+    };
+  }
+
+  /**
+   * 撤销当前路径上最后 N 个回合
+   *
+   * 世界状态恢复到其中最早一个回合应用状态变化之前的检查点；检查点已被清理
+   * （或回复早于检查点功能）时恢复上一回合之后的快照。对话路径截断到该回合之前，
+   * 撤销的消息保留为未选中的分支（可用 selectBranch 切回）。
+   * 这些回合在审核模式下留下的待审核变化集会被拒绝。
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {number} turns - 撤销的回合数（默认 1）
+   * @returns {Promise<Object>} { conversationId, undone: [消息 ID], snapshotId, messages, character }
+   */
+  async undoTurns(conversationId, turns = 1) {
+    if (!Number.isInteger(turns) || turns < 1) {
+      throw new Error(`Invalid turn count: ${turns}`);
+    }
+
+    const conversation = await this._requireConversation(conversationId);
+
+    const path = conversation.messages;
+    const replies = path.filter(m => m.role === 'assistant').slice(-turns);
+    if (replies.length < turns) {
+      throw new Error(`Cannot undo ${turns} turns: only ${replies.length} on the current branch`);
+    }
+
+    // 撤销从最早一个回合的用户消息开始
+    const userMessage = conversation.getMessage(replies[0].parentId);
+    const undone = path.slice(path.indexOf(userMessage)).map(m => m.id);
+
+    const snapshotId = replies[0].metadata?.checkpointId || (userMessage.parentId
+      ? conversation.getStateSnapshotId(userMessage.parentId)
+      : conversation.baseSnapshotId);
+    if (snapshotId) {
+      this.stateManager.restoreSnapshot(snapshotId);
+    }
+
+    conversation.rewindTo(userMessage.parentId);
+
+    for (const reply of replies) {
+      const changeSetId = reply.metadata?.changeSetId;
+      if (changeSetId && this.stateIntegrator.getChangeSet(changeSetId)) {
+        this.stateIntegrator.rejectChangeSet(changeSetId, 'Turn undone');
+      }
+    }
+
+    if (this.conversationManager.options.autoSave) {
+      await this.conversationManager.save(conversation.id);
+    }
+
+    this.logger.info('Turns undone', {
+      conversationId,
+      turns,
+      snapshotId
+    });
+
+    return {
+      conversationId,
+      undone,
+      snapshotId,
+      messages: conversation.messages,
+      character: this.getCharacterState(conversation.characterId)
+    };
+  }
+
+  /**
+   * 流式发送用户消息
+   *
+   * 依次产出：
+   * - { type: 'delta', content }：回复文本增量
+   * - { type: 'done', ...回合结果 }：流结束后完成状态提取和历史写入，结构同 sendMessage()
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {string} content - 用户消息内容
+   * @param {Object} options - 同 sendMessage()
+   * @returns {AsyncIterator} 异步迭代器
+   */
+  async *streamMessage(conversationId, content, options = {}) {
+    const timer = this.logger.startTimer('streamMessage');
+
+    const turn = await this._prepareTurn(conversationId, content, options);
+
+    // 状态标签不展示给用户
+    const filter = new StateTagFilter();
+
+    let response = null;
+    for await (const chunk of this.llmClient.generateStream(turn.request)) {
+      if (chunk.finished) {
+        response = chunk;
+      } else {
+        const visible = filter.push(chunk.content);
+        if (visible) {
+          yield { type: 'delta', content: visible };
+        }
+      }
+    }
+
+    if (!response) {
+      throw new Error('Stream ended before the response was completed');
+    }
+
+    const rest = filter.flush();
+    if (rest) {
+      yield { type: 'delta', content: rest };
+    }
+
+    // 状态提取在流结束后进行（需要完整文本）
+    const result = await this._completeTurn(turn, response);
+
+    timer.done('streamMessage');
+
+    yield { type: 'done', ...result };
+  }
+
+  /**
+   * 准备对话回合（校验 + 构建 LLM 请求）
+   *
+   * branch 不为空时从历史中的某一点分叉：只用该点之前的消息构建上下文，
+   * 再把世界状态恢复到该点。分叉点不在当前路径上时在恢复之前抛出异常；
+   * 恢复之后的步骤失败时，世界状态恢复到当前分支。
+   * @private
+   */
+  async _prepareTurn(conversationId, content, options, branch = null) {
+    if (!content || typeof content !== 'string') {
+      throw new Error('Message content must be a non-empty string');
+    }
+
+    const conversation = await this._requireConversation(conversationId);
+
+    // 上下文 = 前情提要（系统提示词）+ 未摘要的历史消息 + 新消息
+    const context = conversation.getContext({
+      maxTokens: this.conversationManager.options.maxContextTokens,
+      beforeMessageId: branch ? branch.beforeMessageId : undefined
+    });
+    const messages = [...context.messages, { role: 'user', content }];
+
+    let restoredSnapshotId = null;
+    let restoredSeq = null;
+    if (branch) {
+      restoredSnapshotId = conversation.getStateSnapshotId(branch.beforeMessageId);
+      if (restoredSnapshotId) {
+        this.stateManager.restoreSnapshot(restoredSnapshotId);
+        restoredSeq = this.stateManager.journal.getLatestSeq();
+      }
+    }
+
+    try {
+      const character = this.stateManager.getCharacterState(conversation.characterId);
+      if (!character) {
+        throw new Error(`Character not found: ${conversation.characterId}`);
+      }
+
+      const memories = await this._recallMemories(character, content);
+
+      return {
+        conversation,
+        character,
+        content,
+        branch,
+        restoredSnapshotId,
+        restoredSeq,
+        memories,
+        request: {
+          messages,
+          taskType: options.taskType || TASK_TYPES.CONVERSATION,
+          systemPrompt: this._buildSystemPrompt(character, context.summary, memories),
+          maxTokens: this.options.maxTokens,
+          temperature: this.options.temperature
+        }
+      };
+    } catch (error) {
+      if (restoredSnapshotId) {
+        this._restoreActiveBranch(conversation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 执行对话回合（生成 + 完成）
+   * 分叉回合失败时，把世界状态恢复到当前分支
+   * @private
+   */
+  async _runTurn(turn) {
+    try {
+      const response = await this.llmClient.generate(turn.request);
+      return await this._completeTurn(turn, response);
+    } catch (error) {
+      if (turn.restoredSnapshotId) {
+        this._restoreActiveBranch(turn.conversation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 把世界状态恢复到当前分支最近的快照
+   * @private
+   */
+  _restoreActiveBranch(conversation) {
+    const current = conversation.getStateSnapshotId();
+    if (current) {
+      this.stateManager.restoreSnapshot(current);
+    }
+  }
+
+  /**
+   * 完成对话回合（状态更新 + 快照 + 写入历史）
+   * @private
+   */
+  async _completeTurn(turn, response) {
+    const { conversation, character, content, branch, memories } = turn;
+
+    // 回复的 ID 预先生成，状态变化日志据此记录变化来自哪条回复
+    const replyId = randomUUID();
+
+    // 应用状态变化之前的检查点（撤销回合时恢复），上一个快照之后状态没有变化时沿用它
+    const previous = this._lastSnapshot(turn);
+    const checkpoint = this.options.checkpoints
+      ? this._snapshot(`Checkpoint: ${conversation.id}`, previous)
+      : null;
+
+    // 提取并应用状态变化（状态标签优先于正文；审核模式下保存为待审核的变化集）
+    const stateResult = await this.stateIntegrator.processMessage(
+      character.id,
+      response.content,
+      { messageId: replyId, metadata: { conversationId: conversation.id } }
+    );
+
+    // 记录本回合之后的世界状态（切换分支时恢复），没有状态变化时沿用检查点
+    const snapshot = this._snapshot(`Turn: ${conversation.id}`, checkpoint || previous);
+
+    // 历史中只保存展示给用户的文本，状态标签存入 metadata
+    const { text, tags } = this.stateIntegrator.extractor.parseStateTags(response.content);
+
+    const reply = {
+      id: replyId,
+      role: 'assistant',
+      // 回复只有状态标签时保留原文（消息内容不能为空）
+      content: text || response.content,
+      stateSnapshotId: snapshot.snapshotId,
+      metadata: {
+        stateTags: tags,
+        model: response.model,
+        usage: response.usage,
+        costUsd: response.costUsd,
+        latencyMs: response.latencyMs,
+        stateUpdates: stateResult.updates.map(u => u.type),
+        recalledMemories: memories.map(m => m.id),
+        // 快照对应的变化日志顺序号（下一回合据此判断状态是否变化）
+        stateSeq: snapshot.seq,
+        ...(checkpoint ? { checkpointId: checkpoint.snapshotId } : {}),
+        ...(stateResult.changeSet ? { changeSetId: stateResult.changeSet.id } : {})
+      }
+    };
+
+    // 写入对话历史
+    let userMessage;
+    let assistantMessage;
+
+    if (branch?.mode === 'regenerate') {
+      userMessage = conversation.getMessage(branch.beforeMessageId);
+      assistantMessage = conversation.addSwipe(branch.messageId, reply);
+    } else if (branch?.mode === 'edit') {
+      userMessage = conversation.editMessage(branch.messageId, content);
+      assistantMessage = conversation.addMessage(reply);
+    } else {
+      userMessage = conversation.addMessage({ role: 'user', content });
+      assistantMessage = conversation.addMessage(reply);
+    }
+
+    this._pruneCheckpoints(conversation);
+
+    const summary = await this._compact(conversation);
+
+    if (this.conversationManager.options.autoSave) {
+      await this.conversationManager.save(conversation.id);
+    }
+
+    this.logger.info('Turn completed', {
+      conversationId: conversation.id,
+      characterId: character.id,
+      mode: branch ? branch.mode : 'append',
+      updates: stateResult.updates.length,
+      errors: stateResult.errors.length
+    });
+
+    return {
+      conversationId: conversation.id,
+      userMessage,
+      assistantMessage,
+      swipes: this._swipeInfo(conversation, assistantMessage.id),
+      state: {
+        updates: stateResult.updates,
+        errors: stateResult.errors,
+        warnings: stateResult.warnings,
+        ...(stateResult.changeSet ? { changeSet: stateResult.changeSet } : {})
+      },
+      summary,
+      memories,
+      character: this.getCharacterState(character.id)
+    };
+  }
+
+  /**
+   * 获取对话，不存在时抛出异常
+   * @private
+   */
+  async _requireConversation(conversationId) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${conversationId}`);
+    }
+    return conversation;
+  }
+
+  /**
+   * 回合开始时的状态对应的快照 { snapshotId, seq }（无法确定时为 null）
+   * 分叉回合为刚恢复的快照，否则为当前路径最后一条回复之后的快照
+   * @private
+   */
+  _lastSnapshot(turn) {
+    if (turn.branch) {
+      return turn.restoredSnapshotId
+        ? { snapshotId: turn.restoredSnapshotId, seq: turn.restoredSeq }
+        : null;
+    }
+
+    const leaf = turn.conversation.messages.at(-1);
+    return leaf?.stateSnapshotId && leaf.metadata?.stateSeq !== undefined
+      ? { snapshotId: leaf.stateSnapshotId, seq: leaf.metadata.stateSeq }
+      : null;
+  }
+
+  /**
+   * 当前状态的快照 { snapshotId, seq }
+   * since 之后变化日志的顺序号没有增加（状态没有变化）时沿用 since 的快照，不再保存
+   * @private
+   */
+  _snapshot(description, since = null) {
+    const seq = this.stateManager.journal.getLatestSeq();
+    if (since && since.seq === seq) {
+      return since;
+    }
+
+    return { snapshotId: this.stateManager.createSnapshot(description).id, seq };
+  }
+
+  /**
+   * 只保留最近 checkpointTurns 个回合的检查点：更早的检查点快照删除，回复不再指向它
+   * 检查点可能沿用了回复或对话开头的快照，仍被引用的快照不删除
+   * @private
+   */
+  _pruneCheckpoints(conversation) {
+    if (!this.options.checkpointTurns) {
+      return;
+    }
+
+    // 消息按插入顺序保存，从新到旧
+    const checkpoints = [...conversation.nodes.values()]
+      .filter(message => message.metadata?.checkpointId)
+      .reverse();
+    const expired = checkpoints.slice(this.options.checkpointTurns);
+    if (expired.length === 0) {
+      return;
+    }
+
+    const referenced = new Set([
+      conversation.baseSnapshotId,
+      ...[...conversation.nodes.values()].map(message => message.stateSnapshotId),
+      ...checkpoints.slice(0, this.options.checkpointTurns).map(message => message.metadata.checkpointId)
+    ]);
+    this.stateManager.deleteSnapshots(
+      expired.map(message => message.metadata.checkpointId).filter(id => !referenced.has(id))
+    );
+
+    for (const message of expired) {
+      const { checkpointId, ...metadata } = message.metadata;
+      conversation.setMetadata(message.id, metadata);
+    }
+
+    this.logger.debug('Checkpoints pruned', {
+      conversationId: conversation.id,
+      count: expired.length
+    });
+  }
+
+  /**
+   * 回复的分支位置（用于界面显示 “2/3”）
+   * @private
+   */
+  _swipeInfo(conversation, messageId) {
+    const { index, total } = conversation.getSwipes(messageId);
+    return { index, total };
+  }
+
+  /**
+   * 压缩较早的回合（失败不影响本回合结果，下回合会重试）
+   * @private
+   */
+  async _compact(conversation) {
+    if (!this.summarizer || !this.summarizer.needsSummary(conversation)) {
+      return null;
+    }
+
+    try {
+      return await this.summarizer.summarize(conversation);
+    } catch (error) {
+      this.logger.warn('Conversation compaction failed', {
+        conversationId: conversation.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 检索与本回合输入相关的记忆（失败不影响本回合）
+   * @private
+   */
+  async _recallMemories(character, content) {
+    if (!this.memoryRetriever) {
+      return [];
+    }
+
+    try {
+      return await this.memoryRetriever.retrieve(character.id, content, {
+        limit: this.options.memoryLimit
+      });
+    } catch (error) {
+      this.logger.warn('Memory retrieval failed', {
+        characterId: character.id,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 构建系统提示词（有摘要时附加前情提要，有相关记忆时附加记忆）
+   * @private
+   */
+  _buildSystemPrompt(character, summary = null, memories = []) {
+    const location = character.current_location
+      ? this.stateManager.getLocation(character.current_location)
+      : null;
+
+    const components = [{
+      name: 'narrator',
+      variables: {
+        characterName: character.name,
+        personality: this._formatPersonality(character.personality),
+        affection: character.affection,
+        emotion: character.emotion || 'neutral',
+        location: location ? location.name : '未知'
+      }
+    }];
+
+    if (this.options.stateTags) {
+      components.push({ name: 'state-tags', variables: {} });
+    }
+
+    if (summary) {
+      components.push({ name: 'story-summary', variables: { summary } });
+    }
+
+    const prompt = this.promptManager.compose(components);
+
+    if (memories.length === 0) {
+      return prompt;
+    }
+
+    // 记忆片段使用检索器自己的模板（可能注册在另一个 PromptManager 中）
+    return `${prompt}\n\n${this.memoryRetriever.render(memories, { characterName: character.name })}`;
+  }
+
+  /**
+   * 格式化性格描述（支持字符串、数组、对象）
+   * @private
+   */
+  _formatPersonality(raw) {
+    if (!raw) {
+      return '';
+    }
+
+    const personality = JSON.parse(raw);
+    let text;
+
+    if (Array.isArray(personality)) {
+      text = personality.join('、');
+    } else if (typeof personality === 'object') {
+      text = Object.entries(personality)
+        .map(([key, value]) => `${key}：${value}`)
+        .join('，');
+    } else {
+      text = String(personality);
+    }
+
+    return `性格：${text}`;
+  }
+}
+
+/**
+ * 导出
+ */
+export default ChatService;
@@ -4,12 +4,15 @@
  * 功能：
  * - 对话历史管理（增删查改）
  * - 上下文窗口管理（Token 限制）
- * - 对话持久化（存储/加载）
+ * - 对话持久化（SQLite，增量写入新消息和分支变化）
+ * - 分页读取对话历史、跨全部已存储对话的列表和排序
+ * - 从旧版 JSON 文件（data/conversations/*.json）一次性导入
  * - 对话摘要和压缩
+ * - 消息分支（重新生成、编辑历史消息、切换分支）
  * - 多对话会话管理
  *
  * 设计原则：
- * - 高性能：内存缓存 + 异步持久化
+ * - 高性能：内存缓存 + 增量持久化
  * - 可扩展：支持 100+ 轮对话
  * - 智能上下文：自动管理 Token 预算
  *
@@ -18,29 +21,60 @@
  */
 
 import { logger } from '../core/logger.js';
-import { writeFile, readFile, mkdir } from 'fs/promises';
+import DatabaseManager from '../core/database.js';
+import { readFile, readdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
 import { randomUUID } from 'crypto';
+import { tokenCounter } from '../llm/tokenizer.js';
+
+/**
+ * 列表可排序字段（参数名 => 列名）
+ */
+const SORT_COLUMNS = {
+  updatedAt: 'updated_at',
+  createdAt: 'created_at',
+  title: 'title',
+  messageCount: 'message_count'
+};
+
+/**
+ * 当前分支上的消息（从 active_root_id 沿 active_child_id 向下，depth 为位置）
+ */
+const ACTIVE_PATH_SQL = `
+  WITH RECURSIVE path(id, depth) AS (
+    SELECT active_root_id, 0 FROM conversations WHERE id = ? AND active_root_id IS NOT NULL
+    UNION ALL
+    SELECT m.active_child_id, path.depth + 1
+    FROM messages m JOIN path ON m.id = path.id
+    WHERE m.active_child_id IS NOT NULL
+  )
+  SELECT m.* FROM path JOIN messages m ON m.id = path.id
+  ORDER BY path.depth DESC
+  LIMIT ? OFFSET ?`;
 
 /**
  * Conversation Manager 类
  *
  * 使用示例：
  * ```javascript
- * const manager = new ConversationManager();
+ * const manager = new ConversationManager({ db });
  * const conversation = manager.createConversation();
  *
  * conversation.addMessage({ role: 'user', content: 'Hello!' });
  * conversation.addMessage({ role: 'assistant', content: 'Hi!' });
  *
  * await manager.save(conversation.id);
+ *
+ * // 最近 20 条消息
+ * const page = await manager.getHistory(conversation.id, { limit: 20 });
  * ```
  */
 class ConversationManager {
   /**
    * @param {Object} options - 配置选项
-   * @param {string} options.storageDir - 存储目录
+   * @param {DatabaseManager} options.db - 数据库管理器
+   * @param {string} options.storageDir - 旧版 JSON 文件目录（导入来源）
    * @param {number} options.maxContextTokens - 最大上下文 Token 数
    * @param {boolean} options.autoSave - 是否自动保存
    */
@@ -51,40 +85,27 @@ class ConversationManager {
       autoSave: options.autoSave !== false
     };
 
+    this.db = options.db || new DatabaseManager();
+
     // 内存中的对话缓存（conversationId => Conversation）
     this.conversations = new Map();
 
     this.logger = logger.child({ module: 'ConversationManager' });
 
-    // 确保存储目录存在
-    this._ensureStorageDir();
-
     this.logger.info('Conversation Manager initialized', {
-      storageDir: this.options.storageDir,
       maxContextTokens: this.options.maxContextTokens
     });
   }
 
-  /**
-   * 确保存储目录存在
-   * @private
-   */
-  async _ensureStorageDir() {
-    if (!existsSync(this.options.storageDir)) {
-      await mkdir(this.options.storageDir, { recursive: true });
-      this.logger.info('Storage directory created', {
-        path: this.options.storageDir
-      });
-    }
-  }
-
   /**
    * 创建新对话
    *
    * @param {Object} metadata - 对话元数据
    * @param {string} metadata.title - 对话标题
    * @param {string} metadata.characterName - 角色名称
+   * @param {string} metadata.characterId - 关联的角色 ID（StateManager 中的角色）
    * @param {Object} metadata.customData - 自定义数据
+   * @param {string} metadata.baseSnapshotId - 对话开始时的状态快照 ID
    * @returns {Conversation} 对话对象
    */
   createConversation(metadata = {}) {
@@ -92,7 +113,9 @@ class ConversationManager {
       id: randomUUID(),
       title: metadata.title || 'New Conversation',
       characterName: metadata.characterName || 'AI',
+      characterId: metadata.characterId || null,
       customData: metadata.customData || {},
+      baseSnapshotId: metadata.baseSnapshotId || null,
       createdAt: Date.now()
     });
 
@@ -117,7 +140,7 @@ class ConversationManager {
   }
 
   /**
-   * 加载对话（从文件）
+   * 加载对话（从数据库）
    *
    * @param {string} conversationId - 对话 ID
    * @returns {Promise<Conversation>} 对话对象
@@ -129,20 +152,22 @@ class ConversationManager {
       return this.conversations.get(conversationId);
     }
 
-    // 从文件加载
-    const filePath = this._getConversationPath(conversationId);
+    const row = this.db.get('conversations', { id: conversationId });
 
-    if (!existsSync(filePath)) {
+    if (!row) {
       throw new Error(`Conversation not found: ${conversationId}`);
     }
 
-    const data = await readFile(filePath, 'utf8');
-    const json = JSON.parse(data);
+    const messages = this.db.getAll('messages', {
+      where: { conversation_id: conversationId },
+      orderBy: 'seq'
+    });
 
-    const conversation = Conversation.fromJSON(json);
+    const conversation = new Conversation(this._fromRows(row, messages));
+    conversation.markSaved();
     this.conversations.set(conversationId, conversation);
 
-    this.logger.info('Conversation loaded from file', {
+    this.logger.info('Conversation loaded from database', {
       conversationId,
       messageCount: conversation.messages.length
     });
@@ -151,7 +176,8 @@ class ConversationManager {
   }
 
   /**
-   * 保存对话（到文件）
+   * 保存对话（到数据库）
+   * 只写入上次保存之后新增或变化的消息
    *
    * @param {string} conversationId - 对话 ID
    * @returns {Promise<void>}
@@ -163,69 +189,315 @@ class ConversationManager {
       throw new Error(`Conversation not found in memory: ${conversationId}`);
     }
 
-    const filePath = this._getConversationPath(conversationId);
-    const json = conversation.toJSON();
+    const written = this._persist(conversation);
 
-    await writeFile(filePath, JSON.stringify(json, null, 2), 'utf8');
-
-    this.logger.debug('Conversation saved to file', {
+    this.logger.debug('Conversation saved to database', {
       conversationId,
-      filePath,
+      messagesWritten: written,
       messageCount: conversation.messages.length
     });
   }
 
   /**
-   * 删除对话
+   * 分页读取当前分支的对话历史（从最新的消息往前翻页）
+   *
+   * @param {string} conversationId - 对话 ID
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 每页消息数（默认: 50）
+   * @param {number} options.offset - 跳过最新的若干条消息（默认: 0）
+   * @returns {Promise<Object>} { messages（按时间正序）, total, limit, offset, hasMore }
+   */
+  async getHistory(conversationId, options = {}) {
+    const limit = options.limit || 50;
+    const offset = options.offset || 0;
+
+    // 内存中有未保存的修改时先写入
+    if (this.conversations.has(conversationId)) {
+      this._persist(this.conversations.get(conversationId));
+    }
+
+    const row = this.db.get('conversations', { id: conversationId });
+    if (!row) {
+      throw new Error(`Conversation not found: ${conversationId}`);
+    }
+
+    const messages = this.db.raw(ACTIVE_PATH_SQL, [conversationId, limit, offset])
+      .reverse()
+      .map(message => this._messageFromRow(message));
+
+    return {
+      messages,
+      total: row.message_count,
+      limit,
+      offset,
+      hasMore: offset + messages.length < row.message_count
+    };
+  }
+
+  /**
+   * 删除对话（从内存和数据库）
    *
    * @param {string} conversationId - 对话 ID
    */
   deleteConversation(conversationId) {
     this.conversations.delete(conversationId);
 
-    // 注意：这里没有删除文件，只是从内存中移除
-    // 如果需要删除文件，可以使用 fs.unlink
+    // 消息随外键级联删除
+    this.db.delete('conversations', { id: conversationId });
 
-    this.logger.info('Conversation deleted from memory', { conversationId });
+    this.logger.info('Conversation deleted', { conversationId });
   }
 
   /**
-   * 获取对话列表
+   * 获取对话列表（包括所有已存储的对话，内存中未保存的修改会先写入）
    *
+   * @param {Object} options - 选项
+   * @param {string} options.characterId - 只列出该角色的对话（可选）
+   * @param {string} options.orderBy - 排序字段 updatedAt / createdAt / title / messageCount（默认: updatedAt）
+   * @param {string} options.order - 排序方向 asc / desc（默认: desc）
+   * @param {number} options.limit - 最大条数（可选）
+   * @param {number} options.offset - 跳过条数（可选）
    * @returns {Array} 对话摘要列表
    */
-  listConversations() {
-    const conversations = [];
-
-    for (const [id, conv] of this.conversations.entries()) {
-      conversations.push({
-        id,
-        title: conv.title,
-        characterName: conv.characterName,
-        messageCount: conv.messages.length,
-        createdAt: conv.createdAt,
-        updatedAt: conv.updatedAt
-      });
+  listConversations(options = {}) {
+    const orderBy = options.orderBy || 'updatedAt';
+    const order = (options.order || 'desc').toUpperCase();
+
+    if (!SORT_COLUMNS[orderBy]) {
+      throw new Error(`Invalid orderBy: ${orderBy}`);
+    }
+    if (!['ASC', 'DESC'].includes(order)) {
+      throw new Error(`Invalid order: ${options.order}`);
+    }
+
+    this.flush();
+
+    const rows = this.db.getAll('conversations', {
+      where: options.characterId ? { character_id: options.characterId } : {},
+      orderBy: SORT_COLUMNS[orderBy],
+      order,
+      limit: options.limit,
+      offset: options.offset
+    });
+
+    return rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      characterName: row.character_name,
+      characterId: row.character_id,
+      messageCount: row.message_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * 写入内存中所有对话的未保存修改（没有修改的对话跳过）
+   * 直接读取数据库的功能（列表、搜索）在查询前调用
+   */
+  flush() {
+    for (const conversation of this.conversations.values()) {
+      this._persist(conversation);
     }
+  }
+
+  /**
+   * 从旧版 JSON 文件导入对话（每个文件一个对话）
+   * 已存在的对话默认跳过，因此可以重复执行
+   *
+   * @param {string} dir - 目录（默认: options.storageDir）
+   * @param {Object} options - 选项
+   * @param {boolean} options.overwrite - 覆盖已存在的对话（默认: false）
+   * @returns {Promise<Object>} { imported, skipped, failed: [{ file, error }] }
+   */
+  async importFromDirectory(dir = this.options.storageDir, options = {}) {
+    const result = { imported: 0, skipped: 0, failed: [] };
+
+    if (!existsSync(dir)) {
+      this.logger.warn('Import directory not found', { dir });
+      return result;
+    }
+
+    const files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      try {
+        const json = JSON.parse(await readFile(join(dir, file), 'utf8'));
+        const conversation = Conversation.fromJSON(json);
+
+        if (!conversation.id) {
+          throw new Error('Missing conversation id');
+        }
+
+        if (this.db.get('conversations', { id: conversation.id })) {
+          if (!options.overwrite) {
+            result.skipped++;
+            continue;
+          }
+          this.db.delete('conversations', { id: conversation.id });
+          this.conversations.delete(conversation.id);
+        }
+
+        this._persist(conversation);
+        result.imported++;
+      } catch (error) {
+        this.logger.error('Failed to import conversation', {
+          file,
+          error: error.message
+        });
+        result.failed.push({ file, error: error.message });
+      }
+    }
+
+    this.logger.info('Conversations imported', {
+      dir,
+      imported: result.imported,
+      skipped: result.skipped,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * 写入对话和未保存的消息（单个事务），没有未保存的修改时不写入
+   * @private
+   * @returns {number} 写入的消息数
+   */
+  _persist(conversation) {
+    const { cleared, metadata, messages } = conversation.getPendingChanges();
+    if (!cleared && !metadata && messages.length === 0) {
+      return 0;
+    }
+
+    const seq = new Map([...conversation.nodes.keys()].map((id, i) => [id, i]));
+
+    this.db.transaction(() => {
+      this.db.raw(
+        `INSERT INTO conversations (
+          id, title, character_name, character_id, custom_data, base_snapshot_id,
+          active_root_id, summaries, message_count, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          title = excluded.title,
+          character_name = excluded.character_name,
+          character_id = excluded.character_id,
+          custom_data = excluded.custom_data,
+          base_snapshot_id = excluded.base_snapshot_id,
+          active_root_id = excluded.active_root_id,
+          summaries = excluded.summaries,
+          message_count = excluded.message_count,
+          updated_at = excluded.updated_at`,
+        [
+          conversation.id,
+          conversation.title || 'New Conversation',
+          conversation.characterName,
+          conversation.characterId,
+          JSON.stringify(conversation.customData),
+          conversation.baseSnapshotId,
+          conversation.activeRootId,
+          JSON.stringify(conversation.summaries),
+          conversation.messages.length,
+          conversation.createdAt,
+          conversation.updatedAt
+        ]
+      );
+
+      if (cleared) {
+        this.db.delete('messages', { conversation_id: conversation.id });
+      }
+
+      for (const message of messages) {
+        this.db.raw(
+          `INSERT INTO messages (
+            id, conversation_id, seq, parent_id, active_child_id, role, content,
+            metadata, state_snapshot_id, timestamp, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET
+            active_child_id = excluded.active_child_id,
+            content = excluded.content,
+            metadata = excluded.metadata,
+            state_snapshot_id = excluded.state_snapshot_id,
+            updated_at = excluded.updated_at`,
+          [
+            message.id,
+            conversation.id,
+            seq.get(message.id),
+            message.parentId,
+            message.activeChildId,
+            message.role,
+            message.content,
+            JSON.stringify(message.metadata || {}),
+            message.stateSnapshotId || null,
+            message.timestamp || conversation.createdAt,
+            message.timestamp || conversation.createdAt,
+            Date.now()
+          ]
+        );
+      }
+    });
+
+    conversation.markSaved();
 
-    // 按更新时间降序排序
-    conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+    return messages.length;
+  }
 
-    return conversations;
+  /**
+   * 数据库记录 => Conversation 构造参数
+   * @private
+   */
+  _fromRows(row, messages) {
+    return {
+      id: row.id,
+      title: row.title,
+      characterName: row.character_name,
+      characterId: row.character_id,
+      customData: row.custom_data ? JSON.parse(row.custom_data) : {},
+      baseSnapshotId: row.base_snapshot_id,
+      activeRootId: row.active_root_id,
+      summaries: row.summaries ? JSON.parse(row.summaries) : [],
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      messages: messages.map(message => this._messageFromRow(message))
+    };
   }
 
   /**
-   * 获取对话文件路径
+   * 数据库记录 => 消息
    * @private
    */
-  _getConversationPath(conversationId) {
-    return join(this.options.storageDir, `${conversationId}.json`);
+  _messageFromRow(row) {
+    return {
+      id: row.id,
+      parentId: row.parent_id,
+      activeChildId: row.active_child_id,
+      role: row.role,
+      content: row.content,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      stateSnapshotId: row.state_snapshot_id,
+      timestamp: row.timestamp
+    };
   }
 }
 
 /**
  * Conversation 类
  * 表示一个对话会话
+ *
+ * 消息以树的形式保存：每条消息记录 parentId，同一父消息下的多个子消息互为分支
+ * （重新生成的回复、编辑后的用户消息）。每个节点记住当前选中的子节点，
+ * 从根节点沿着选中的子节点走到底就是当前的对话路径（this.messages）。
+ *
+ * 使用示例：
+ * ```javascript
+ * const reply = conversation.addMessage({ role: 'assistant', content: '你好！' });
+ * const swipe = conversation.addSwipe(reply.id, { content: '嗨～' }); // 切换到新回复
+ * conversation.selectBranch(reply.id);                              // 切回原回复
+ * ```
  */
 class Conversation {
   /**
@@ -235,47 +507,78 @@ class Conversation {
     this.id = options.id;
     this.title = options.title;
     this.characterName = options.characterName;
+    this.characterId = options.characterId || null;
     this.customData = options.customData || {};
     this.createdAt = options.createdAt;
     this.updatedAt = options.updatedAt || Date.now();
 
-    // 消息列表
-    this.messages = options.messages || [];
+    // 对话开始时的状态快照（分支回到开头时恢复）
+    this.baseSnapshotId = options.baseSnapshotId || null;
+
+    // 尚未持久化的消息 ID（新消息，以及选中分支发生变化的消息）
+    this._dirty = new Set();
+    this._cleared = false;
+    // 对话本身的字段（标题、选中的根消息、摘要等）是否有未保存的修改，新对话需要先写入
+    this._metaDirty = true;
+
+    // 消息树（id => 消息，按插入顺序）
+    this.nodes = new Map();
+    this.activeRootId = options.activeRootId || null;
+    // 没有记录 activeRootId 的旧数据默认选中第一个根消息（null 表示当前路径为空）
+    this._loadMessages(options.messages || [], options.activeRootId === undefined);
+
+    // 当前路径缓存（树结构变化时失效）
+    this._activePath = null;
 
-    // Token 计数（粗略估算）
-    this.estimatedTokens = 0;
+    // 摘要块（按时间顺序，最新一块包含此前所有摘要的内容）
+    this.summaries = options.summaries || [];
   }
 
   /**
-   * 添加消息
+   * 当前路径上的消息（只读）
+   *
+   * @returns {Array} 消息列表
+   */
+  get messages() {
+    if (!this._activePath) {
+      const path = [];
+      let node = this.activeRootId ? this.nodes.get(this.activeRootId) : null;
+
+      while (node) {
+        path.push(node);
+        node = node.activeChildId ? this.nodes.get(node.activeChildId) : null;
+      }
+
+      this._activePath = path;
+    }
+
+    return this._activePath;
+  }
+
+  /**
+   * 当前路径上消息内容的 Token 数（中日韩字符按字计数）
+   *
+   * @returns {number}
+   */
+  get estimatedTokens() {
+    return this.messages.reduce((sum, msg) => sum + tokenCounter.count(msg.content), 0);
+  }
+
+  /**
+   * 添加消息（追加到当前路径末尾）
    *
    * @param {Object} message - 消息对象
+   * @param {string} message.id - 消息 ID（可选，默认随机生成）
    * @param {string} message.role - 角色（'user' 或 'assistant'）
    * @param {string} message.content - 消息内容
    * @param {Object} message.metadata - 消息元数据（可选）
+   * @param {string} message.stateSnapshotId - 该消息之后的状态快照 ID（可选）
    */
   addMessage(message) {
-    if (!message.role || !message.content) {
-      throw new Error('Message must have role and content');
-    }
-
-    if (!['user', 'assistant'].includes(message.role)) {
-      throw new Error(`Invalid role: ${message.role}`);
-    }
-
-    const msg = {
-      id: randomUUID(),
-      role: message.role,
-      content: message.content,
-      metadata: message.metadata || {},
-      timestamp: Date.now()
-    };
+    const path = this.messages;
+    const leaf = path.length > 0 ? path[path.length - 1] : null;
 
-    this.messages.push(msg);
-    this.updatedAt = Date.now();
-
-    // 更新 Token 估算（粗略：1 token ≈ 4 字符）
-    this.estimatedTokens += Math.ceil(message.content.length / 4);
+    const msg = this._attach(leaf ? leaf.id : null, message);
 
     logger.debug('Message added to conversation', {
       conversationId: this.id,
@@ -287,29 +590,219 @@ class Conversation {
     return msg;
   }
 
+  // ============================================
+  // 分支
+  // ============================================
+
+  /**
+   * 获取消息
+   *
+   * @param {string} messageId - 消息 ID
+   * @returns {Object|null} 消息
+   */
+  getMessage(messageId) {
+    return this.nodes.get(messageId) || null;
+  }
+
+  /**
+   * 替换消息的元数据
+   *
+   * @param {string} messageId - 消息 ID
+   * @param {Object} metadata - 新的元数据
+   * @returns {Object} 消息
+   */
+  setMetadata(messageId, metadata) {
+    const node = this._requireNode(messageId);
+
+    node.metadata = metadata;
+    this._dirty.add(node.id);
+
+    return node;
+  }
+
+  /**
+   * 获取子消息（按创建顺序）
+   *
+   * @param {string|null} parentId - 父消息 ID（null 表示根消息）
+   * @returns {Array} 消息列表
+   */
+  getChildren(parentId = null) {
+    return [...this.nodes.values()].filter(node => node.parentId === parentId);
+  }
+
+  /**
+   * 获取消息的所有分支（包括自身）及其位置
+   *
+   * @param {string} messageId - 消息 ID
+   * @returns {Object} { index, total, messages }
+   */
+  getSwipes(messageId) {
+    const node = this._requireNode(messageId);
+    const siblings = this.getChildren(node.parentId);
+
+    return {
+      index: siblings.findIndex(s => s.id === messageId),
+      total: siblings.length,
+      messages: siblings
+    };
+  }
+
+  /**
+   * 为回复添加一个替代版本（重新生成），并切换到它
+   *
+   * @param {string} messageId - 原回复 ID
+   * @param {Object} message - 新回复 { id, content, metadata, stateSnapshotId }
+   * @returns {Object} 新回复
+   */
+  addSwipe(messageId, message) {
+    const node = this._requireNode(messageId);
+
+    if (node.role !== 'assistant') {
+      throw new Error(`Only assistant messages can be swiped: ${messageId}`);
+    }
+
+    return this._attach(node.parentId, { ...message, role: 'assistant' });
+  }
+
+  /**
+   * 编辑用户消息：在同一位置创建新分支（原消息及其后续保留），并切换到它
+   *
+   * @param {string} messageId - 原消息 ID
+   * @param {string} content - 新内容
+   * @param {Object} metadata - 元数据（可选）
+   * @returns {Object} 新消息
+   */
+  editMessage(messageId, content, metadata = {}) {
+    const node = this._requireNode(messageId);
+
+    if (node.role !== 'user') {
+      throw new Error(`Only user messages can be edited: ${messageId}`);
+    }
+
+    return this._attach(node.parentId, {
+      role: 'user',
+      content,
+      metadata: { ...metadata, editedFrom: messageId }
+    });
+  }
+
+  /**
+   * 切换到某条消息所在的分支
+   * 该消息之后沿用各节点上次选中的子节点
+   *
+   * @param {string} messageId - 消息 ID
+   * @returns {Array} 新的当前路径
+   */
+  selectBranch(messageId) {
+    let node = this._requireNode(messageId);
+
+    // 自下而上把路径上的每个父节点指向当前节点
+    while (node.parentId) {
+      const parent = this.nodes.get(node.parentId);
+      if (parent.activeChildId !== node.id) {
+        parent.activeChildId = node.id;
+        this._dirty.add(parent.id);
+      }
+      node = parent;
+    }
+    this.activeRootId = node.id;
+
+    this._activePath = null;
+    this._touch();
+
+    logger.debug('Branch selected', {
+      conversationId: this.id,
+      messageId
+    });
+
+    return this.messages;
+  }
+
+  /**
+   * 把当前路径截断到某条消息：之后的消息保留在树中成为未选中的分支（可用 selectBranch 切回）
+   *
+   * @param {string|null} messageId - 保留的最后一条消息（null 表示回到对话开头）
+   * @returns {Array} 新的当前路径
+   */
+  rewindTo(messageId) {
+    if (messageId) {
+      this.selectBranch(messageId);
+
+      const node = this.nodes.get(messageId);
+      if (node.activeChildId) {
+        node.activeChildId = null;
+        this._dirty.add(node.id);
+      }
+    } else {
+      this.activeRootId = null;
+    }
+
+    this._activePath = null;
+    this._touch();
+
+    logger.debug('Conversation rewound', {
+      conversationId: this.id,
+      messageId
+    });
+
+    return this.messages;
+  }
+
+  /**
+   * 获取某条消息处的状态快照 ID
+   * 从该消息向上查找最近记录了快照的消息，找不到时返回对话开始时的快照
+   *
+   * @param {string} messageId - 消息 ID（默认: 当前路径最后一条）
+   * @returns {string|null} 快照 ID
+   */
+  getStateSnapshotId(messageId = null) {
+    const path = this.messages;
+    let node = messageId
+      ? this._requireNode(messageId)
+      : path[path.length - 1];
+
+    while (node) {
+      if (node.stateSnapshotId) {
+        return node.stateSnapshotId;
+      }
+      node = node.parentId ? this.nodes.get(node.parentId) : null;
+    }
+
+    return this.baseSnapshotId;
+  }
+
+  // ============================================
+  // 上下文
+  // ============================================
+
   /**
    * 获取消息列表（用于 API 调用）
+   * 默认只返回尚未被摘要覆盖的消息，原始消息仍保存在消息树中
    *
    * @param {Object} options - 选项
    * @param {number} options.maxTokens - 最大 Token 数（可选）
    * @param {number} options.maxMessages - 最大消息数（可选）
+   * @param {boolean} options.includeSummarized - 包含已被摘要覆盖的消息（默认: false）
+   * @param {string} options.beforeMessageId - 只取当前路径上该消息之前的部分（可选）
    * @returns {Array} 消息列表
    */
   getMessages(options = {}) {
-    let messages = [...this.messages];
+    let messages = options.includeSummarized
+      ? this._pathBefore(options.beforeMessageId)
+      : this.getUnsummarizedMessages(options);
 
     // 限制消息数量
     if (options.maxMessages) {
       messages = messages.slice(-options.maxMessages);
     }
 
-    // 限制 Token 数量（从最新消息开始计算）
+    // 限制 Token 数量（从最新消息开始计算，含每条消息的格式开销）
     if (options.maxTokens) {
       let tokenCount = 0;
       const filtered = [];
 
       for (let i = messages.length - 1; i >= 0; i--) {
-        const msgTokens = Math.ceil(messages[i].content.length / 4);
+        const msgTokens = tokenCounter.countMessage(messages[i]);
 
         if (tokenCount + msgTokens > options.maxTokens) {
           break;
@@ -329,6 +822,98 @@ class Conversation {
     }));
   }
 
+  /**
+   * 获取上下文窗口（最新摘要 + 未摘要的消息）
+   * 摘要占用的 Token 从 maxTokens 中扣除
+   *
+   * @param {Object} options - 选项
+   * @param {number} options.maxTokens - 最大 Token 数（可选）
+   * @param {string} options.beforeMessageId - 只取当前路径上该消息之前的部分（可选）
+   * @returns {Object} { summary: string|null, messages: Array }
+   */
+  getContext(options = {}) {
+    const latest = this.getLatestSummary(options);
+    const summary = latest ? latest.content : null;
+
+    const maxTokens = options.maxTokens
+      ? Math.max(0, options.maxTokens - tokenCounter.count(summary))
+      : undefined;
+
+    return {
+      summary,
+      messages: this.getMessages({ maxTokens, beforeMessageId: options.beforeMessageId })
+    };
+  }
+
+  /**
+   * 添加摘要块
+   *
+   * @param {Object} summary - 摘要
+   * @param {string} summary.content - 摘要内容
+   * @param {string} summary.fromMessageId - 覆盖的第一条消息 ID
+   * @param {string} summary.toMessageId - 覆盖的最后一条消息 ID（必须在当前路径上）
+   * @returns {Object} 摘要块
+   */
+  addSummary(summary) {
+    if (!summary.content || !summary.toMessageId) {
+      throw new Error('Summary must have content and toMessageId');
+    }
+
+    if (!this.messages.some(m => m.id === summary.toMessageId)) {
+      throw new Error(`Message not found: ${summary.toMessageId}`);
+    }
+
+    const block = {
+      id: randomUUID(),
+      ...summary,
+      tokens: tokenCounter.count(summary.content),
+      createdAt: Date.now()
+    };
+
+    this.summaries.push(block);
+    this._touch();
+
+    return block;
+  }
+
+  /**
+   * 获取当前路径上的最新摘要块（其他分支上的摘要不适用）
+   *
+   * @param {Object} options - 选项
+   * @param {string} options.beforeMessageId - 只考虑该消息之前的部分（可选）
+   * @returns {Object|null} 摘要块
+   */
+  getLatestSummary(options = {}) {
+    const ids = new Set(this._pathBefore(options.beforeMessageId).map(m => m.id));
+
+    for (let i = this.summaries.length - 1; i >= 0; i--) {
+      if (ids.has(this.summaries[i].toMessageId)) {
+        return this.summaries[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取尚未被摘要覆盖的消息
+   *
+   * @param {Object} options - 选项
+   * @param {string} options.beforeMessageId - 只考虑该消息之前的部分（可选）
+   * @returns {Array} 消息列表（原始消息对象）
+   */
+  getUnsummarizedMessages(options = {}) {
+    const path = this._pathBefore(options.beforeMessageId);
+    const latest = this.getLatestSummary(options);
+
+    if (!latest) {
+      return path;
+    }
+
+    const index = path.findIndex(m => m.id === latest.toMessageId);
+    return path.slice(index + 1);
+  }
+
   /**
    * 获取最后 N 条消息
    *
@@ -343,9 +928,13 @@ class Conversation {
    * 清空对话历史
    */
   clear() {
-    this.messages = [];
-    this.estimatedTokens = 0;
-    this.updatedAt = Date.now();
+    this.nodes.clear();
+    this.activeRootId = null;
+    this._activePath = null;
+    this._dirty.clear();
+    this._cleared = true;
+    this.summaries = [];
+    this._touch();
 
     logger.info('Conversation cleared', {
       conversationId: this.id
@@ -366,12 +955,16 @@ class Conversation {
       userMessages,
       assistantMessages,
       estimatedTokens: this.estimatedTokens,
+      branches: this.nodes.size - this.messages.length,
+      summaries: this.summaries.length,
+      summarizedMessages: this.messages.length - this.getUnsummarizedMessages().length,
       duration: this.updatedAt - this.createdAt
     };
   }
 
   /**
    * 序列化为 JSON
+   * messages 包含整棵消息树（每条消息带 parentId / activeChildId）
    *
    * @returns {Object} JSON 对象
    */
@@ -380,10 +973,14 @@ class Conversation {
       id: this.id,
       title: this.title,
       characterName: this.characterName,
+      characterId: this.characterId,
       customData: this.customData,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
-      messages: this.messages,
+      baseSnapshotId: this.baseSnapshotId,
+      activeRootId: this.activeRootId,
+      messages: [...this.nodes.values()],
+      summaries: this.summaries,
       estimatedTokens: this.estimatedTokens
     };
   }
@@ -399,12 +996,153 @@ class Conversation {
       id: json.id,
       title: json.title,
       characterName: json.characterName,
+      characterId: json.characterId,
       customData: json.customData,
       createdAt: json.createdAt,
       updatedAt: json.updatedAt,
-      messages: json.messages
+      baseSnapshotId: json.baseSnapshotId,
+      activeRootId: json.activeRootId,
+      messages: json.messages,
+      summaries: json.summaries
     });
   }
+
+  // ============================================
+  // 持久化
+  // ============================================
+
+  /**
+   * 获取尚未持久化的修改（供 ConversationManager 增量保存）
+   *
+   * @returns {Object} { cleared, metadata, messages }（cleared 为 true 时需先删除已存储的全部消息，metadata 为 true 时需更新对话记录）
+   */
+  getPendingChanges() {
+    return {
+      cleared: this._cleared,
+      metadata: this._metaDirty,
+      messages: [...this._dirty].map(id => this.nodes.get(id)).filter(Boolean)
+    };
+  }
+
+  /**
+   * 标记所有修改已持久化
+   */
+  markSaved() {
+    this._dirty.clear();
+    this._cleared = false;
+    this._metaDirty = false;
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * 更新修改时间并标记对话记录需要保存
+   * @private
+   */
+  _touch() {
+    this.updatedAt = Date.now();
+    this._metaDirty = true;
+  }
+
+  /**
+   * 创建消息并挂到指定父节点下（成为父节点的选中分支）
+   * @private
+   */
+  _attach(parentId, message) {
+    if (!message.role || !message.content) {
+      throw new Error('Message must have role and content');
+    }
+
+    if (!['user', 'assistant'].includes(message.role)) {
+      throw new Error(`Invalid role: ${message.role}`);
+    }
+
+    const msg = {
+      id: message.id || randomUUID(),
+      parentId,
+      activeChildId: null,
+      role: message.role,
+      content: message.content,
+      metadata: message.metadata || {},
+      stateSnapshotId: message.stateSnapshotId || null,
+      timestamp: Date.now()
+    };
+
+    this.nodes.set(msg.id, msg);
+    this._dirty.add(msg.id);
+
+    if (parentId) {
+      this.nodes.get(parentId).activeChildId = msg.id;
+      this._dirty.add(parentId);
+    } else {
+      this.activeRootId = msg.id;
+    }
+
+    this._activePath = null;
+    this._touch();
+
+    return msg;
+  }
+
+  /**
+   * 加载消息（兼容旧格式：没有 parentId 的扁平列表按顺序串成一条路径）
+   * @private
+   */
+  _loadMessages(messages, selectRoot) {
+    const linear = messages.every(m => m.parentId === undefined);
+
+    messages.forEach((message, i) => {
+      const node = linear
+        ? {
+          ...message,
+          parentId: i > 0 ? messages[i - 1].id : null,
+          activeChildId: i < messages.length - 1 ? messages[i + 1].id : null
+        }
+        : { ...message };
+
+      this.nodes.set(node.id, node);
+      this._dirty.add(node.id);
+    });
+
+    if ((linear || selectRoot) && !this.activeRootId && messages.length > 0) {
+      this.activeRootId = linear
+        ? messages[0].id
+        : messages.find(m => !m.parentId)?.id || null;
+    }
+  }
+
+  /**
+   * 当前路径上某条消息之前的部分（不传则返回整条路径的副本）
+   * @private
+   */
+  _pathBefore(messageId) {
+    const path = this.messages;
+
+    if (!messageId) {
+      return [...path];
+    }
+
+    const index = path.findIndex(m => m.id === messageId);
+    if (index === -1) {
+      throw new Error(`Message not on active path: ${messageId}`);
+    }
+
+    return path.slice(0, index);
+  }
+
+  /**
+   * 获取消息，不存在时抛出异常
+   * @private
+   */
+  _requireNode(messageId) {
+    const node = this.nodes.get(messageId);
+    if (!node) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+    return node;
+  }
 }
 
 /**
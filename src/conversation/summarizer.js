@@ -0,0 +1,207 @@
+/**
+ * Conversation Summarizer - 对话滚动摘要
+ *
+ * 功能：
+ * - 判断对话是否需要压缩（未摘要部分超过 Token 阈值）
+ * - 把较早的回合通过 LLM 压缩为摘要块，存入 Conversation
+ * - 滚动摘要：新摘要包含上一份摘要的内容，上下文只需携带最新一块
+ * - 原始消息保留在对话中，供审计和回溯
+ *
+ * 设计原则：
+ * - 摘要是逻辑任务：使用 TASK_TYPES.STATE_MANAGEMENT（Haiku，快且便宜）
+ * - 始终保留最近若干条消息原文，保证回复的连贯性
+ * - 只在 assistant 消息之后切分，剩余上下文仍以 user 消息开头
+ *
+ * @module conversation/summarizer
+ * @version 0.1.0
+ */
+
+import { logger } from '../core/logger.js';
+import { TASK_TYPES } from '../llm/client.js';
+import PromptManager from '../llm/prompt.js';
+import { tokenCounter } from '../llm/tokenizer.js';
+
+/**
+ * 摘要提示词模板
+ */
+const SUMMARY_TEMPLATE = `请把下面这段角色扮演对话压缩为一份“前情提要”，供{{characterName}}在后续对话中回忆。
+
+要求：
+- 使用第三人称、简洁的中文叙述，不超过 {{maxWords}} 字
+- 保留：关键事件、做出的承诺、人物关系与好感度变化、地点变化、获得或失去的物品、尚未解决的事情
+- 省略：寒暄、重复内容、措辞细节
+- 如果有“已有提要”，把它与新对话合并为一份完整的提要，不要丢失其中的事实
+- 只输出提要正文
+
+已有提要：
+{{previousSummary}}
+
+新对话：
+{{transcript}}`;
+
+/**
+ * Conversation Summarizer 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const summarizer = new ConversationSummarizer({ llmClient });
+ *
+ * if (summarizer.needsSummary(conversation)) {
+ *   await summarizer.summarize(conversation);
+ * }
+ *
+ * const { summary, messages } = conversation.getContext({ maxTokens: 8000 });
+ * ```
+ */
+class ConversationSummarizer {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {LLMClient} options.llmClient - LLM 客户端
+   * @param {PromptManager} options.promptManager - 提示词管理器（可选）
+   * @param {number} options.triggerTokens - 未摘要消息超过该 Token 数时触发（默认: 6000）
+   * @param {number} options.keepRecentMessages - 始终保留原文的最近消息数（默认: 10）
+   * @param {number} options.maxSummaryTokens - 摘要最大 token 数（默认: 800）
+   */
+  constructor(options = {}) {
+    if (!options.llmClient) {
+      throw new Error('llmClient is required');
+    }
+
+    this.options = {
+      triggerTokens: options.triggerTokens || 6000,
+      keepRecentMessages: options.keepRecentMessages || 10,
+      maxSummaryTokens: options.maxSummaryTokens || 800
+    };
+
+    this.llmClient = options.llmClient;
+    this.promptManager = options.promptManager || new PromptManager();
+
+    this.logger = logger.child({ module: 'ConversationSummarizer' });
+
+    if (!this.promptManager.getTemplate('conversation-summary')) {
+      this.promptManager.register('conversation-summary', {
+        template: SUMMARY_TEMPLATE,
+        variables: ['characterName', 'maxWords', 'previousSummary', 'transcript'],
+        defaults: { characterName: '角色', previousSummary: '（无）' },
+        description: '对话滚动摘要'
+      });
+    }
+  }
+
+  /**
+   * 判断对话是否需要压缩
+   *
+   * @param {Conversation} conversation - 对话对象
+   * @returns {boolean}
+   */
+  needsSummary(conversation) {
+    const pending = conversation.getUnsummarizedMessages();
+
+    if (pending.length <= this.options.keepRecentMessages) {
+      return false;
+    }
+
+    return tokenCounter.countMessages(pending) > this.options.triggerTokens;
+  }
+
+  /**
+   * 压缩较早的回合
+   *
+   * @param {Conversation} conversation - 对话对象
+   * @param {Object} options - 选项
+   * @param {boolean} options.force - 跳过阈值检查（默认: false）
+   * @returns {Promise<Object|null>} 新的摘要块（没有可压缩的消息时返回 null）
+   */
+  async summarize(conversation, options = {}) {
+    if (!options.force && !this.needsSummary(conversation)) {
+      return null;
+    }
+
+    const chunk = this._selectChunk(conversation.getUnsummarizedMessages());
+    if (chunk.length === 0) {
+      return null;
+    }
+
+    const timer = this.logger.startTimer('summarize');
+    const previous = conversation.getLatestSummary();
+
+    try {
+      const variables = {
+        maxWords: this.options.maxSummaryTokens,
+        transcript: this._formatTranscript(chunk, conversation.characterName)
+      };
+      if (conversation.characterName) {
+        variables.characterName = conversation.characterName;
+      }
+      if (previous) {
+        variables.previousSummary = previous.content;
+      }
+
+      const prompt = this.promptManager.render('conversation-summary', variables);
+
+      const response = await this.llmClient.generate({
+        messages: [{ role: 'user', content: prompt }],
+        taskType: TASK_TYPES.STATE_MANAGEMENT,
+        maxTokens: this.options.maxSummaryTokens,
+        temperature: 0.3
+      });
+
+      const summary = conversation.addSummary({
+        content: response.content.trim(),
+        fromMessageId: chunk[0].id,
+        toMessageId: chunk[chunk.length - 1].id,
+        messageCount: chunk.length,
+        coveredTokens: tokenCounter.countMessages(chunk),
+        model: response.model?.id,
+        costUsd: response.costUsd
+      });
+
+      timer.done('Conversation summarized');
+
+      this.logger.info('Summary created', {
+        conversationId: conversation.id,
+        summaryId: summary.id,
+        messageCount: summary.messageCount,
+        coveredTokens: summary.coveredTokens,
+        summaryTokens: summary.tokens
+      });
+
+      return summary;
+    } catch (error) {
+      this.logger.error('Failed to summarize conversation', {
+        conversationId: conversation.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 选择要压缩的消息（保留最近的消息，并在 assistant 消息后切分）
+   * @private
+   */
+  _selectChunk(pending) {
+    let end = pending.length - this.options.keepRecentMessages;
+
+    while (end > 0 && pending[end - 1].role !== 'assistant') {
+      end--;
+    }
+
+    return end > 0 ? pending.slice(0, end) : [];
+  }
+
+  /**
+   * 格式化对话记录
+   * @private
+   */
+  _formatTranscript(messages, characterName) {
+    return messages
+      .map(msg => `${msg.role === 'user' ? '用户' : (characterName || '角色')}：${msg.content}`)
+      .join('\n');
+  }
+}
+
+/**
+ * 导出
+ */
+export default ConversationSummarizer;
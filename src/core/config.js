@@ -139,6 +139,31 @@ class Config {
       this.config.llm.anthropic.apiKey = process.env.ANTHROPIC_API_KEY;
     }
 
+    if (process.env.OPENAI_API_KEY) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.openai = this.config.llm.openai || {};
+      this.config.llm.openai.apiKey = process.env.OPENAI_API_KEY;
+    }
+
+    // 默认 LLM 提供方（anthropic / openai / llamacpp / mock）
+    if (process.env.LLM_PROVIDER) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.provider = process.env.LLM_PROVIDER;
+    }
+
+    // LLM 录制/回放（off / record / replay / strict）
+    if (process.env.LLM_CASSETTE_MODE) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.cassette = this.config.llm.cassette || {};
+      this.config.llm.cassette.mode = process.env.LLM_CASSETTE_MODE;
+    }
+
+    if (process.env.LLM_CASSETTE_PATH) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.cassette = this.config.llm.cassette || {};
+      this.config.llm.cassette.path = process.env.LLM_CASSETTE_PATH;
+    }
+
     // 应用配置
     if (process.env.PORT) {
       this.config.app = this.config.app || {};
@@ -187,8 +212,9 @@ class Config {
   _validate() {
     const errors = [];
 
-    // 校验 LLM API Key（生产环境必须）
-    if (this.env === 'production') {
+    // 校验 LLM API Key（生产环境使用 Anthropic 时必须）
+    const provider = this.config.llm?.provider || 'anthropic';
+    if (this.env === 'production' && provider === 'anthropic') {
       if (!this.config.llm?.anthropic?.apiKey) {
         errors.push('Missing required config: llm.anthropic.apiKey');
       }
@@ -199,6 +225,12 @@ class Config {
       errors.push('Missing required config: database.path');
     }
 
+    // 校验 LLM 提供方
+    const validProviders = ['anthropic', 'openai', 'llamacpp', 'mock'];
+    if (!validProviders.includes(provider)) {
+      errors.push(`Invalid llm.provider: ${provider}`);
+    }
+
     // 校验日志级别
     const validLogLevels = ['error', 'warn', 'info', 'debug', 'trace'];
     if (this.config.logging?.level &&
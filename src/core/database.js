@@ -24,6 +24,20 @@ import { mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import { randomUUID } from 'crypto';
 
+/**
+ * 增量列迁移
+ * schema.sql 中的 CREATE TABLE IF NOT EXISTS 不会给已存在的表补列，
+ * 新增的列同时写在 schema.sql（新库）和这里（旧库）
+ */
+const COLUMN_MIGRATIONS = [
+  { table: 'memories', column: 'archived_at', definition: 'INTEGER' },
+  { table: 'memories', column: 'consolidated_into', definition: 'TEXT' },
+  { table: 'characters', column: 'aliases', definition: 'TEXT' },
+  { table: 'locations', column: 'aliases', definition: 'TEXT' },
+  { table: 'state_snapshots', column: 'kind', definition: "TEXT NOT NULL DEFAULT 'full'" },
+  { table: 'state_snapshots', column: 'base_id', definition: 'TEXT' }
+];
+
 /**
  * Database Manager 类
  *
@@ -137,6 +151,9 @@ class DatabaseManager {
       // 执行 Schema
       this.db.exec(schema);
 
+      // 补齐旧库缺少的列
+      this._migrateColumns();
+
       this.logger.info('Database schema migrated');
     } catch (error) {
       this.logger.error('Schema migration failed', {
@@ -146,6 +163,21 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * 为已存在的表补充新增的列
+   * @private
+   */
+  _migrateColumns() {
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+
+      if (!columns.some(c => c.name === column)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        this.logger.info('Column added', { table, column });
+      }
+    }
+  }
+
   /**
    * 查询单条记录
    *
@@ -417,8 +449,8 @@ class DatabaseManager {
     try {
       const stmt = this.db.prepare(sql);
 
-      // 根据 SQL 类型返回不同结果
-      if (sql.trim().toUpperCase().startsWith('SELECT')) {
+      // 根据 SQL 类型返回不同结果（查询语句包括 SELECT 和 WITH ... SELECT）
+      if (stmt.reader) {
         return stmt.all(params);
       } else {
         return stmt.run(params);
@@ -474,7 +506,9 @@ class DatabaseManager {
     const values = [];
 
     for (const [key, value] of Object.entries(where)) {
-      if (typeof value === 'object' && value !== null) {
+      if (value === null) {
+        conditions.push(`${key} IS NULL`);
+      } else if (typeof value === 'object') {
         // 支持运算符: { gt: 50 }, { lt: 100 }, { like: '%Alice%' }
         for (const [op, val] of Object.entries(value)) {
           switch (op) {
@@ -544,7 +578,9 @@ class DatabaseManager {
         'inventory',
         'memories',
         'state_snapshots',
-        'validation_logs'
+        'validation_logs',
+        'conversations',
+        'messages'
       ];
 
       const stats = {};
@@ -1,6 +1,6 @@
 -- ImmersiveAI Engine Database Schema
 -- Version: 0.1.0
--- 用途：存储角色状态、时间线、位置、物品、记忆等信息
+-- 用途：存储角色状态、时间线、位置、物品、记忆、对话等信息
 
 -- ============================================
 -- Character 表：角色状态
@@ -8,6 +8,7 @@
 CREATE TABLE IF NOT EXISTS characters (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL,
+  aliases TEXT,                                                             -- 别名 JSON 数组（用于识别文本中提到的角色）
   affection INTEGER DEFAULT 0 CHECK(affection >= 0 AND affection <= 100),  -- 好感度 0-100
   emotion TEXT DEFAULT 'neutral',                                           -- 当前情绪
   personality TEXT,                                                         -- 性格特征 JSON
@@ -46,6 +47,7 @@ CREATE INDEX IF NOT EXISTS idx_timeline_importance ON timeline(importance DESC);
 CREATE TABLE IF NOT EXISTS locations (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL UNIQUE,
+  aliases TEXT,                                 -- 别名 JSON 数组（用于归并同一地点的不同说法）
   type TEXT,                                    -- 类型：indoor/outdoor
   parent_location TEXT,                         -- 父位置（层级结构）
   connected_to TEXT,                            -- 可达位置列表 JSON: [{id, travel_time}]
@@ -92,6 +94,8 @@ CREATE TABLE IF NOT EXISTS memories (
   timestamp INTEGER NOT NULL,                   -- 记忆时间
   tags TEXT,                                    -- 标签 JSON: ["first_meeting", "important"]
   metadata TEXT,                                -- 额外信息 JSON
+  archived_at INTEGER,                          -- 归档时间（NULL 为有效记忆）
+  consolidated_into TEXT,                       -- 被合并到的记忆 ID
   created_at INTEGER NOT NULL,
   updated_at INTEGER NOT NULL,
 
@@ -103,19 +107,66 @@ CREATE INDEX IF NOT EXISTS idx_memories_timestamp ON memories(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_memories_importance ON memories(importance DESC);
 
 -- ============================================
--- StateSnapshots 表：状态快照（用于回滚）
+-- StateSnapshots 表：状态快照（用于回滚，完整或相对基准的增量）
 -- ============================================
 CREATE TABLE IF NOT EXISTS state_snapshots (
   id TEXT PRIMARY KEY,
   snapshot_time INTEGER NOT NULL,               -- 快照时间
-  state_data TEXT NOT NULL,                     -- 完整状态 JSON
+  state_data TEXT NOT NULL,                     -- 完整状态 JSON，增量快照为变化的行 JSON: {实体: {upsert, delete}}
   description TEXT,                             -- 快照描述
+  kind TEXT NOT NULL DEFAULT 'full',            -- full/delta
+  base_id TEXT,                                 -- 增量快照的基准（完整快照）
   created_at INTEGER NOT NULL,
   updated_at INTEGER NOT NULL
 );
 
 CREATE INDEX IF NOT EXISTS idx_snapshots_time ON state_snapshots(snapshot_time DESC);
 
+-- ============================================
+-- StateChangeSets 表：待审核的状态变化（每条消息一组）
+-- ============================================
+CREATE TABLE IF NOT EXISTS state_change_sets (
+  id TEXT PRIMARY KEY,
+  character_id TEXT NOT NULL,                   -- 回复角色
+  status TEXT NOT NULL DEFAULT 'pending',       -- pending/applied/rejected
+  source_text TEXT NOT NULL,                    -- 提取来源的原始消息
+  changes TEXT NOT NULL,                        -- 变化列表 JSON: [{id, type, characterId, data, diff, validation, status}]
+  warnings TEXT,                                -- 提取阶段的警告 JSON
+  metadata TEXT,                                -- 自定义属性 JSON（如 conversationId）
+  reviewed_at INTEGER,                          -- 最后一次审核时间
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+
+  FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_sets_status ON state_change_sets(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_change_sets_character ON state_change_sets(character_id);
+
+-- ============================================
+-- StateChanges 表：状态变化日志（只追加，用于追溯和重放）
+-- ============================================
+CREATE TABLE IF NOT EXISTS state_changes (
+  id TEXT PRIMARY KEY,
+  seq INTEGER NOT NULL UNIQUE,                  -- 顺序号（重放顺序）
+  entity TEXT NOT NULL,                         -- 实体表：characters/timeline/locations/inventory/memories
+  entity_id TEXT NOT NULL,                      -- 实体 ID
+  operation TEXT NOT NULL CHECK(operation IN ('create', 'update', 'delete')),
+  before_data TEXT,                             -- 变化前的行 JSON（create 时为空）
+  after_data TEXT,                              -- 变化后的行 JSON（delete 时为空）
+  cause_type TEXT NOT NULL,                     -- 原因：message/rule/manual/restore
+  message_id TEXT,                              -- 引起变化的消息
+  cause TEXT,                                   -- 原因详情 JSON（如 rule、conversationId、changeSetId）
+  game_time INTEGER,                            -- 游戏内时间
+  timestamp INTEGER NOT NULL,                   -- 记录时间
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_state_changes_entity ON state_changes(entity, entity_id, seq);
+CREATE INDEX IF NOT EXISTS idx_state_changes_message ON state_changes(message_id);
+CREATE INDEX IF NOT EXISTS idx_state_changes_time ON state_changes(timestamp);
+
 -- ============================================
 -- ValidationLogs 表：验证日志
 -- ============================================
@@ -131,3 +182,113 @@ CREATE TABLE IF NOT EXISTS validation_logs (
 
 CREATE INDEX IF NOT EXISTS idx_validation_logs_time ON validation_logs(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_validation_logs_passed ON validation_logs(passed);
+
+-- ============================================
+-- Conversations 表：对话
+-- ============================================
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  character_name TEXT,
+  character_id TEXT,                            -- 关联的角色（不设外键，角色删除后对话保留）
+  custom_data TEXT,                             -- 自定义数据 JSON
+  base_snapshot_id TEXT,                        -- 对话开始时的状态快照
+  active_root_id TEXT,                          -- 当前分支的第一条消息
+  summaries TEXT,                               -- 摘要块 JSON
+  message_count INTEGER DEFAULT 0,              -- 当前分支的消息数
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_character ON conversations(character_id);
+
+-- ============================================
+-- Messages 表：对话消息（消息树）
+-- ============================================
+CREATE TABLE IF NOT EXISTS messages (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL,
+  seq INTEGER NOT NULL,                         -- 对话内的创建顺序
+  parent_id TEXT,                               -- 父消息（NULL 表示根消息）
+  active_child_id TEXT,                         -- 当前选中的子消息
+  role TEXT NOT NULL CHECK(role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  metadata TEXT,                                -- 元数据 JSON（模型、用量等）
+  state_snapshot_id TEXT,                       -- 该消息之后的状态快照
+  timestamp INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, seq);
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id);
+
+-- ============================================
+-- 全文索引（FTS5）：消息、记忆、时间线
+-- ============================================
+-- trigram 分词按 3 字符滑动窗口建索引，不依赖空格分词，中文同样适用；
+-- 少于 3 个字符的查询由 SearchEngine 回退到 LIKE。
+-- 外部内容表：索引只存词项，原文仍在原表，由下面的触发器保持同步。
+
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+  content,
+  content='messages',
+  content_rowid='rowid',
+  tokenize='trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+  INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+  INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+  INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+  INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+END;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+  content,
+  content='memories',
+  content_rowid='rowid',
+  tokenize='trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS memories_fts_insert AFTER INSERT ON memories BEGIN
+  INSERT INTO memories_fts(rowid, content) VALUES (new.rowid, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memories_fts_delete AFTER DELETE ON memories BEGIN
+  INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memories_fts_update AFTER UPDATE OF content ON memories BEGIN
+  INSERT INTO memories_fts(memories_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+  INSERT INTO memories_fts(rowid, content) VALUES (new.rowid, new.content);
+END;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS timeline_fts USING fts5(
+  description,
+  content='timeline',
+  content_rowid='rowid',
+  tokenize='trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS timeline_fts_insert AFTER INSERT ON timeline BEGIN
+  INSERT INTO timeline_fts(rowid, description) VALUES (new.rowid, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS timeline_fts_delete AFTER DELETE ON timeline BEGIN
+  INSERT INTO timeline_fts(timeline_fts, rowid, description) VALUES ('delete', old.rowid, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS timeline_fts_update AFTER UPDATE OF description ON timeline BEGIN
+  INSERT INTO timeline_fts(timeline_fts, rowid, description) VALUES ('delete', old.rowid, old.description);
+  INSERT INTO timeline_fts(rowid, description) VALUES (new.rowid, new.description);
+END;
@@ -2,8 +2,9 @@
  * Immersive AI Engine - 入口文件
  *
  * 这是应用的主入口点，负责：
- * - 初始化核心模块（Logger, Config）
- * - 启动应用
+ * - 初始化核心模块（Logger, Config, Database）
+ * - 组装对话链路（ConversationManager → LLMClient → StateIntegrator）
+ * - 启动 HTTP API 服务和后台记忆整理
  * - 处理优雅关闭
  *
  * @version 0.0.1
@@ -11,6 +12,15 @@
 
 import { logger } from './core/logger.js';
 import { config } from './core/config.js';
+import DatabaseManager from './core/database.js';
+import LLMClient from './llm/client.js';
+import ConversationManager from './conversation/manager.js';
+import StateManager from './state/manager.js';
+import StateExtractor from './state/extractor.js';
+import StateIntegrator from './state/integrator.js';
+import ChatService from './chat/service.js';
+import MemoryConsolidator from './state/consolidator.js';
+import ApiServer from './api/server.js';
 
 /**
  * 应用主类
@@ -18,6 +28,12 @@ import { config } from './core/config.js';
 class ImmersiveAIEngine {
   constructor() {
     this.initialized = false;
+
+    // 核心组件（initialize 时创建）
+    this.db = null;
+    this.chatService = null;
+    this.consolidator = null;
+    this.server = null;
   }
 
   /**
@@ -38,6 +54,29 @@ class ImmersiveAIEngine {
         features: config.get('features')
       });
 
+      // 组装对话链路
+      this.db = new DatabaseManager();
+      const llmClient = new LLMClient();
+      const stateManager = new StateManager({ db: this.db });
+      this.chatService = new ChatService({
+        conversationManager: new ConversationManager({ db: this.db }),
+        llmClient,
+        stateIntegrator: new StateIntegrator({
+          db: this.db,
+          stateManager,
+          // 提取模式由 state.extraction.mode 决定（llm 模式使用同一个 LLMClient）
+          extractor: new StateExtractor({ db: this.db, stateManager, llmClient })
+        })
+      });
+      this.consolidator = new MemoryConsolidator({
+        db: this.db,
+        llmClient,
+        similarityThreshold: config.get('memory.consolidation.similarityThreshold'),
+        decayIntervalDays: config.get('memory.consolidation.decayIntervalDays'),
+        decayMaxImportance: config.get('memory.consolidation.decayMaxImportance')
+      });
+      this.server = new ApiServer({ chatService: this.chatService });
+
       this.initialized = true;
       logger.info('Application initialized successfully');
     } catch (error) {
@@ -57,11 +96,13 @@ class ImmersiveAIEngine {
       await this.initialize();
     }
 
-    logger.info('Application started');
+    const { host, port } = await this.server.listen(config.get('app.port'));
+
+    if (config.get('memory.consolidation.enabled', true)) {
+      this.consolidator.start(config.get('memory.consolidation.intervalMinutes', 60) * 60 * 1000);
+    }
 
-    // MVP-0: 只做基础初始化，暂不启动服务器
-    logger.info('MVP-0: Basic infrastructure ready');
-    logger.info('Waiting for MVP-1 to implement actual functionality...');
+    logger.info('Application started', { host, port });
   }
 
   /**
@@ -70,7 +111,23 @@ class ImmersiveAIEngine {
   async shutdown() {
     logger.info('Shutting down application...');
 
-    // TODO: 清理资源（数据库连接、定时器等）
+    try {
+      if (this.consolidator) {
+        this.consolidator.stop();
+      }
+
+      if (this.server) {
+        await this.server.close();
+      }
+
+      if (this.db) {
+        this.db.close();
+      }
+    } catch (error) {
+      logger.error('Error during shutdown', {
+        error: error.message
+      });
+    }
 
     logger.info('Application shut down successfully');
     process.exit(0);
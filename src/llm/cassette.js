@@ -0,0 +1,386 @@
+/**
+ * Cassette - LLM 调用录制/回放
+ *
+ * 功能：
+ * - 录制：把请求参数 → 响应（含 usage）写入 JSON 文件
+ * - 回放：按请求的稳定哈希返回录制的响应，结果完全确定
+ * - 严格模式：遇到未录制的请求直接失败（适用于无网络的 CI）
+ * - 同时支持 generate() 和 generateStream()
+ *
+ * 设计原则：
+ * - 挂在提供方调用处：模型选择、统计和成本计算与真实调用完全一致
+ * - 请求哈希与对象键顺序无关，只取决于请求内容
+ * - 文件格式可读、可审查，适合提交到仓库
+ *
+ * @module llm/cassette
+ * @version 0.1.0
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+import { logger } from '../core/logger.js';
+
+/**
+ * 录制模式
+ */
+export const CASSETTE_MODES = {
+  OFF: 'off',             // 关闭：直接调用提供方
+  RECORD: 'record',       // 录制：总是调用提供方，并覆盖录制结果
+  REPLAY: 'replay',       // 回放：命中则回放，未命中则调用提供方并录制
+  STRICT: 'strict'        // 严格回放：未命中直接失败
+};
+
+/**
+ * 录制文件格式版本
+ */
+const CASSETTE_VERSION = 1;
+
+/**
+ * 参与哈希的请求字段
+ */
+const KEY_FIELDS = ['model', 'system', 'messages', 'max_tokens', 'temperature', 'stop_sequences'];
+
+/**
+ * Cassette 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const cassette = new Cassette({
+ *   path: './tests/fixtures/cassettes/extraction.json',
+ *   mode: CASSETTE_MODES.STRICT
+ * });
+ *
+ * const client = new LLMClient({ cassette });
+ * await client.generate({ messages: [...] }); // 从录制文件回放
+ * ```
+ */
+class Cassette {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.path - 录制文件路径
+   * @param {string} options.mode - 录制模式（来自 CASSETTE_MODES，默认: replay）
+   */
+  constructor(options = {}) {
+    this.options = {
+      path: options.path,
+      mode: options.mode || CASSETTE_MODES.REPLAY
+    };
+
+    if (!Object.values(CASSETTE_MODES).includes(this.options.mode)) {
+      throw new Error(`Invalid cassette mode: ${this.options.mode}`);
+    }
+
+    if (this.options.mode !== CASSETTE_MODES.OFF && !this.options.path) {
+      throw new Error('Cassette path is required');
+    }
+
+    this.logger = logger.child({ module: 'Cassette' });
+
+    // 录制条目（key => { request, response, chunks, recordedAt }）
+    this.entries = new Map();
+
+    // 统计
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      recorded: 0
+    };
+
+    this._load();
+  }
+
+  /**
+   * 是否启用
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.options.mode !== CASSETTE_MODES.OFF;
+  }
+
+  /**
+   * 计算请求的稳定哈希
+   *
+   * @param {Object} request - 提供方请求参数
+   * @returns {string} sha256 十六进制字符串
+   */
+  keyFor(request) {
+    const material = {};
+    for (const field of KEY_FIELDS) {
+      if (request[field] !== undefined) {
+        material[field] = request[field];
+      }
+    }
+
+    return createHash('sha256').update(stableStringify(material)).digest('hex');
+  }
+
+  /**
+   * 非流式调用
+   *
+   * @param {Object} request - 提供方请求参数
+   * @param {Function} live - 真实调用 () => Promise<response>
+   * @returns {Promise<Object>} Anthropic 格式的响应
+   */
+  async generate(request, live) {
+    if (!this.enabled) {
+      return live();
+    }
+
+    const key = this.keyFor(request);
+    const entry = this._lookup(key, request);
+
+    if (entry) {
+      return structuredClone(entry.response);
+    }
+
+    const response = await live();
+    this._record(key, request, this._trimResponse(response));
+
+    return response;
+  }
+
+  /**
+   * 流式调用
+   *
+   * 回放时按录制的分块重新产出事件；录制时边转发边累计。
+   *
+   * @param {Object} request - 提供方请求参数
+   * @param {Function} live - 真实调用 () => AsyncIterator<event>
+   * @returns {AsyncIterator} Anthropic 格式的流事件
+   */
+  async *stream(request, live) {
+    if (!this.enabled) {
+      yield* live();
+      return;
+    }
+
+    const key = this.keyFor(request);
+    const entry = this._lookup(key, request);
+
+    if (entry) {
+      yield* this._replayEvents(entry);
+      return;
+    }
+
+    const chunks = [];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let stopReason = null;
+
+    for await (const event of live()) {
+      if (event.type === 'message_start') {
+        usage.input_tokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        chunks.push(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        if (event.usage?.input_tokens) {
+          usage.input_tokens = event.usage.input_tokens;
+        }
+        if (event.usage?.output_tokens !== undefined) {
+          usage.output_tokens = event.usage.output_tokens;
+        }
+        stopReason = event.delta?.stop_reason || stopReason;
+      } else if (event.type === 'message_stop') {
+        this._record(key, request, {
+          content: [{ type: 'text', text: chunks.join('') }],
+          usage,
+          stop_reason: stopReason
+        }, chunks);
+      }
+
+      yield event;
+    }
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} { mode, entries, hits, misses, recorded }
+   */
+  getStats() {
+    return {
+      mode: this.options.mode,
+      entries: this.entries.size,
+      ...this.stats
+    };
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * 查找录制条目（按模式处理未命中）
+   * @private
+   */
+  _lookup(key, request) {
+    // 录制模式总是重新调用
+    if (this.options.mode === CASSETTE_MODES.RECORD) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+
+    if (entry) {
+      this.stats.hits++;
+      this.logger.debug('Cassette hit', { key, model: request.model });
+      return entry;
+    }
+
+    this.stats.misses++;
+
+    if (this.options.mode === CASSETTE_MODES.STRICT) {
+      this.logger.error('Cassette miss in strict mode', {
+        key,
+        model: request.model,
+        path: this.options.path
+      });
+      throw new Error(`Cassette miss (strict mode): no recording for request ${key.slice(0, 12)} in ${this.options.path}`);
+    }
+
+    this.logger.debug('Cassette miss, calling provider', { key, model: request.model });
+    return null;
+  }
+
+  /**
+   * 录制并写入文件
+   * @private
+   */
+  _record(key, request, response, chunks = null) {
+    const entry = {
+      request,
+      response,
+      recordedAt: new Date().toISOString()
+    };
+
+    if (chunks) {
+      entry.chunks = chunks;
+    }
+
+    this.entries.set(key, entry);
+    this.stats.recorded++;
+    this._save();
+
+    this.logger.info('Cassette recorded', { key, model: request.model });
+  }
+
+  /**
+   * 只保留响应中与回放有关的稳定字段
+   * @private
+   */
+  _trimResponse(response) {
+    return {
+      content: response.content,
+      usage: {
+        input_tokens: response.usage.input_tokens,
+        output_tokens: response.usage.output_tokens
+      },
+      stop_reason: response.stop_reason ?? null
+    };
+  }
+
+  /**
+   * 由录制条目生成流事件
+   * @private
+   */
+  *_replayEvents(entry) {
+    const { response } = entry;
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const chunks = entry.chunks || [text];
+
+    yield { type: 'message_start', message: { usage: { input_tokens: response.usage.input_tokens } } };
+
+    for (const chunk of chunks) {
+      yield { type: 'content_block_delta', delta: { type: 'text_delta', text: chunk } };
+    }
+
+    yield {
+      type: 'message_delta',
+      delta: { stop_reason: response.stop_reason },
+      usage: { output_tokens: response.usage.output_tokens }
+    };
+    yield { type: 'message_stop' };
+  }
+
+  /**
+   * 加载录制文件
+   * @private
+   */
+  _load() {
+    if (!this.enabled || !existsSync(this.options.path)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(readFileSync(this.options.path, 'utf8'));
+
+      if (data.version !== CASSETTE_VERSION) {
+        throw new Error(`Unsupported cassette version: ${data.version}`);
+      }
+
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        this.entries.set(key, entry);
+      }
+
+      this.logger.info('Cassette loaded', {
+        path: this.options.path,
+        mode: this.options.mode,
+        entries: this.entries.size
+      });
+    } catch (error) {
+      this.logger.error('Failed to load cassette', {
+        path: this.options.path,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 写入录制文件（键排序，便于审查差异）
+   * @private
+   */
+  _save() {
+    const entries = {};
+    for (const key of [...this.entries.keys()].sort()) {
+      entries[key] = this.entries.get(key);
+    }
+
+    mkdirSync(dirname(this.options.path), { recursive: true });
+    writeFileSync(
+      this.options.path,
+      JSON.stringify({ version: CASSETTE_VERSION, entries }, null, 2) + '\n',
+      'utf8'
+    );
+  }
+}
+
+// ============================================
+// 工具函数
+// ============================================
+
+/**
+ * 键顺序无关的 JSON 序列化
+ *
+ * @param {*} value - 任意 JSON 值
+ * @returns {string} 序列化结果
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * 导出
+ */
+export default Cassette;
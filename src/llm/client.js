@@ -3,7 +3,9 @@
  *
  * 功能：
  * - 支持多个 Claude 模型（Opus, Sonnet, Haiku）
- * - 根据任务类型智能选择模型
+ * - 可插拔的提供方（Anthropic、OpenAI 兼容接口、llama.cpp、进程内 Mock）
+ * - 录制/回放模式（Cassette），无网络环境下确定性地复现真实调用
+ * - 根据任务类型智能选择模型（在所有已注册模型中选择）
  * - 成本追踪和优化
  * - 延迟监控和优化
  * - 自动重试和降级策略
@@ -20,6 +22,12 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { logger } from '../core/logger.js';
 import { config } from '../core/config.js';
+import AnthropicProvider from './providers/anthropic.js';
+import OpenAICompatibleProvider from './providers/openai.js';
+import LlamaCppProvider from './providers/llamacpp.js';
+import MockProvider from './providers/mock.js';
+import Cassette, { CASSETTE_MODES } from './cassette.js';
+import { tokenCounter } from './tokenizer.js';
 
 /**
  * 模型定义
@@ -29,6 +37,7 @@ export const MODELS = {
   OPUS: {
     id: 'claude-opus-4-5-20251101',
     name: 'Opus 4.5',
+    provider: 'anthropic',
     tier: 'premium',
     avgLatencyMs: 3500,
     maxLatencyMs: 5000,
@@ -40,6 +49,7 @@ export const MODELS = {
   SONNET: {
     id: 'claude-sonnet-4-5-20250929',
     name: 'Sonnet 4.5',
+    provider: 'anthropic',
     tier: 'balanced',
     avgLatencyMs: 2500,
     maxLatencyMs: 4000,
@@ -51,6 +61,7 @@ export const MODELS = {
   HAIKU: {
     id: 'claude-haiku-3-5-20241022',
     name: 'Haiku 3.5',
+    provider: 'anthropic',
     tier: 'fast',
     avgLatencyMs: 500,
     maxLatencyMs: 800,
@@ -102,6 +113,12 @@ export const MODEL_SELECTION_STRATEGY = {
   BALANCED: 'balanced'
 };
 
+/**
+ * 模型档位（从快到强）
+ * 平衡策略按任务类型选择档位，再在默认提供方的模型中匹配
+ */
+export const MODEL_TIERS = ['fast', 'balanced', 'premium'];
+
 /**
  * LLM 客户端类
  */
@@ -112,43 +129,148 @@ class LLMClient {
    * @param {string} options.defaultStrategy - 默认选择策略
    * @param {number} options.maxRetries - 最大重试次数
    * @param {number} options.timeoutMs - 请求超时时间
+   * @param {Array<LLMProvider>} options.providers - 提供方列表（默认: 根据配置创建）
+   * @param {string} options.defaultProvider - 默认提供方（平衡策略优先使用）
+   * @param {Cassette} options.cassette - 录制/回放（默认: 根据 llm.cassette 配置创建）
+   * @param {TokenCounter} options.tokenCounter - Token 计数服务（默认: 共享实例）
    */
   constructor(options = {}) {
     this.options = {
       apiKey: options.apiKey || config.get('llm.anthropic.apiKey'),
       defaultStrategy: options.defaultStrategy || MODEL_SELECTION_STRATEGY.BALANCED,
       maxRetries: options.maxRetries || 3,
-      timeoutMs: options.timeoutMs || config.get('llm.anthropic.timeoutMs', 30000)
+      timeoutMs: options.timeoutMs || config.get('llm.anthropic.timeoutMs', 30000),
+      defaultProvider: options.defaultProvider || config.get('llm.provider', 'anthropic')
     };
 
-    // 创建 Anthropic 客户端
-    this.anthropic = new Anthropic({
-      apiKey: this.options.apiKey,
-      maxRetries: this.options.maxRetries,
-      timeout: this.options.timeoutMs
-    });
+    this.logger = logger.child({ module: 'LLMClient' });
+
+    // Token 计数（成本估算和成本约束）
+    this.tokenCounter = options.tokenCounter || tokenCounter;
+
+    // 提供方注册表（name => provider）和模型注册表（modelId => model）
+    this.providers = new Map();
+    this.models = new Map();
 
     // 统计信息（按模型分类）
     this.stats = {
-      byModel: {
-        [MODELS.OPUS.id]: this._createModelStats(),
-        [MODELS.SONNET.id]: this._createModelStats(),
-        [MODELS.HAIKU.id]: this._createModelStats()
-      },
+      byModel: {},
       total: this._createModelStats()
     };
 
     // 成本累计（单位：美元）
     this.costAccumulated = 0;
 
-    this.logger = logger.child({ module: 'LLMClient' });
+    const providers = options.providers || this._createDefaultProviders();
+    for (const provider of providers) {
+      this.registerProvider(provider);
+    }
+
+    // Anthropic SDK 客户端（保持向后兼容）
+    this.anthropic = this.providers.get('anthropic')?.client || null;
+
+    // 录制/回放（off 模式时不介入）
+    this.cassette = options.cassette || new Cassette({
+      mode: config.get('llm.cassette.mode', CASSETTE_MODES.OFF),
+      path: config.get('llm.cassette.path')
+    });
 
     this.logger.info('LLM Client initialized', {
       defaultStrategy: this.options.defaultStrategy,
-      supportedModels: Object.keys(MODELS).length
+      defaultProvider: this.options.defaultProvider,
+      providers: [...this.providers.keys()],
+      supportedModels: this.models.size,
+      cassetteMode: this.cassette.options.mode
     });
   }
 
+  /**
+   * 根据配置创建提供方
+   *
+   * - anthropic：默认启用（llm.anthropic.enabled = false 时关闭）
+   * - openai / llamacpp / mock：llm.<name>.enabled 为 true 或作为默认提供方时启用
+   * @private
+   */
+  _createDefaultProviders() {
+    const isEnabled = (name, fallback = false) =>
+      this.options.defaultProvider === name || config.get(`llm.${name}.enabled`, fallback);
+
+    const providers = [];
+
+    if (isEnabled('anthropic', true)) {
+      providers.push(new AnthropicProvider({
+        apiKey: this.options.apiKey,
+        models: Object.values(MODELS),
+        maxRetries: this.options.maxRetries,
+        timeoutMs: this.options.timeoutMs
+      }));
+    }
+
+    if (isEnabled('openai')) {
+      providers.push(new OpenAICompatibleProvider(config.get('llm.openai', {})));
+    }
+
+    if (isEnabled('llamacpp')) {
+      providers.push(new LlamaCppProvider(config.get('llm.llamacpp', {})));
+    }
+
+    if (isEnabled('mock')) {
+      providers.push(new MockProvider(config.get('llm.mock', {})));
+    }
+
+    return providers;
+  }
+
+  /**
+   * 注册提供方（其模型会加入智能选择的候选集）
+   *
+   * @param {LLMProvider} provider - 提供方实例
+   */
+  registerProvider(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Provider already registered: ${provider.name}`);
+    }
+
+    for (const model of provider.models) {
+      if (this.models.has(model.id)) {
+        throw new Error(`Model already registered: ${model.id}`);
+      }
+    }
+
+    this.providers.set(provider.name, provider);
+
+    for (const model of provider.models) {
+      this.models.set(model.id, model);
+      this.stats.byModel[model.id] = this._createModelStats();
+    }
+
+    this.logger.debug('Provider registered', {
+      provider: provider.name,
+      models: provider.models.map(m => m.id)
+    });
+  }
+
+  /**
+   * 获取所有已注册模型
+   *
+   * @returns {Array} 模型列表
+   */
+  getModels() {
+    return [...this.models.values()];
+  }
+
+  /**
+   * 获取模型所属的提供方
+   * @private
+   */
+  _getProvider(model) {
+    const provider = this.providers.get(model.provider);
+    if (!provider) {
+      throw new Error(`Provider not registered: ${model.provider}`);
+    }
+    return provider;
+  }
+
   /**
    * 创建模型统计对象
    * @private
@@ -202,7 +324,7 @@ class LLMClient {
         taskType: params.taskType,
         strategy: params.strategy || this.options.defaultStrategy,
         estimatedLatency: selectedModel.avgLatencyMs,
-        estimatedCost: this._estimateCost(selectedModel, params.messages)
+        estimatedCost: this._estimateCost(selectedModel, params)
       });
 
       // 构建请求参数
@@ -213,8 +335,9 @@ class LLMClient {
       modelStats.requests++;
       this.stats.total.requests++;
 
-      // 调用 API
-      const response = await this.anthropic.messages.create(requestParams);
+      // 调用提供方（经过录制/回放）
+      const provider = this._getProvider(selectedModel);
+      const response = await this.cassette.generate(requestParams, () => provider.generate(requestParams));
 
       // 计算实际指标
       const latencyMs = Date.now() - startTime;
@@ -280,6 +403,12 @@ class LLMClient {
   /**
    * 流式生成（支持模型选择）
    *
+   * 依次产出：
+   * - 文本增量：{ content, delta: true, finished: false }
+   * - 最终记录：{ content（完整文本）, delta: false, finished: true, model, usage, stopReason, latencyMs, costUsd }
+   *
+   * 最终记录与 generate() 的返回结构一致，统计同样计入 stats.byModel。
+   *
    * @param {Object} params - 同 generate()
    * @returns {AsyncIterator} 异步迭代器
    */
@@ -303,51 +432,70 @@ class LLMClient {
         taskType: params.taskType
       });
 
-      // 构建请求参数（启用流式）
-      const requestParams = {
-        ...this._buildRequestParams(params, selectedModel),
-        stream: true
-      };
+      const requestParams = this._buildRequestParams(params, selectedModel);
 
       const modelStats = this.stats.byModel[selectedModel.id];
       modelStats.requests++;
       this.stats.total.requests++;
 
-      // 调用流式 API
-      const stream = await this.anthropic.messages.stream(requestParams);
+      // 调用提供方的流式接口（产出 Anthropic 格式的事件，经过录制/回放）
+      const provider = this._getProvider(selectedModel);
+      const stream = this.cassette.stream(requestParams, () => provider.stream(requestParams));
 
+      let content = '';
       let inputTokens = 0;
-      let outputTokens = 0;
+      let outputTokens = null;
+      let deltaCount = 0;
+      let stopReason = null;
 
       for await (const event of stream) {
         if (event.type === 'message_start') {
-          inputTokens = event.message.usage.input_tokens;
+          inputTokens = event.message.usage?.input_tokens || 0;
         } else if (event.type === 'content_block_delta') {
           if (event.delta.type === 'text_delta') {
-            outputTokens++;
+            content += event.delta.text;
+            deltaCount++;
             yield {
               content: event.delta.text,
               delta: true,
               finished: false
             };
           }
+        } else if (event.type === 'message_delta') {
+          // message_delta 携带累计的输出 token 数和停止原因
+          // （部分提供方只在结尾给出输入 token 数）
+          if (event.usage?.output_tokens !== undefined) {
+            outputTokens = event.usage.output_tokens;
+          }
+          if (event.usage?.input_tokens) {
+            inputTokens = event.usage.input_tokens;
+          }
+          stopReason = event.delta?.stop_reason || stopReason;
         } else if (event.type === 'message_stop') {
           const latencyMs = Date.now() - startTime;
-          const cost = this._calculateCost(selectedModel, {
+          const usage = {
             input_tokens: inputTokens,
-            output_tokens: outputTokens
-          });
+            // 没有 usage 事件时退化为按增量块计数
+            output_tokens: outputTokens !== null ? outputTokens : deltaCount
+          };
+          const cost = this._calculateCost(selectedModel, usage);
+
+          const result = this._parseResponse({
+            content: [{ type: 'text', text: content }],
+            usage,
+            stop_reason: stopReason
+          }, latencyMs, selectedModel, cost);
 
           // 更新统计
           modelStats.successes++;
-          modelStats.totalInputTokens += inputTokens;
-          modelStats.totalOutputTokens += outputTokens;
+          modelStats.totalInputTokens += result.usage.inputTokens;
+          modelStats.totalOutputTokens += result.usage.outputTokens;
           modelStats.totalLatencyMs += latencyMs;
           modelStats.totalCostUsd += cost;
 
           this.stats.total.successes++;
-          this.stats.total.totalInputTokens += inputTokens;
-          this.stats.total.totalOutputTokens += outputTokens;
+          this.stats.total.totalInputTokens += result.usage.inputTokens;
+          this.stats.total.totalOutputTokens += result.usage.outputTokens;
           this.stats.total.totalLatencyMs += latencyMs;
           this.stats.total.totalCostUsd += cost;
 
@@ -355,17 +503,23 @@ class LLMClient {
 
           timer.done('LLM generateStream completed');
 
+          this.logger.info('LLM stream completed', {
+            model: result.model.name,
+            inputTokens: result.usage.inputTokens,
+            outputTokens: result.usage.outputTokens,
+            latencyMs,
+            costUsd: cost,
+            stopReason
+          });
+
+          if (params.constraints) {
+            this._checkConstraints(result, params.constraints);
+          }
+
           yield {
-            content: '',
+            ...result,
             delta: false,
-            finished: true,
-            stats: {
-              inputTokens,
-              outputTokens,
-              latencyMs,
-              costUsd: cost,
-              model: selectedModel.name
-            }
+            finished: true
           };
         }
       }
@@ -375,7 +529,8 @@ class LLMClient {
       timer.done('LLM generateStream failed');
 
       this.logger.error('LLM streaming failed', {
-        error: error.message
+        error: error.message,
+        taskType: params.taskType
       });
 
       throw this._handleError(error);
@@ -386,15 +541,20 @@ class LLMClient {
 
   /**
    * 智能选择模型
-   * 根据任务类型和策略选择最合适的模型
+   * 根据任务类型和策略，在所有已注册的模型中选择最合适的模型
    * @private
    */
   _selectModel(params) {
     const taskType = params.taskType || TASK_TYPES.GENERAL;
     const strategy = params.strategy || this.options.defaultStrategy;
+    const allModels = this.getModels();
+
+    if (allModels.length === 0) {
+      throw new Error('No models registered');
+    }
 
     // 1. 根据任务类型筛选合适的模型
-    let candidates = Object.values(MODELS);
+    let candidates = allModels;
 
     // 如果任务类型明确，筛选擅长该任务的模型
     if (taskType !== TASK_TYPES.GENERAL) {
@@ -404,7 +564,7 @@ class LLMClient {
 
       // 如果没有明确擅长的模型，使用所有模型
       if (candidates.length === 0) {
-        candidates = Object.values(MODELS);
+        candidates = allModels;
       }
     }
 
@@ -414,16 +574,12 @@ class LLMClient {
     switch (strategy) {
       case MODEL_SELECTION_STRATEGY.COST_OPTIMIZED:
         // 选择最便宜的模型
-        selectedModel = candidates.reduce((cheapest, model) =>
-          model.costPer1MInput < cheapest.costPer1MInput ? model : cheapest
-        );
+        selectedModel = this._cheapest(candidates);
         break;
 
       case MODEL_SELECTION_STRATEGY.LATENCY_OPTIMIZED:
         // 选择最快的模型
-        selectedModel = candidates.reduce((fastest, model) =>
-          model.avgLatencyMs < fastest.avgLatencyMs ? model : fastest
-        );
+        selectedModel = this._fastest(candidates);
         break;
 
       case MODEL_SELECTION_STRATEGY.QUALITY_OPTIMIZED:
@@ -434,34 +590,39 @@ class LLMClient {
         break;
 
       case MODEL_SELECTION_STRATEGY.BALANCED:
-      default:
-        // 平衡策略：根据任务类型选择
+      default: {
+        // 平衡策略：根据任务类型选择档位
+        let tier;
         if ([TASK_TYPES.STATE_MANAGEMENT, TASK_TYPES.VALIDATION, TASK_TYPES.CLASSIFICATION].includes(taskType)) {
-          // 逻辑任务 → Haiku
-          selectedModel = MODELS.HAIKU;
+          // 逻辑任务 → 快速档（Haiku）
+          tier = 'fast';
         } else if ([TASK_TYPES.COMPLEX_REASONING, TASK_TYPES.PLANNING, TASK_TYPES.CODE_GENERATION].includes(taskType)) {
-          // 复杂任务 → Opus
-          selectedModel = MODELS.OPUS;
+          // 复杂任务 → 高级档（Opus）
+          tier = 'premium';
         } else {
-          // 叙事/对话任务 → Sonnet
-          selectedModel = MODELS.SONNET;
+          // 叙事/对话任务 → 平衡档（Sonnet）
+          tier = 'balanced';
         }
+        selectedModel = this._selectByTier(tier);
         break;
+      }
     }
 
-    // 3. 检查约束条件
+    // 3. 检查约束条件（降级时只在同一提供方内选择）
     if (params.constraints) {
+      const sameProvider = allModels.filter(m => m.provider === selectedModel.provider);
+
       if (params.constraints.maxLatencyMs && selectedModel.avgLatencyMs > params.constraints.maxLatencyMs) {
         // 延迟超限，降级到更快的模型
         this.logger.warn('Latency constraint violated, downgrading model', {
           original: selectedModel.name,
           maxLatency: params.constraints.maxLatencyMs
         });
-        selectedModel = MODELS.HAIKU;
+        selectedModel = this._fastest(sameProvider);
       }
 
       if (params.constraints.maxCostUsd) {
-        const estimatedCost = this._estimateCost(selectedModel, params.messages);
+        const estimatedCost = this._estimateCost(selectedModel, params);
         if (estimatedCost > params.constraints.maxCostUsd) {
           // 成本超限，降级到更便宜的模型
           this.logger.warn('Cost constraint violated, downgrading model', {
@@ -469,7 +630,7 @@ class LLMClient {
             estimatedCost,
             maxCost: params.constraints.maxCostUsd
           });
-          selectedModel = MODELS.HAIKU;
+          selectedModel = this._cheapest(sameProvider);
         }
       }
     }
@@ -477,12 +638,52 @@ class LLMClient {
     return selectedModel;
   }
 
+  /**
+   * 按档位选择模型（优先默认提供方；没有该档位时取最接近的档位）
+   * @private
+   */
+  _selectByTier(tier) {
+    const allModels = this.getModels();
+    const preferred = allModels.filter(m => m.provider === this.options.defaultProvider);
+    const pool = preferred.length > 0 ? preferred : allModels;
+
+    const targetRank = MODEL_TIERS.indexOf(tier);
+    const rank = (model) => {
+      const index = MODEL_TIERS.indexOf(model.tier);
+      return index === -1 ? MODEL_TIERS.indexOf('balanced') : index;
+    };
+
+    return pool.reduce((best, model) =>
+      Math.abs(rank(model) - targetRank) < Math.abs(rank(best) - targetRank) ? model : best
+    );
+  }
+
+  /**
+   * 选择最便宜的模型
+   * @private
+   */
+  _cheapest(models) {
+    return models.reduce((cheapest, model) =>
+      model.costPer1MInput < cheapest.costPer1MInput ? model : cheapest
+    );
+  }
+
+  /**
+   * 选择最快的模型
+   * @private
+   */
+  _fastest(models) {
+    return models.reduce((fastest, model) =>
+      model.avgLatencyMs < fastest.avgLatencyMs ? model : fastest
+    );
+  }
+
   /**
    * 根据 ID 获取模型
    * @private
    */
   _getModelById(modelId) {
-    const model = Object.values(MODELS).find(m => m.id === modelId);
+    const model = this.models.get(modelId);
     if (!model) {
       throw new Error(`Unknown model: ${modelId}`);
     }
@@ -491,30 +692,67 @@ class LLMClient {
 
   /**
    * 估算成本
+   * 输入按实际内容计数（系统提示 + 消息），输出假设 200 tokens（不超过 maxTokens）
    * @private
    */
-  _estimateCost(model, messages) {
-    // 粗略估算：每个消息 ~100 tokens
-    const estimatedInputTokens = messages.length * 100;
-    const estimatedOutputTokens = 200; // 假设输出 200 tokens
+  _estimateCost(model, params) {
+    const estimatedInputTokens = this._countInputTokens(model, params);
+    const estimatedOutputTokens = Math.min(200, params.maxTokens || 200);
 
-    const inputCost = (estimatedInputTokens / 1000000) * model.costPer1MInput;
-    const outputCost = (estimatedOutputTokens / 1000000) * model.costPer1MOutput;
+    const pricing = this._getPricing(model);
+    const inputCost = (estimatedInputTokens / 1000000) * pricing.costPer1MInput;
+    const outputCost = (estimatedOutputTokens / 1000000) * pricing.costPer1MOutput;
 
     return inputCost + outputCost;
   }
 
+  /**
+   * 估算请求的输入 token 数（系统提示 + 消息）
+   * 使用模型所属提供方的 countTokens（可接入专用分词器），提供方没有实现时使用 TokenCounter
+   * @private
+   */
+  _countInputTokens(model, params) {
+    const provider = this.providers.get(model.provider);
+    if (typeof provider?.countTokens !== 'function') {
+      return this.tokenCounter.count(params.systemPrompt) + this.tokenCounter.countMessages(params.messages);
+    }
+
+    const { messageOverhead } = this.tokenCounter.options;
+    return (params.systemPrompt ? provider.countTokens(params.systemPrompt) : 0) +
+      (params.messages || []).reduce(
+        (sum, message) => sum + provider.countTokens(message.content) + messageOverhead,
+        0
+      );
+  }
+
   /**
    * 计算实际成本
    * @private
    */
   _calculateCost(model, usage) {
-    const inputCost = (usage.input_tokens / 1000000) * model.costPer1MInput;
-    const outputCost = (usage.output_tokens / 1000000) * model.costPer1MOutput;
+    const pricing = this._getPricing(model);
+    const inputCost = (usage.input_tokens / 1000000) * pricing.costPer1MInput;
+    const outputCost = (usage.output_tokens / 1000000) * pricing.costPer1MOutput;
 
     return inputCost + outputCost;
   }
 
+  /**
+   * 获取模型价格（由提供方给出，未注册时使用模型自带的价格）
+   * @private
+   */
+  _getPricing(model) {
+    const provider = this.providers.get(model.provider);
+    if (provider && this.models.has(model.id)) {
+      return provider.getPricing(model.id);
+    }
+
+    return {
+      costPer1MInput: model.costPer1MInput,
+      costPer1MOutput: model.costPer1MOutput
+    };
+  }
+
   /**
    * 检查约束条件
    * @private
@@ -613,7 +851,8 @@ class LLMClient {
    * @private
    */
   _handleError(error) {
-    if (error instanceof Anthropic.APIError) {
+    // Anthropic SDK 错误，或其他提供方带 HTTP 状态码的错误
+    if (error instanceof Anthropic.APIError || typeof error.status === 'number') {
       if (error.status === 429) {
         return new Error(`Rate limit exceeded: ${error.message}`);
       }
@@ -667,7 +906,8 @@ class LLMClient {
           tokens: stats.totalInputTokens + stats.totalOutputTokens
         };
       }).filter(s => s.requests > 0), // 只显示有请求的模型
-      costAccumulated: this.costAccumulated.toFixed(4)
+      costAccumulated: this.costAccumulated.toFixed(4),
+      cassette: this.cassette.getStats()
     };
   }
 
@@ -675,12 +915,13 @@ class LLMClient {
    * 重置统计
    */
   resetStats() {
+    const byModel = {};
+    for (const modelId of this.models.keys()) {
+      byModel[modelId] = this._createModelStats();
+    }
+
     this.stats = {
-      byModel: {
-        [MODELS.OPUS.id]: this._createModelStats(),
-        [MODELS.SONNET.id]: this._createModelStats(),
-        [MODELS.HAIKU.id]: this._createModelStats()
-      },
+      byModel,
       total: this._createModelStats()
     };
     this.costAccumulated = 0;
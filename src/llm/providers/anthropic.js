@@ -0,0 +1,62 @@
+/**
+ * Anthropic Provider - Claude 模型提供方
+ *
+ * 直接使用 Anthropic SDK，请求和响应格式无需转换。
+ *
+ * @module llm/providers/anthropic
+ * @version 0.1.0
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import LLMProvider from './base.js';
+
+/**
+ * Anthropic Provider 类
+ */
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.apiKey - API 密钥
+   * @param {Array} options.models - Claude 模型列表
+   * @param {number} options.maxRetries - 最大重试次数
+   * @param {number} options.timeoutMs - 请求超时时间
+   */
+  constructor(options = {}) {
+    super({ name: 'anthropic', models: options.models });
+
+    this.client = new Anthropic({
+      apiKey: options.apiKey,
+      maxRetries: options.maxRetries,
+      timeout: options.timeoutMs
+    });
+  }
+
+  /**
+   * 生成回复
+   *
+   * @param {Object} request - 请求参数
+   * @returns {Promise<Object>} 响应
+   */
+  async generate(request) {
+    return this.client.messages.create(request);
+  }
+
+  /**
+   * 流式生成
+   *
+   * @param {Object} request - 请求参数
+   * @returns {AsyncIterator} 流事件
+   */
+  async *stream(request) {
+    const stream = await this.client.messages.stream(request);
+
+    for await (const event of stream) {
+      yield event;
+    }
+  }
+}
+
+/**
+ * 导出
+ */
+export default AnthropicProvider;
@@ -0,0 +1,117 @@
+/**
+ * LLM Provider - 模型提供方基类
+ *
+ * 功能：
+ * - 定义统一的提供方接口（generate / stream / countTokens / getPricing）
+ * - 声明提供方支持的模型（与 MODELS 结构一致）
+ *
+ * 约定：
+ * - 请求参数使用 Anthropic Messages API 格式（model, max_tokens, messages, system...）
+ * - generate() 返回 Anthropic 格式的响应（content, usage, stop_reason）
+ * - stream() 产出 Anthropic 格式的流事件（message_start, content_block_delta, message_delta, message_stop）
+ * - 非 Anthropic 提供方在内部完成格式转换，LLMClient 无需关心差异
+ *
+ * @module llm/providers/base
+ * @version 0.1.0
+ */
+
+import { tokenCounter } from '../tokenizer.js';
+
+/**
+ * LLM Provider 基类
+ *
+ * 使用示例：
+ * ```javascript
+ * class MyProvider extends LLMProvider {
+ *   constructor(options) {
+ *     super({ name: 'my-provider', models: [...], ...options });
+ *   }
+ *
+ *   async generate(request) { ... }
+ *   async *stream(request) { ... }
+ * }
+ *
+ * llmClient.registerProvider(new MyProvider());
+ * ```
+ */
+class LLMProvider {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.name - 提供方名称（唯一）
+   * @param {Array} options.models - 支持的模型列表（结构同 MODELS 中的条目）
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Provider name is required');
+    }
+
+    this.name = options.name;
+
+    // 为每个模型标注所属提供方
+    this.models = (options.models || []).map(model => ({
+      tier: 'balanced',
+      avgLatencyMs: 0,
+      maxLatencyMs: 0,
+      costPer1MInput: 0,
+      costPer1MOutput: 0,
+      bestFor: [],
+      description: '',
+      ...model,
+      provider: this.name
+    }));
+  }
+
+  /**
+   * 生成回复（非流式）
+   *
+   * @param {Object} request - Anthropic 格式的请求参数
+   * @returns {Promise<Object>} Anthropic 格式的响应 { content, usage, stop_reason }
+   */
+  async generate(request) {
+    throw new Error(`${this.name}: generate() is not implemented`);
+  }
+
+  /**
+   * 流式生成
+   *
+   * @param {Object} request - Anthropic 格式的请求参数
+   * @returns {AsyncIterator} Anthropic 格式的流事件
+   */
+  async *stream(request) {
+    throw new Error(`${this.name}: stream() is not implemented`);
+  }
+
+  /**
+   * 估算文本的 token 数（默认使用共享的 TokenCounter，有专用分词器的提供方可以覆盖）
+   *
+   * @param {string} text - 文本
+   * @returns {number} token 数
+   */
+  countTokens(text) {
+    return tokenCounter.count(text);
+  }
+
+  /**
+   * 获取模型价格
+   *
+   * @param {string} modelId - 模型 ID
+   * @returns {Object} { costPer1MInput, costPer1MOutput }（美元）
+   */
+  getPricing(modelId) {
+    const model = this.models.find(m => m.id === modelId);
+
+    if (!model) {
+      throw new Error(`${this.name}: unknown model ${modelId}`);
+    }
+
+    return {
+      costPer1MInput: model.costPer1MInput,
+      costPer1MOutput: model.costPer1MOutput
+    };
+  }
+}
+
+/**
+ * 导出
+ */
+export default LLMProvider;
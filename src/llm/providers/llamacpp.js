@@ -0,0 +1,51 @@
+/**
+ * llama.cpp Provider - 本地 llama.cpp HTTP 服务
+ *
+ * llama.cpp 的 server 提供 OpenAI 兼容的 /v1/chat/completions 接口，
+ * 因此直接复用 OpenAICompatibleProvider，只调整默认地址和模型（本地运行，成本为 0）。
+ *
+ * @module llm/providers/llamacpp
+ * @version 0.1.0
+ */
+
+import OpenAICompatibleProvider from './openai.js';
+
+/**
+ * 默认本地模型定义
+ */
+const DEFAULT_MODEL = {
+  id: 'llamacpp-local',
+  name: 'llama.cpp (local)',
+  tier: 'balanced',
+  avgLatencyMs: 3000,
+  maxLatencyMs: 8000,
+  costPer1MInput: 0,
+  costPer1MOutput: 0,
+  bestFor: ['narrative', 'conversation'],
+  description: '本地 llama.cpp 服务，无 API 成本'
+};
+
+/**
+ * llama.cpp Provider 类
+ */
+class LlamaCppProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.baseUrl - 服务地址（默认: http://localhost:8080/v1）
+   * @param {Array} options.models - 模型列表（默认: 单个本地模型）
+   * @param {number} options.timeoutMs - 请求超时时间
+   */
+  constructor(options = {}) {
+    super({
+      name: 'llamacpp',
+      baseUrl: options.baseUrl || 'http://localhost:8080/v1',
+      models: options.models && options.models.length > 0 ? options.models : [DEFAULT_MODEL],
+      timeoutMs: options.timeoutMs || 120000
+    });
+  }
+}
+
+/**
+ * 导出
+ */
+export default LlamaCppProvider;
@@ -0,0 +1,164 @@
+/**
+ * Mock Provider - 确定性的进程内模拟提供方
+ *
+ * 功能：
+ * - 无网络、无 API Key 运行整个引擎（开发、演示、测试）
+ * - 回复完全确定：固定队列、自定义函数或默认回显
+ * - 按 token 估算返回 usage，统计和成本链路与真实调用一致
+ *
+ * @module llm/providers/mock
+ * @version 0.1.0
+ */
+
+import LLMProvider from './base.js';
+
+/**
+ * 默认模拟模型（覆盖三个档位，智能选择逻辑可以正常工作）
+ */
+const DEFAULT_MODELS = [
+  {
+    id: 'mock-fast',
+    name: 'Mock Fast',
+    tier: 'fast',
+    costPer1MInput: 0,
+    costPer1MOutput: 0,
+    description: '模拟快速模型'
+  },
+  {
+    id: 'mock-balanced',
+    name: 'Mock Balanced',
+    tier: 'balanced',
+    costPer1MInput: 0,
+    costPer1MOutput: 0,
+    description: '模拟平衡模型'
+  },
+  {
+    id: 'mock-premium',
+    name: 'Mock Premium',
+    tier: 'premium',
+    costPer1MInput: 0,
+    costPer1MOutput: 0,
+    description: '模拟高级模型'
+  }
+];
+
+/**
+ * Mock Provider 类
+ *
+ * 使用示例：
+ * ```javascript
+ * // 固定回复队列（按顺序返回，用完后重复最后一条）
+ * const provider = new MockProvider({ responses: ['你好！', 'Alice 的好感度增加了 5 点'] });
+ *
+ * // 根据请求动态生成
+ * const provider = new MockProvider({
+ *   respond: (request) => `收到：${request.messages.at(-1).content}`
+ * });
+ * ```
+ */
+class MockProvider extends LLMProvider {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Array<string>} options.responses - 固定回复队列
+   * @param {Function} options.respond - 回复函数 (request) => string
+   * @param {Array} options.models - 模型列表（默认: mock-fast/balanced/premium）
+   * @param {number} options.chunkSize - 流式输出每块字符数（默认: 8）
+   */
+  constructor(options = {}) {
+    super({ name: 'mock', models: options.models || DEFAULT_MODELS });
+
+    this.options = {
+      responses: options.responses || [],
+      respond: options.respond || null,
+      chunkSize: options.chunkSize || 8
+    };
+
+    // 已收到的请求（便于测试断言）
+    this.requests = [];
+  }
+
+  /**
+   * 生成回复
+   *
+   * @param {Object} request - 请求参数
+   * @returns {Promise<Object>} 响应
+   */
+  async generate(request) {
+    const text = this._respond(request);
+
+    return {
+      content: [{ type: 'text', text }],
+      usage: this._usage(request, text),
+      stop_reason: 'end_turn'
+    };
+  }
+
+  /**
+   * 流式生成（按 chunkSize 切分回复）
+   *
+   * @param {Object} request - 请求参数
+   * @returns {AsyncIterator} 流事件
+   */
+  async *stream(request) {
+    const text = this._respond(request);
+    const usage = this._usage(request, text);
+
+    yield { type: 'message_start', message: { usage: { input_tokens: usage.input_tokens } } };
+
+    for (let i = 0; i < text.length; i += this.options.chunkSize) {
+      yield {
+        type: 'content_block_delta',
+        delta: { type: 'text_delta', text: text.slice(i, i + this.options.chunkSize) }
+      };
+    }
+
+    yield {
+      type: 'message_delta',
+      delta: { stop_reason: 'end_turn' },
+      usage: { output_tokens: usage.output_tokens }
+    };
+    yield { type: 'message_stop' };
+  }
+
+  /**
+   * 生成回复文本
+   * @private
+   */
+  _respond(request) {
+    this.requests.push(request);
+
+    if (this.options.respond) {
+      return this.options.respond(request);
+    }
+
+    if (this.options.responses.length > 0) {
+      const index = Math.min(this.requests.length - 1, this.options.responses.length - 1);
+      return this.options.responses[index];
+    }
+
+    // 默认：回显最后一条用户消息
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    return `（模拟回复）${lastUser ? lastUser.content : ''}`;
+  }
+
+  /**
+   * 计算模拟 usage
+   * @private
+   */
+  _usage(request, text) {
+    const promptText = [
+      request.system || '',
+      ...request.messages.map(m => m.content)
+    ].join('\n');
+
+    return {
+      input_tokens: this.countTokens(promptText),
+      output_tokens: this.countTokens(text)
+    };
+  }
+}
+
+/**
+ * 导出
+ */
+export default MockProvider;
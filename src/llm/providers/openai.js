@@ -0,0 +1,205 @@
+/**
+ * OpenAI-Compatible Provider - OpenAI 兼容接口提供方
+ *
+ * 适用于任何实现了 /chat/completions 的服务（OpenAI、vLLM、Ollama、LM Studio 等）。
+ * 负责在 Anthropic 格式与 OpenAI 格式之间转换请求、响应和流事件。
+ *
+ * @module llm/providers/openai
+ * @version 0.1.0
+ */
+
+import LLMProvider from './base.js';
+
+/**
+ * 停止原因映射（OpenAI → Anthropic）
+ */
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'end_turn',
+  tool_calls: 'tool_use'
+};
+
+/**
+ * OpenAI-Compatible Provider 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const provider = new OpenAICompatibleProvider({
+ *   baseUrl: 'http://localhost:8000/v1',
+ *   models: [{ id: 'qwen2.5-7b-instruct', name: 'Qwen 2.5 7B', tier: 'fast' }]
+ * });
+ * ```
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.name - 提供方名称（默认: openai）
+   * @param {string} options.baseUrl - 接口地址（包含 /v1）
+   * @param {string} options.apiKey - API 密钥（可选）
+   * @param {Array} options.models - 模型列表
+   * @param {number} options.timeoutMs - 请求超时时间
+   */
+  constructor(options = {}) {
+    super({ name: options.name || 'openai', models: options.models });
+
+    this.options = {
+      baseUrl: (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, ''),
+      apiKey: options.apiKey || '',
+      timeoutMs: options.timeoutMs || 30000
+    };
+  }
+
+  /**
+   * 生成回复
+   *
+   * @param {Object} request - Anthropic 格式的请求参数
+   * @returns {Promise<Object>} Anthropic 格式的响应
+   */
+  async generate(request) {
+    const response = await this._post('/chat/completions', this._toOpenAIRequest(request));
+    const data = await response.json();
+    const choice = data.choices?.[0] || {};
+
+    return {
+      content: [{ type: 'text', text: choice.message?.content || '' }],
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0
+      },
+      stop_reason: STOP_REASONS[choice.finish_reason] || choice.finish_reason || null
+    };
+  }
+
+  /**
+   * 流式生成（解析 SSE，转换为 Anthropic 流事件）
+   *
+   * @param {Object} request - Anthropic 格式的请求参数
+   * @returns {AsyncIterator} Anthropic 格式的流事件
+   */
+  async *stream(request) {
+    const response = await this._post('/chat/completions', {
+      ...this._toOpenAIRequest(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    yield { type: 'message_start', message: { usage: { input_tokens: 0 } } };
+
+    let usage = null;
+    let stopReason = null;
+
+    for await (const data of this._readEvents(response.body)) {
+      const choice = data.choices?.[0];
+
+      if (choice?.delta?.content) {
+        yield {
+          type: 'content_block_delta',
+          delta: { type: 'text_delta', text: choice.delta.content }
+        };
+      }
+
+      if (choice?.finish_reason) {
+        stopReason = STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+      }
+
+      if (data.usage) {
+        usage = data.usage;
+      }
+    }
+
+    yield {
+      type: 'message_delta',
+      delta: { stop_reason: stopReason },
+      usage: usage
+        ? { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens }
+        : {}
+    };
+    yield { type: 'message_stop' };
+  }
+
+  /**
+   * 转换请求（Anthropic → OpenAI）
+   * @private
+   */
+  _toOpenAIRequest(request) {
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : [...request.messages];
+
+    const body = {
+      model: request.model,
+      messages,
+      max_tokens: request.max_tokens,
+      temperature: request.temperature
+    };
+
+    if (request.stop_sequences) {
+      body.stop = request.stop_sequences;
+    }
+
+    return body;
+  }
+
+  /**
+   * 发送 POST 请求
+   * @private
+   */
+  async _post(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+
+    const response = await fetch(`${this.options.baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.options.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`${this.name} API error ${response.status}: ${text}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * 解析 SSE 响应体，逐条产出 data JSON
+   * @private
+   */
+  async *_readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+
+        if (!line.startsWith('data:')) {
+          continue;
+        }
+
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+          return;
+        }
+
+        yield JSON.parse(payload);
+      }
+    }
+  }
+}
+
+/**
+ * 导出
+ */
+export default OpenAICompatibleProvider;
@@ -0,0 +1,231 @@
+/**
+ * Token Counter - Token 计数服务
+ *
+ * 功能：
+ * - 按文字类型分段计数（中日韩字符、拉丁单词、数字、标点、表情）
+ * - 可注入真实分词器（BPE 等），未注入时使用内置的分段估算
+ * - 文本级 LRU 缓存 + 消息级缓存（内容不变时不重复计算）
+ *
+ * 为什么不用 length / 4：
+ * - 该比例只适用于英文；中文一个字符通常就是一个 token，按 /4 会低估约 4 倍
+ * - 上下文裁剪、成本估算和 maxCostUsd 约束都依赖这个数字
+ *
+ * @module llm/tokenizer
+ * @version 0.1.0
+ */
+
+/**
+ * 分段规则（按顺序匹配）
+ * 1. 中日韩字符（汉字、假名、谚文）
+ * 2. ASCII 单词
+ * 3. 其他文字的单词（西里尔、带重音的拉丁字母等）
+ * 4. 数字
+ * 5. 空白
+ * 6. 表情符号
+ * 7. 其他单个字符（标点、符号）
+ */
+const SEGMENT_PATTERN = /(\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul})|([A-Za-z]+)|([\p{L}\p{M}]+)|(\d+)|(\s+)|(\p{Extended_Pictographic}\uFE0F?)|(.)/gsu;
+
+/**
+ * 默认计数参数
+ */
+const DEFAULTS = {
+  cjkTokensPerChar: 1,        // 中日韩字符：每字约 1 token
+  charsPerAsciiToken: 4,      // 英文单词：约 4 字符 / token
+  charsPerWordToken: 2,       // 其他文字单词：约 2 字符 / token
+  charsPerDigitToken: 3,      // 数字：约 3 位 / token
+  emojiTokens: 2,             // 表情符号：约 2 token
+  messageOverhead: 4,         // 每条消息的角色/格式开销
+  cacheSize: 5000             // 文本缓存条目数
+};
+
+/**
+ * Token Counter 类
+ *
+ * 使用示例：
+ * ```javascript
+ * import { tokenCounter } from './tokenizer.js';
+ *
+ * tokenCounter.count('你好，世界');                  // 5
+ * tokenCounter.countMessages(conversation.getMessages());
+ *
+ * // 注入真实分词器
+ * const counter = new TokenCounter({ tokenizer: (text) => bpe.encode(text) });
+ * ```
+ */
+class TokenCounter {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Function} options.tokenizer - 分词函数 (text) => Array | number（可选）
+   * @param {number} options.cjkTokensPerChar - 中日韩字符的 token 系数（默认: 1）
+   * @param {number} options.messageOverhead - 每条消息的额外 token（默认: 4）
+   * @param {number} options.cacheSize - 文本缓存条目数（默认: 5000）
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.tokenizer = options.tokenizer || null;
+
+    // 文本缓存（text => tokens，按插入顺序淘汰）
+    this.cache = new Map();
+
+    // 消息缓存（message 对象 => { content, tokens }）
+    this.messageCache = new WeakMap();
+
+    this.stats = {
+      hits: 0,
+      misses: 0
+    };
+  }
+
+  /**
+   * 计算文本的 token 数
+   *
+   * @param {string} text - 文本
+   * @returns {number} token 数
+   */
+  count(text) {
+    if (!text) {
+      return 0;
+    }
+
+    const cached = this.cache.get(text);
+    if (cached !== undefined) {
+      this.stats.hits++;
+      // 刷新 LRU 顺序
+      this.cache.delete(text);
+      this.cache.set(text, cached);
+      return cached;
+    }
+
+    this.stats.misses++;
+
+    const tokens = this.tokenizer ? this._countWithTokenizer(text) : this._estimate(text);
+
+    this.cache.set(text, tokens);
+    if (this.cache.size > this.options.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 计算单条消息的 token 数（内容 + 消息开销）
+   * 同一个消息对象内容不变时直接返回缓存结果
+   *
+   * @param {Object} message - 消息 { role, content }
+   * @returns {number} token 数
+   */
+  countMessage(message) {
+    const cached = this.messageCache.get(message);
+    if (cached && cached.content === message.content) {
+      this.stats.hits++;
+      return cached.tokens;
+    }
+
+    const tokens = this.count(message.content) + this.options.messageOverhead;
+    this.messageCache.set(message, { content: message.content, tokens });
+
+    return tokens;
+  }
+
+  /**
+   * 计算消息列表的 token 数
+   *
+   * @param {Array} messages - 消息列表
+   * @returns {number} token 数
+   */
+  countMessages(messages = []) {
+    return messages.reduce((sum, message) => sum + this.countMessage(message), 0);
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} { hits, misses, hitRate, cacheSize }
+   */
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: total > 0 ? ((this.stats.hits / total) * 100).toFixed(2) + '%' : '0%',
+      cacheSize: this.cache.size
+    };
+  }
+
+  /**
+   * 清空缓存
+   */
+  clearCache() {
+    this.cache.clear();
+    this.messageCache = new WeakMap();
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * 使用注入的分词器计数
+   * @private
+   */
+  _countWithTokenizer(text) {
+    const result = this.tokenizer(text);
+    return typeof result === 'number' ? result : result.length;
+  }
+
+  /**
+   * 分段估算
+   * @private
+   */
+  _estimate(text) {
+    const opts = this.options;
+    let cjkChars = 0;
+    let tokens = 0;
+
+    for (const match of text.matchAll(SEGMENT_PATTERN)) {
+      const [segment, cjk, ascii, word, digits, space, emoji] = match;
+
+      if (cjk) {
+        cjkChars++;
+      } else if (ascii) {
+        tokens += perSegment(ascii.length, opts.charsPerAsciiToken);
+      } else if (word) {
+        tokens += perSegment(word.length, opts.charsPerWordToken);
+      } else if (digits) {
+        tokens += perSegment(digits.length, opts.charsPerDigitToken);
+      } else if (space) {
+        // 空白通常并入相邻 token
+        continue;
+      } else if (emoji) {
+        tokens += opts.emojiTokens;
+      } else if (segment) {
+        tokens += 1;
+      }
+    }
+
+    return tokens + Math.ceil(cjkChars * opts.cjkTokensPerChar);
+  }
+}
+
+/**
+ * 单个分段的 token 数（短单词通常就是一个 token）
+ *
+ * @param {number} length - 分段长度
+ * @param {number} charsPerToken - 每 token 字符数
+ * @returns {number} token 数（至少 1）
+ */
+function perSegment(length, charsPerToken) {
+  return Math.max(1, Math.round(length / charsPerToken));
+}
+
+/**
+ * 共享实例（对话管理、LLM 客户端和提供方共用缓存）
+ */
+export const tokenCounter = new TokenCounter();
+
+/**
+ * 导出
+ */
+export { TokenCounter };
+export default TokenCounter;
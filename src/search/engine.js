@@ -0,0 +1,376 @@
+/**
+ * Search Engine - 全文搜索
+ *
+ * 功能：
+ * - 在对话消息、角色记忆、时间线事件中搜索（SQLite FTS5）
+ * - 按相关度（bm25）排序，返回带上下文的命中结果（所属对话 / 角色、片段）
+ * - 按对话、角色、类型筛选
+ * - 记忆合并后被归档的原始记忆默认不返回（includeArchived 时返回）
+ *
+ * 中文分词：
+ * - 索引使用 trigram 分词（3 字符滑动窗口），不依赖空格，中日韩文字同样适用
+ * - trigram 无法匹配少于 3 个字符的词（如“钥匙”），这类词回退到 LIKE 子串匹配
+ * - 多个词（空格分隔）之间是 AND 关系
+ *
+ * @module search/engine
+ * @version 0.1.0
+ */
+
+import { logger } from '../core/logger.js';
+import DatabaseManager from '../core/database.js';
+
+/**
+ * 可搜索的类型
+ */
+export const SEARCH_TYPES = {
+  MESSAGE: 'message',
+  MEMORY: 'memory',
+  TIMELINE: 'timeline'
+};
+
+/**
+ * trigram 分词的最短可索引长度
+ */
+const MIN_FTS_TERM_LENGTH = 3;
+
+/**
+ * 各类型的索引定义
+ * - table / fts / column：原表、FTS 表、被索引的列
+ * - select：返回的字段（原表别名为 t）
+ * - joins：补充上下文的关联
+ * - time：排序和展示用的时间字段
+ */
+const SOURCES = {
+  [SEARCH_TYPES.MESSAGE]: {
+    table: 'messages',
+    fts: 'messages_fts',
+    column: 'content',
+    select: `t.id, t.content AS text, t.role, t.timestamp AS time,
+      c.id AS conversation_id, c.title AS conversation_title,
+      c.character_id, c.character_name`,
+    joins: 'JOIN conversations c ON c.id = t.conversation_id',
+    time: 't.timestamp'
+  },
+  [SEARCH_TYPES.MEMORY]: {
+    table: 'memories',
+    fts: 'memories_fts',
+    column: 'content',
+    select: `t.id, t.content AS text, t.importance, t.timestamp AS time,
+      t.character_id, ch.name AS character_name`,
+    joins: 'LEFT JOIN characters ch ON ch.id = t.character_id',
+    time: 't.timestamp'
+  },
+  [SEARCH_TYPES.TIMELINE]: {
+    table: 'timeline',
+    fts: 'timeline_fts',
+    column: 'description',
+    select: `t.id, t.description AS text, t.event_type, t.importance, t.location,
+      t.participants, t.timestamp AS time`,
+    joins: '',
+    time: 't.timestamp'
+  }
+};
+
+/**
+ * Search Engine 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const search = new SearchEngine({ db });
+ *
+ * const { hits } = search.search('银色钥匙', { characterId: alice.id });
+ * // hits[0] => { type: 'message', snippet: '…Alice 说她把[银色钥匙]藏在…', conversation: {...} }
+ * ```
+ */
+class SearchEngine {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   * @param {number} options.snippetRadius - 片段中命中词前后保留的字符数（默认: 30）
+   */
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseManager();
+
+    this.options = {
+      snippetRadius: options.snippetRadius || 30
+    };
+
+    this.logger = logger.child({ module: 'SearchEngine' });
+
+    this._ensureIndexes();
+
+    this.logger.info('Search Engine initialized');
+  }
+
+  /**
+   * 搜索
+   *
+   * @param {string} query - 查询（空格分隔多个词，全部匹配）
+   * @param {Object} options - 选项
+   * @param {Array<string>} options.types - 搜索类型（默认: 全部）
+   * @param {string} options.conversationId - 只搜索该对话的消息（可选）
+   * @param {string} options.characterId - 只搜索与该角色相关的结果（可选）
+   * @param {boolean} options.includeArchived - 包括已归档的记忆（默认: false）
+   * @param {number} options.limit - 最大结果数（默认: 20）
+   * @returns {Object} { query, total, hits }
+   */
+  search(query, options = {}) {
+    const timer = this.logger.startTimer('search');
+
+    const terms = this._parseQuery(query);
+    if (terms.length === 0) {
+      throw new Error('Search query must contain at least one term');
+    }
+
+    const types = options.types || Object.values(SEARCH_TYPES);
+    for (const type of types) {
+      if (!SOURCES[type]) {
+        throw new Error(`Invalid search type: ${type}`);
+      }
+    }
+
+    // 只按对话筛选时，记忆和时间线不属于任何对话
+    const searchTypes = options.conversationId
+      ? types.filter(type => type === SEARCH_TYPES.MESSAGE)
+      : types;
+
+    const limit = options.limit || 20;
+
+    try {
+      const hits = searchTypes
+        .flatMap(type => this._searchSource(type, terms, options, limit))
+        .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+        .slice(0, limit);
+
+      timer.done('search');
+
+      this.logger.debug('Search completed', {
+        query,
+        types: searchTypes,
+        hits: hits.length
+      });
+
+      return { query, total: hits.length, hits };
+    } catch (error) {
+      this.logger.error('Search failed', {
+        query,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 重建全文索引（索引与原表不一致时使用）
+   */
+  rebuild() {
+    for (const { fts } of Object.values(SOURCES)) {
+      this.db.raw(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`);
+    }
+
+    this.logger.info('Search indexes rebuilt');
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * 已有数据的数据库首次启用全文索引时，补建索引
+   * @private
+   */
+  _ensureIndexes() {
+    for (const { table, fts } of Object.values(SOURCES)) {
+      const [{ rows }] = this.db.raw(`SELECT COUNT(*) AS rows FROM ${table}`);
+      const [{ indexed }] = this.db.raw(`SELECT COUNT(*) AS indexed FROM ${fts}_docsize`);
+
+      if (rows !== indexed) {
+        this.db.raw(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`);
+        this.logger.info('Search index rebuilt', { table, rows });
+      }
+    }
+  }
+
+  /**
+   * 拆分查询词（去掉重复和空白）
+   * @private
+   */
+  _parseQuery(query) {
+    if (typeof query !== 'string') {
+      return [];
+    }
+
+    return [...new Set(query.trim().split(/\s+/).filter(Boolean))];
+  }
+
+  /**
+   * 在单个类型中搜索
+   * 长词走 FTS（bm25 排序），短词作为 LIKE 条件附加；全部是短词时按时间倒序
+   * @private
+   */
+  _searchSource(type, terms, options, limit) {
+    const source = SOURCES[type];
+    const ftsTerms = terms.filter(term => [...term].length >= MIN_FTS_TERM_LENGTH);
+    const likeTerms = terms.filter(term => [...term].length < MIN_FTS_TERM_LENGTH);
+
+    const conditions = [];
+    const params = [];
+
+    for (const term of likeTerms) {
+      conditions.push(`t.${source.column} LIKE ? ESCAPE '\\'`);
+      params.push(`%${escapeLike(term)}%`);
+    }
+
+    const filter = this._buildFilter(type, options);
+    conditions.push(...filter.conditions);
+    params.push(...filter.params);
+
+    let sql;
+    if (ftsTerms.length > 0) {
+      sql = `SELECT ${source.select}, -bm25(${source.fts}) AS score
+        FROM ${source.fts}
+        JOIN ${source.table} t ON t.rowid = ${source.fts}.rowid
+        ${source.joins}
+        WHERE ${source.fts} MATCH ?${conditions.map(c => ` AND ${c}`).join('')}
+        ORDER BY score DESC
+        LIMIT ?`;
+      params.unshift(ftsTerms.map(quotePhrase).join(' AND '));
+    } else {
+      sql = `SELECT ${source.select}, 0 AS score
+        FROM ${source.table} t
+        ${source.joins}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${source.time} DESC
+        LIMIT ?`;
+    }
+
+    params.push(limit);
+
+    return this.db.raw(sql, params).map(row => this._toHit(type, row, terms));
+  }
+
+  /**
+   * 对话 / 角色筛选条件
+   * @private
+   */
+  _buildFilter(type, options) {
+    const conditions = [];
+    const params = [];
+
+    if (type === SEARCH_TYPES.MESSAGE) {
+      if (options.conversationId) {
+        conditions.push('t.conversation_id = ?');
+        params.push(options.conversationId);
+      }
+      if (options.characterId) {
+        conditions.push('c.character_id = ?');
+        params.push(options.characterId);
+      }
+    } else if (type === SEARCH_TYPES.MEMORY) {
+      if (!options.includeArchived) {
+        conditions.push('t.archived_at IS NULL');
+      }
+      if (options.characterId) {
+        conditions.push('t.character_id = ?');
+        params.push(options.characterId);
+      }
+    } else if (type === SEARCH_TYPES.TIMELINE && options.characterId) {
+      // 参与者可能记录为角色 ID 或角色名
+      conditions.push(`EXISTS (
+        SELECT 1 FROM json_each(t.participants) p
+        WHERE p.value = ? OR p.value = (SELECT name FROM characters WHERE id = ?)
+      )`);
+      params.push(options.characterId, options.characterId);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * 数据库记录 => 搜索结果
+   * @private
+   */
+  _toHit(type, row, terms) {
+    const hit = {
+      type,
+      id: row.id,
+      score: row.score,
+      timestamp: row.time,
+      content: row.text,
+      snippet: this._snippet(row.text, terms)
+    };
+
+    if (type === SEARCH_TYPES.MESSAGE) {
+      hit.role = row.role;
+      hit.conversation = {
+        id: row.conversation_id,
+        title: row.conversation_title
+      };
+    } else if (type === SEARCH_TYPES.MEMORY) {
+      hit.importance = row.importance;
+    } else {
+      hit.eventType = row.event_type;
+      hit.importance = row.importance;
+      hit.location = row.location;
+      hit.participants = row.participants ? JSON.parse(row.participants) : [];
+    }
+
+    if (row.character_id) {
+      hit.character = {
+        id: row.character_id,
+        name: row.character_name
+      };
+    }
+
+    return hit;
+  }
+
+  /**
+   * 截取命中词附近的片段，命中词用 [ ] 标记
+   * @private
+   */
+  _snippet(text, terms) {
+    const lower = text.toLowerCase();
+    const positions = terms
+      .map(term => lower.indexOf(term.toLowerCase()))
+      .filter(index => index >= 0);
+
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+    const radius = this.options.snippetRadius;
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius * 2);
+
+    let snippet = text.slice(start, end);
+    for (const term of terms) {
+      snippet = snippet.replace(new RegExp(escapeRegExp(term), 'gi'), match => `[${match}]`);
+    }
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+}
+
+/**
+ * FTS5 短语（双引号包裹，内部双引号转义），避免查询词被解析为 FTS 语法
+ */
+function quotePhrase(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+/**
+ * 转义 LIKE 通配符
+ */
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * 转义正则特殊字符
+ */
+function escapeRegExp(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 导出
+ */
+export default SearchEngine;
@@ -0,0 +1,152 @@
+/**
+ * Character Attribution - 多角色归属
+ *
+ * 功能：
+ * - 按 characters 表中的名字和别名（aliases）识别文本中提到的角色
+ * - 把文本划分为各角色的区域，区域内的状态变化归属到该角色
+ *
+ * 归属规则：
+ * - 分句内从角色名开始到下一个角色名之前属于该角色（“Alice gave Bob a sword and Carol got angry”）
+ * - 分句中第一个角色名之前的部分、以及没有角色名的分句，属于句子的主语（句中第一个提到的角色）
+ * - 没有提到角色的句子沿用上一个提到角色的句子的主语（“她”、“he”）
+ * - 文本开头还没有提到任何角色的部分属于默认角色（processMessage 的 characterId）
+ *
+ * @module state/attribution
+ * @version 0.1.0
+ */
+
+import { analyzeClauses, clauseRanges } from './clauses.js';
+
+/**
+ * 区域外的字符替换为换行：正则的 “.” 不会跨过，命中位置与原文一致
+ */
+const MASK_CHAR = '\n';
+
+/**
+ * 识别文本中提到的角色
+ * 名字和别名按长度优先匹配，互不重叠；英文名按单词边界匹配（不区分大小写）
+ *
+ * @param {string} text - 文本内容
+ * @param {Array<Object>} characters - 角色列表 [{ id, name, aliases }]，aliases 为数组或 JSON 字符串
+ * @returns {Array<Object>} 按位置排序的 [{ characterId, name, start, end }]
+ *
+ * @example
+ * findMentions('Ally 把剑给了 Bob', [{ id: 'a', name: 'Alice', aliases: ['Ally'] }, { id: 'b', name: 'Bob' }]);
+ * // => [{ characterId: 'a', name: 'Ally', start: 0, end: 4 }, { characterId: 'b', name: 'Bob', start: 10, end: 13 }]
+ */
+export function findMentions(text, characters) {
+  const names = characters
+    .flatMap(character => characterNames(character).map(name => ({ characterId: character.id, name })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const mentions = [];
+
+  for (const { characterId, name } of names) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const before = /^\w/.test(name) ? '\\b' : '';
+    const after = /\w$/.test(name) ? '\\b' : '';
+
+    for (const match of text.matchAll(new RegExp(`${before}${escaped}${after}`, 'gi'))) {
+      const start = match.index;
+      const end = start + match[0].length;
+
+      if (!mentions.some(m => start < m.end && m.start < end)) {
+        mentions.push({ characterId, name, start, end });
+      }
+    }
+  }
+
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 角色的名字和别名
+ *
+ * @param {Object} character - 角色 { name, aliases }，aliases 为数组或 JSON 字符串
+ * @returns {Array<string>} 名字列表（名字在前）
+ */
+export function characterNames(character) {
+  const aliases = typeof character.aliases === 'string'
+    ? JSON.parse(character.aliases)
+    : character.aliases || [];
+
+  return [character.name, ...aliases]
+    .filter(name => name && name.trim())
+    .map(name => name.trim());
+}
+
+/**
+ * 把文本划分为各角色的区域
+ *
+ * @param {string} text - 文本内容
+ * @param {Array<Object>} mentions - findMentions() 的结果
+ * @param {string} defaultId - 默认角色 ID
+ * @param {Object} analysis - analyzeClauses() 的结果（可选）
+ * @returns {Map<string, Array<Object>>} 角色 ID => [{ start, end }]
+ */
+export function attributeRegions(text, mentions, defaultId, analysis = analyzeClauses(text)) {
+  const regions = new Map();
+  const assign = (characterId, start, end) => {
+    if (end <= start) {
+      return;
+    }
+
+    const ranges = regions.get(characterId) || [];
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === start) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+    regions.set(characterId, ranges);
+  };
+
+  const clauses = clauseRanges(analysis);
+  let carried = defaultId;
+
+  analysis.sentences.forEach((sentence, index) => {
+    const inSentence = mentions.filter(m => m.start >= sentence.start && m.start < sentence.end);
+    const subject = inSentence.length > 0 ? inSentence[0].characterId : carried;
+
+    for (const clause of clauses.filter(c => c.sentence === index)) {
+      let owner = subject;
+      let cursor = clause.start;
+
+      for (const mention of inSentence.filter(m => m.start >= clause.start && m.start < clause.end)) {
+        assign(owner, cursor, mention.start);
+        owner = mention.characterId;
+        cursor = mention.start;
+      }
+
+      assign(owner, cursor, clause.end);
+    }
+
+    carried = subject;
+  });
+
+  return regions;
+}
+
+/**
+ * 只保留指定区域的文本，其余字符替换为换行（长度和位置不变）
+ *
+ * @param {string} text - 文本内容
+ * @param {Array<Object>} ranges - 区域 [{ start, end }]
+ * @returns {string} 遮盖后的文本
+ */
+export function maskText(text, ranges) {
+  const chars = Array.from({ length: text.length }, () => MASK_CHAR);
+
+  for (const { start, end } of ranges) {
+    for (let i = start; i < end; i++) {
+      chars[i] = text[i];
+    }
+  }
+
+  return chars.join('');
+}
+
+/**
+ * 导出
+ */
+export default findMentions;
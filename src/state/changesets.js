@@ -0,0 +1,217 @@
+/**
+ * Change Sets - 待审核的状态变化
+ *
+ * 功能：
+ * - 保存每条消息提取出的状态变化（差异、验证结果、来源文本），等待人工审核
+ * - 按状态、角色列出变化集
+ * - 记录每项变化的审核结果，并据此更新变化集的状态
+ *
+ * 状态：
+ * - 变化：pending（待审核）/ applied（已批准并应用）/ rejected（已拒绝）
+ * - 变化集：仍有待审核的变化时为 pending，全部拒绝时为 rejected，
+ *   其余（全部审核完且至少应用了一项）为 applied
+ *
+ * 审核流程（批准、修改、拒绝）由 StateIntegrator 驱动，这里只负责持久化。
+ *
+ * @module state/changesets
+ * @version 0.1.0
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../core/logger.js';
+import DatabaseManager from '../core/database.js';
+
+/**
+ * 变化（及变化集）的状态
+ */
+export const CHANGE_STATUS = {
+  PENDING: 'pending',
+  APPLIED: 'applied',
+  REJECTED: 'rejected'
+};
+
+/**
+ * 根据各项变化的状态计算变化集的状态
+ *
+ * @param {Array<Object>} changes - 变化列表
+ * @returns {string} pending | applied | rejected
+ */
+export function changeSetStatus(changes) {
+  if (changes.some(change => change.status === CHANGE_STATUS.PENDING)) {
+    return CHANGE_STATUS.PENDING;
+  }
+  if (changes.length > 0 && changes.every(change => change.status === CHANGE_STATUS.REJECTED)) {
+    return CHANGE_STATUS.REJECTED;
+  }
+  return CHANGE_STATUS.APPLIED;
+}
+
+/**
+ * Change Set Store 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const store = new ChangeSetStore({ db });
+ *
+ * const changeSet = store.create({
+ *   characterId: alice.id,
+ *   sourceText: 'Alice 对你的好感度增加了 10 点',
+ *   changes: [{ type: 'affection', characterId: alice.id, data: { delta: 10, newValue: 60 } }]
+ * });
+ *
+ * store.list({ status: 'pending' });
+ * ```
+ */
+class ChangeSetStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   */
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseManager();
+
+    this.logger = logger.child({ module: 'ChangeSetStore' });
+  }
+
+  /**
+   * 保存变化集（各项变化补上 id 和 pending 状态）
+   *
+   * @param {Object} data - 变化集数据
+   * @param {string} data.characterId - 回复角色 ID
+   * @param {string} data.sourceText - 原始消息
+   * @param {Array<Object>} data.changes - 变化列表 [{ type, characterId, data, diff, validation }]
+   * @param {Array<Object>} data.warnings - 提取阶段的警告
+   * @param {Object} data.metadata - 自定义属性
+   * @returns {Object} 变化集
+   */
+  create(data) {
+    try {
+      const changes = data.changes.map(change => ({
+        id: change.id || randomUUID(),
+        status: CHANGE_STATUS.PENDING,
+        ...change
+      }));
+
+      const { id } = this.db.insert('state_change_sets', {
+        id: data.id || randomUUID(),
+        character_id: data.characterId,
+        status: changeSetStatus(changes),
+        source_text: data.sourceText,
+        changes: JSON.stringify(changes),
+        warnings: data.warnings?.length ? JSON.stringify(data.warnings) : null,
+        metadata: data.metadata ? JSON.stringify(data.metadata) : null
+      });
+
+      this.logger.info('Change set created', {
+        id,
+        characterId: data.characterId,
+        changes: changes.length
+      });
+
+      return this.get(id);
+    } catch (error) {
+      this.logger.error('Failed to create change set', {
+        characterId: data.characterId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取变化集
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @returns {Object|null} 变化集
+   */
+  get(changeSetId) {
+    const row = this.db.get('state_change_sets', { id: changeSetId });
+    return row ? this._fromRow(row) : null;
+  }
+
+  /**
+   * 列出变化集（按创建时间从新到旧）
+   *
+   * @param {Object} options - 查询选项
+   * @param {string} options.status - 状态
+   * @param {string} options.characterId - 回复角色 ID
+   * @param {number} options.limit - 限制数量
+   * @param {number} options.offset - 偏移量
+   * @returns {Array<Object>} 变化集列表
+   */
+  list(options = {}) {
+    if (options.status && !Object.values(CHANGE_STATUS).includes(options.status)) {
+      throw new Error(`Invalid change set status: ${options.status}`);
+    }
+
+    const where = {};
+    if (options.status) {
+      where.status = options.status;
+    }
+    if (options.characterId) {
+      where.character_id = options.characterId;
+    }
+
+    return this.db.getAll('state_change_sets', {
+      where,
+      orderBy: 'created_at',
+      order: 'DESC',
+      limit: options.limit,
+      offset: options.offset
+    }).map(row => this._fromRow(row));
+  }
+
+  /**
+   * 更新变化集中的一项变化，并重新计算变化集的状态
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @param {string} changeId - 变化 ID
+   * @param {Object} updates - 变化的新字段（如 { status, data, diff, validation }）
+   * @returns {Object} 更新后的变化集
+   */
+  updateChange(changeSetId, changeId, updates) {
+    const changeSet = this.get(changeSetId);
+    if (!changeSet) {
+      throw new Error(`Change set not found: ${changeSetId}`);
+    }
+    if (!changeSet.changes.some(change => change.id === changeId)) {
+      throw new Error(`Change not found: ${changeId}`);
+    }
+
+    const changes = changeSet.changes.map(change =>
+      change.id === changeId ? { ...change, ...updates } : change
+    );
+
+    this.db.update('state_change_sets', { id: changeSetId }, {
+      status: changeSetStatus(changes),
+      changes: JSON.stringify(changes),
+      reviewed_at: Date.now()
+    });
+
+    return this.get(changeSetId);
+  }
+
+  /**
+   * 数据库行 => 变化集
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      id: row.id,
+      characterId: row.character_id,
+      status: row.status,
+      sourceText: row.source_text,
+      changes: JSON.parse(row.changes),
+      warnings: row.warnings ? JSON.parse(row.warnings) : [],
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+/**
+ * 导出
+ */
+export default ChangeSetStore;
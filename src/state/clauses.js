@@ -0,0 +1,277 @@
+/**
+ * Clause Analysis - 分句语境分析
+ *
+ * 功能：
+ * - 把文本切分为句子和分句，标记引号内的内容
+ * - 判断某段命中文本所处的语境：否定、假设/条件、疑问、引语、转述
+ * - 供 StateExtractor 过滤或降低正则命中的置信度
+ *
+ * 语境规则：
+ * - negated：同一分句内，命中文本前不远处有否定词（“并没有生气”、“not angry”）
+ * - conditional：同一句中命中文本之前出现假设词（“如果你给我一把剑”、“if”），
+ *   后置的“的话”作用于所在分句（“你去了森林的话”）
+ * - question：所在句子以问号结尾，或以“吗”结尾
+ * - quoted：位于引号内（“”、「」、『』、""）
+ * - reported：同一分句中命中文本之前出现转述动词（“Bob 说他很生气”、“said”）
+ *
+ * 处理策略：否定、假设、疑问中的命中直接忽略；引语和转述中的命中降低置信度
+ *
+ * @module state/clauses
+ * @version 0.1.0
+ */
+
+/**
+ * 命中后直接忽略的语境
+ */
+export const SUPPRESSING_CONTEXTS = ['negated', 'conditional', 'question'];
+
+/**
+ * 命中后降低置信度的语境
+ */
+export const DOWNGRADING_CONTEXTS = ['quoted', 'reported'];
+
+/**
+ * 降级语境中的置信度系数
+ */
+export const DOWNGRADE_FACTOR = 0.5;
+
+/**
+ * 句末标点（英文句号需后接空白或结尾，见 isSentenceEnd）
+ */
+const SENTENCE_END = /[。！？!?\n]/;
+
+/**
+ * 分句标点
+ */
+const CLAUSE_BREAK = /[，,；;：:、]/;
+
+/**
+ * 引号（开引号 => 闭引号）
+ */
+const QUOTE_PAIRS = { '“': '”', '「': '」', '『': '』', '"': '"' };
+
+/**
+ * 否定词：中文允许与命中文本之间隔几个字（“并没有很生气”），英文隔几个词
+ * 中文的间隔不跨过代词（换了主语：“不一会儿他走进了酒馆”）和状语标记“地”（“无聊地走进了酒馆”）
+ */
+const NEGATION_ZH = /(?:不|没|没有|未|别|毫不|从不|从没|绝不|并不|不再|不会|不要|无)(?:(?![我你他她它地])[一-龥\s]){0,4}$/;
+const NEGATION_EN = /(?:\b(?:not|never|no|without|hardly)\b|n't)(?:\s+[a-z]+){0,3}\s*$/i;
+
+/**
+ * 含“不/没”但不表示否定的词
+ */
+const NEGATION_EXCEPTIONS = [
+  '不久', '不过', '不禁', '忍不住', '不得不', '不停', '不错', '不少', '不仅', '不断', '不管', '没想到', '无比',
+  '不一会儿', '不一会', '不知不觉', '不由得', '不由', '不料', '没多久', '没过多久',
+  '无聊', '无奈', '毫无疑问', '无论', '无意间', '无意中', '无数'
+];
+
+/**
+ * 假设、条件、愿望
+ */
+const CONDITIONAL_MARKERS = /如果|假如|要是|倘若|万一|假设|若是|除非|希望|想要|打算|\b(?:if|unless|suppose|supposing|wish|hope)\b/i;
+const CONDITIONAL_SUFFIX = '的话';
+
+/**
+ * 转述动词
+ */
+const REPORTED_MARKERS = /说|告诉|听说|据说|\b(?:said|says|told|tells|heard|claimed|claims)\b|according to/i;
+
+/**
+ * 分析文本的句子结构和引号
+ *
+ * @param {string} text - 文本内容
+ * @returns {Object} { text, sentences: [{ start, end, question, conditionalAt, reported }], quotes: [{ start, end }] }
+ *
+ * @example
+ * const analysis = analyzeClauses('如果你给我一把剑，我会很高兴。');
+ * spanContext(analysis, { start: 11, end: 13 });
+ * // => { flags: ['conditional'], suppressed: true, weight: 0 }
+ */
+export function analyzeClauses(text) {
+  const sentences = [];
+  const isSentenceEnd = i => SENTENCE_END.test(text[i]) ||
+    (text[i] === '.' && (i + 1 === text.length || /\s/.test(text[i + 1])));
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (!isSentenceEnd(i)) {
+      continue;
+    }
+
+    // 连续的句末标点属于同一句
+    let end = i + 1;
+    while (end < text.length && isSentenceEnd(end)) {
+      end++;
+    }
+
+    sentences.push(describeSentence(text, start, end));
+    start = end;
+    i = end - 1;
+  }
+
+  if (start < text.length) {
+    sentences.push(describeSentence(text, start, text.length));
+  }
+
+  return { text, sentences, quotes: findQuotes(text) };
+}
+
+/**
+ * 判断命中文本所处的语境
+ *
+ * @param {Object} analysis - analyzeClauses() 的结果
+ * @param {Object} span - 命中位置 { start, end }
+ * @returns {Object} { flags, suppressed, weight }
+ * - flags：语境列表（如 ['negated']、['quoted', 'reported']）
+ * - suppressed：是否应该忽略该命中
+ * - weight：置信度系数（忽略时为 0）
+ */
+export function spanContext(analysis, span) {
+  const { text, sentences, quotes } = analysis;
+  const flags = [];
+
+  const sentence = sentences.find(s => span.start >= s.start && span.start < s.end);
+
+  if (sentence) {
+    // 否定只看同一分句内、命中文本之前的部分
+    const clauseStart = findClauseStart(text, sentence.start, span.start);
+
+    let prefix = text.slice(clauseStart, span.start);
+    for (const word of NEGATION_EXCEPTIONS) {
+      prefix = prefix.split(word).join('·');
+    }
+
+    if (NEGATION_ZH.test(prefix) || NEGATION_EN.test(prefix)) {
+      flags.push('negated');
+    }
+    if (sentence.conditionalAt !== null && sentence.conditionalAt <= span.start) {
+      flags.push('conditional');
+    }
+    if (sentence.question) {
+      flags.push('question');
+    }
+    if (sentence.reported.some(r => r.start <= span.start && span.start < r.end)) {
+      flags.push('reported');
+    }
+  }
+
+  if (quotes.some(q => span.start >= q.start && span.start < q.end)) {
+    flags.push('quoted');
+  }
+
+  const suppressed = flags.some(flag => SUPPRESSING_CONTEXTS.includes(flag));
+  const downgraded = flags.some(flag => DOWNGRADING_CONTEXTS.includes(flag));
+
+  return {
+    flags,
+    suppressed,
+    weight: suppressed ? 0 : downgraded ? DOWNGRADE_FACTOR : 1
+  };
+}
+
+/**
+ * 切分分句（分句标点处切开，标点归前一分句）
+ *
+ * @param {Object} analysis - analyzeClauses() 的结果
+ * @returns {Array<Object>} [{ start, end, sentence }]，sentence 为所在句子的下标
+ */
+export function clauseRanges(analysis) {
+  const { text, sentences } = analysis;
+  const ranges = [];
+
+  sentences.forEach((sentence, index) => {
+    let start = sentence.start;
+    for (let i = sentence.start; i < sentence.end; i++) {
+      if (CLAUSE_BREAK.test(text[i])) {
+        ranges.push({ start, end: i + 1, sentence: index });
+        start = i + 1;
+      }
+    }
+    if (start < sentence.end) {
+      ranges.push({ start, end: sentence.end, sentence: index });
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * 句子的语境信息
+ */
+function describeSentence(text, start, end) {
+  const body = text.slice(start, end);
+  const terminator = body.match(/[。！？!?.\s]*$/)[0];
+
+  // 假设从假设词开始到句末；“的话”从所在分句开头开始
+  const candidates = [];
+  const conditional = body.match(CONDITIONAL_MARKERS);
+  if (conditional) {
+    candidates.push(start + conditional.index);
+  }
+  const suffix = body.indexOf(CONDITIONAL_SUFFIX);
+  if (suffix >= 0) {
+    candidates.push(findClauseStart(text, start, start + suffix));
+  }
+
+  // 转述从转述动词之后到分句结束（冒号不算分句结束）
+  const reported = [...body.matchAll(new RegExp(REPORTED_MARKERS, 'gi'))].map(match => {
+    const from = start + match.index + match[0].length;
+    let to = from;
+    while (to < end && !(CLAUSE_BREAK.test(text[to]) && !/[：:]/.test(text[to]))) {
+      to++;
+    }
+    return { start: from, end: to };
+  });
+
+  return {
+    start,
+    end,
+    question: /[？?]/.test(terminator) || /吗[”」』"]*$/.test(body.slice(0, body.length - terminator.length)),
+    conditionalAt: candidates.length > 0 ? Math.min(...candidates) : null,
+    reported
+  };
+}
+
+/**
+ * 分句开头：从 index 向前找到分句标点或句首
+ */
+function findClauseStart(text, sentenceStart, index) {
+  let clauseStart = index;
+  while (clauseStart > sentenceStart && !CLAUSE_BREAK.test(text[clauseStart - 1])) {
+    clauseStart--;
+  }
+  return clauseStart;
+}
+
+/**
+ * 引号范围（开引号之后到闭引号之前；未闭合时到文本末尾）
+ */
+function findQuotes(text) {
+  const quotes = [];
+  let open = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (open) {
+      if (char === QUOTE_PAIRS[open.char]) {
+        quotes.push({ start: open.index + 1, end: i });
+        open = null;
+      }
+    } else if (QUOTE_PAIRS[char]) {
+      open = { char, index: i };
+    }
+  }
+
+  if (open) {
+    quotes.push({ start: open.index + 1, end: text.length });
+  }
+
+  return quotes;
+}
+
+/**
+ * 导出
+ */
+export default analyzeClauses;
@@ -0,0 +1,438 @@
+/**
+ * Memory Consolidator - 记忆整理（合并与衰减）
+ *
+ * 功能：
+ * - 按角色把相关的记忆分组（文本相似度）
+ * - 每组通过 LLM 合并为一条更重要的记忆，原记忆归档（archived_at / consolidated_into）
+ * - 按游戏内时间衰减琐碎记忆的重要程度
+ * - 后台定时运行，日志记录每次处理过的记忆
+ * - 合并和衰减都记入状态变化日志（原因为 rule: memory-consolidation / memory-decay）
+ *
+ * 幂等：
+ * - 衰减按“原始重要程度 - 经过的衰减周期数”计算（原始值记在 metadata.baseImportance），
+ *   同一时间重复运行结果不变
+ * - 已归档的记忆和合并生成的记忆不再参与分组，重复运行不会再次合并
+ *
+ * 游戏内时间：
+ * - 以时间线和记忆中最新的时间戳作为当前时间（故事时钟只随事件推进），
+ *   没有任何记录时使用 Date.now()
+ *
+ * @module state/consolidator
+ * @version 0.1.0
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../core/logger.js';
+import DatabaseManager from '../core/database.js';
+import { TASK_TYPES } from '../llm/client.js';
+import PromptManager from '../llm/prompt.js';
+import StateJournal, { OPERATIONS, CAUSE_TYPES, currentGameTime } from './journal.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 合并提示词模板
+ */
+const CONSOLIDATION_TEMPLATE = `请把{{characterName}}的以下几条相关记忆合并为一条记忆。
+
+要求：
+- 使用第三人称、简洁的中文叙述，不超过 {{maxWords}} 字
+- 保留所有事实：人物、地点、物品、承诺、情感变化
+- 合并重复内容，按时间先后叙述
+- 只输出合并后的记忆正文
+
+记忆（按时间先后）：
+{{memories}}`;
+
+/**
+ * Memory Consolidator 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const consolidator = new MemoryConsolidator({ db, llmClient });
+ *
+ * // 手动运行一次
+ * const report = await consolidator.run();
+ * // report => { consolidated: [{ summaryId, memoryIds }], decayed: [{ id, from, to }], ... }
+ *
+ * // 后台定时运行
+ * consolidator.start(60 * 60 * 1000);
+ * consolidator.stop();
+ * ```
+ */
+class MemoryConsolidator {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   * @param {LLMClient} options.llmClient - LLM 客户端（离线时可使用 mock 提供方）
+   * @param {PromptManager} options.promptManager - 提示词管理器（可选）
+   * @param {StateJournal} options.journal - 状态变化日志（可选）
+   * @param {number} options.similarityThreshold - 归为一组的最低相似度 0-1（默认: 0.35）
+   * @param {number} options.minClusterSize - 合并所需的最少记忆数（默认: 2）
+   * @param {number} options.maxClusterSize - 每组最多记忆数（默认: 8）
+   * @param {number} options.maxSummaryTokens - 合并记忆的最大 token 数（默认: 300）
+   * @param {number} options.decayIntervalDays - 每经过多少游戏内天数重要程度减 1（默认: 7）
+   * @param {number} options.decayMaxImportance - 会衰减的最高原始重要程度（默认: 3）
+   */
+  constructor(options = {}) {
+    if (!options.llmClient) {
+      throw new Error('llmClient is required');
+    }
+
+    this.db = options.db || new DatabaseManager();
+    this.llmClient = options.llmClient;
+    this.promptManager = options.promptManager || new PromptManager();
+    this.journal = options.journal || new StateJournal({ db: this.db });
+
+    this.options = {
+      similarityThreshold: options.similarityThreshold ?? 0.35,
+      minClusterSize: options.minClusterSize ?? 2,
+      maxClusterSize: options.maxClusterSize ?? 8,
+      maxSummaryTokens: options.maxSummaryTokens ?? 300,
+      decayIntervalDays: options.decayIntervalDays ?? 7,
+      decayMaxImportance: options.decayMaxImportance ?? 3
+    };
+
+    // 正在进行的运行（避免后台任务重叠）
+    this.running = null;
+    this.timer = null;
+
+    this.logger = logger.child({ module: 'MemoryConsolidator' });
+
+    if (!this.promptManager.getTemplate('memory-consolidation')) {
+      this.promptManager.register('memory-consolidation', {
+        template: CONSOLIDATION_TEMPLATE,
+        variables: ['characterName', 'maxWords', 'memories'],
+        defaults: { characterName: '角色' },
+        description: '相关记忆合并'
+      });
+    }
+  }
+
+  /**
+   * 运行一次整理（合并 + 衰减）
+   * 已有运行在进行时返回同一个结果
+   *
+   * @param {Object} options - 选项
+   * @param {string} options.characterId - 只整理该角色（可选）
+   * @param {number} options.now - 当前游戏内时间（默认: 时间线和记忆中的最新时间）
+   * @returns {Promise<Object>} { now, characters, consolidated, decayed, failed }
+   */
+  run(options = {}) {
+    if (!this.running) {
+      this.running = this._run(options).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * 启动后台定时整理
+   *
+   * @param {number} intervalMs - 运行间隔（毫秒）
+   */
+  start(intervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => {
+        this.logger.error('Background consolidation failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    // 不阻止进程退出
+    this.timer.unref();
+
+    this.logger.info('Background consolidation started', { intervalMs });
+  }
+
+  /**
+   * 停止后台定时整理
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Background consolidation stopped');
+    }
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * @private
+   */
+  async _run(options) {
+    const timer = this.logger.startTimer('consolidateMemories');
+    const now = options.now || this._gameTime();
+
+    const report = { now, characters: 0, consolidated: [], decayed: [], failed: [] };
+
+    try {
+      const characters = options.characterId
+        ? this.db.getAll('characters', { where: { id: options.characterId } })
+        : this.db.getAll('characters', { orderBy: 'created_at' });
+
+      for (const character of characters) {
+        report.characters++;
+
+        for (const cluster of this._cluster(this._activeMemories(character.id))) {
+          try {
+            report.consolidated.push(await this._consolidate(character, cluster, now));
+          } catch (error) {
+            const memoryIds = cluster.map(m => m.id);
+            this.logger.warn('Memory cluster consolidation failed', {
+              characterId: character.id,
+              memoryIds,
+              error: error.message
+            });
+            report.failed.push({ characterId: character.id, memoryIds, error: error.message });
+          }
+        }
+
+        report.decayed.push(...this._decay(character.id, now));
+      }
+
+      timer.done('consolidateMemories');
+
+      this.logger.info('Memory consolidation completed', {
+        now,
+        characters: report.characters,
+        consolidated: report.consolidated.length,
+        archived: report.consolidated.reduce((sum, c) => sum + c.memoryIds.length, 0),
+        decayed: report.decayed.length,
+        failed: report.failed.length
+      });
+
+      return report;
+    } catch (error) {
+      this.logger.error('Memory consolidation failed', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 当前游戏内时间
+   * @private
+   */
+  _gameTime() {
+    return currentGameTime(this.db);
+  }
+
+  /**
+   * 角色的有效记忆（按时间先后）
+   * @private
+   */
+  _activeMemories(characterId) {
+    return this.db.getAll('memories', {
+      where: { character_id: characterId, archived_at: null },
+      orderBy: 'timestamp'
+    }).map(row => ({
+      ...row,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      metadata: row.metadata ? JSON.parse(row.metadata) : {}
+    }));
+  }
+
+  /**
+   * 分组：每条记忆加入第一个与其种子记忆足够相似的组
+   * 合并生成的记忆不参与分组
+   * @private
+   */
+  _cluster(memories) {
+    const clusters = [];
+
+    for (const memory of memories) {
+      if (memory.metadata.consolidatedFrom) {
+        continue;
+      }
+
+      const grams = bigrams(memory.content);
+      const cluster = clusters.find(c =>
+        c.members.length < this.options.maxClusterSize &&
+        jaccard(c.seed, grams) >= this.options.similarityThreshold
+      );
+
+      if (cluster) {
+        cluster.members.push(memory);
+      } else {
+        clusters.push({ seed: grams, members: [memory] });
+      }
+    }
+
+    return clusters
+      .map(c => c.members)
+      .filter(members => members.length >= this.options.minClusterSize);
+  }
+
+  /**
+   * 合并一组记忆：生成新记忆并归档原记忆（同一事务）
+   * @private
+   */
+  async _consolidate(character, memories, now) {
+    const variables = {
+      maxWords: this.options.maxSummaryTokens,
+      memories: memories.map(m => `- ${m.content}`).join('\n')
+    };
+    if (character.name) {
+      variables.characterName = character.name;
+    }
+
+    const response = await this.llmClient.generate({
+      messages: [{ role: 'user', content: this.promptManager.render('memory-consolidation', variables) }],
+      taskType: TASK_TYPES.STATE_MANAGEMENT,
+      maxTokens: this.options.maxSummaryTokens,
+      temperature: 0.3
+    });
+
+    const content = response.content.trim();
+    if (!content) {
+      throw new Error('Empty consolidation response');
+    }
+
+    const memoryIds = memories.map(m => m.id);
+    const baseImportance = Math.max(...memories.map(m => m.metadata.baseImportance || m.importance));
+    const summary = {
+      id: randomUUID(),
+      character_id: character.id,
+      content,
+      importance: Math.min(5, baseImportance + 1),
+      timestamp: Math.max(...memories.map(m => m.timestamp)),
+      tags: JSON.stringify([...new Set(memories.flatMap(m => m.tags))]),
+      metadata: JSON.stringify({ consolidatedFrom: memoryIds, consolidatedAt: now })
+    };
+
+    this.db.transaction(() => {
+      this.journal.withCause({ type: CAUSE_TYPES.RULE, rule: 'memory-consolidation', gameTime: now }, () => {
+        this.db.insert('memories', summary);
+        this.journal.record({
+          entity: 'memories',
+          entityId: summary.id,
+          operation: OPERATIONS.CREATE,
+          after: this.db.get('memories', { id: summary.id })
+        });
+
+        for (const memoryId of memoryIds) {
+          const before = this.db.get('memories', { id: memoryId });
+          this.db.update('memories', { id: memoryId }, {
+            archived_at: now,
+            consolidated_into: summary.id
+          });
+          this.journal.record({
+            entity: 'memories',
+            entityId: memoryId,
+            operation: OPERATIONS.UPDATE,
+            before,
+            after: this.db.get('memories', { id: memoryId })
+          });
+        }
+      });
+    });
+
+    this.logger.info('Memories consolidated', {
+      characterId: character.id,
+      summaryId: summary.id,
+      memoryIds
+    });
+
+    return {
+      characterId: character.id,
+      summaryId: summary.id,
+      memoryIds,
+      importance: summary.importance
+    };
+  }
+
+  /**
+   * 按游戏内时间衰减重要程度
+   * @private
+   */
+  _decay(characterId, now) {
+    const { decayIntervalDays, decayMaxImportance } = this.options;
+    const changes = [];
+
+    for (const memory of this._activeMemories(characterId)) {
+      const base = memory.metadata.baseImportance || memory.importance;
+      if (base > decayMaxImportance) {
+        continue;
+      }
+
+      const periods = Math.floor(Math.max(0, now - memory.timestamp) / (decayIntervalDays * DAY));
+      const importance = Math.max(1, base - periods);
+
+      if (importance !== memory.importance) {
+        this.db.transaction(() => {
+          const before = this.db.get('memories', { id: memory.id });
+          this.db.update('memories', { id: memory.id }, {
+            importance,
+            metadata: JSON.stringify({ ...memory.metadata, baseImportance: base })
+          });
+          this.journal.withCause({ type: CAUSE_TYPES.RULE, rule: 'memory-decay', gameTime: now }, () => {
+            this.journal.record({
+              entity: 'memories',
+              entityId: memory.id,
+              operation: OPERATIONS.UPDATE,
+              before,
+              after: this.db.get('memories', { id: memory.id })
+            });
+          });
+        });
+        changes.push({ id: memory.id, characterId, from: memory.importance, to: importance });
+      }
+    }
+
+    if (changes.length > 0) {
+      this.logger.info('Memory importance decayed', {
+        characterId,
+        memoryIds: changes.map(c => c.id)
+      });
+    }
+
+    return changes;
+  }
+}
+
+/**
+ * 文本的字符二元组集合（忽略空白和标点，不区分大小写）
+ */
+function bigrams(text) {
+  const chars = [...text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')];
+  const grams = new Set();
+
+  for (let i = 0; i + 2 <= chars.length; i++) {
+    grams.add(chars[i] + chars[i + 1]);
+  }
+
+  return grams;
+}
+
+/**
+ * Jaccard 相似度
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) {
+      shared++;
+    }
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * 导出
+ */
+export default MemoryConsolidator;
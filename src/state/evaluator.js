@@ -0,0 +1,400 @@
+/**
+ * Extraction Evaluator - 状态提取评估
+ *
+ * 功能：
+ * - 用标注语料（tests/fixtures/extraction-gold.json）评估 StateExtractor 的提取质量
+ * - 按状态类型计算精确率、召回率和 F1，并给出情绪的混淆矩阵
+ * - 对比 regex 和 llm 两种提取模式
+ * - 与保存的基线对比，发现退化
+ *
+ * 计分规则：
+ * - affection（delta）、emotion、location：与标注相同记 TP；没有标注却有提取结果记 FP；
+ *   有标注却没有提取结果记 FN；两者都有但不一致时同时记 FP 和 FN
+ * - inventory：按“动作 + 物品名”逐项匹配，多出的提取结果记 FP，未匹配的标注记 FN
+ * - event：是否应该记录事件（二分类）
+ * - 只评估回复角色（语料的 speaker）本人的变化，byCharacter 不计分
+ *
+ * @module state/evaluator
+ * @version 0.1.0
+ */
+
+import { logger } from '../core/logger.js';
+import DatabaseManager from '../core/database.js';
+import StateManager from './manager.js';
+import StateExtractor, { EXTRACTION_MODES } from './extractor.js';
+
+/**
+ * 参与评估的状态类型
+ */
+export const STATE_TYPES = ['affection', 'emotion', 'location', 'inventory', 'event'];
+
+/**
+ * 基线中比较的指标
+ */
+export const METRICS = ['precision', 'recall', 'f1'];
+
+/**
+ * 混淆矩阵中“没有变化”的标签
+ */
+const NONE_LABEL = 'none';
+
+/**
+ * 状态提取评估器
+ */
+export class ExtractionEvaluator {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器（默认: 内存数据库）
+   * @param {LLMClient} options.llmClient - LLM 客户端（评估 llm 模式时必需）
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.ownsDb = !options.db;
+    this.db = options.db || new DatabaseManager({ dbPath: ':memory:' });
+    this.stateManager = new StateManager({ db: this.db });
+    this.llmClient = options.llmClient || null;
+
+    this.logger = logger.child({ module: 'ExtractionEvaluator' });
+  }
+
+  /**
+   * 用标注语料评估一种提取模式
+   *
+   * @param {Object} dataset - 标注语料 { speaker, characters, cases: [{ id, lang, text, expect }] }
+   * @param {string} mode - 提取模式 regex / llm（默认: regex）
+   * @returns {Promise<Object>} 评估报告 { mode, cases, fallbacks, types, overall, confusion, mismatches }
+   */
+  async evaluate(dataset, mode = EXTRACTION_MODES.REGEX) {
+    const timer = this.logger.startTimer('evaluate');
+
+    try {
+      const speakerId = this._prepareCharacters(dataset);
+      const extractor = new StateExtractor({
+        db: this.db,
+        stateManager: this.stateManager,
+        mode,
+        llmClient: this.llmClient
+      });
+
+      const counts = Object.fromEntries(STATE_TYPES.map(type => [type, { tp: 0, fp: 0, fn: 0 }]));
+      const confusion = {};
+      const mismatches = [];
+      let fallbacks = 0;
+
+      for (const testCase of dataset.cases) {
+        const result = await extractor.extractAllStatesAsync(speakerId, testCase.text);
+        const scored = scoreCase(testCase.expect, result);
+
+        for (const type of STATE_TYPES) {
+          counts[type].tp += scored.counts[type].tp;
+          counts[type].fp += scored.counts[type].fp;
+          counts[type].fn += scored.counts[type].fn;
+        }
+
+        const expected = testCase.expect.emotion || NONE_LABEL;
+        const actual = result.emotion?.emotion || NONE_LABEL;
+        confusion[expected] = confusion[expected] || {};
+        confusion[expected][actual] = (confusion[expected][actual] || 0) + 1;
+
+        mismatches.push(...scored.mismatches.map(mismatch => ({ id: testCase.id, ...mismatch })));
+
+        // llm 模式下出现正则来源的结果，说明这条语料回退到了正则提取
+        if (mode === EXTRACTION_MODES.LLM && hasRegexSource(result)) {
+          fallbacks++;
+        }
+      }
+
+      const total = STATE_TYPES.reduce((sum, type) => ({
+        tp: sum.tp + counts[type].tp,
+        fp: sum.fp + counts[type].fp,
+        fn: sum.fn + counts[type].fn
+      }), { tp: 0, fp: 0, fn: 0 });
+
+      const report = {
+        mode,
+        cases: dataset.cases.length,
+        fallbacks,
+        types: Object.fromEntries(STATE_TYPES.map(type => [type, summarize(counts[type])])),
+        overall: summarize(total),
+        confusion,
+        mismatches
+      };
+
+      timer.done('evaluate');
+
+      this.logger.info('Extraction evaluated', {
+        mode,
+        cases: report.cases,
+        f1: report.overall.f1,
+        mismatches: mismatches.length
+      });
+
+      return report;
+    } catch (error) {
+      this.logger.error('Failed to evaluate extraction', {
+        mode,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 对比多种提取模式
+   *
+   * @param {Object} dataset - 标注语料
+   * @param {Array<string>} modes - 提取模式（默认: regex 和 llm）
+   * @returns {Promise<Object>} 模式 => 评估报告
+   */
+  async compare(dataset, modes = Object.values(EXTRACTION_MODES)) {
+    const reports = {};
+
+    for (const mode of modes) {
+      reports[mode] = await this.evaluate(dataset, mode);
+    }
+
+    return reports;
+  }
+
+  /**
+   * 关闭评估器（只关闭自己创建的数据库）
+   */
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+
+  /**
+   * 创建语料中的角色（已存在同名角色时复用），返回回复角色的 ID
+   * @private
+   */
+  _prepareCharacters(dataset) {
+    const existing = this.db.getAll('characters');
+    let speakerId = null;
+
+    for (const character of dataset.characters || []) {
+      const found = existing.find(c => c.name === character.name);
+      const id = found ? found.id : this.stateManager.createCharacter(character).id;
+
+      if (character.name === dataset.speaker) {
+        speakerId = id;
+      }
+    }
+
+    if (!speakerId) {
+      throw new Error(`Speaker not found in dataset characters: ${dataset.speaker}`);
+    }
+
+    return speakerId;
+  }
+}
+
+// ============================================
+// 计分
+// ============================================
+
+/**
+ * 对一条语料计分
+ *
+ * @param {Object} expect - 标注 { affection, emotion, location, inventory, event }，省略表示没有变化
+ * @param {Object} result - extractAllStates() 的结果
+ * @returns {Object} { counts: 类型 => { tp, fp, fn }, mismatches: [{ type, expected, actual }] }
+ */
+export function scoreCase(expect, result) {
+  const expected = {
+    affection: expect.affection ?? null,
+    emotion: expect.emotion ?? null,
+    location: normalize(expect.location),
+    inventory: (expect.inventory || []).map(itemKey),
+    event: expect.event === true
+  };
+  const actual = {
+    affection: result.affection?.delta ?? null,
+    emotion: result.emotion?.emotion ?? null,
+    location: normalize(result.location?.location),
+    inventory: (result.inventory || []).map(itemKey),
+    event: (result.events || []).length > 0
+  };
+
+  const counts = {};
+  const mismatches = [];
+
+  for (const type of STATE_TYPES) {
+    counts[type] = type === 'inventory'
+      ? scoreItems(expected[type], actual[type])
+      : scoreValue(expected[type], actual[type]);
+
+    if (counts[type].fp > 0 || counts[type].fn > 0) {
+      mismatches.push({ type, expected: expected[type], actual: actual[type] });
+    }
+  }
+
+  return { counts, mismatches };
+}
+
+/**
+ * 计算精确率、召回率和 F1（保留三位小数）
+ * 没有提取结果时精确率记为 1，没有标注时召回率记为 1
+ *
+ * @param {Object} counts - { tp, fp, fn }
+ * @returns {Object} { tp, fp, fn, precision, recall, f1 }
+ */
+export function summarize({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 1;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+  return { tp, fp, fn, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+// ============================================
+// 基线
+// ============================================
+
+/**
+ * 评估报告 => 基线（只保留指标）
+ *
+ * @param {Object} report - evaluate() 的结果
+ * @returns {Object} { types: 类型 => { precision, recall, f1 }, overall }
+ */
+export function toBaseline(report) {
+  const pick = scores => Object.fromEntries(METRICS.map(metric => [metric, scores[metric]]));
+
+  return {
+    types: Object.fromEntries(Object.entries(report.types).map(([type, scores]) => [type, pick(scores)])),
+    overall: pick(report.overall)
+  };
+}
+
+/**
+ * 与基线对比，返回低于基线的指标
+ *
+ * @param {Object} report - evaluate() 的结果
+ * @param {Object} baseline - toBaseline() 的结果
+ * @param {number} tolerance - 允许的误差（默认: 0.001）
+ * @returns {Array<Object>} [{ type, metric, baseline, actual }]，type 为 overall 表示总体
+ */
+export function compareBaseline(report, baseline, tolerance = 0.001) {
+  const regressions = [];
+  const entries = [
+    ...Object.entries(baseline.types || {}),
+    ...(baseline.overall ? [['overall', baseline.overall]] : [])
+  ];
+
+  for (const [type, scores] of entries) {
+    const current = type === 'overall' ? report.overall : report.types[type];
+
+    for (const metric of METRICS) {
+      if (scores[metric] === undefined) {
+        continue;
+      }
+
+      const actual = current ? current[metric] : 0;
+      if (actual < scores[metric] - tolerance) {
+        regressions.push({ type, metric, baseline: scores[metric], actual });
+      }
+    }
+  }
+
+  return regressions;
+}
+
+/**
+ * 评估报告 => 文本表格
+ *
+ * @param {Object} report - evaluate() 的结果
+ * @returns {string} 各类型的指标和情绪混淆矩阵
+ */
+export function formatReport(report) {
+  const pad = (value, width) => String(value).padEnd(width);
+  const lines = [
+    `Mode: ${report.mode}  Cases: ${report.cases}${report.fallbacks ? `  Fallbacks: ${report.fallbacks}` : ''}`,
+    '',
+    ['type', 'tp', 'fp', 'fn', 'precision', 'recall', 'f1'].map((h, i) => pad(h, i === 0 ? 12 : 10)).join('')
+  ];
+
+  for (const [type, scores] of [...Object.entries(report.types), ['overall', report.overall]]) {
+    lines.push([type, scores.tp, scores.fp, scores.fn, scores.precision, scores.recall, scores.f1]
+      .map((value, i) => pad(value, i === 0 ? 12 : 10)).join(''));
+  }
+
+  const labels = [...new Set([
+    ...Object.keys(report.confusion),
+    ...Object.values(report.confusion).flatMap(row => Object.keys(row))
+  ])].sort();
+
+  lines.push('', 'Emotion confusion (rows: expected, columns: extracted)');
+  lines.push([pad('', 12), ...labels.map(label => pad(label, 10))].join(''));
+  for (const expected of labels.filter(label => report.confusion[label])) {
+    lines.push([pad(expected, 12), ...labels.map(label => pad(report.confusion[expected][label] || 0, 10))].join(''));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 逐项匹配物品
+ */
+function scoreItems(expected, actual) {
+  const remaining = [...actual];
+  let tp = 0;
+
+  for (const key of expected) {
+    const index = remaining.indexOf(key);
+    if (index >= 0) {
+      remaining.splice(index, 1);
+      tp++;
+    }
+  }
+
+  return { tp, fp: remaining.length, fn: expected.length - tp };
+}
+
+/**
+ * 单值比较（false / null 表示没有变化）
+ */
+function scoreValue(expected, actual) {
+  const hasExpected = expected !== null && expected !== false;
+  const hasActual = actual !== null && actual !== false;
+
+  if (hasExpected && hasActual) {
+    return expected === actual ? { tp: 1, fp: 0, fn: 0 } : { tp: 0, fp: 1, fn: 1 };
+  }
+
+  return { tp: 0, fp: hasActual ? 1 : 0, fn: hasExpected ? 1 : 0 };
+}
+
+/**
+ * 物品的比较键
+ */
+function itemKey(item) {
+  return `${item.action}:${normalize(item.item_name)}`;
+}
+
+/**
+ * 文本比较时忽略大小写和首尾空白
+ */
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : null;
+}
+
+/**
+ * 结果中是否有正则来源的变化
+ */
+function hasRegexSource(result) {
+  return [result.affection, result.emotion, result.location, ...(result.inventory || [])]
+    .some(item => item?.source?.strategy === 'regex');
+}
+
+/**
+ * 保留三位小数
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 导出
+ */
+export default ExtractionEvaluator;
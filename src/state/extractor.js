@@ -5,7 +5,20 @@
  * - 从文本中提取状态变化
  * - 识别好感度、情绪、位置、库存等
  * - 支持自定义提取模式
- * - 基于正则表达式和关键词匹配
+ * - 基于正则表达式和关键词匹配，关键词和模式来自模式包（见 packs.js 和 patterns/ 目录），
+ *   可按世界启用武侠、科幻等题材的模式包
+ * - LLM 结构化提取模式：快速模型按 JSON Schema 输出，校验失败时回退到正则
+ * - 状态标签：模型在回复中附加的 <state>{...}</state> 或 [STATE: ...] 优先于正则
+ * - 每个提取结果附带置信度、命中的文本位置和来源（provenance）
+ * - 分句语境：否定、假设、疑问中的正则命中被忽略，引语和转述中的命中降低置信度（见 clauses.js）
+ * - 多角色归属：按角色名和别名把变化归属到文中提到的角色（见 attribution.js），
+ *   顶层字段为 characterId 本人的变化，其他角色的变化在 byCharacter 中
+ *
+ * 来源信息：
+ * - confidence：0-1，标签为 1，LLM 默认 0.8，正则按模式设定
+ * - span：{ start, end } 命中文本在去掉状态标签后的回复中的位置（无法定位时为 null）
+ * - source：{ strategy: 'regex' | 'llm' | 'tag', pattern }，pattern 为正则模式名或标签原文
+ * - context：被降低置信度的正则结果所处的语境（如 ['quoted']），仅在降级时出现
  *
  * 设计目标：
  * - 准确率 > 80%
@@ -17,6 +30,68 @@
  */
 
 import { logger } from '../core/logger.js';
+import { config } from '../core/config.js';
+import { TASK_TYPES } from '../llm/client.js';
+import PromptManager from '../llm/prompt.js';
+import { STATE_EXTRACTION_SCHEMA, EMOTIONS, validateSchema } from './schema.js';
+import { SEVERITY } from './validator.js';
+import { analyzeClauses, spanContext } from './clauses.js';
+import { findMentions, attributeRegions, maskText, characterNames } from './attribution.js';
+import { loadPack, validatePack, mergePacks, resolvePacks } from './packs.js';
+import { numeralPattern, parseQuantity } from './numerals.js';
+
+/**
+ * 提取模式
+ */
+export const EXTRACTION_MODES = {
+  REGEX: 'regex',  // 正则和关键词（同步，无网络）
+  LLM: 'llm'       // 快速模型输出 JSON，失败时回退到正则
+};
+
+/**
+ * 状态标签
+ * - <state>{"affection": +5, "location": "酒馆"}</state>
+ * - [STATE: affection+5, location=酒馆] 或 [STATE: {...}]
+ */
+const STATE_TAGS = [
+  { opener: '<state>', pattern: /^<state>([\s\S]*?)<\/state>/i },
+  { opener: '[state:', pattern: /^\[STATE:\s*(\{[\s\S]*?\}|[^\]{][^\]]*)\s*\]/i }
+];
+
+/**
+ * LLM 提取结果的默认置信度（情绪使用模型给出的 confidence）
+ */
+const LLM_CONFIDENCE = 0.8;
+
+/**
+ * 状态标签中会累积（而不是覆盖）的字段
+ */
+const TAG_LIST_FIELDS = ['gain', 'lose', 'inventory', 'event', 'events'];
+
+/**
+ * LLM 提取提示词模板
+ */
+const EXTRACTION_TEMPLATE = `你是角色扮演游戏的状态记录员。阅读下面这段{{characterName}}的回复，提取其中明确发生的状态变化，只输出一个 JSON 对象，不要输出其他内容。
+
+当前状态：
+- 好感度：{{affection}}/100
+- 情绪：{{emotion}}
+
+JSON Schema：
+{{schema}}
+
+规则：
+- 没有发生的变化：affection / emotion / location 用 null，inventory / events 用空数组
+- affection：写出变化量用 delta（减少为负数），只给出新数值时用 value
+- emotion：只能是 {{emotions}} 之一，confidence 为 0-1
+- location：角色移动到的新地点名称
+- inventory：获得（add）或失去（remove）的物品，quantity 为正整数
+- events：值得记入时间线的事件，importance 为 1-5
+- 顶层字段只记录{{characterName}}本人的变化；文中其他角色的变化写在 characters 数组中（name 为角色名），没有时省略
+- 只记录文中明确写出的变化，不要推测
+
+回复：
+{{text}}`;
 
 /**
  * State Extractor 类
@@ -30,6 +105,10 @@ import { logger } from '../core/logger.js';
  *
  * console.log(states.affection); // { delta: 10, newValue: 60 }
  * console.log(states.emotion);   // { emotion: 'happy' }
+ *
+ * // LLM 结构化提取（异步，结构相同）
+ * const llmExtractor = new StateExtractor({ stateManager, llmClient, mode: EXTRACTION_MODES.LLM });
+ * const states = await llmExtractor.extractAllStatesAsync('char-1', text);
  * ```
  */
 class StateExtractor {
@@ -37,11 +116,30 @@ class StateExtractor {
    * @param {Object} options - 配置选项
    * @param {DatabaseManager} options.db - 数据库管理器
    * @param {StateManager} options.stateManager - 状态管理器
+   * @param {string} options.mode - 提取模式 regex / llm（默认: 配置 state.extraction.mode）
+   * @param {LLMClient} options.llmClient - LLM 客户端（llm 模式必需）
+   * @param {PromptManager} options.promptManager - 提示词管理器（可选）
+   * @param {number} options.maxTokens - LLM 输出的最大 token 数（默认: 600）
+   * @param {Array<string|Object>} options.packs - 启用的模式包（名字、文件路径或模式包对象，默认: 按配置解析）
+   * @param {string} options.world - 世界名，启用 state.patterns.worlds 中该世界的模式包（默认: state.patterns.world）
+   * @param {Array<string>} options.packDirs - 额外的模式包目录（默认: state.patterns.dir）
    */
   constructor(options = {}) {
     this.options = options;
-    this.db = options.db;
+    this.db = options.db || options.stateManager?.db;
     this.stateManager = options.stateManager;
+    this.llmClient = options.llmClient || null;
+    this.promptManager = options.promptManager || new PromptManager();
+
+    this.mode = options.mode || config.get('state.extraction.mode', EXTRACTION_MODES.REGEX);
+    this.maxTokens = options.maxTokens || config.get('state.extraction.maxTokens', 600);
+
+    if (!Object.values(EXTRACTION_MODES).includes(this.mode)) {
+      throw new Error(`Invalid extraction mode: ${this.mode}`);
+    }
+    if (this.mode === EXTRACTION_MODES.LLM && !this.llmClient) {
+      throw new Error('llmClient is required for llm extraction mode');
+    }
 
     // 自定义模式注册表
     this.customPatterns = new Map();
@@ -51,63 +149,76 @@ class StateExtractor {
 
     this.logger = logger.child({ module: 'StateExtractor' });
 
-    this.logger.info('State Extractor initialized');
+    if (!this.promptManager.getTemplate('state-extraction')) {
+      this.promptManager.register('state-extraction', {
+        template: EXTRACTION_TEMPLATE,
+        variables: ['characterName', 'affection', 'emotion', 'schema', 'emotions', 'text'],
+        defaults: { characterName: '角色', affection: 0, emotion: 'neutral' },
+        description: '结构化状态提取（JSON）'
+      });
+    }
+
+    this.logger.info('State Extractor initialized', { mode: this.mode });
   }
 
   /**
-   * 初始化内置提取模式
+   * 初始化提取模式（加载启用的模式包）
    * @private
    */
   _initializePatterns() {
-    // 好感度模式
-    this.affectionPatterns = [
-      // 中文
-      { regex: /好感度[增加提升上升]+了?\s*(\d+)\s*点/i, type: 'delta' },
-      { regex: /好感度[减少降低下降]+了?\s*(\d+)\s*点/i, type: 'delta', negative: true },
-      { regex: /好感度(?:变成|现在是|达到|为)\s*(\d+)/i, type: 'absolute' },
-      { regex: /对.*?好感度现在是\s*(\d+)/i, type: 'absolute' },
-      { regex: /好感度?\s*[+＋]\s*(\d+)/i, type: 'delta' },
-      { regex: /好感度?\s*[-－]\s*(\d+)/i, type: 'delta', negative: true },
-
-      // 英文
-      { regex: /affection\s+increased\s+by\s+(\d+)/i, type: 'delta' },
-      { regex: /affection\s+decreased\s+by\s+(\d+)/i, type: 'delta', negative: true },
-      { regex: /affection\s+is\s+now\s+(\d+)/i, type: 'absolute' },
-      { regex: /affection\s*[+＋]\s*(\d+)/i, type: 'delta' }
-    ];
+    const dirs = this.options.packDirs || [config.get('state.patterns.dir', '')].filter(Boolean);
+
+    this.patternPacks = resolvePacks({ world: this.options.world, packs: this.options.packs })
+      .map(pack => (typeof pack === 'string' ? loadPack(pack, dirs) : checkedPack(pack)));
+
+    // 位置关键词命中时的置信度
+    this.locationConfidence = 0.6;
+
+    this._applyPatternPacks();
+  }
+
+  /**
+   * 合并模式包，生成各提取方法使用的关键词和模式
+   * @private
+   */
+  _applyPatternPacks() {
+    const merged = mergePacks(this.patternPacks);
+
+    // 好感度模式（name 用于来源信息，confidence 为命中时的置信度）
+    this.affectionPatterns = merged.affectionPatterns;
 
     // 情绪关键词映射
-    this.emotionKeywords = {
-      happy: ['高兴', '开心', '愉快', '快乐', '欢喜', '兴奋', '微笑', '太好了', 'happy', 'cheerful', 'joyful', 'smile'],
-      sad: ['难过', '伤心', '悲伤', '沮丧', '失落', '哭泣', '太糟糕', '不敢相信', 'sad', 'depressed', 'cry', 'terrible'],
-      angry: ['生气', '愤怒', '恼火', '火大', '怒', '皱眉', 'angry', 'furious', 'mad', 'frown'],
-      excited: ['激动', '兴奋', '振奋', '热情', 'excited', 'enthusiastic'],
-      scared: ['害怕', '恐惧', '惊恐', '惧怕', 'scared', 'afraid', 'fearful'],
-      confused: ['困惑', '迷惑', '疑惑', '不解', 'confused', 'puzzled'],
-      calm: ['平静', '冷静', '淡定', '安静', 'calm', 'peaceful'],
-      anxious: ['焦虑', '不安', '紧张', '担心', 'anxious', 'worried', 'nervous'],
-      loving: ['爱', '深情', '温柔', '亲密', 'loving', 'affectionate', 'tender']
-    };
+    this.emotionKeywords = merged.emotionKeywords;
 
     // 位置关键词
-    this.locationKeywords = [
-      '走进', '来到', '到达', '进入', '抵达', '前往', '去了',
-      'entered', 'arrived at', 'went to', 'moved to'
-    ];
-
-    // 库存动作模式
-    this.inventoryPatterns = {
-      add: [
-        { regex: /(?:给|递给|交给)(?:了)?(?:你|我)\s*([一两三四五六七八九十\d]+)?\s*(?:个|把|件|张|本)?\s*(.+)/i },
-        { regex: /(?:获得|得到|拿到|收到)了?\s*([一两三四五六七八九十\d]+)?\s*(?:个|把|件|张|本)?\s*(.+)/i },
-        { regex: /gave\s+(?:you|me)\s+(\d+)?\s*(.+)/i }
-      ],
-      remove: [
-        { regex: /(?:拿走|取走|没收)了?(?:你|我的)?\s*([一两三四五六七八九十\d]+)?\s*(?:个|把|件|张|本)?\s*(.+)/i },
-        { regex: /(?:失去|丢失|遗失)了?\s*([一两三四五六七八九十\d]+)?\s*(?:个|把|件|张|本)?\s*(.+)/i },
-        { regex: /took\s+(?:your|my)\s+(.+)/i }
-      ]
-    };
+    this.locationKeywords = merged.locationKeywords;
+
+    // 库存动作模式、量词和量词倍数
+    this.inventoryPatterns = merged.inventoryPatterns;
+    this.measurePattern = merged.measurePattern;
+    this.measureMultipliers = merged.measureMultipliers;
+  }
+
+  /**
+   * 启用模式包（追加在已启用的模式包之后）
+   *
+   * @param {string|Object} pack - 模式包名、文件路径或模式包对象
+   * @returns {Array<string>} 已启用的模式包名
+   *
+   * @example
+   * extractor.loadPatternPack('wuxia');
+   * extractor.loadPatternPack({ name: 'my-world', locationVerbs: ['传送到'] });
+   */
+  loadPatternPack(pack) {
+    const dirs = this.options.packDirs || [config.get('state.patterns.dir', '')].filter(Boolean);
+    const loaded = typeof pack === 'string' ? loadPack(pack, dirs) : checkedPack(pack);
+
+    this.patternPacks = [...this.patternPacks.filter(p => p.name !== loaded.name), loaded];
+    this._applyPatternPacks();
+
+    this.logger.info('Pattern pack loaded', { name: loaded.name, packs: this.patternPacks.map(p => p.name) });
+
+    return this.patternPacks.map(p => p.name);
   }
 
   // ============================================
@@ -119,9 +230,10 @@ class StateExtractor {
    *
    * @param {string} characterId - 角色 ID
    * @param {string} text - 文本内容
-   * @returns {Object|null} 好感度变化 { delta, newValue } 或 null
+   * @param {Object} clauses - analyzeClauses() 的结果（可选，遮盖文本时传入原文的分析）
+   * @returns {Object|null} 好感度变化 { delta, newValue, confidence, span, source } 或 null
    */
-  extractAffectionChange(characterId, text) {
+  extractAffectionChange(characterId, text, clauses = analyzeClauses(text)) {
     try {
       // 获取当前好感度
       const character = this.stateManager.getCharacterState(characterId);
@@ -131,18 +243,29 @@ class StateExtractor {
 
       const currentAffection = character.affection || 0;
 
-      // 尝试匹配所有好感度模式
+      // 尝试匹配所有好感度模式（跳过否定、假设、疑问中的命中）
       for (const pattern of this.affectionPatterns) {
-        const match = text.match(pattern.regex);
-        if (match) {
-          const value = parseInt(match[1]);
+        for (const match of text.matchAll(new RegExp(pattern.regex, 'gi'))) {
+          const span = { start: match.index, end: match.index + match[0].length };
+          const context = spanContext(clauses, span);
+          if (context.suppressed) {
+            continue;
+          }
+
+          const value = parseInt(match.groups.value);
+          const provenance = withContext({
+            confidence: pattern.confidence,
+            span,
+            source: { strategy: 'regex', pattern: `affection.${pattern.name}` }
+          }, context);
 
           if (pattern.type === 'absolute') {
             // 绝对值
             return {
               delta: value - currentAffection,
               newValue: value,
-              currentValue: currentAffection
+              currentValue: currentAffection,
+              ...provenance
             };
           } else {
             // 相对变化
@@ -150,7 +273,8 @@ class StateExtractor {
             return {
               delta,
               newValue: currentAffection + delta,
-              currentValue: currentAffection
+              currentValue: currentAffection,
+              ...provenance
             };
           }
         }
@@ -174,21 +298,32 @@ class StateExtractor {
    * 提取情绪
    *
    * @param {string} text - 文本内容
-   * @returns {Object|null} 情绪 { emotion, confidence } 或 null
+   * @param {Object} clauses - analyzeClauses() 的结果（可选，遮盖文本时传入原文的分析）
+   * @returns {Object|null} 情绪 { emotion, confidence, span, source } 或 null
    */
-  extractEmotion(text) {
+  extractEmotion(text, clauses = analyzeClauses(text)) {
     try {
       const emotionScores = {};
+      // 每种情绪最早计分的关键词位置
+      const firstMatches = {};
 
-      // 计算每种情绪的匹配分数
+      // 计算每种情绪的匹配分数（否定、假设、疑问中的关键词不计分，引语和转述中减半）
       for (const [emotion, keywords] of Object.entries(this.emotionKeywords)) {
         let score = 0;
         for (const keyword of keywords) {
           // 使用正则匹配，忽略大小写
-          const regex = new RegExp(keyword, 'gi');
-          const matches = text.match(regex);
-          if (matches) {
-            score += matches.length;
+          for (const match of text.matchAll(new RegExp(escapeRegExp(keyword), 'gi'))) {
+            const span = { start: match.index, end: match.index + match[0].length };
+            const context = spanContext(clauses, span);
+            if (context.suppressed) {
+              continue;
+            }
+
+            score += context.weight;
+
+            if (!firstMatches[emotion] || span.start < firstMatches[emotion].span.start) {
+              firstMatches[emotion] = { span, keyword, context };
+            }
           }
         }
         if (score > 0) {
@@ -205,15 +340,24 @@ class StateExtractor {
         .sort((a, b) => b[1] - a[1]);
 
       const [emotion, score] = sortedEmotions[0];
+      const { span, keyword, context } = firstMatches[emotion];
 
-      return {
+      const result = {
         emotion,
-        confidence: Math.min(score / 3, 1), // 归一化到 0-1
+        confidence: Math.min(score / 3, 1), // 归一化到 0-1（已按语境加权）
         alternatives: sortedEmotions.slice(1, 3).map(([e, s]) => ({
           emotion: e,
           confidence: Math.min(s / 3, 1)
-        }))
+        })),
+        span,
+        source: { strategy: 'regex', pattern: `emotion.${emotion}:${keyword}` }
       };
+
+      if (context.weight < 1) {
+        result.context = context.flags;
+      }
+
+      return result;
     } catch (error) {
       this.logger.error('Failed to extract emotion', {
         error: error.message
@@ -230,25 +374,31 @@ class StateExtractor {
    * 提取位置变化
    *
    * @param {string} text - 文本内容
-   * @returns {Object|null} 位置 { location } 或 null
+   * @param {Object} clauses - analyzeClauses() 的结果（可选，遮盖文本时传入原文的分析）
+   * @returns {Object|null} 位置 { location, keyword, confidence, span, source } 或 null
    */
-  extractLocationChange(text) {
+  extractLocationChange(text, clauses = analyzeClauses(text)) {
     try {
-      // 寻找位置关键词后的内容
+      // 寻找位置关键词后的内容（跳过否定、假设、疑问中的命中）
       for (const keyword of this.locationKeywords) {
-        const regex = new RegExp(`${keyword}[了]?(.{2,10})`, 'i');
-        const match = text.match(regex);
+        const regex = new RegExp(`${escapeRegExp(keyword)}[了]?(.{2,10})`, 'gi');
 
-        if (match) {
+        for (const match of text.matchAll(regex)) {
           // 提取位置名称（去除标点符号）
           let location = match[1].trim();
           location = location.replace(/[。，！？；、,!?;].*/, '');
 
-          if (location.length > 0) {
-            return {
+          const span = tailSpan(match, match[1], location);
+          const context = spanContext(clauses, span);
+
+          if (location.length > 0 && !context.suppressed) {
+            return withContext({
               location,
-              keyword
-            };
+              keyword,
+              confidence: this.locationConfidence,
+              span,
+              source: { strategy: 'regex', pattern: `location:${keyword}` }
+            }, context);
           }
         }
       }
@@ -271,68 +421,40 @@ class StateExtractor {
    *
    * @param {string} characterId - 角色 ID
    * @param {string} text - 文本内容
+   * @param {Object} clauses - analyzeClauses() 的结果（可选，遮盖文本时传入原文的分析）
    * @returns {Array} 库存变化列表
    */
-  extractInventoryChanges(characterId, text) {
+  extractInventoryChanges(characterId, text, clauses = analyzeClauses(text)) {
     const changes = [];
 
     try {
-      // 检测添加物品
-      for (const pattern of this.inventoryPatterns.add) {
-        const matches = [...text.matchAll(new RegExp(pattern.regex, 'gi'))];
-
-        for (const match of matches) {
-          let item_name, quantity;
-
-          if (match[0].match(/gave/i)) {
-            // 英文格式: gave you 3 apples
-            quantity = match[1] ? parseInt(match[1]) : 1;
-            item_name = match[2];
-          } else {
-            // 中文格式: 捕获组1是数量，捕获组2是物品名
-            quantity = match[1] ? this._parseChineseNumber(match[1]) : 1;
-            item_name = match[2];
-          }
-
-          if (item_name) {
-            item_name = item_name.trim().replace(/[。，！？；、,!?;].*/, '');
-
-            changes.push({
-              action: 'add',
+      // 检测添加和移除物品（模式用命名捕获组 item / quantity / measure）
+      for (const action of ['add', 'remove']) {
+        for (const pattern of this.inventoryPatterns[action]) {
+          for (const match of text.matchAll(new RegExp(pattern.regex, 'gi'))) {
+            const { item: captured, quantity, measure } = match.groups;
+            if (!captured) {
+              continue;
+            }
+
+            const item_name = captured.trim().replace(/[。，！？；、,!?;].*/, '');
+
+            // 否定、假设、疑问中的命中不计入（“如果你给我一把剑”）
+            const span = tailSpan(match, captured, item_name);
+            const context = spanContext(clauses, span);
+            if (context.suppressed) {
+              continue;
+            }
+
+            changes.push(withContext({
+              action,
               item_name,
-              quantity,
-              character_id: characterId
-            });
-          }
-        }
-      }
-
-      // 检测移除物品
-      for (const pattern of this.inventoryPatterns.remove) {
-        const matches = [...text.matchAll(new RegExp(pattern.regex, 'gi'))];
-
-        for (const match of matches) {
-          let item_name, quantity;
-
-          if (match[0].match(/took/i)) {
-            // 英文格式: took your sword
-            item_name = match[1];
-            quantity = 1;
-          } else {
-            // 中文格式: 捕获组1是数量，捕获组2是物品名
-            quantity = match[1] ? this._parseChineseNumber(match[1]) : 1;
-            item_name = match[2];
-          }
-
-          if (item_name) {
-            item_name = item_name.trim().replace(/[。，！？；、,!?;].*/, '');
-
-            changes.push({
-              action: 'remove',
-              item_name,
-              quantity,
-              character_id: characterId
-            });
+              ...this._quantityOf(quantity, measure),
+              character_id: characterId,
+              confidence: pattern.confidence,
+              span,
+              source: { strategy: 'regex', pattern: `inventory.${pattern.name}` }
+            }, context));
           }
         }
       }
@@ -348,22 +470,18 @@ class StateExtractor {
   }
 
   /**
-   * 解析中文数字
+   * 数量、量词和约数/分数标记（“两打” => 24，“半瓶” => 0.5，“几个” => 约 3）
    * @private
    */
-  _parseChineseNumber(str) {
-    const chineseNumbers = {
-      '一': 1, '两': 2, '二': 2, '三': 3, '四': 4,
-      '五': 5, '六': 6, '七': 7, '八': 8, '九': 9, '十': 10
+  _quantityOf(numeral, measure) {
+    const { quantity, unit, approximate, fractional } = parseQuantity(numeral, measure, this.measureMultipliers);
+
+    return {
+      quantity,
+      ...(unit && { unit }),
+      ...(approximate && { approximate }),
+      ...(fractional && { fractional })
     };
-
-    // 如果是阿拉伯数字，直接返回
-    if (/^\d+$/.test(str)) {
-      return parseInt(str);
-    }
-
-    // 简单的中文数字转换
-    return chineseNumbers[str] || 1;
   }
 
   // ============================================
@@ -391,10 +509,14 @@ class StateExtractor {
 
       // 检测重要性
       let importance = 1;
+      let importanceKeyword = null;
       for (const [level, keywords] of Object.entries(importanceKeywords)) {
         for (const keyword of keywords) {
           if (text.toLowerCase().includes(keyword.toLowerCase())) {
-            importance = Math.max(importance, parseInt(level));
+            if (parseInt(level) > importance) {
+              importance = parseInt(level);
+              importanceKeyword = keyword;
+            }
             break;
           }
         }
@@ -421,12 +543,21 @@ class StateExtractor {
 
       // 如果有明显的事件特征，添加事件
       if (importance >= 2 || participants.length > 0) {
+        const description = text.slice(0, 200); // 截取前200字符
+
         events.push({
           event_type: 'general',
-          description: text.slice(0, 200), // 截取前200字符
+          description,
           timestamp: Date.now(),
           importance,
-          participants: [...new Set(participants)] // 去重
+          participants: [...new Set(participants)], // 去重
+          // 整段文本作为事件描述，置信度随重要性关键词提高
+          confidence: Math.min(0.3 + importance * 0.1, 0.8),
+          span: { start: 0, end: description.length },
+          source: {
+            strategy: 'regex',
+            pattern: importanceKeyword ? `events.importance:${importanceKeyword}` : 'events.participants'
+          }
         });
       }
 
@@ -444,27 +575,119 @@ class StateExtractor {
   // ============================================
 
   /**
-   * 从文本中提取所有状态
+   * 从文本中提取所有状态（正则和关键词，同步）
+   *
+   * 回复中的状态标签优先：标签提到的字段以标签为准，格式错误的标签记入 warnings。
+   * 需要按 mode 使用 LLM 提取时调用 extractAllStatesAsync()
    *
    * @param {string} characterId - 角色 ID
    * @param {string} text - 文本内容
    * @returns {Object} 所有提取的状态
    */
   extractAllStates(characterId, text) {
+    const parsed = this.parseStateTags(text);
+
+    return this._applyStateTags(
+      characterId,
+      this.extractWithPatterns(characterId, parsed.text),
+      parsed
+    );
+  }
+
+  /**
+   * 按 mode 从文本中提取所有状态
+   *
+   * llm 模式下调用 LLM（失败时回退到正则结果）；regex 模式下与 extractAllStates() 相同。
+   * 有状态标签时不再调用 LLM，标签未提到的字段由正则补充
+   *
+   * @param {string} characterId - 角色 ID
+   * @param {string} text - 文本内容
+   * @returns {Promise<Object>} 所有提取的状态（结构同 extractAllStates()）
+   */
+  async extractAllStatesAsync(characterId, text) {
+    if (this.mode !== EXTRACTION_MODES.LLM) {
+      return this.extractAllStates(characterId, text);
+    }
+
+    const parsed = this.parseStateTags(text);
+    if (parsed.tags.some(tag => tag.data)) {
+      return this._applyStateTags(
+        characterId,
+        this.extractWithPatterns(characterId, parsed.text),
+        parsed
+      );
+    }
+
+    const result = await this.extractWithLLM(characterId, parsed.text);
+    return { ...result, warnings: parsed.warnings };
+  }
+
+  /**
+   * 使用正则和关键词提取所有状态
+   *
+   * 文中提到其他角色时，按角色区域分别提取（见 attribution.js）：
+   * 顶层字段为 characterId 本人的变化，其他角色的变化在 byCharacter 中
+   *
+   * @param {string} characterId - 角色 ID（默认归属的角色）
+   * @param {string} text - 文本内容
+   * @returns {Object} 所有提取的状态 { affection, emotion, location, inventory, events, byCharacter }
+   */
+  extractWithPatterns(characterId, text) {
     const timer = this.logger.startTimer('extractAllStates');
 
     try {
-      const result = {
-        affection: this.extractAffectionChange(characterId, text),
-        emotion: this.extractEmotion(text),
-        location: this.extractLocationChange(text),
-        inventory: this.extractInventoryChanges(characterId, text),
-        events: this.extractEvents(text)
+      const clauses = analyzeClauses(text);
+      const mentions = findMentions(text, this._characters());
+
+      const events = this.extractEvents(text);
+      for (const event of events) {
+        event.participants = [...new Set([...event.participants, ...mentions.map(m => this._characterName(m))])];
+      }
+
+      // 只提到了本人（或没有提到任何角色）
+      if (!mentions.some(m => m.characterId !== characterId)) {
+        timer.done('extractAllStates');
+
+        return {
+          ...this._extractCharacterChanges(characterId, text, clauses),
+          events,
+          byCharacter: {}
+        };
+      }
+
+      const changes = new Map();
+      const changesOf = id => {
+        if (!changes.has(id)) {
+          changes.set(id, { affection: null, emotion: null, location: null, inventory: [] });
+        }
+        return changes.get(id);
       };
 
+      const regions = attributeRegions(text, mentions, characterId, clauses);
+      for (const [id, ranges] of regions) {
+        Object.assign(changesOf(id), this._extractCharacterChanges(id, maskText(text, ranges), clauses));
+      }
+
+      // “给了 Bob 一把剑”：接收的角色获得物品，给出的角色失去物品
+      for (const transfer of this._extractTransfers(text, mentions, clauses, regions, characterId)) {
+        changesOf(transfer.character_id).inventory.push(transfer);
+      }
+
+      const byCharacter = {};
+      for (const [id, change] of changes) {
+        if (id !== characterId && hasChanges(change)) {
+          byCharacter[id] = change;
+        }
+      }
+
       timer.done('extractAllStates');
 
-      return result;
+      this.logger.debug('Changes attributed to characters', {
+        characterId,
+        characters: Object.keys(byCharacter)
+      });
+
+      return { ...changesOf(characterId), events, byCharacter };
     } catch (error) {
       this.logger.error('Failed to extract all states', {
         error: error.message,
@@ -474,6 +697,411 @@ class StateExtractor {
     }
   }
 
+  /**
+   * 提取一个角色的状态变化（不含事件）
+   * @private
+   */
+  _extractCharacterChanges(characterId, text, clauses) {
+    return {
+      affection: this.extractAffectionChange(characterId, text, clauses),
+      emotion: this.extractEmotion(text, clauses),
+      location: this.extractLocationChange(text, clauses),
+      inventory: this.extractInventoryChanges(characterId, text, clauses)
+    };
+  }
+
+  /**
+   * 提取交给其他角色的物品（“给了 Bob 一把剑”、“gave Bob a sword”）
+   * 接收的角色记为 add，动词所在区域的角色（句子主语，主语就是接收者时为默认角色）记为 remove
+   * @private
+   */
+  _extractTransfers(text, mentions, clauses, regions, defaultId) {
+    const transfers = [];
+
+    for (const mention of mentions) {
+      const before = text.slice(Math.max(0, mention.start - 8), mention.start);
+      const after = text.slice(mention.end);
+
+      const zh = before.match(/(?:给|递给|交给|送给)了?\s*$/);
+      const en = before.match(/\b(?:gave|hands?|handed)\s+$/i);
+      if (!zh && !en) {
+        continue;
+      }
+
+      const match = zh
+        ? after.match(new RegExp(
+          `^\\s*(?<quantity>${numeralPattern(this.measurePattern)})?\\s*(?<measure>${this.measurePattern})?\\s*(?<item>.+)`
+        ))
+        : after.match(/^\s+(?:(?<quantity>\d+)\s+|(?:an?|the)\s+)?(?<item>.+)/i);
+      if (!match) {
+        continue;
+      }
+
+      const { quantity, measure, item } = match.groups;
+      const item_name = item.trim().replace(/(?:[。，！？；、,!?;.]|\s+(?:and|then|but)\b).*/i, '');
+      if (!item_name) {
+        continue;
+      }
+
+      const start = mention.start - (zh || en)[0].length;
+      const span = { start, end: mention.end + match[0].length - item.trimStart().length + item_name.length };
+      const context = spanContext(clauses, span);
+      if (context.suppressed) {
+        continue;
+      }
+
+      const transfer = {
+        item_name,
+        ...this._quantityOf(quantity, measure),
+        confidence: 0.7,
+        span,
+        source: { strategy: 'regex', pattern: zh ? 'inventory.zh.give-to' : 'inventory.en.gave-to' }
+      };
+      // 句中只提到接收者时它也是句子主语，此时由默认角色给出
+      const owner = [...regions].find(([, ranges]) => ranges.some(r => r.start <= start && start < r.end))?.[0];
+      const giver = owner && owner !== mention.characterId ? owner : defaultId;
+
+      transfers.push(withContext({ ...transfer, action: 'add', character_id: mention.characterId }, context));
+      if (giver !== mention.characterId) {
+        transfers.push(withContext({ ...transfer, action: 'remove', character_id: giver }, context));
+      }
+    }
+
+    return transfers;
+  }
+
+  /**
+   * 所有角色（用于识别名字和别名）
+   * @private
+   */
+  _characters() {
+    return this.db ? this.db.getAll('characters') : [];
+  }
+
+  /**
+   * 提到的角色的正式名字
+   * @private
+   */
+  _characterName(mention) {
+    return this.stateManager.getCharacterState(mention.characterId)?.name || mention.name;
+  }
+
+  /**
+   * 使用 LLM 提取所有状态（快速模型，JSON Schema 校验）
+   * 调用失败、JSON 无法解析或不符合 Schema 时回退到正则提取
+   *
+   * @param {string} characterId - 角色 ID
+   * @param {string} text - 文本内容
+   * @returns {Promise<Object>} 所有提取的状态（结构同 extractWithPatterns()）
+   */
+  async extractWithLLM(characterId, text) {
+    const timer = this.logger.startTimer('extractWithLLM');
+    const character = this.stateManager.getCharacterState(characterId);
+
+    try {
+      const variables = {
+        schema: JSON.stringify(STATE_EXTRACTION_SCHEMA),
+        emotions: EMOTIONS.join(' / '),
+        text
+      };
+      if (character) {
+        variables.characterName = character.name;
+        variables.affection = character.affection || 0;
+        variables.emotion = character.emotion || 'neutral';
+      }
+
+      const response = await this.llmClient.generate({
+        messages: [{ role: 'user', content: this.promptManager.render('state-extraction', variables) }],
+        taskType: TASK_TYPES.STATE_MANAGEMENT,
+        maxTokens: this.maxTokens,
+        temperature: 0
+      });
+
+      const data = parseJsonObject(response.content);
+      const errors = validateSchema(data, STATE_EXTRACTION_SCHEMA);
+      if (errors.length > 0) {
+        throw new Error(`Schema validation failed: ${errors.join('; ')}`);
+      }
+
+      const provenance = {
+        text,
+        confidence: LLM_CONFIDENCE,
+        source: { strategy: 'llm', pattern: 'state-extraction' }
+      };
+      const result = {
+        ...this._fromStructured(characterId, character, data, provenance),
+        byCharacter: this._structuredByCharacter(characterId, data.characters || [], provenance)
+      };
+
+      timer.done('extractWithLLM');
+
+      return result;
+    } catch (error) {
+      this.logger.warn('LLM extraction failed, falling back to patterns', {
+        characterId,
+        error: error.message
+      });
+      return this.extractWithPatterns(characterId, text);
+    }
+  }
+
+  /**
+   * 结构化数据（LLM 输出或状态标签）=> extractAllStates 结构
+   *
+   * @param {Object} provenance - 来源 { text, confidence, source }
+   * text 为 null 时（状态标签）不定位 span
+   * @private
+   */
+  _fromStructured(characterId, character, data, provenance) {
+    const currentAffection = character?.affection || 0;
+    const { text, confidence, source } = provenance;
+    const locate = needle => (text ? findSpan(text, needle) : null);
+
+    // 与正则提取一致：角色不存在时不提取好感度
+    const change = character ? data.affection : null;
+
+    let affection = null;
+    if (change?.value !== undefined) {
+      affection = {
+        delta: change.value - currentAffection,
+        newValue: change.value,
+        currentValue: currentAffection
+      };
+    } else if (change?.delta) {
+      affection = {
+        delta: change.delta,
+        newValue: currentAffection + change.delta,
+        currentValue: currentAffection
+      };
+    }
+
+    return {
+      affection: affection && { ...affection, confidence, span: null, source },
+      emotion: data.emotion
+        ? {
+          emotion: data.emotion.emotion,
+          confidence: data.emotion.confidence ?? confidence,
+          alternatives: [],
+          span: null,
+          source
+        }
+        : null,
+      location: data.location
+        ? {
+          location: data.location.location.trim(),
+          confidence,
+          span: locate(data.location.location.trim()),
+          source
+        }
+        : null,
+      inventory: data.inventory.map(item => ({
+        action: item.action,
+        item_name: item.item_name.trim(),
+        quantity: item.quantity || 1,
+        character_id: characterId,
+        confidence,
+        span: locate(item.item_name.trim()),
+        source
+      })),
+      events: data.events.map(event => ({
+        event_type: event.event_type || 'general',
+        description: event.description,
+        timestamp: Date.now(),
+        importance: event.importance || 1,
+        participants: event.participants || [],
+        confidence,
+        span: locate(event.description),
+        source
+      }))
+    };
+  }
+
+  /**
+   * LLM 输出中其他角色的变化 => byCharacter（按名字和别名解析角色，未知的名字忽略）
+   * @private
+   */
+  _structuredByCharacter(characterId, entries, provenance) {
+    const characters = this._characters();
+    const byCharacter = {};
+
+    for (const { name, ...data } of entries) {
+      const key = name.trim().toLowerCase();
+      const character = characters.find(c => characterNames(c).some(n => n.toLowerCase() === key));
+
+      if (!character || character.id === characterId) {
+        this.logger.debug('Ignoring changes for unresolved character', { name });
+        continue;
+      }
+
+      const { events, ...changes } = this._fromStructured(character.id, character, {
+        affection: null,
+        emotion: null,
+        location: null,
+        inventory: [],
+        ...data,
+        events: []
+      }, provenance);
+
+      if (hasChanges(changes)) {
+        byCharacter[character.id] = changes;
+      }
+    }
+
+    return byCharacter;
+  }
+
+  // ============================================
+  // 状态标签
+  // ============================================
+
+  /**
+   * 解析回复中的状态标签，并从文本中移除
+   *
+   * @param {string} text - 模型回复
+   * @returns {Object} { text, tags, warnings }
+   * - text：去掉标签后的文本（展示给用户）
+   * - tags：[{ raw, data }]，data 为标签中的字段（格式错误时为 null）
+   * - warnings：格式错误的标签（结构同验证警告）
+   *
+   * @example
+   * extractor.parseStateTags('她笑了。<state>{"affection": +5}</state>');
+   * // => { text: '她笑了。', tags: [{ raw: '<state>…', data: { affection: 5 } }], warnings: [] }
+   */
+  parseStateTags(text) {
+    const { text: visible, blocks, unclosed } = scanStateTags(text || '');
+    const tags = [];
+    const warnings = [];
+
+    const warn = (raw, message) => {
+      warnings.push({ field: 'state_tag', message, severity: SEVERITY.WARNING, tag: raw });
+    };
+
+    for (const { raw, body } of blocks) {
+      try {
+        const { data, unknown } = this._structuredFromTag(parseTagBody(body));
+
+        const errors = Object.entries(data).flatMap(([key, value]) =>
+          validateSchema(value, STATE_EXTRACTION_SCHEMA.properties[key], `$.${key}`)
+        );
+        if (errors.length > 0) {
+          throw new Error(errors.join('; '));
+        }
+
+        if (unknown.length > 0) {
+          warn(raw, `Unknown state tag fields: ${unknown.join(', ')}`);
+        }
+
+        tags.push({ raw, data });
+      } catch (error) {
+        warn(raw, `Malformed state tag: ${error.message}`);
+        tags.push({ raw, data: null });
+      }
+    }
+
+    if (unclosed) {
+      warn(unclosed, 'Unclosed state tag');
+      tags.push({ raw: unclosed, data: null });
+    }
+
+    if (warnings.length > 0) {
+      this.logger.warn('Invalid state tags in response', {
+        warnings: warnings.map(w => w.message)
+      });
+    }
+
+    return {
+      text: visible.replace(/\n{3,}/g, '\n\n').trim(),
+      tags,
+      warnings
+    };
+  }
+
+  /**
+   * 标签字段 => 结构化提取格式（STATE_EXTRACTION_SCHEMA 的字段）
+   * @private
+   */
+  _structuredFromTag(fields) {
+    const data = {};
+    const unknown = [];
+    const asList = value => (Array.isArray(value) ? value : [value]);
+
+    for (const [key, value] of Object.entries(fields)) {
+      switch (key) {
+        case 'affection':
+          data.affection = typeof value === 'object' && value !== null ? value : { delta: Number(value) };
+          break;
+        case 'emotion':
+          data.emotion = typeof value === 'string' ? { emotion: value } : value;
+          break;
+        case 'location':
+          data.location = typeof value === 'string' ? { location: value } : value;
+          break;
+        case 'gain':
+        case 'lose': {
+          const action = key === 'gain' ? 'add' : 'remove';
+          data.inventory = [
+            ...(data.inventory || []),
+            ...asList(value).map(item => (typeof item === 'string' ? { action, item_name: item } : { action, ...item }))
+          ];
+          break;
+        }
+        case 'inventory':
+          data.inventory = [...(data.inventory || []), ...asList(value)];
+          break;
+        case 'event':
+        case 'events':
+          data.events = [
+            ...(data.events || []),
+            ...asList(value).map(event => (typeof event === 'string' ? { description: event } : event))
+          ];
+          break;
+        default:
+          unknown.push(key);
+      }
+    }
+
+    return { data, unknown };
+  }
+
+  /**
+   * 用状态标签覆盖提取结果（多个标签按顺序合并：列表累积，其余字段后者覆盖前者）
+   * @private
+   */
+  _applyStateTags(characterId, result, parsed) {
+    const tags = parsed.tags.filter(tag => tag.data && Object.keys(tag.data).length > 0);
+    if (tags.length === 0) {
+      return { ...result, warnings: parsed.warnings };
+    }
+
+    const character = this.stateManager.getCharacterState(characterId);
+    const merged = {};
+
+    for (const { raw, data } of tags) {
+      const structured = this._fromStructured(characterId, character, {
+        affection: null,
+        emotion: null,
+        location: null,
+        inventory: [],
+        events: [],
+        ...data
+      }, {
+        text: null,
+        confidence: 1,
+        source: { strategy: 'tag', pattern: raw }
+      });
+
+      for (const field of Object.keys(data)) {
+        merged[field] = Array.isArray(structured[field])
+          ? [...(merged[field] || []), ...structured[field]]
+          : structured[field];
+      }
+    }
+
+    this.logger.debug('State tags applied', { characterId, fields: Object.keys(merged) });
+
+    return { ...result, ...merged, warnings: parsed.warnings };
+  }
+
   // ============================================
   // 自定义模式
   // ============================================
@@ -527,6 +1155,203 @@ class StateExtractor {
   }
 }
 
+/**
+ * 状态标签流式过滤器：逐段输出回复时隐藏状态标签
+ * 可能是标签开头的片段会暂存，直到确认不是标签或标签结束
+ *
+ * @example
+ * const filter = new StateTagFilter();
+ * for await (const chunk of stream) {
+ *   const visible = filter.push(chunk);
+ *   if (visible) yield visible;
+ * }
+ * const rest = filter.flush();
+ */
+export class StateTagFilter {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * 追加一段文本，返回可以展示的部分
+   *
+   * @param {string} chunk - 文本增量
+   * @returns {string} 可展示的文本
+   */
+  push(chunk) {
+    const { text, unclosed } = scanStateTags(this.buffer + chunk);
+
+    if (unclosed) {
+      this.buffer = unclosed;
+      return text;
+    }
+
+    // 末尾可能是标签开头（如 "<sta"），暂不输出
+    const lower = text.toLowerCase();
+    let hold = 0;
+    for (const { opener } of STATE_TAGS) {
+      for (let length = Math.min(opener.length - 1, lower.length); length > hold; length--) {
+        if (lower.endsWith(opener.slice(0, length))) {
+          hold = length;
+          break;
+        }
+      }
+    }
+
+    this.buffer = text.slice(text.length - hold);
+    return text.slice(0, text.length - hold);
+  }
+
+  /**
+   * 流结束，返回剩余可展示的文本（未闭合的标签丢弃）
+   *
+   * @returns {string} 可展示的文本
+   */
+  flush() {
+    const { text } = scanStateTags(this.buffer);
+    this.buffer = '';
+    return text;
+  }
+}
+
+/**
+ * 扫描状态标签
+ * 返回去掉完整标签后的文本、标签列表，以及未闭合的标签（从开头到文本末尾）
+ */
+function scanStateTags(text) {
+  const blocks = [];
+  let visible = '';
+  let rest = text;
+
+  while (rest) {
+    const lower = rest.toLowerCase();
+    const starts = STATE_TAGS
+      .map(tag => ({ tag, index: lower.indexOf(tag.opener) }))
+      .filter(({ index }) => index >= 0)
+      .sort((a, b) => a.index - b.index);
+
+    if (starts.length === 0) {
+      visible += rest;
+      break;
+    }
+
+    const { tag, index } = starts[0];
+    visible += rest.slice(0, index);
+    rest = rest.slice(index);
+
+    const match = rest.match(tag.pattern);
+    if (!match) {
+      return { text: visible, blocks, unclosed: rest };
+    }
+
+    blocks.push({ raw: match[0], body: match[1].trim() });
+    rest = rest.slice(match[0].length);
+  }
+
+  return { text: visible, blocks, unclosed: null };
+}
+
+/**
+ * 解析标签内容：JSON 对象（数字可带 + 号），或 key=value / key+5 列表
+ */
+function parseTagBody(body) {
+  if (body.startsWith('{')) {
+    return JSON.parse(body.replace(/([:[,]\s*)\+(\d)/g, '$1$2'));
+  }
+
+  const fields = {};
+
+  for (const part of body.split(/[,，;；]/).map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^([a-z_]+)\s*(?:[:=：]\s*|(?=[+-]\d))(.+)$/i);
+    if (!match) {
+      throw new Error(`Invalid field: ${part}`);
+    }
+
+    const key = match[1].toLowerCase();
+    const raw = match[2].trim();
+    const value = /^[+-]?\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+
+    if (TAG_LIST_FIELDS.includes(key)) {
+      fields[key] = [...(fields[key] || []), value];
+    } else {
+      fields[key] = value;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * 是否有任何状态变化
+ */
+function hasChanges(change) {
+  return Boolean(change.affection || change.emotion || change.location || change.inventory.length > 0);
+}
+
+/**
+ * 按分句语境调整置信度（引语、转述中降级），并记录降级原因
+ */
+function withContext(item, context) {
+  if (context.weight >= 1) {
+    return item;
+  }
+
+  return {
+    ...item,
+    confidence: item.confidence * context.weight,
+    context: context.flags
+  };
+}
+
+/**
+ * 命中位置：从匹配开头到名称结尾
+ * captured 为匹配末尾的捕获组，name 为从中截取（去空白、截断标点）后的名称
+ */
+function tailSpan(match, captured, name) {
+  const nameStart = match.index + match[0].length - captured.trimStart().length;
+  return { start: match.index, end: nameStart + name.length };
+}
+
+/**
+ * 转义正则特殊字符（模式包中的关键词按原文匹配）
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 校验直接传入的模式包对象
+ */
+function checkedPack(pack) {
+  const errors = validatePack(pack);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pattern pack ${pack?.name}: ${errors.join('; ')}`);
+  }
+  return pack;
+}
+
+/**
+ * 在文本中定位一段内容（LLM 结果没有位置信息，按原文查找）
+ */
+function findSpan(text, needle) {
+  const start = needle ? text.indexOf(needle) : -1;
+  return start >= 0 ? { start, end: start + needle.length } : null;
+}
+
+/**
+ * 从模型输出中解析 JSON 对象（允许 ```json 代码块和前后多余文字）
+ */
+function parseJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start < 0 || end < start) {
+    throw new Error('No JSON object in response');
+  }
+
+  return JSON.parse(text.slice(start, end + 1));
+}
+
 /**
  * 导出
  */
@@ -0,0 +1,353 @@
+/**
+ * Gazetteer - 地点名录
+ *
+ * 功能：
+ * - 把提取到的地点名解析到 locations 表中已有的地点（名字、别名、规范化名、前缀、模糊匹配）
+ * - 登记新地点（规范名 + 别名），避免同一地点的不同说法各建一行
+ * - 为已有地点添加别名
+ *
+ * 规范化：
+ * - 去掉标点，英文转小写并去掉开头的冠词（the / a / an）
+ * - 去掉开头的指示词 + 量词（“那家酒馆” => “酒馆”）
+ * - 去掉结尾的方位词（“酒馆里” => “酒馆”），去掉后至少保留两个字（“城里”不变）
+ *
+ * 匹配顺序：名字 > 别名 > 规范化名 > 前缀（已知地点名是提取结果的开头，
+ * 如“酒馆坐下”）> 模糊匹配（字符二元组的 Dice 系数 ≥ threshold）
+ *
+ * @module state/gazetteer
+ * @version 0.1.0
+ */
+
+import { logger } from '../core/logger.js';
+import { config } from '../core/config.js';
+import DatabaseManager from '../core/database.js';
+import StateManager from './manager.js';
+
+/**
+ * 未知地点的处理策略
+ * - create：登记为新地点
+ * - ask：不应用，记为警告并附上相近的候选地点，等待确认
+ * - reject：不应用，记为警告
+ */
+export const UNKNOWN_LOCATION_POLICIES = {
+  CREATE: 'create',
+  ASK: 'ask',
+  REJECT: 'reject'
+};
+
+/**
+ * 开头的指示词 + 量词
+ */
+const DEMONSTRATIVE_PATTERN = /^[那这一][家间座个片条所栋处扇]/;
+
+/**
+ * 结尾的方位词（较长的优先）
+ */
+const LOCALIZERS = [
+  '里面', '里头', '外面', '门口', '附近', '旁边', '深处', '一带', '中央',
+  '里', '内', '中', '外', '上', '下', '边'
+];
+
+/**
+ * 前缀匹配和候选地点的分数
+ */
+const PREFIX_SCORE = 0.9;
+const CANDIDATE_MIN_SCORE = 0.3;
+const MAX_CANDIDATES = 3;
+
+/**
+ * 去掉地点名中的冠词、指示词和方位词（保留大小写，用作登记时的规范名）
+ *
+ * @param {string} name - 地点名
+ * @returns {string} 规范名
+ *
+ * @example
+ * canonicalPlaceName('那家酒馆里'); // => '酒馆'
+ * canonicalPlaceName('the Old Mill.'); // => 'Old Mill'
+ */
+export function canonicalPlaceName(name) {
+  let text = String(name ?? '')
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:the|a|an)\s+/i, '')
+    .replace(DEMONSTRATIVE_PATTERN, '');
+
+  const localizer = LOCALIZERS.find(word => text.endsWith(word));
+  if (localizer && [...text].length - [...localizer].length >= 2) {
+    text = text.slice(0, -localizer.length);
+  }
+
+  return text.trim();
+}
+
+/**
+ * 规范化地点名（用于比较）
+ *
+ * @param {string} name - 地点名
+ * @returns {string} 规范化名
+ *
+ * @example
+ * normalizePlaceName('The Tavern'); // => 'tavern'
+ */
+export function normalizePlaceName(name) {
+  return canonicalPlaceName(name).toLowerCase();
+}
+
+/**
+ * 地点名的相似度（字符二元组的 Dice 系数，0-1）
+ *
+ * @param {string} a - 规范化名
+ * @param {string} b - 规范化名
+ * @returns {number} 相似度
+ *
+ * @example
+ * similarity('铁匠铺', '老铁匠铺'); // => 0.8
+ */
+export function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  const x = bigrams(a);
+  const y = bigrams(b);
+  if (x.length === 0 || y.length === 0) {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const gram of y) {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (const gram of x) {
+    if (counts.get(gram) > 0) {
+      overlap++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  }
+
+  return (2 * overlap) / (x.length + y.length);
+}
+
+/**
+ * Gazetteer 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const gazetteer = new Gazetteer({ db });
+ *
+ * gazetteer.register('Tavern', { aliases: ['酒馆'] });
+ * gazetteer.resolve('那家酒馆里');
+ * // => { location: { name: 'Tavern', ... }, match: 'normalized', score: 1, ... }
+ * ```
+ */
+class Gazetteer {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   * @param {StateManager} options.stateManager - 状态管理器
+   * @param {number} options.threshold - 模糊匹配的最低相似度 0-1（默认: 配置 state.locations.fuzzyThreshold）
+   */
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseManager();
+    this.stateManager = options.stateManager || new StateManager({ db: this.db });
+    this.threshold = options.threshold ?? config.get('state.locations.fuzzyThreshold', 0.75);
+
+    this.logger = logger.child({ module: 'Gazetteer' });
+  }
+
+  /**
+   * 把地点名解析到已有地点
+   *
+   * @param {string} name - 地点名（通常是提取结果）
+   * @returns {Object} { location, match, score, normalized, candidates }
+   *   match 为 exact | alias | normalized | prefix | fuzzy，未找到时 location 和 match 为 null，
+   *   candidates 为相近的地点 [{ id, name, score }]（按分数降序）
+   */
+  resolve(name) {
+    const raw = String(name ?? '').trim();
+    const normalized = normalizePlaceName(raw);
+    const result = { location: null, match: null, score: 0, normalized, candidates: [] };
+
+    if (!normalized) {
+      return result;
+    }
+
+    const locations = this._locations();
+    const found = (location, match, score) => ({
+      ...result,
+      location: this.stateManager.getLocation(location.id),
+      match,
+      score
+    });
+
+    const exact = locations.find(location => location.name === raw);
+    if (exact) {
+      return found(exact, 'exact', 1);
+    }
+
+    const alias = locations.find(location => location.aliases.includes(raw));
+    if (alias) {
+      return found(alias, 'alias', 1);
+    }
+
+    const same = locations.find(location => location.normalized.includes(normalized));
+    if (same) {
+      return found(same, 'normalized', 1);
+    }
+
+    // 提取结果多带了后面的字（“酒馆坐下”）：取最长的已知地点名
+    let prefix = null;
+    let prefixLength = 0;
+    for (const location of locations) {
+      for (const known of location.normalized) {
+        if (known.length > prefixLength && isPrefix(known, normalized)) {
+          prefix = location;
+          prefixLength = known.length;
+        }
+      }
+    }
+    if (prefix) {
+      return found(prefix, 'prefix', PREFIX_SCORE);
+    }
+
+    const scored = locations
+      .map(location => ({
+        location,
+        score: Math.max(...location.normalized.map(known => similarity(known, normalized)))
+      }))
+      .filter(({ score }) => score >= CANDIDATE_MIN_SCORE)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length > 0 && scored[0].score >= this.threshold) {
+      return found(scored[0].location, 'fuzzy', round(scored[0].score));
+    }
+
+    result.candidates = scored.slice(0, MAX_CANDIDATES).map(({ location, score }) => ({
+      id: location.id,
+      name: location.name,
+      score: round(score)
+    }));
+
+    return result;
+  }
+
+  /**
+   * 登记地点（已能解析到已有地点时直接返回该地点）
+   * 新地点以规范名登记，原始写法和 options.aliases 记为别名
+   *
+   * @param {string} name - 地点名
+   * @param {Object} options - 选项
+   * @param {Array<string>} options.aliases - 别名
+   * @param {string} options.type - 地点类型（默认: unknown）
+   * @returns {Object} { location, created }
+   */
+  register(name, options = {}) {
+    const raw = String(name ?? '').trim();
+    const canonical = canonicalPlaceName(raw);
+    if (!canonical) {
+      throw new Error(`Invalid location name: ${name}`);
+    }
+
+    const existing = this.resolve(raw);
+    if (existing.location && ['exact', 'alias', 'normalized'].includes(existing.match)) {
+      return { location: existing.location, created: false };
+    }
+
+    const aliases = [...new Set([raw, ...(options.aliases || [])])]
+      .filter(alias => alias && alias !== canonical);
+
+    try {
+      const { id } = this.stateManager.createLocation({
+        name: canonical,
+        aliases,
+        type: options.type || 'unknown'
+      });
+
+      this.logger.info('Location registered', { id, name: canonical, aliases });
+
+      return { location: this.stateManager.getLocation(id), created: true };
+    } catch (error) {
+      this.logger.error('Failed to register location', {
+        name,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 为地点添加别名
+   *
+   * @param {string} locationId - 位置 ID
+   * @param {string} alias - 别名
+   * @returns {Object} 更新后的位置
+   */
+  addAlias(locationId, alias) {
+    const location = this.stateManager.getLocation(locationId);
+    if (!location) {
+      throw new Error(`Location not found: ${locationId}`);
+    }
+
+    const value = String(alias ?? '').trim();
+    if (!value || value === location.name || location.aliases.includes(value)) {
+      return location;
+    }
+
+    this.stateManager.updateLocation(locationId, {
+      aliases: [...location.aliases, value]
+    });
+
+    this.logger.info('Location alias added', { locationId, alias: value });
+
+    return this.stateManager.getLocation(locationId);
+  }
+
+  /**
+   * 所有地点及其规范化的名字和别名
+   * @private
+   */
+  _locations() {
+    return this.db.getAll('locations').map(location => {
+      const aliases = location.aliases ? JSON.parse(location.aliases) : [];
+      return {
+        id: location.id,
+        name: location.name,
+        aliases,
+        normalized: [location.name, ...aliases].map(normalizePlaceName).filter(Boolean)
+      };
+    });
+  }
+}
+
+/**
+ * 字符二元组（单字时为该字）
+ */
+function bigrams(text) {
+  const chars = [...text.replace(/\s+/g, ' ')];
+  if (chars.length < 2) {
+    return chars;
+  }
+  return chars.slice(1).map((char, i) => chars[i] + char);
+}
+
+/**
+ * known 是否为 text 的开头（至少两个字；英文名要在单词边界结束）
+ */
+function isPrefix(known, text) {
+  if ([...known].length < 2 || known.length >= text.length || !text.startsWith(known)) {
+    return false;
+  }
+  return !(/\w$/.test(known) && /^\w/.test(text.slice(known.length)));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 导出
+ */
+export default Gazetteer;
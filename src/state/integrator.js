@@ -5,6 +5,14 @@
  * - 协调 Extractor, Validator, Manager
  * - 处理对话流程中的状态更新
  * - 自动提取、验证、应用状态变化
+ * - 置信度低于 minConfidence 的变化不应用，记为警告
+ * - 一条消息中多个角色的变化分别应用到对应角色（extracted.byCharacter）
+ * - 地点名通过 Gazetteer 解析到已有地点；未知地点按 unknownLocationPolicy 新建、待确认或拒绝
+ * - 一条消息的所有更新在同一个事务中应用，按 applyPolicy 全部回滚或只跳过出错的更新
+ * - 审核模式（review）：不直接应用，把变化连同差异、验证结果和来源文本保存为待审核的变化集，
+ *   由人工逐项批准（可先修改）或拒绝
+ * - 应用的变化在状态变化日志中记录原因：消息（options.messageId）和提取规则（source.pattern）
+ * - 移除物品只扣除提到的数量，扣完时删除；约数按估计值应用并记为警告
  *
  * 设计目标：
  * - 一站式 API
@@ -16,10 +24,25 @@
  */
 
 import { logger } from '../core/logger.js';
+import { config } from '../core/config.js';
 import DatabaseManager from '../core/database.js';
 import StateManager from './manager.js';
-import StateValidator from './validator.js';
+import StateValidator, { SEVERITY } from './validator.js';
 import StateExtractor from './extractor.js';
+import Gazetteer, { UNKNOWN_LOCATION_POLICIES } from './gazetteer.js';
+import ChangeSetStore, { CHANGE_STATUS } from './changesets.js';
+import { CAUSE_TYPES } from './journal.js';
+
+/**
+ * 应用策略
+ * - all-or-nothing：任何一项更新出错时回滚整条消息的所有更新
+ * - skip-invalid：只跳过出错的更新，其余照常提交
+ * 两种策略下每项更新都在各自的保存点中应用，出错的更新不会留下部分写入
+ */
+export const APPLY_POLICIES = {
+  ALL_OR_NOTHING: 'all-or-nothing',
+  SKIP_INVALID: 'skip-invalid'
+};
 
 /**
  * State Integrator 类
@@ -34,6 +57,11 @@ import StateExtractor from './extractor.js';
  * console.log(result.updates);     // 应用的状态更新
  * console.log(result.errors);      // 验证错误
  * console.log(result.warnings);    // 验证警告
+ *
+ * // 审核模式：保存为待审核的变化集，再逐项批准或拒绝
+ * const { changeSet } = await integrator.processMessage(characterId, messageText, { review: true });
+ * integrator.approveChange(changeSet.id, changeSet.changes[0].id);
+ * integrator.rejectChange(changeSet.id, changeSet.changes[1].id, '与剧情不符');
  * ```
  */
 class StateIntegrator {
@@ -43,16 +71,35 @@ class StateIntegrator {
    * @param {StateManager} options.stateManager - 状态管理器
    * @param {StateValidator} options.validator - 状态验证器
    * @param {StateExtractor} options.extractor - 状态提取器
-   * @param {boolean} options.autoApply - 自动应用状态变化
+   * @param {boolean} options.autoApply - 自动应用状态变化（false 时只验证，相当于 dryRun）
+   * @param {boolean} options.review - 审核模式（默认: 配置 state.review.enabled）
+   * @param {ChangeSetStore} options.changeSets - 变化集存储
    * @param {boolean} options.strictMode - 严格模式（有错误时拒绝所有更新）
+   * @param {number} options.minConfidence - 应用变化所需的最低置信度 0-1（默认: 配置 state.extraction.minConfidence）
+   * @param {Gazetteer} options.gazetteer - 地点名录
+   * @param {string} options.unknownLocationPolicy - 未知地点的处理策略 create | ask | reject
+   *   （默认: 配置 state.locations.unknownPolicy）
+   * @param {string} options.applyPolicy - 应用策略 all-or-nothing | skip-invalid（默认: 配置 state.apply.policy）
    */
   constructor(options = {}) {
     this.options = {
       autoApply: options.autoApply !== false,
       strictMode: options.strictMode !== false,
-      ...options
+      ...options,
+      minConfidence: options.minConfidence ?? config.get('state.extraction.minConfidence', 0),
+      unknownLocationPolicy: options.unknownLocationPolicy
+        ?? config.get('state.locations.unknownPolicy', UNKNOWN_LOCATION_POLICIES.CREATE),
+      applyPolicy: options.applyPolicy ?? config.get('state.apply.policy', APPLY_POLICIES.SKIP_INVALID),
+      review: options.review ?? config.get('state.review.enabled', false)
     };
 
+    if (!Object.values(UNKNOWN_LOCATION_POLICIES).includes(this.options.unknownLocationPolicy)) {
+      throw new Error(`Invalid unknown location policy: ${this.options.unknownLocationPolicy}`);
+    }
+    if (!Object.values(APPLY_POLICIES).includes(this.options.applyPolicy)) {
+      throw new Error(`Invalid apply policy: ${this.options.applyPolicy}`);
+    }
+
     // 初始化组件
     this.db = options.db || new DatabaseManager();
     this.stateManager = options.stateManager || new StateManager({ db: this.db });
@@ -61,12 +108,21 @@ class StateIntegrator {
       db: this.db,
       stateManager: this.stateManager
     });
+    this.gazetteer = options.gazetteer || new Gazetteer({
+      db: this.db,
+      stateManager: this.stateManager
+    });
+    this.changeSets = options.changeSets || new ChangeSetStore({ db: this.db });
 
     this.logger = logger.child({ module: 'StateIntegrator' });
 
     this.logger.info('State Integrator initialized', {
       autoApply: this.options.autoApply,
-      strictMode: this.options.strictMode
+      strictMode: this.options.strictMode,
+      minConfidence: this.options.minConfidence,
+      unknownLocationPolicy: this.options.unknownLocationPolicy,
+      applyPolicy: this.options.applyPolicy,
+      review: this.options.review
     });
   }
 
@@ -77,107 +133,56 @@ class StateIntegrator {
    * @param {string} messageText - 消息文本
    * @param {Object} options - 选项
    * @param {boolean} options.dryRun - 仅模拟，不实际应用
-   * @returns {Object} 处理结果
+   * @param {boolean} options.review - 保存为待审核的变化集而不应用（默认: options.review）
+   * @param {string} options.messageId - 消息 ID（记入状态变化日志和变化集）
+   * @param {Object} options.metadata - 变化集的自定义属性（审核模式，如 { conversationId }）
+   * @returns {Object} 处理结果（all-or-nothing 策略下回滚时 updates 为空，并带有 rolledBack: true；
+   *   审核模式下 updates 为空，changeSet 为保存的变化集，没有变化时为 null）
    */
   async processMessage(characterId, messageText, options = {}) {
     const timer = this.logger.startTimer('processMessage');
-    const dryRun = options.dryRun || false;
+    const dryRun = options.dryRun || !this.options.autoApply;
+    const review = options.review ?? this.options.review;
 
     try {
       // 1. 提取状态变化
       this.logger.debug('Extracting states from message', { characterId });
-      const extracted = this.extractor.extractAllStates(characterId, messageText);
+      const extracted = await this.extractor.extractAllStatesAsync(characterId, messageText);
 
       // 2. 验证和应用更新
       const result = {
         extracted,
         updates: [],
         errors: [],
-        warnings: []
+        // 提取阶段的警告（如格式错误的状态标签）
+        warnings: [...(extracted.warnings || [])]
       };
 
-      // 2a. 验证并应用好感度变化
-      if (extracted.affection) {
-        const affectionResult = await this._processAffection(
-          characterId,
-          extracted.affection,
-          dryRun
-        );
-        if (affectionResult.applied) {
-          result.updates.push({
-            type: 'affection',
-            ...affectionResult
-          });
-        }
-        result.errors.push(...affectionResult.errors);
-        result.warnings.push(...affectionResult.warnings);
-      }
-
-      // 2b. 验证并应用情绪变化
-      if (extracted.emotion) {
-        const emotionResult = await this._processEmotion(
-          characterId,
-          extracted.emotion,
-          dryRun
-        );
-        if (emotionResult.applied) {
-          result.updates.push({
-            type: 'emotion',
-            ...emotionResult
-          });
-        }
-        result.errors.push(...emotionResult.errors);
-        result.warnings.push(...emotionResult.warnings);
-      }
-
-      // 2c. 验证并应用位置变化
-      if (extracted.location) {
-        const locationResult = await this._processLocation(
-          characterId,
-          extracted.location,
-          dryRun
-        );
-        if (locationResult.applied) {
-          result.updates.push({
-            type: 'location',
-            ...locationResult
-          });
-        }
-        result.errors.push(...locationResult.errors);
-        result.warnings.push(...locationResult.warnings);
-      }
-
-      // 2d. 验证并应用库存变化
-      if (extracted.inventory && extracted.inventory.length > 0) {
-        for (const inventoryChange of extracted.inventory) {
-          const inventoryResult = await this._processInventory(
-            characterId,
-            inventoryChange,
-            dryRun
-          );
-          if (inventoryResult.applied) {
-            result.updates.push({
-              type: 'inventory',
-              ...inventoryResult
-            });
-          }
-          result.errors.push(...inventoryResult.errors);
-          result.warnings.push(...inventoryResult.warnings);
-        }
-      }
-
-      // 2e. 添加时间线事件
-      if (extracted.events && extracted.events.length > 0) {
-        for (const event of extracted.events) {
-          const eventResult = await this._processEvent(event, dryRun);
-          if (eventResult.applied) {
-            result.updates.push({
-              type: 'event',
-              ...eventResult
-            });
+      const changes = this._listChanges(characterId, extracted, result);
+
+      if (review) {
+        // 2'. 审核模式：只验证，保存为待审核的变化集
+        const metadata = options.messageId ? { ...options.metadata, messageId: options.messageId } : options.metadata;
+        result.changeSet = this._proposeChanges(characterId, messageText, changes, result, metadata);
+      } else {
+        // 2a-2e. 在同一个事务中应用本人和文中其他角色的状态变化以及时间线事件
+        // （缓存在提交后才失效）
+        const rollback = new Error('Message updates rolled back');
+        try {
+          const cause = { type: CAUSE_TYPES.MESSAGE, ...(options.messageId ? { messageId: options.messageId } : {}) };
+          this.stateManager.withCause(cause, () => this.stateManager.transaction(() => {
+            this._applyChanges(changes, result, dryRun);
+
+            if (this.options.applyPolicy === APPLY_POLICIES.ALL_OR_NOTHING && result.errors.length > 0 && !dryRun) {
+              throw rollback;
+            }
+          }));
+        } catch (error) {
+          if (error !== rollback) {
+            throw error;
           }
-          result.errors.push(...eventResult.errors);
-          result.warnings.push(...eventResult.warnings);
+          result.updates = [];
+          result.rolledBack = true;
         }
       }
 
@@ -187,7 +192,9 @@ class StateIntegrator {
         characterId,
         updates: result.updates.length,
         errors: result.errors.length,
-        warnings: result.warnings.length
+        warnings: result.warnings.length,
+        rolledBack: result.rolledBack || false,
+        changeSetId: result.changeSet?.id || null
       });
 
       return result;
@@ -200,11 +207,140 @@ class StateIntegrator {
     }
   }
 
+  /**
+   * 一条消息中达到置信度的各项变化（本人和文中其他角色的好感度、情绪、位置、库存，然后是时间线事件）
+   * @private
+   */
+  _listChanges(characterId, extracted, result) {
+    const changes = [];
+
+    const characters = [[characterId, extracted], ...Object.entries(extracted.byCharacter || {})];
+    for (const [id, characterChanges] of characters) {
+      for (const type of ['affection', 'emotion', 'location']) {
+        const data = characterChanges[type];
+        if (data && this._isConfident(type, data, result, id)) {
+          changes.push({ type, characterId: id, data });
+        }
+      }
+
+      for (const data of characterChanges.inventory || []) {
+        if (this._isConfident('inventory', data, result, id)) {
+          changes.push({ type: 'inventory', characterId: id, data });
+        }
+      }
+    }
+
+    for (const data of extracted.events || []) {
+      if (this._isConfident('event', data, result)) {
+        changes.push({ type: 'event', characterId: null, data });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * 验证并应用各项变化（在事务中调用）
+   * @private
+   */
+  _applyChanges(changes, result, dryRun) {
+    for (const change of changes) {
+      const stepResult = this.stateManager.withCause(this._changeCause(change), () =>
+        this._step(change.type, change.data, () => this._processChange(change, dryRun))
+      );
+
+      if (stepResult.applied) {
+        result.updates.push({
+          type: change.type,
+          ...(change.characterId ? { characterId: change.characterId } : {}),
+          ...stepResult
+        });
+      }
+      result.errors.push(...stepResult.errors);
+      result.warnings.push(...stepResult.warnings);
+    }
+  }
+
+  /**
+   * 按类型处理一项变化
+   * @private
+   */
+  _processChange(change, dryRun, options = {}) {
+    switch (change.type) {
+      case 'affection':
+        return this._processAffection(change.characterId, change.data, dryRun);
+      case 'emotion':
+        return this._processEmotion(change.characterId, change.data, dryRun);
+      case 'location':
+        return this._processLocation(change.characterId, change.data, dryRun, options.unknownLocationPolicy);
+      case 'inventory':
+        return this._processInventory(change.characterId, change.data, dryRun);
+      case 'event':
+        return this._processEvent(change.data, dryRun);
+      default:
+        throw new Error(`Unknown change type: ${change.type}`);
+    }
+  }
+
+  /**
+   * 一项变化在状态变化日志中的原因（提取规则）
+   * @private
+   */
+  _changeCause(change) {
+    const source = change.data.source;
+    return source?.pattern ? { rule: source.pattern, strategy: source.strategy } : {};
+  }
+
+  /**
+   * 在保存点中应用一项更新（_process* 的结果）
+   * 出错时只回滚这一项的写入，错误记入结果（位置更新登记了新地点但设置位置失败时，登记也会回滚）
+   * @private
+   */
+  _step(field, data, callback) {
+    try {
+      return this.stateManager.transaction(callback);
+    } catch (error) {
+      return {
+        applied: false,
+        errors: [{ field, message: error.message }],
+        warnings: [],
+        data
+      };
+    }
+  }
+
+  /**
+   * 检查提取结果的置信度，低于 minConfidence 时记为警告（不应用）
+   * 没有置信度的结果视为可信
+   * @private
+   */
+  _isConfident(field, data, result, characterId = null) {
+    const confidence = data.confidence ?? 1;
+    const { minConfidence } = this.options;
+
+    if (confidence >= minConfidence) {
+      return true;
+    }
+
+    result.warnings.push({
+      field,
+      message: `Low confidence ${field} change skipped (${confidence.toFixed(2)} < ${minConfidence})`,
+      severity: SEVERITY.WARNING,
+      characterId,
+      confidence,
+      span: data.span || null,
+      source: data.source || null,
+      data
+    });
+
+    return false;
+  }
+
   /**
    * 处理好感度变化
    * @private
    */
-  async _processAffection(characterId, affectionData, dryRun) {
+  _processAffection(characterId, affectionData, dryRun) {
     const result = {
       applied: false,
       errors: [],
@@ -212,40 +348,32 @@ class StateIntegrator {
       data: affectionData
     };
 
-    try {
-      // 验证
-      const validation = this.validator.validateCharacterUpdate(characterId, {
-        affection: affectionData.newValue
-      });
-
-      result.errors = validation.errors;
-      result.warnings = validation.warnings;
+    // 验证
+    const validation = this.validator.validateCharacterUpdate(characterId, {
+      affection: affectionData.newValue
+    });
 
-      // 如果验证通过且不是 dry run，应用更新
-      if (validation.passed && !dryRun && this.options.autoApply) {
-        this.stateManager.updateCharacterState(characterId, {
-          affection: affectionData.newValue
-        });
-        result.applied = true;
-      } else if (!validation.passed && this.options.strictMode) {
-        result.applied = false;
-      }
+    result.errors = validation.errors;
+    result.warnings = validation.warnings;
 
-      return result;
-    } catch (error) {
-      result.errors.push({
-        field: 'affection',
-        message: error.message
+    // 如果验证通过且不是 dry run，应用更新
+    if (validation.passed && !dryRun) {
+      this.stateManager.updateCharacterState(characterId, {
+        affection: affectionData.newValue
       });
-      return result;
+      result.applied = true;
+    } else if (!validation.passed && this.options.strictMode) {
+      result.applied = false;
     }
+
+    return result;
   }
 
   /**
    * 处理情绪变化
    * @private
    */
-  async _processEmotion(characterId, emotionData, dryRun) {
+  _processEmotion(characterId, emotionData, dryRun) {
     const result = {
       applied: false,
       errors: [],
@@ -253,38 +381,32 @@ class StateIntegrator {
       data: emotionData
     };
 
-    try {
-      // 验证
-      const validation = this.validator.validateCharacterUpdate(characterId, {
-        emotion: emotionData.emotion
-      });
-
-      result.errors = validation.errors;
-      result.warnings = validation.warnings;
+    // 验证
+    const validation = this.validator.validateCharacterUpdate(characterId, {
+      emotion: emotionData.emotion
+    });
 
-      // 如果验证通过且不是 dry run，应用更新
-      if (validation.passed && !dryRun && this.options.autoApply) {
-        this.stateManager.updateCharacterState(characterId, {
-          emotion: emotionData.emotion
-        });
-        result.applied = true;
-      }
+    result.errors = validation.errors;
+    result.warnings = validation.warnings;
 
-      return result;
-    } catch (error) {
-      result.errors.push({
-        field: 'emotion',
-        message: error.message
+    // 如果验证通过且不是 dry run，应用更新
+    if (validation.passed && !dryRun) {
+      this.stateManager.updateCharacterState(characterId, {
+        emotion: emotionData.emotion
       });
-      return result;
+      result.applied = true;
     }
+
+    return result;
   }
 
   /**
    * 处理位置变化
+   * 地点名先通过 Gazetteer 解析到已有地点（data.resolved 记录匹配方式），
+   * 解析不到时按 unknownLocationPolicy 处理（人工批准时按 create 处理）
    * @private
    */
-  async _processLocation(characterId, locationData, dryRun) {
+  _processLocation(characterId, locationData, dryRun, policy = this.options.unknownLocationPolicy) {
     const result = {
       applied: false,
       errors: [],
@@ -292,59 +414,73 @@ class StateIntegrator {
       data: locationData
     };
 
-    try {
-      // 尝试找到或创建位置
-      let locationId = null;
+    let locationId = null;
 
-      // 先尝试通过名称查找
-      const existingLocation = this.db.get('locations', {
-        name: locationData.location
-      });
+    const resolution = this.gazetteer.resolve(locationData.location);
+    result.data = {
+      ...locationData,
+      resolved: {
+        locationId: resolution.location?.id || null,
+        name: resolution.location?.name || null,
+        match: resolution.match,
+        score: resolution.score
+      }
+    };
 
-      if (existingLocation) {
-        locationId = existingLocation.id;
-      } else if (!dryRun && this.options.autoApply) {
-        // 自动创建位置
-        const created = this.stateManager.createLocation({
-          name: locationData.location,
-          type: 'unknown'
-        });
-        locationId = created.id;
+    if (resolution.location) {
+      locationId = resolution.location.id;
+    } else if (policy === UNKNOWN_LOCATION_POLICIES.CREATE) {
+      if (!dryRun) {
+        // 登记为新地点（规范名 + 原始写法作为别名）
+        const { location } = this.gazetteer.register(locationData.location);
+        locationId = location.id;
+        result.data.resolved = {
+          locationId,
+          name: location.name,
+          match: 'created',
+          score: 1
+        };
       }
+    } else {
+      result.warnings.push({
+        field: 'location',
+        message: policy === UNKNOWN_LOCATION_POLICIES.ASK
+          ? `Unknown location needs confirmation: ${locationData.location}`
+          : `Unknown location rejected: ${locationData.location}`,
+        severity: SEVERITY.WARNING,
+        characterId,
+        policy,
+        location: locationData.location,
+        candidates: resolution.candidates
+      });
+    }
 
-      if (locationId) {
-        // 验证
-        const validation = this.validator.validateCharacterUpdate(characterId, {
-          current_location: locationId
-        });
+    if (locationId) {
+      // 验证
+      const validation = this.validator.validateCharacterUpdate(characterId, {
+        current_location: locationId
+      });
 
-        result.errors = validation.errors;
-        result.warnings = validation.warnings;
+      result.errors = validation.errors;
+      result.warnings = validation.warnings;
 
-        // 应用更新
-        if (validation.passed && !dryRun && this.options.autoApply) {
-          this.stateManager.updateCharacterState(characterId, {
-            current_location: locationId
-          });
-          result.applied = true;
-        }
+      // 应用更新
+      if (validation.passed && !dryRun) {
+        this.stateManager.updateCharacterState(characterId, {
+          current_location: locationId
+        });
+        result.applied = true;
       }
-
-      return result;
-    } catch (error) {
-      result.errors.push({
-        field: 'location',
-        message: error.message
-      });
-      return result;
     }
+
+    return result;
   }
 
   /**
    * 处理库存变化
    * @private
    */
-  async _processInventory(characterId, inventoryData, dryRun) {
+  _processInventory(characterId, inventoryData, dryRun) {
     const result = {
       applied: false,
       errors: [],
@@ -352,54 +488,74 @@ class StateIntegrator {
       data: inventoryData
     };
 
-    try {
-      // 验证
-      const validation = this.validator.validateInventoryItem(characterId, {
-        item_name: inventoryData.item_name,
-        quantity: inventoryData.quantity
+    // 验证
+    const validation = this.validator.validateInventoryItem(characterId, {
+      item_name: inventoryData.item_name,
+      quantity: inventoryData.quantity
+    });
+
+    result.errors = validation.errors;
+    result.warnings = validation.warnings;
+
+    // 约数（“几枚”“十几个”）按估计值记账，记为警告，审核模式下可在批准前修改
+    if (inventoryData.approximate) {
+      result.warnings.push({
+        field: 'quantity',
+        message: `Approximate quantity of ${inventoryData.item_name} applied as ${inventoryData.quantity}`,
+        severity: SEVERITY.WARNING
       });
+    }
 
-      result.errors = validation.errors;
-      result.warnings = validation.warnings;
+    // 应用更新
+    if (validation.passed && !dryRun) {
+      if (inventoryData.action === 'add') {
+        this.stateManager.addInventoryItem(characterId, {
+          item_name: inventoryData.item_name,
+          quantity: inventoryData.quantity
+        });
+        result.applied = true;
+      } else if (inventoryData.action === 'remove') {
+        const { item, remaining } = this._removal(this.stateManager.getInventory(characterId), inventoryData);
 
-      // 应用更新
-      if (validation.passed && !dryRun && this.options.autoApply) {
-        if (inventoryData.action === 'add') {
-          this.stateManager.addInventoryItem(characterId, {
-            item_name: inventoryData.item_name,
-            quantity: inventoryData.quantity
-          });
-          result.applied = true;
-        } else if (inventoryData.action === 'remove') {
-          // 查找物品并删除
-          const items = this.stateManager.getInventory(characterId);
-          const item = items.find(i =>
-            i.item_name.includes(inventoryData.item_name) ||
-            inventoryData.item_name.includes(i.item_name)
-          );
-
-          if (item) {
+        if (item) {
+          if (remaining > 0) {
+            this.stateManager.updateInventoryItem(item.id, { quantity: remaining });
+          } else {
             this.stateManager.deleteInventoryItem(item.id);
-            result.applied = true;
           }
+          if (remaining < 0) {
+            result.warnings.push({
+              field: 'quantity',
+              message: `Removed ${item.quantity - remaining} ${inventoryData.item_name} but only ${item.quantity} held`,
+              severity: SEVERITY.WARNING
+            });
+          }
+          result.applied = true;
         }
       }
-
-      return result;
-    } catch (error) {
-      result.errors.push({
-        field: 'inventory',
-        message: error.message
-      });
-      return result;
     }
+
+    return result;
+  }
+
+  /**
+   * 移除物品：第一件名字相近的物品，以及扣除数量（默认 1）后剩余的数量（扣完时删除该物品）
+   * @private
+   */
+  _removal(items, data) {
+    const item = items.find(i => i.item_name.includes(data.item_name) || data.item_name.includes(i.item_name));
+
+    return {
+      item: item || null,
+      remaining: item ? item.quantity - (data.quantity ?? 1) : 0
+    };
   }
 
   /**
    * 处理时间线事件
    * @private
    */
-  async _processEvent(eventData, dryRun) {
+  _processEvent(eventData, dryRun) {
     const result = {
       applied: false,
       errors: [],
@@ -407,27 +563,327 @@ class StateIntegrator {
       data: eventData
     };
 
-    try {
-      // 验证
-      const validation = this.validator.validateTimelineEvent(eventData);
+    // 验证
+    const validation = this.validator.validateTimelineEvent(eventData);
 
-      result.errors = validation.errors;
-      result.warnings = validation.warnings;
+    result.errors = validation.errors;
+    result.warnings = validation.warnings;
 
-      // 应用更新
-      if (validation.passed && !dryRun && this.options.autoApply) {
-        this.stateManager.addTimelineEvent(eventData);
-        result.applied = true;
+    // 应用更新
+    if (validation.passed && !dryRun) {
+      this.stateManager.addTimelineEvent(eventData);
+      result.applied = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * 列出变化集
+   *
+   * @param {Object} options - 查询选项 { status, characterId, limit, offset }
+   * @returns {Array<Object>} 变化集列表（从新到旧）
+   */
+  listChangeSets(options = {}) {
+    return this.changeSets.list(options);
+  }
+
+  /**
+   * 获取变化集
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @returns {Object|null} 变化集
+   */
+  getChangeSet(changeSetId) {
+    return this.changeSets.get(changeSetId);
+  }
+
+  /**
+   * 修改一项待审核的变化（不应用），按当前状态重新计算差异和验证结果
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @param {string} changeId - 变化 ID
+   * @param {Object} edits - 合并到变化 data 中的字段（如 { quantity: 2 }、{ newValue: 70 }、{ location: '酒馆' }）
+   * @returns {Object} 修改后的变化
+   */
+  editChange(changeSetId, changeId, edits) {
+    const change = this._requirePendingChange(changeSetId, changeId);
+    const draft = this._draftChange({ ...change, data: this._reviseChange(change, edits) });
+
+    const changeSet = this.changeSets.updateChange(changeSetId, changeId, { ...draft, edited: true });
+
+    this.logger.info('Change edited', { changeSetId, changeId, fields: Object.keys(edits) });
+
+    return changeSet.changes.find(c => c.id === changeId);
+  }
+
+  /**
+   * 批准并应用一项待审核的变化（可同时修改）
+   * 应用前按当前状态重新验证，好感度按变化量重新计算新值（审核期间好感度可能已经变化），
+   * 未知地点视为已确认并登记。验证不通过或无法应用时变化保持待审核，并记录新的验证结果。
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @param {string} changeId - 变化 ID
+   * @param {Object} edits - 修改（可选，同 editChange）
+   * @returns {Object} { applied, errors, warnings, change, changeSet }
+   */
+  approveChange(changeSetId, changeId, edits = null) {
+    const change = this._requirePendingChange(changeSetId, changeId);
+    const revised = { ...change, data: this._reviseChange(change, edits) };
+    const diff = this._diff(revised);
+
+    const { messageId } = this._requireChangeSet(changeSetId).metadata;
+    const cause = {
+      type: CAUSE_TYPES.MESSAGE,
+      ...(messageId ? { messageId } : {}),
+      changeSetId,
+      ...this._changeCause(revised)
+    };
+
+    return this.stateManager.transaction(() => {
+      const stepResult = this.stateManager.withCause(cause, () =>
+        this._step(revised.type, revised.data, () =>
+          this._processChange(revised, false, { unknownLocationPolicy: UNKNOWN_LOCATION_POLICIES.CREATE })
+        )
+      );
+
+      const updates = {
+        data: stepResult.data,
+        diff,
+        validation: {
+          passed: stepResult.errors.length === 0,
+          errors: stepResult.errors,
+          warnings: stepResult.warnings
+        },
+        ...(edits ? { edited: true } : {})
+      };
+      if (stepResult.applied) {
+        updates.status = CHANGE_STATUS.APPLIED;
+        updates.reviewedAt = Date.now();
       }
 
-      return result;
-    } catch (error) {
-      result.errors.push({
-        field: 'event',
-        message: error.message
+      const changeSet = this.changeSets.updateChange(changeSetId, changeId, updates);
+
+      this.logger.info('Change approved', {
+        changeSetId,
+        changeId,
+        type: change.type,
+        applied: stepResult.applied
       });
-      return result;
+
+      return {
+        applied: stepResult.applied,
+        errors: stepResult.errors,
+        warnings: stepResult.warnings,
+        change: changeSet.changes.find(c => c.id === changeId),
+        changeSet
+      };
+    });
+  }
+
+  /**
+   * 拒绝一项待审核的变化
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @param {string} changeId - 变化 ID
+   * @param {string} reason - 拒绝原因（可选）
+   * @returns {Object} 更新后的变化集
+   */
+  rejectChange(changeSetId, changeId, reason = null) {
+    this._requirePendingChange(changeSetId, changeId);
+
+    const changeSet = this.changeSets.updateChange(changeSetId, changeId, {
+      status: CHANGE_STATUS.REJECTED,
+      reviewedAt: Date.now(),
+      ...(reason ? { reason } : {})
+    });
+
+    this.logger.info('Change rejected', { changeSetId, changeId, reason });
+
+    return changeSet;
+  }
+
+  /**
+   * 批准变化集中所有待审核的变化（逐项应用，无法应用的保持待审核）
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @returns {Object} { applied: [变化 ID], failed: [{ changeId, errors, warnings }], changeSet }
+   */
+  approveChangeSet(changeSetId) {
+    const outcome = { applied: [], failed: [], changeSet: null };
+
+    for (const change of this._requireChangeSet(changeSetId).changes) {
+      if (change.status !== CHANGE_STATUS.PENDING) {
+        continue;
+      }
+
+      const result = this.approveChange(changeSetId, change.id);
+      if (result.applied) {
+        outcome.applied.push(change.id);
+      } else {
+        outcome.failed.push({ changeId: change.id, errors: result.errors, warnings: result.warnings });
+      }
+    }
+
+    outcome.changeSet = this.changeSets.get(changeSetId);
+    return outcome;
+  }
+
+  /**
+   * 拒绝变化集中所有待审核的变化
+   *
+   * @param {string} changeSetId - 变化集 ID
+   * @param {string} reason - 拒绝原因（可选）
+   * @returns {Object} 更新后的变化集
+   */
+  rejectChangeSet(changeSetId, reason = null) {
+    let changeSet = this._requireChangeSet(changeSetId);
+
+    for (const change of changeSet.changes) {
+      if (change.status === CHANGE_STATUS.PENDING) {
+        changeSet = this.rejectChange(changeSetId, change.id, reason);
+      }
+    }
+
+    return changeSet;
+  }
+
+  /**
+   * 验证各项变化（不应用）并保存为待审核的变化集
+   * @private
+   */
+  _proposeChanges(characterId, messageText, changes, result, metadata = null) {
+    const drafts = changes.map(change => this._draftChange(change));
+
+    for (const draft of drafts) {
+      result.errors.push(...draft.validation.errors);
+      result.warnings.push(...draft.validation.warnings);
+    }
+
+    if (drafts.length === 0) {
+      return null;
+    }
+
+    return this.changeSets.create({
+      characterId,
+      sourceText: messageText,
+      changes: drafts,
+      warnings: result.extracted.warnings,
+      metadata
+    });
+  }
+
+  /**
+   * 预演一项变化：按当前状态验证（不应用）并计算差异
+   * @private
+   */
+  _draftChange(change) {
+    const stepResult = this._step(change.type, change.data, () => this._processChange(change, true));
+
+    return {
+      type: change.type,
+      characterId: change.characterId,
+      data: stepResult.data,
+      diff: this._diff({ ...change, data: stepResult.data }),
+      validation: {
+        passed: stepResult.errors.length === 0,
+        errors: stepResult.errors,
+        warnings: stepResult.warnings
+      }
+    };
+  }
+
+  /**
+   * 一项变化相对当前状态的差异 { field, before, after }（库存另有 item）
+   * @private
+   */
+  _diff(change) {
+    const { type, data } = change;
+    const character = change.characterId ? this.stateManager.getCharacterState(change.characterId) : null;
+
+    switch (type) {
+      case 'affection':
+        return { field: 'affection', before: character?.affection ?? null, after: data.newValue };
+      case 'emotion':
+        return { field: 'emotion', before: character?.emotion ?? null, after: data.emotion };
+      case 'location': {
+        const current = character?.current_location
+          ? this.stateManager.getLocation(character.current_location)
+          : null;
+        return { field: 'current_location', before: current?.name ?? null, after: data.resolved?.name || data.location };
+      }
+      case 'inventory': {
+        // 与 _processInventory 相同：添加时新增一条，移除时从第一件名字相近的物品中扣除
+        const items = character ? this.stateManager.getInventory(character.id) : [];
+        if (data.action === 'remove') {
+          const { item, remaining } = this._removal(items, data);
+          return { field: 'inventory', item: data.item_name, before: item?.quantity ?? 0, after: Math.max(0, remaining) };
+        }
+        const held = items
+          .filter(i => i.item_name === data.item_name)
+          .reduce((sum, i) => sum + i.quantity, 0);
+        return { field: 'inventory', item: data.item_name, before: held, after: held + (data.quantity || 1) };
+      }
+      case 'event':
+        return { field: 'timeline', before: null, after: data.description };
+      default:
+        throw new Error(`Unknown change type: ${type}`);
+    }
+  }
+
+  /**
+   * 合并修改，并按当前状态重新计算好感度（改 newValue 时换算 delta，否则按 delta 计算 newValue）
+   * @private
+   */
+  _reviseChange(change, edits) {
+    if (edits !== null && (typeof edits !== 'object' || Array.isArray(edits))) {
+      throw new Error('Invalid change edits: must be an object');
+    }
+
+    const data = { ...change.data, ...(edits || {}) };
+
+    if (change.type === 'affection') {
+      const current = this.stateManager.getCharacterState(change.characterId)?.affection ?? 0;
+      if (edits?.newValue !== undefined) {
+        data.delta = data.newValue - current;
+      } else if (data.delta !== undefined) {
+        data.newValue = current + data.delta;
+      }
+    }
+
+    // 地点改名后重新解析
+    if (change.type === 'location' && edits?.location !== undefined) {
+      delete data.resolved;
+    }
+
+    return data;
+  }
+
+  /**
+   * 获取变化集，不存在时抛出错误
+   * @private
+   */
+  _requireChangeSet(changeSetId) {
+    const changeSet = this.changeSets.get(changeSetId);
+    if (!changeSet) {
+      throw new Error(`Change set not found: ${changeSetId}`);
+    }
+    return changeSet;
+  }
+
+  /**
+   * 获取待审核的变化，不存在或已审核时抛出错误
+   * @private
+   */
+  _requirePendingChange(changeSetId, changeId) {
+    const change = this._requireChangeSet(changeSetId).changes.find(c => c.id === changeId);
+    if (!change) {
+      throw new Error(`Change not found: ${changeId}`);
+    }
+    if (change.status !== CHANGE_STATUS.PENDING) {
+      throw new Error(`Change already reviewed: ${changeId} (${change.status})`);
     }
+    return change;
   }
 
   /**
@@ -0,0 +1,352 @@
+/**
+ * State Journal - 状态变化日志
+ *
+ * 功能：
+ * - 只追加地记录每次创建、更新、删除（变化前后的整行、原因、游戏内时间）
+ * - 查询某个实体的变化历史（“Alice 的好感度为什么是 73？”）
+ * - 按顺序重放日志，重建任意时刻的状态
+ *
+ * 原因（cause）：
+ * - message：从消息中提取的变化（messageId，以及提取规则 rule，如 affection.zh.increase）
+ * - rule：系统规则引起的变化（如记忆合并、衰减）
+ * - manual：直接调用 StateManager 的修改（未指定原因时的默认值）
+ * - restore：恢复快照
+ * 原因通过 withCause() 设置，嵌套调用时与外层原因合并（内层优先）。
+ *
+ * 重放从空状态开始，只包含日志开始记录之后的变化；
+ * 重放结果与快照的状态格式相同（各表的数据库行，见 SnapshotStore.materialize()）。
+ *
+ * @module state/journal
+ * @version 0.1.0
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../core/logger.js';
+import DatabaseManager from '../core/database.js';
+
+/**
+ * 记录变化的实体表
+ */
+export const JOURNAL_ENTITIES = ['characters', 'timeline', 'locations', 'inventory', 'memories'];
+
+/**
+ * 变化操作
+ */
+export const OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+/**
+ * 变化原因
+ */
+export const CAUSE_TYPES = {
+  MESSAGE: 'message',
+  RULE: 'rule',
+  MANUAL: 'manual',
+  RESTORE: 'restore'
+};
+
+/**
+ * 比较行时忽略的字段
+ */
+const META_FIELDS = ['created_at', 'updated_at'];
+
+/**
+ * 当前游戏内时间：时间线和记忆中最新的时间戳（故事时钟只随事件推进），
+ * 没有任何记录时使用 Date.now()
+ *
+ * @param {DatabaseManager} db - 数据库管理器
+ * @returns {number} 游戏内时间
+ */
+export function currentGameTime(db) {
+  const [{ latest }] = db.raw(
+    `SELECT MAX(t) AS latest FROM (
+       SELECT MAX(timestamp) AS t FROM timeline
+       UNION ALL
+       SELECT MAX(timestamp) AS t FROM memories
+     )`
+  );
+
+  return latest || Date.now();
+}
+
+/**
+ * 两行之间变化的字段（忽略 created_at / updated_at）
+ *
+ * @param {Object|null} before - 变化前的行
+ * @param {Object|null} after - 变化后的行
+ * @returns {Object} { 字段: { from, to } }
+ *
+ * @example
+ * diffRows({ affection: 50 }, { affection: 60 }); // => { affection: { from: 50, to: 60 } }
+ */
+export function diffRows(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (META_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * State Journal 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const journal = new StateJournal({ db });
+ *
+ * journal.withCause({ type: 'message', messageId }, () => {
+ *   stateManager.updateCharacterState(aliceId, { affection: 73 });
+ * });
+ *
+ * journal.getHistory('characters', aliceId, { field: 'affection' });
+ * // => [{ seq, operation: 'update', changes: { affection: { from: 60, to: 73 } },
+ * //       cause: { type: 'message', messageId, rule }, gameTime, ... }]
+ *
+ * const { state } = journal.replay({ untilSeq: 42 });
+ * ```
+ */
+class StateJournal {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   */
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseManager();
+
+    // 当前原因（不在 withCause 中时为 null）
+    this.cause = null;
+
+    this.logger = logger.child({ module: 'StateJournal' });
+  }
+
+  /**
+   * 在指定原因下执行（回调必须是同步的），期间记录的变化都带有该原因
+   *
+   * @param {Object} cause - 原因 { type, messageId, rule, ... }
+   * @param {Function} callback - 回调
+   * @returns {*} 回调函数的返回值
+   */
+  withCause(cause, callback) {
+    const previous = this.cause;
+    this.cause = { ...previous, ...cause };
+
+    try {
+      return callback();
+    } finally {
+      this.cause = previous;
+    }
+  }
+
+  /**
+   * 记录一次变化（更新前后除时间戳外没有变化时不记录）
+   *
+   * @param {Object} change - 变化
+   * @param {string} change.entity - 实体表
+   * @param {string} change.entityId - 实体 ID
+   * @param {string} change.operation - create | update | delete
+   * @param {Object} change.before - 变化前的行（create 时为 null）
+   * @param {Object} change.after - 变化后的行（delete 时为 null）
+   * @returns {Object|null} { id, seq }
+   */
+  record(change) {
+    this._requireEntity(change.entity);
+    if (!Object.values(OPERATIONS).includes(change.operation)) {
+      throw new Error(`Invalid journal operation: ${change.operation}`);
+    }
+
+    const before = change.before || null;
+    const after = change.after || null;
+    if (change.operation === OPERATIONS.UPDATE && Object.keys(diffRows(before, after)).length === 0) {
+      return null;
+    }
+
+    const { type = CAUSE_TYPES.MANUAL, messageId = null, gameTime, ...details } = this.cause || {};
+    const [{ seq }] = this.db.raw('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM state_changes');
+
+    const { id } = this.db.insert('state_changes', {
+      id: randomUUID(),
+      seq,
+      entity: change.entity,
+      entity_id: change.entityId,
+      operation: change.operation,
+      before_data: before ? JSON.stringify(before) : null,
+      after_data: after ? JSON.stringify(after) : null,
+      cause_type: type,
+      message_id: messageId,
+      cause: Object.keys(details).length > 0 ? JSON.stringify(details) : null,
+      game_time: gameTime ?? currentGameTime(this.db),
+      timestamp: Date.now()
+    });
+
+    return { id, seq };
+  }
+
+  /**
+   * 获取实体的变化历史（按先后顺序）
+   *
+   * @param {string} entity - 实体表（characters / timeline / locations / inventory / memories）
+   * @param {string} entityId - 实体 ID
+   * @param {Object} options - 查询选项
+   * @param {string} options.field - 只返回改变了该字段的变化（如 affection）
+   * @param {number} options.limit - 只返回最近的若干条
+   * @returns {Array<Object>} 变化列表
+   */
+  getHistory(entity, entityId, options = {}) {
+    this._requireEntity(entity);
+
+    let entries = this.db.getAll('state_changes', {
+      where: { entity, entity_id: entityId },
+      orderBy: 'seq'
+    }).map(row => this._fromRow(row));
+
+    if (options.field) {
+      entries = entries.filter(entry => options.field in entry.changes);
+    }
+    if (options.limit) {
+      entries = entries.slice(-options.limit);
+    }
+
+    return entries;
+  }
+
+  /**
+   * 列出变化（按先后顺序）
+   *
+   * @param {Object} options - 查询选项
+   * @param {string} options.entity - 实体表
+   * @param {string} options.messageId - 引起变化的消息
+   * @param {string} options.causeType - 原因
+   * @param {number} options.afterSeq - 只返回该顺序号之后的变化
+   * @param {number} options.limit - 限制数量
+   * @param {number} options.offset - 偏移量
+   * @returns {Array<Object>} 变化列表
+   */
+  list(options = {}) {
+    const where = {};
+    if (options.entity) {
+      this._requireEntity(options.entity);
+      where.entity = options.entity;
+    }
+    if (options.messageId) {
+      where.message_id = options.messageId;
+    }
+    if (options.causeType) {
+      where.cause_type = options.causeType;
+    }
+    if (options.afterSeq !== undefined) {
+      where.seq = { gt: options.afterSeq };
+    }
+
+    return this.db.getAll('state_changes', {
+      where,
+      orderBy: 'seq',
+      limit: options.limit,
+      offset: options.offset
+    }).map(row => this._fromRow(row));
+  }
+
+  /**
+   * 最新的顺序号（没有记录时为 0）
+   *
+   * @returns {number} 顺序号
+   */
+  getLatestSeq() {
+    const [{ seq }] = this.db.raw('SELECT COALESCE(MAX(seq), 0) AS seq FROM state_changes');
+    return seq;
+  }
+
+  /**
+   * 从空状态开始按顺序重放变化，重建某一时刻的状态
+   *
+   * @param {Object} options - 选项
+   * @param {number} options.untilSeq - 重放到该顺序号（含）
+   * @param {number} options.until - 重放到该记录时间（含）
+   * @returns {Object} { seq, state }，seq 为最后重放的顺序号，
+   *   state 为 { characters: [行], timeline, locations, inventory, memories }
+   */
+  replay(options = {}) {
+    const where = {};
+    if (options.untilSeq !== undefined) {
+      where.seq = { lte: options.untilSeq };
+    }
+    if (options.until !== undefined) {
+      where.timestamp = { lte: options.until };
+    }
+
+    const tables = Object.fromEntries(JOURNAL_ENTITIES.map(entity => [entity, new Map()]));
+    let seq = 0;
+
+    for (const row of this.db.getAll('state_changes', { where, orderBy: 'seq' })) {
+      if (row.operation === OPERATIONS.DELETE) {
+        tables[row.entity].delete(row.entity_id);
+      } else {
+        tables[row.entity].set(row.entity_id, JSON.parse(row.after_data));
+      }
+      seq = row.seq;
+    }
+
+    const state = Object.fromEntries(
+      JOURNAL_ENTITIES.map(entity => [entity, [...tables[entity].values()]])
+    );
+
+    this.logger.debug('Journal replayed', { seq });
+
+    return { seq, state };
+  }
+
+  /**
+   * 检查实体表名
+   * @private
+   */
+  _requireEntity(entity) {
+    if (!JOURNAL_ENTITIES.includes(entity)) {
+      throw new Error(`Invalid journal entity: ${entity}`);
+    }
+  }
+
+  /**
+   * 数据库行 => 变化
+   * @private
+   */
+  _fromRow(row) {
+    const before = row.before_data ? JSON.parse(row.before_data) : null;
+    const after = row.after_data ? JSON.parse(row.after_data) : null;
+
+    return {
+      id: row.id,
+      seq: row.seq,
+      entity: row.entity,
+      entityId: row.entity_id,
+      operation: row.operation,
+      before,
+      after,
+      changes: diffRows(before, after),
+      cause: {
+        type: row.cause_type,
+        ...(row.message_id ? { messageId: row.message_id } : {}),
+        ...(row.cause ? JSON.parse(row.cause) : {})
+      },
+      gameTime: row.game_time,
+      timestamp: row.timestamp
+    };
+  }
+}
+
+/**
+ * 导出
+ */
+export default StateJournal;
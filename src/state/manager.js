@@ -7,8 +7,10 @@
  * - 位置信息管理
  * - 物品库存管理
  * - 记忆管理
- * - 状态快照和回滚
+ * - 状态快照（完整 + 增量）、比较和回滚
  * - 状态缓存（性能优化）
+ * - 事务：事务内的读取绕过缓存，缓存失效推迟到提交之后
+ * - 变化日志：每次创建、更新、删除都记入 state_changes（变化前后的行和原因）
  *
  * 设计原则：
  * - 高性能：缓存热点数据
@@ -23,6 +25,8 @@ import DatabaseManager from '../core/database.js';
 import { logger } from '../core/logger.js';
 import { config } from '../core/config.js';
 import { randomUUID } from 'crypto';
+import StateJournal, { OPERATIONS, CAUSE_TYPES } from './journal.js';
+import SnapshotStore, { readState, diffStates } from './snapshots.js';
 
 /**
  * State Manager 类
@@ -54,6 +58,8 @@ class StateManager {
    * @param {DatabaseManager} options.db - 数据库管理器实例
    * @param {boolean} options.enableCache - 是否启用缓存
    * @param {number} options.cacheSize - 缓存大小
+   * @param {StateJournal} options.journal - 变化日志（可选）
+   * @param {SnapshotStore} options.snapshots - 快照存储（可选）
    */
   constructor(options = {}) {
     this.options = {
@@ -64,6 +70,8 @@ class StateManager {
     };
 
     this.db = this.options.db;
+    this.journal = options.journal || new StateJournal({ db: this.db });
+    this.snapshots = options.snapshots || new SnapshotStore({ db: this.db });
 
     // 缓存系统
     this.cache = {
@@ -72,6 +80,9 @@ class StateManager {
       inventory: new Map()
     };
 
+    // 事务中待失效的缓存项（不在事务中时为 null）
+    this.pendingInvalidations = null;
+
     this.logger = logger.child({ module: 'StateManager' });
 
     this.logger.info('State Manager initialized', {
@@ -95,7 +106,7 @@ class StateManager {
 
     try {
       // 检查缓存
-      if (this.options.enableCache && this.cache.characters.has(characterId)) {
+      if (this._useCache() && this.cache.characters.has(characterId)) {
         const cached = this.cache.characters.get(characterId);
         if (Date.now() - cached.timestamp < this.options.cacheTTL) {
           this.logger.debug('Character state from cache', { characterId });
@@ -107,7 +118,7 @@ class StateManager {
       // 从数据库查询
       const character = this.db.get('characters', { id: characterId });
 
-      if (character && this.options.enableCache) {
+      if (character && this._useCache()) {
         // 更新缓存
         this.cache.characters.set(characterId, {
           data: character,
@@ -143,6 +154,7 @@ class StateManager {
       const characterData = {
         id: data.id || randomUUID(),
         name: data.name,
+        aliases: data.aliases ? JSON.stringify(data.aliases) : null,
         affection: data.affection || 0,
         emotion: data.emotion || 'neutral',
         personality: data.personality ? JSON.stringify(data.personality) : null,
@@ -150,10 +162,12 @@ class StateManager {
         metadata: data.metadata ? JSON.stringify(data.metadata) : null
       };
 
-      const result = this.db.insert('characters', characterData);
+      const result = this._journaled('characters', characterData.id, OPERATIONS.CREATE, () =>
+        this.db.insert('characters', characterData)
+      );
 
       // 清除缓存
-      this.cache.characters.delete(characterData.id);
+      this._invalidate('characters', characterData.id);
 
       this.logger.info('Character created', {
         id: result.id,
@@ -187,11 +201,16 @@ class StateManager {
       if (updates.metadata) {
         updateData.metadata = JSON.stringify(updates.metadata);
       }
+      if (updates.aliases) {
+        updateData.aliases = JSON.stringify(updates.aliases);
+      }
 
-      const result = this.db.update('characters', { id: characterId }, updateData);
+      const result = this._journaled('characters', characterId, OPERATIONS.UPDATE, () =>
+        this.db.update('characters', { id: characterId }, updateData)
+      );
 
       // 清除缓存
-      this.cache.characters.delete(characterId);
+      this._invalidate('characters', characterId);
 
       this.logger.info('Character state updated', {
         characterId,
@@ -217,10 +236,18 @@ class StateManager {
    */
   deleteCharacter(characterId) {
     try {
-      const result = this.db.delete('characters', { id: characterId });
+      const result = this._journaled('characters', characterId, OPERATIONS.DELETE, () => {
+        // 级联删除的库存和记忆也记入日志
+        for (const entity of ['inventory', 'memories']) {
+          for (const row of this.db.getAll(entity, { where: { character_id: characterId } })) {
+            this.journal.record({ entity, entityId: row.id, operation: OPERATIONS.DELETE, before: row });
+          }
+        }
+        return this.db.delete('characters', { id: characterId });
+      });
 
       // 清除缓存
-      this.cache.characters.delete(characterId);
+      this._invalidate('characters', characterId);
 
       this.logger.info('Character deleted', { characterId });
 
@@ -313,7 +340,9 @@ class StateManager {
         metadata: event.metadata ? JSON.stringify(event.metadata) : null
       };
 
-      const result = this.db.insert('timeline', eventData);
+      const result = this._journaled('timeline', eventData.id, OPERATIONS.CREATE, () =>
+        this.db.insert('timeline', eventData)
+      );
 
       this.logger.info('Timeline event added', {
         id: result.id,
@@ -343,7 +372,7 @@ class StateManager {
   getLocation(locationId) {
     try {
       // 检查缓存
-      if (this.options.enableCache && this.cache.locations.has(locationId)) {
+      if (this._useCache() && this.cache.locations.has(locationId)) {
         const cached = this.cache.locations.get(locationId);
         if (Date.now() - cached.timestamp < this.options.cacheTTL) {
           return cached.data;
@@ -356,11 +385,12 @@ class StateManager {
         // 解析 JSON 字段
         const parsedLocation = {
           ...location,
+          aliases: location.aliases ? JSON.parse(location.aliases) : [],
           connected_to: location.connected_to ? JSON.parse(location.connected_to) : [],
           metadata: location.metadata ? JSON.parse(location.metadata) : {}
         };
 
-        if (this.options.enableCache) {
+        if (this._useCache()) {
           this.cache.locations.set(locationId, {
             data: parsedLocation,
             timestamp: Date.now()
@@ -391,6 +421,7 @@ class StateManager {
       const locationData = {
         id: data.id || randomUUID(),
         name: data.name,
+        aliases: data.aliases ? JSON.stringify(data.aliases) : null,
         type: data.type || null,
         parent_location: data.parent_location || null,
         connected_to: data.connected_to ? JSON.stringify(data.connected_to) : null,
@@ -398,7 +429,9 @@ class StateManager {
         metadata: data.metadata ? JSON.stringify(data.metadata) : null
       };
 
-      const result = this.db.insert('locations', locationData);
+      const result = this._journaled('locations', locationData.id, OPERATIONS.CREATE, () =>
+        this.db.insert('locations', locationData)
+      );
 
       this.logger.info('Location created', {
         id: result.id,
@@ -415,6 +448,46 @@ class StateManager {
     }
   }
 
+  /**
+   * 更新位置
+   *
+   * @param {string} locationId - 位置 ID
+   * @param {Object} updates - 更新数据
+   * @returns {Object} 更新结果
+   */
+  updateLocation(locationId, updates) {
+    try {
+      // 序列化 JSON 字段
+      const updateData = { ...updates };
+      for (const field of ['aliases', 'connected_to', 'metadata']) {
+        if (updates[field]) {
+          updateData[field] = JSON.stringify(updates[field]);
+        }
+      }
+
+      const result = this._journaled('locations', locationId, OPERATIONS.UPDATE, () =>
+        this.db.update('locations', { id: locationId }, updateData)
+      );
+
+      // 清除缓存
+      this._invalidate('locations', locationId);
+
+      this.logger.info('Location updated', {
+        locationId,
+        updates: Object.keys(updates)
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to update location', {
+        locationId,
+        updates,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   // ============================================
   // 物品库存管理
   // ============================================
@@ -473,7 +546,9 @@ class StateManager {
         properties: item.properties ? JSON.stringify(item.properties) : null
       };
 
-      const result = this.db.insert('inventory', itemData);
+      const result = this._journaled('inventory', itemData.id, OPERATIONS.CREATE, () =>
+        this.db.insert('inventory', itemData)
+      );
 
       this.logger.info('Inventory item added', {
         characterId,
@@ -508,7 +583,9 @@ class StateManager {
         updateData.equipped = updates.equipped ? 1 : 0;
       }
 
-      const result = this.db.update('inventory', { id: itemId }, updateData);
+      const result = this._journaled('inventory', itemId, OPERATIONS.UPDATE, () =>
+        this.db.update('inventory', { id: itemId }, updateData)
+      );
 
       this.logger.info('Inventory item updated', { itemId });
 
@@ -531,7 +608,9 @@ class StateManager {
    */
   deleteInventoryItem(itemId) {
     try {
-      const result = this.db.delete('inventory', { id: itemId });
+      const result = this._journaled('inventory', itemId, OPERATIONS.DELETE, () =>
+        this.db.delete('inventory', { id: itemId })
+      );
 
       this.logger.info('Inventory item deleted', { itemId });
 
@@ -554,12 +633,18 @@ class StateManager {
    *
    * @param {string} characterId - 角色 ID
    * @param {Object} options - 查询选项
+   * @param {number} options.minImportance - 最低重要程度
+   * @param {boolean} options.includeArchived - 包含已归档（被合并）的记忆（默认: false）
    * @returns {Array} 记忆列表
    */
   getMemories(characterId, options = {}) {
     try {
       const where = { character_id: characterId };
 
+      if (!options.includeArchived) {
+        where.archived_at = null;
+      }
+
       if (options.minImportance) {
         where.importance = { gte: options.minImportance };
       }
@@ -605,7 +690,9 @@ class StateManager {
         metadata: memory.metadata ? JSON.stringify(memory.metadata) : null
       };
 
-      const result = this.db.insert('memories', memoryData);
+      const result = this._journaled('memories', memoryData.id, OPERATIONS.CREATE, () =>
+        this.db.insert('memories', memoryData)
+      );
 
       this.logger.info('Memory added', {
         characterId,
@@ -628,39 +715,22 @@ class StateManager {
   // ============================================
 
   /**
-   * 创建状态快照
+   * 创建状态快照（完整快照或相对最近完整快照的增量快照，见 SnapshotStore）
    *
    * @param {string} description - 快照描述
-   * @returns {Object} 快照 ID
+   * @returns {Object} { id, kind, baseId }
    */
   createSnapshot(description = '') {
     try {
-      const snapshotId = randomUUID();
-
-      // 收集所有状态
-      const state = {
-        characters: this.db.getAll('characters'),
-        timeline: this.db.getAll('timeline'),
-        locations: this.db.getAll('locations'),
-        inventory: this.db.getAll('inventory'),
-        memories: this.db.getAll('memories')
-      };
-
-      const snapshotData = {
-        id: snapshotId,
-        snapshot_time: Date.now(),
-        state_data: JSON.stringify(state),
-        description
-      };
-
-      this.db.insert('state_snapshots', snapshotData);
+      const snapshot = this.snapshots.create(description);
 
       this.logger.info('Snapshot created', {
-        id: snapshotId,
+        id: snapshot.id,
+        kind: snapshot.kind,
         description
       });
 
-      return { id: snapshotId };
+      return snapshot;
     } catch (error) {
       this.logger.error('Failed to create snapshot', {
         error: error.message
@@ -670,46 +740,19 @@ class StateManager {
   }
 
   /**
-   * 恢复状态快照
+   * 恢复状态快照（只写入与当前状态不同的行）
    *
    * @param {string} snapshotId - 快照 ID
-   * @returns {Object} 恢复结果
+   * @returns {Object} 恢复结果 { success, created, updated, deleted }
    */
   restoreSnapshot(snapshotId) {
     try {
-      const snapshot = this.db.get('state_snapshots', { id: snapshotId });
-
-      if (!snapshot) {
-        throw new Error(`Snapshot not found: ${snapshotId}`);
-      }
+      const state = this.snapshots.materialize(snapshotId);
 
-      const state = JSON.parse(snapshot.state_data);
-
-      // 使用事务恢复状态
-      this.db.transaction(() => {
-        // 清空当前状态
-        this.db.raw('DELETE FROM characters');
-        this.db.raw('DELETE FROM timeline');
-        this.db.raw('DELETE FROM locations');
-        this.db.raw('DELETE FROM inventory');
-        this.db.raw('DELETE FROM memories');
-
-        // 恢复快照状态
-        for (const character of state.characters) {
-          this.db.insert('characters', character);
-        }
-        for (const event of state.timeline) {
-          this.db.insert('timeline', event);
-        }
-        for (const location of state.locations) {
-          this.db.insert('locations', location);
-        }
-        for (const item of state.inventory) {
-          this.db.insert('inventory', item);
-        }
-        for (const memory of state.memories) {
-          this.db.insert('memories', memory);
-        }
+      // 使用事务恢复状态，差异同时记入变化日志
+      const counts = this.db.transaction(() => {
+        const changes = diffStates(readState(this.db), state);
+        return this.journal.withCause({ type: CAUSE_TYPES.RESTORE, snapshotId }, () => this._applyStateDiff(changes));
       });
 
       // 清除所有缓存
@@ -717,9 +760,9 @@ class StateManager {
       this.cache.locations.clear();
       this.cache.inventory.clear();
 
-      this.logger.info('Snapshot restored', { snapshotId });
+      this.logger.info('Snapshot restored', { snapshotId, ...counts });
 
-      return { success: true };
+      return { success: true, ...counts };
     } catch (error) {
       this.logger.error('Failed to restore snapshot', {
         snapshotId,
@@ -737,18 +780,7 @@ class StateManager {
    */
   listSnapshots(limit = 10) {
     try {
-      const snapshots = this.db.getAll('state_snapshots', {
-        orderBy: 'snapshot_time',
-        order: 'DESC',
-        limit
-      });
-
-      return snapshots.map(snapshot => ({
-        id: snapshot.id,
-        snapshot_time: snapshot.snapshot_time,
-        description: snapshot.description,
-        created_at: snapshot.created_at
-      }));
+      return this.snapshots.list(limit);
     } catch (error) {
       this.logger.error('Failed to list snapshots', {
         error: error.message
@@ -757,6 +789,201 @@ class StateManager {
     }
   }
 
+  /**
+   * 比较两个快照
+   *
+   * @param {string} fromId - 较早的快照 ID
+   * @param {string} toId - 较晚的快照 ID
+   * @returns {Object} { from, to, changes: { 实体: { created: [行], updated: [{ id, before, after, changes }], deleted: [行] } } }
+   *
+   * @example
+   * const { changes } = stateManager.diffSnapshots(before.id, after.id);
+   * changes.characters.updated[0].changes; // => { affection: { from: 50, to: 60 } }
+   */
+  diffSnapshots(fromId, toId) {
+    return this.snapshots.diff(fromId, toId);
+  }
+
+  /**
+   * 按保留策略清理旧快照（默认使用配置 state.snapshots.retention）
+   *
+   * @param {Object} retention - 保留策略 { maxSnapshots, maxAgeDays }，0 表示不限
+   * @returns {Object} { removed: [快照 ID], rebased: [快照 ID] }
+   */
+  compactSnapshots(retention = {}) {
+    return this.snapshots.compact(retention);
+  }
+
+  /**
+   * 删除指定的快照（依赖它们的增量快照会重新计算）
+   *
+   * @param {Array<string>} snapshotIds - 快照 ID
+   * @returns {Object} { removed: [快照 ID], rebased: [快照 ID] }
+   */
+  deleteSnapshots(snapshotIds) {
+    return this.snapshots.remove(snapshotIds);
+  }
+
+  /**
+   * 应用两份状态之间的差异并记入变化日志
+   * 先插入被引用的行，最后删除（先删除引用其他行的行），避免违反外键
+   * @private
+   */
+  _applyStateDiff(changes) {
+    const counts = { created: 0, updated: 0, deleted: 0 };
+
+    for (const entity of ['locations', 'characters', 'timeline', 'inventory', 'memories']) {
+      for (const row of changes[entity].created) {
+        this.db.insert(entity, row);
+        this.journal.record({
+          entity,
+          entityId: row.id,
+          operation: OPERATIONS.CREATE,
+          after: this.db.get(entity, { id: row.id })
+        });
+        counts.created++;
+      }
+
+      for (const { id, before, after, changes: fields } of changes[entity].updated) {
+        this.db.update(entity, { id }, Object.fromEntries(Object.keys(fields).map(field => [field, after[field]])));
+        this.journal.record({
+          entity,
+          entityId: id,
+          operation: OPERATIONS.UPDATE,
+          before,
+          after: this.db.get(entity, { id })
+        });
+        counts.updated++;
+      }
+    }
+
+    for (const entity of ['inventory', 'memories', 'timeline', 'characters', 'locations']) {
+      for (const row of changes[entity].deleted) {
+        this.db.delete(entity, { id: row.id });
+        this.journal.record({ entity, entityId: row.id, operation: OPERATIONS.DELETE, before: row });
+        counts.deleted++;
+      }
+    }
+
+    return counts;
+  }
+
+  // ============================================
+  // 变化日志
+  // ============================================
+
+  /**
+   * 在指定原因下执行（回调必须是同步的），期间的状态变化都记录该原因
+   *
+   * @param {Object} cause - 原因 { type: 'message' | 'rule' | 'manual', messageId, rule, ... }
+   * @param {Function} callback - 回调
+   * @returns {*} 回调函数的返回值
+   *
+   * @example
+   * stateManager.withCause({ type: 'message', messageId }, () => {
+   *   stateManager.updateCharacterState(aliceId, { affection: 73 });
+   * });
+   */
+  withCause(cause, callback) {
+    return this.journal.withCause(cause, callback);
+  }
+
+  /**
+   * 获取实体的变化历史（按先后顺序）
+   *
+   * @param {string} entity - 实体表（characters / timeline / locations / inventory / memories）
+   * @param {string} entityId - 实体 ID
+   * @param {Object} options - 查询选项（field: 只返回改变了该字段的变化，limit: 最近的若干条）
+   * @returns {Array<Object>} 变化列表 [{ seq, operation, before, after, changes, cause, gameTime, timestamp }]
+   *
+   * @example
+   * // Alice 的好感度为什么是 73？
+   * const [last] = stateManager.getHistory('characters', aliceId, { field: 'affection', limit: 1 });
+   * // last.changes.affection => { from: 60, to: 73 }，last.cause => { type: 'message', messageId, rule }
+   */
+  getHistory(entity, entityId, options = {}) {
+    return this.journal.getHistory(entity, entityId, options);
+  }
+
+  /**
+   * 执行写入并把变化前后的行记入日志（同一事务）
+   * @private
+   */
+  _journaled(entity, entityId, operation, write) {
+    return this.db.transaction(() => {
+      const before = operation === OPERATIONS.CREATE ? null : this.db.get(entity, { id: entityId });
+      const result = write();
+      const after = operation === OPERATIONS.DELETE ? null : this.db.get(entity, { id: entityId });
+
+      if (before || after) {
+        this.journal.record({ entity, entityId, operation, before, after });
+      }
+
+      return result;
+    });
+  }
+
+  // ============================================
+  // 事务
+  // ============================================
+
+  /**
+   * 在事务中执行（回调必须是同步的）
+   * 事务内的读取绕过缓存，缓存失效推迟到最外层事务提交之后；回滚时缓存保持不变。
+   * 嵌套调用使用保存点，内层出错只回滚内层的写入。
+   *
+   * @param {Function} callback - 事务回调
+   * @returns {*} 回调函数的返回值
+   *
+   * @example
+   * stateManager.transaction(() => {
+   *   stateManager.updateCharacterState(aliceId, { affection: 60 });
+   *   stateManager.addInventoryItem(aliceId, { item_name: '钥匙' });
+   * });
+   */
+  transaction(callback) {
+    const outermost = this.pendingInvalidations === null;
+    if (outermost) {
+      this.pendingInvalidations = [];
+    }
+
+    try {
+      const result = this.db.transaction(callback);
+
+      if (outermost) {
+        for (const [type, id] of this.pendingInvalidations) {
+          this.cache[type].delete(id);
+        }
+      }
+
+      return result;
+    } finally {
+      if (outermost) {
+        this.pendingInvalidations = null;
+      }
+    }
+  }
+
+  /**
+   * 是否读写缓存（事务中不使用缓存）
+   * @private
+   */
+  _useCache() {
+    return this.options.enableCache && this.pendingInvalidations === null;
+  }
+
+  /**
+   * 使缓存项失效（事务中推迟到提交之后）
+   * @private
+   */
+  _invalidate(type, id) {
+    if (this.pendingInvalidations) {
+      this.pendingInvalidations.push([type, id]);
+    } else {
+      this.cache[type].delete(id);
+    }
+  }
+
   // ============================================
   // 工具方法
   // ============================================
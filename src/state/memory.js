@@ -0,0 +1,386 @@
+/**
+ * Memory Retriever - 相关记忆检索
+ *
+ * 功能：
+ * - 根据当前用户输入，为角色检索最相关的 top-k 条记忆
+ * - 综合评分：词法相关度（FTS5 bm25）+ 重要程度 + 时间衰减 + 标签匹配
+ * - 可选的本地向量嵌入钩子（语义相似度）
+ * - 格式化为提示词片段（memory-recall 模板）
+ *
+ * 评分：
+ * - relevance：bm25 按本次候选中的最高分归一化到 0-1
+ * - importance：(importance - 1) / 4
+ * - recency：按半衰期指数衰减，刚发生为 1
+ * - tags：记忆标签中被命中的比例（显式传入的标签，或在用户输入中出现的标签）
+ * - semantic：配置 embed 时为余弦相似度（0-1）
+ * 最终分数为各项的加权平均（权重之和归一化）。
+ *
+ * 候选集：FTS 命中 + 重要程度/时间最靠前的若干条，避免只靠关键词遗漏重要记忆。
+ * 已归档（被合并）的记忆不参与检索。
+ *
+ * @module state/memory
+ * @version 0.1.0
+ */
+
+import { logger } from '../core/logger.js';
+import DatabaseManager from '../core/database.js';
+import PromptManager from '../llm/prompt.js';
+
+/**
+ * 默认评分权重
+ */
+const DEFAULT_WEIGHTS = {
+  relevance: 0.5,
+  importance: 0.2,
+  recency: 0.2,
+  tags: 0.1,
+  semantic: 0.4
+};
+
+/**
+ * 记忆提示词模板
+ */
+const MEMORY_RECALL_TEMPLATE = `{{characterName}}记得的相关往事（越靠前越相关）：
+{{memories}}`;
+
+/**
+ * 中日韩字符
+ */
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Memory Retriever 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const retriever = new MemoryRetriever({ db });
+ *
+ * const memories = await retriever.retrieve(alice.id, '你还记得那把银色钥匙吗？', { limit: 5 });
+ * const prompt = retriever.render(memories, { characterName: 'Alice' });
+ *
+ * // 接入本地嵌入模型
+ * const semantic = new MemoryRetriever({ db, embed: async (text) => model.embed(text) });
+ * ```
+ */
+class MemoryRetriever {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   * @param {PromptManager} options.promptManager - 提示词管理器（可选）
+   * @param {Function} options.embed - 嵌入函数 async (text) => number[]（可选）
+   * @param {Object} options.weights - 评分权重（覆盖默认值）
+   * @param {number} options.halfLifeDays - 时间衰减半衰期（默认: 7 天）
+   * @param {number} options.candidateLimit - 每路候选的最大条数（默认: 100）
+   */
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseManager();
+    this.promptManager = options.promptManager || new PromptManager();
+    this.embed = options.embed || null;
+
+    this.options = {
+      weights: { ...DEFAULT_WEIGHTS, ...options.weights },
+      halfLifeDays: options.halfLifeDays || 7,
+      candidateLimit: options.candidateLimit || 100
+    };
+
+    // 记忆向量缓存（memoryId => { content, vector }）
+    this.vectors = new Map();
+
+    this.logger = logger.child({ module: 'MemoryRetriever' });
+
+    if (!this.promptManager.getTemplate('memory-recall')) {
+      this.promptManager.register('memory-recall', {
+        template: MEMORY_RECALL_TEMPLATE,
+        variables: ['characterName', 'memories'],
+        defaults: { characterName: '角色' },
+        description: '相关记忆（注入系统提示词）'
+      });
+    }
+  }
+
+  /**
+   * 检索与当前输入最相关的记忆
+   *
+   * @param {string} characterId - 角色 ID
+   * @param {string} query - 当前用户输入
+   * @param {Object} options - 选项
+   * @param {number} options.limit - 返回条数（默认: 5）
+   * @param {Array<string>} options.tags - 需要优先匹配的标签（可选）
+   * @param {number} options.minScore - 最低分数（默认: 0）
+   * @param {number} options.now - 当前时间（默认: Date.now()，用于时间衰减）
+   * @returns {Promise<Array>} 记忆列表（按分数降序），每条带 score 和 scores 明细
+   */
+  async retrieve(characterId, query, options = {}) {
+    const timer = this.logger.startTimer('retrieveMemories');
+    const limit = options.limit || 5;
+    const now = options.now || Date.now();
+
+    try {
+      const candidates = this._collectCandidates(characterId, query || '');
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const maxBm25 = Math.max(0, ...candidates.map(c => c.bm25));
+      const semantic = await this._semanticScores(query, candidates);
+      const queryText = (query || '').toLowerCase();
+      const queryTags = (options.tags || []).map(tag => tag.toLowerCase());
+
+      const scored = candidates.map((memory, i) => {
+        const scores = {
+          relevance: maxBm25 > 0 ? memory.bm25 / maxBm25 : 0,
+          importance: (memory.importance - 1) / 4,
+          recency: this._recency(memory.timestamp, now),
+          tags: this._tagScore(memory.tags, queryTags, queryText)
+        };
+
+        if (semantic) {
+          scores.semantic = semantic[i];
+        }
+
+        const { bm25, ...rest } = memory;
+        return { ...rest, score: this._combine(scores), scores };
+      });
+
+      const results = scored
+        .filter(memory => memory.score >= (options.minScore || 0))
+        .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+        .slice(0, limit);
+
+      timer.done('retrieveMemories');
+
+      this.logger.debug('Memories retrieved', {
+        characterId,
+        candidates: candidates.length,
+        returned: results.length
+      });
+
+      return results;
+    } catch (error) {
+      this.logger.error('Failed to retrieve memories', {
+        characterId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 把记忆渲染为提示词片段（memory-recall 模板）
+   *
+   * @param {Array} memories - retrieve() 的结果
+   * @param {Object} variables - 模板变量
+   * @param {string} variables.characterName - 角色名
+   * @returns {string} 提示词（没有记忆时返回空字符串）
+   */
+  render(memories, variables = {}) {
+    if (!memories || memories.length === 0) {
+      return '';
+    }
+
+    return this.promptManager.render('memory-recall', this.toTemplateVariables(memories, variables));
+  }
+
+  /**
+   * 生成 memory-recall 模板变量（供 PromptManager.compose() 使用）
+   *
+   * @param {Array} memories - retrieve() 的结果
+   * @param {Object} variables - 其他模板变量
+   * @returns {Object} 模板变量
+   */
+  toTemplateVariables(memories, variables = {}) {
+    const result = {
+      memories: memories.map(memory => `- ${memory.content}`).join('\n')
+    };
+
+    if (variables.characterName) {
+      result.characterName = variables.characterName;
+    }
+
+    return result;
+  }
+
+  /**
+   * 清空向量缓存
+   */
+  clearCache() {
+    this.vectors.clear();
+  }
+
+  // ============================================
+  // 私有方法
+  // ============================================
+
+  /**
+   * 收集候选记忆：FTS 命中 ∪ 重要/最近的记忆
+   * @private
+   */
+  _collectCandidates(characterId, query) {
+    const limit = this.options.candidateLimit;
+    const byId = new Map();
+
+    const match = buildMatchQuery(query);
+    if (match) {
+      const hits = this.db.raw(
+        `SELECT m.*, -bm25(memories_fts) AS bm25
+         FROM memories_fts JOIN memories m ON m.rowid = memories_fts.rowid
+         WHERE memories_fts MATCH ? AND m.character_id = ? AND m.archived_at IS NULL
+         ORDER BY bm25 DESC
+         LIMIT ?`,
+        [match, characterId, limit]
+      );
+      hits.forEach(row => byId.set(row.id, row));
+    }
+
+    const baseline = this.db.raw(
+      `SELECT *, 0 AS bm25 FROM memories
+       WHERE character_id = ? AND archived_at IS NULL
+       ORDER BY importance DESC, timestamp DESC
+       LIMIT ?`,
+      [characterId, limit]
+    );
+    baseline.forEach(row => {
+      if (!byId.has(row.id)) {
+        byId.set(row.id, row);
+      }
+    });
+
+    return [...byId.values()].map(row => ({
+      id: row.id,
+      characterId: row.character_id,
+      content: row.content,
+      importance: row.importance,
+      timestamp: row.timestamp,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      bm25: row.bm25
+    }));
+  }
+
+  /**
+   * 语义相似度（未配置 embed 时返回 null）
+   * @private
+   */
+  async _semanticScores(query, candidates) {
+    if (!this.embed || !query) {
+      return null;
+    }
+
+    const queryVector = await this.embed(query);
+
+    const scores = [];
+    for (const memory of candidates) {
+      let cached = this.vectors.get(memory.id);
+      if (!cached || cached.content !== memory.content) {
+        cached = { content: memory.content, vector: await this.embed(memory.content) };
+        this.vectors.set(memory.id, cached);
+      }
+
+      // 余弦相似度 [-1, 1] 映射到 [0, 1]
+      scores.push((cosineSimilarity(queryVector, cached.vector) + 1) / 2);
+    }
+
+    return scores;
+  }
+
+  /**
+   * 时间衰减
+   * @private
+   */
+  _recency(timestamp, now) {
+    const ageDays = Math.max(0, now - timestamp) / (24 * 60 * 60 * 1000);
+    return Math.pow(0.5, ageDays / this.options.halfLifeDays);
+  }
+
+  /**
+   * 标签匹配比例
+   * @private
+   */
+  _tagScore(tags, queryTags, queryText) {
+    if (tags.length === 0) {
+      return 0;
+    }
+
+    const matched = tags.filter(tag => {
+      const lower = tag.toLowerCase();
+      return queryTags.includes(lower) || queryText.includes(lower);
+    });
+
+    return matched.length / tags.length;
+  }
+
+  /**
+   * 加权平均
+   * @private
+   */
+  _combine(scores) {
+    const weights = this.options.weights;
+    let total = 0;
+    let weightSum = 0;
+
+    for (const [name, value] of Object.entries(scores)) {
+      const weight = weights[name] || 0;
+      total += weight * value;
+      weightSum += weight;
+    }
+
+    return weightSum > 0 ? total / weightSum : 0;
+  }
+}
+
+/**
+ * 把用户输入转换为 FTS5 查询（trigram 索引）
+ * - 中日韩连续文字拆成 3 字符窗口
+ * - 其他单词取长度 >= 3 的部分
+ * 各项之间为 OR，bm25 按命中数量和稀有程度排序
+ *
+ * @param {string} text - 用户输入
+ * @returns {string|null} FTS5 查询（没有可用的词时返回 null）
+ */
+export function buildMatchQuery(text) {
+  const terms = new Set();
+
+  for (const run of text.match(/[\p{L}\p{N}]+/gu) || []) {
+    const chars = [...run];
+
+    if (CJK_PATTERN.test(run)) {
+      for (let i = 0; i + 3 <= chars.length; i++) {
+        terms.add(chars.slice(i, i + 3).join(''));
+      }
+    } else if (chars.length >= 3) {
+      terms.add(run.toLowerCase());
+    }
+  }
+
+  if (terms.size === 0) {
+    return null;
+  }
+
+  return [...terms].map(term => `"${term.replace(/"/g, '""')}"`).join(' OR ');
+}
+
+/**
+ * 余弦相似度
+ *
+ * @param {Array<number>} a - 向量
+ * @param {Array<number>} b - 向量
+ * @returns {number} [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 导出
+ */
+export default MemoryRetriever;
@@ -0,0 +1,211 @@
+/**
+ * Numerals - 中文数量解析
+ *
+ * 功能：
+ * - 解析中文数字：十/百/千/万/亿、零、两、中文与阿拉伯数字混写（“一百零五”、“两万三千”、“3万”）
+ * - 省略写法：“一百五” = 150，“三万五” = 35000
+ * - 约数：几、好几、若干、十几、几十、二十多、三十来、两三（approximate）
+ * - 分数：半、一半、三分之一、1.5（fractional）
+ * - 结合量词计算数量：“两打” = 24，“一双” = 2（倍数由模式包的 measureMultipliers 提供）
+ *
+ * 约数的估计值：单独或开头的“几”、“若干”记为 3，单位之后的“几”记为 5（十几 = 15），
+ * 多/余/来 取前面的整数；估计值只用于记账，结果中以 approximate 标明
+ *
+ * @module state/numerals
+ * @version 0.1.0
+ */
+
+/**
+ * 中文数字
+ */
+const DIGITS = {
+  '零': 0, '〇': 0, '一': 1, '二': 2, '两': 2, '三': 3, '四': 4,
+  '五': 5, '六': 6, '七': 7, '八': 8, '九': 9
+};
+
+/**
+ * 节内单位和节单位
+ */
+const SMALL_UNITS = { '十': 10, '百': 100, '千': 1000 };
+const LARGE_UNITS = { '万': 10000, '亿': 100000000 };
+
+/**
+ * 约数的估计值
+ */
+const FEW = 3;
+const SOME_ONES = 5;
+
+/**
+ * 数量短语的正则（不含捕获组，可嵌入模式包的 {number}）
+ * “半”只在后接量词时算作数量，避免把“半月刀”拆开
+ *
+ * @param {string} measure - 量词的正则（如 '(?:个|把)'，默认: 任意量词都不要求）
+ * @returns {string} 正则源码
+ *
+ * @example
+ * new RegExp(`(${numeralPattern('(?:枚|支)')})(?:枚|支)`).exec('二十三枚金币')[1];
+ * // => '二十三'
+ */
+export function numeralPattern(measure = '(?:)') {
+  const digit = '[零〇一二两三四五六七八九\\d]';
+  return [
+    `${digit}*分之${digit}+`,
+    `一?半(?=${measure})`,
+    '若干',
+    `(?:好几|\\d+(?:\\.\\d+)?|[零〇一二两三四五六七八九十百千万亿几]|数(?=[十百千万])|(?<=[十百千万亿])[多余来])+`
+  ].map(part => `(?:${part})`).join('|');
+}
+
+/**
+ * 解析数量短语
+ *
+ * @param {string} text - 数量短语（如“二十三”、“几”、“半”、“三分之一”、“3万”）
+ * @returns {Object|null} { value, approximate, fractional }，无法解析时为 null
+ *
+ * @example
+ * parseNumeral('一百零五'); // => { value: 105, approximate: false, fractional: false }
+ * parseNumeral('十几');     // => { value: 15, approximate: true, fractional: false }
+ */
+export function parseNumeral(text) {
+  const source = String(text ?? '').trim();
+  if (!source) {
+    return null;
+  }
+
+  // 分数
+  const fraction = source.match(/^(.*)分之(.+)$/);
+  if (fraction) {
+    const denominator = parseInteger(fraction[1]);
+    const numerator = parseInteger(fraction[2]);
+    if (!denominator || !numerator || denominator.value === 0) {
+      return null;
+    }
+    return {
+      value: numerator.value / denominator.value,
+      approximate: denominator.approximate || numerator.approximate,
+      fractional: true
+    };
+  }
+
+  if (source === '半' || source === '一半') {
+    return { value: 0.5, approximate: false, fractional: true };
+  }
+
+  if (source === '若干') {
+    return { value: FEW, approximate: true, fractional: false };
+  }
+
+  if (/^\d+\.\d+$/.test(source)) {
+    const value = parseFloat(source);
+    return { value, approximate: false, fractional: !Number.isInteger(value) };
+  }
+
+  const parsed = parseInteger(source.replace(/^好/, ''));
+  if (!parsed) {
+    return null;
+  }
+
+  return {
+    value: parsed.value,
+    approximate: parsed.approximate || source.startsWith('好'),
+    fractional: false
+  };
+}
+
+/**
+ * 结合量词计算物品数量
+ *
+ * @param {string} numeral - 数量短语（可为空，默认 1）
+ * @param {string} measure - 量词（可为空）
+ * @param {Object} multipliers - 量词 => 倍数（如 { 打: 12, 双: 2 }）
+ * @returns {Object} { quantity, unit, approximate, fractional }，无法解析的数量记为约数 1
+ *
+ * @example
+ * parseQuantity('两', '打', { 打: 12 }); // => { quantity: 24, unit: '打', approximate: false, fractional: false }
+ * parseQuantity('半', '瓶');             // => { quantity: 0.5, unit: '瓶', approximate: false, fractional: true }
+ */
+export function parseQuantity(numeral, measure = null, multipliers = {}) {
+  const parsed = numeral ? parseNumeral(numeral) : { value: 1, approximate: false, fractional: false };
+  const { value, approximate, fractional } = parsed || { value: 1, approximate: true, fractional: false };
+  const quantity = value * (measure && multipliers[measure] ? multipliers[measure] : 1);
+
+  return {
+    quantity,
+    unit: measure || null,
+    approximate,
+    fractional: fractional && !Number.isInteger(quantity)
+  };
+}
+
+/**
+ * 解析整数（中文数字、阿拉伯数字或混写，含约数）
+ */
+function parseInteger(text) {
+  const tokens = text.match(/\d+|[^\d]/g);
+  if (!tokens) {
+    return null;
+  }
+
+  let total = 0;
+  let section = 0;
+  let digit = null;
+  let lastUnit = null;
+  let largestUnit = 0;
+  let afterZero = false;
+  let approximate = false;
+
+  for (const token of tokens) {
+    if (/^\d+$/.test(token) || token in DIGITS || token === '几' || token === '数') {
+      const value = /^\d+$/.test(token)
+        ? parseInt(token)
+        : token in DIGITS ? DIGITS[token] : (lastUnit ? SOME_ONES : FEW);
+
+      if (token === '几' || token === '数') {
+        approximate = true;
+      }
+
+      if (digit !== null && digit !== 0 && value !== 0) {
+        // “两三个”：取较小的数
+        approximate = true;
+        continue;
+      }
+
+      if (value === 0) {
+        afterZero = true;
+      }
+      digit = value === 0 ? null : value;
+    } else if (token in SMALL_UNITS) {
+      section += (digit ?? 1) * SMALL_UNITS[token];
+      digit = null;
+      lastUnit = SMALL_UNITS[token];
+      afterZero = false;
+    } else if (token in LARGE_UNITS) {
+      // “一亿两千万”：较小的节单位只作用于本节
+      const current = section + (digit ?? 0);
+      total = largestUnit > LARGE_UNITS[token]
+        ? total + current * LARGE_UNITS[token]
+        : (total + current) * LARGE_UNITS[token];
+      largestUnit = Math.max(largestUnit, LARGE_UNITS[token]);
+      section = 0;
+      digit = null;
+      lastUnit = LARGE_UNITS[token];
+      afterZero = false;
+    } else if ('多余来'.includes(token) && lastUnit) {
+      approximate = true;
+    } else {
+      return null;
+    }
+  }
+
+  // 省略写法：“一百五” = 150（前面有“零”时不省略：“一百零五” = 105）
+  if (digit !== null && lastUnit && !afterZero && digit < 10) {
+    digit *= lastUnit / 10;
+  }
+
+  return { value: total + section + (digit ?? 0), approximate };
+}
+
+/**
+ * 导出
+ */
+export default parseNumeral;
@@ -0,0 +1,339 @@
+/**
+ * Pattern Packs - 提取模式包
+ *
+ * 功能：
+ * - 从 JSON / YAML 文件加载提取模式包（按语言或题材，如 zh-core、wuxia、en-fantasy）
+ * - 校验模式包，并把启用的模式包合并为 StateExtractor 使用的模式集合
+ * - 按配置解析启用的模式包（state.patterns.packs，或 state.patterns.worlds 中某个世界的列表）
+ *
+ * 模式包字段（除 name 外均可选）：
+ * - emotions：情绪 => 关键词列表（情绪必须是 schema.js 中的 EMOTIONS）
+ * - measureWords：量词（个、把、件……），展开为库存模式中的 {measure}
+ * - measureMultipliers：量词 => 倍数（如 { "打": 12, "双": 2 }），计算数量时乘上倍数
+ * - locationVerbs：位置动词（走进、来到、entered……），后接地点名
+ * - affection：好感度模式 [{ name, pattern, type: delta | absolute, negative, confidence }]，
+ *   pattern 用 (?<value>\d+) 捕获数值
+ * - inventory：库存模式 { add: [...], remove: [...] }，每项 { name, pattern, confidence }，
+ *   pattern 用 (?<item>...) 捕获物品名，可选 (?<quantity>...) 捕获数量；{number} 展开为数量短语
+ *   （中文数字、约数和分数，见 numerals.js），{measure} 展开为命名捕获组 (?<measure>...)
+ *
+ * 合并规则：关键词和量词按启用顺序合并去重，量词倍数后启用的覆盖先启用的，
+ * 好感度和库存模式按启用顺序追加（先命中先用）
+ *
+ * @module state/packs
+ * @version 0.1.0
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, extname, basename, isAbsolute, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { load as loadYaml } from 'js-yaml';
+import { config } from '../core/config.js';
+import { EMOTIONS, validateSchema } from './schema.js';
+import { numeralPattern } from './numerals.js';
+
+/**
+ * 内置模式包目录
+ */
+export const PACKS_DIR = fileURLToPath(new URL('./patterns/', import.meta.url));
+
+/**
+ * 未配置时启用的模式包
+ */
+export const DEFAULT_PACKS = ['zh-core', 'en-core'];
+
+/**
+ * 模式包文件扩展名（按优先级）
+ */
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const KEYWORDS = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const PATTERN_ITEM = {
+  type: 'object',
+  required: ['name', 'pattern'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    pattern: { type: 'string', minLength: 1 },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+/**
+ * 模式包的 JSON Schema
+ */
+export const PACK_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    language: { type: 'string' },
+    emotions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(EMOTIONS.map(emotion => [emotion, KEYWORDS]))
+    },
+    measureWords: KEYWORDS,
+    measureMultipliers: { type: 'object' },
+    locationVerbs: KEYWORDS,
+    affection: {
+      type: 'array',
+      items: {
+        ...PATTERN_ITEM,
+        required: ['name', 'pattern', 'type'],
+        properties: {
+          ...PATTERN_ITEM.properties,
+          type: { type: 'string', enum: ['delta', 'absolute'] },
+          negative: { type: 'boolean' }
+        }
+      }
+    },
+    inventory: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        add: { type: 'array', items: PATTERN_ITEM },
+        remove: { type: 'array', items: PATTERN_ITEM }
+      }
+    }
+  }
+};
+
+/**
+ * 加载并校验模式包
+ *
+ * @param {string} nameOrPath - 模式包名（在 dirs 和内置目录中查找 name.json / name.yaml）或文件路径
+ * @param {Array<string>} dirs - 额外的查找目录（优先于内置目录）
+ * @returns {Object} 模式包
+ *
+ * @example
+ * const pack = loadPack('wuxia');
+ * const custom = loadPack('./data/patterns/my-world.yaml');
+ */
+export function loadPack(nameOrPath, dirs = []) {
+  const path = findPackFile(nameOrPath, dirs);
+  if (!path) {
+    throw new Error(`Pattern pack not found: ${nameOrPath}`);
+  }
+
+  const content = readFileSync(path, 'utf8');
+  const pack = extname(path) === '.json' ? JSON.parse(content) : loadYaml(content);
+
+  const errors = validatePack(pack);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pattern pack ${nameOrPath}: ${errors.join('; ')}`);
+  }
+
+  return pack;
+}
+
+/**
+ * 校验模式包（Schema、正则语法和命名捕获组）
+ *
+ * @param {Object} pack - 模式包
+ * @returns {Array<string>} 错误列表（为空表示通过）
+ */
+export function validatePack(pack) {
+  const errors = validateSchema(pack, PACK_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  for (const [word, multiplier] of Object.entries(pack.measureMultipliers || {})) {
+    if (typeof multiplier !== 'number' || multiplier <= 0) {
+      errors.push(`$.measureMultipliers.${word}: must be a positive number`);
+    }
+  }
+
+  const check = (item, path, group) => {
+    try {
+      const regex = new RegExp(expandPlaceholders(item.pattern, ['个']), 'i');
+      if (!regex.source.includes(`(?<${group}>`)) {
+        errors.push(`${path}.pattern: must capture (?<${group}>...)`);
+      }
+    } catch (error) {
+      errors.push(`${path}.pattern: ${error.message}`);
+    }
+  };
+
+  (pack.affection || []).forEach((item, i) => check(item, `$.affection[${i}]`, 'value'));
+  for (const action of ['add', 'remove']) {
+    (pack.inventory?.[action] || []).forEach((item, i) => check(item, `$.inventory.${action}[${i}]`, 'item'));
+  }
+
+  return errors;
+}
+
+/**
+ * 合并模式包
+ *
+ * @param {Array<Object>} packs - 模式包（按启用顺序）
+ * @returns {Object} { packs, emotionKeywords, measureWords, measureMultipliers, measurePattern,
+ *   locationKeywords, affectionPatterns, inventoryPatterns }
+ */
+export function mergePacks(packs) {
+  const emotionKeywords = {};
+  const measureWords = [];
+  const measureMultipliers = {};
+  const locationKeywords = [];
+  const affectionPatterns = [];
+  const inventoryItems = { add: [], remove: [] };
+
+  const addUnique = (list, values = []) => {
+    for (const value of values) {
+      if (!list.includes(value)) {
+        list.push(value);
+      }
+    }
+  };
+
+  for (const pack of packs) {
+    for (const [emotion, keywords] of Object.entries(pack.emotions || {})) {
+      emotionKeywords[emotion] = emotionKeywords[emotion] || [];
+      addUnique(emotionKeywords[emotion], keywords);
+    }
+
+    addUnique(measureWords, pack.measureWords);
+    Object.assign(measureMultipliers, pack.measureMultipliers);
+    addUnique(locationKeywords, pack.locationVerbs);
+
+    for (const item of pack.affection || []) {
+      affectionPatterns.push({
+        name: item.name,
+        regex: new RegExp(item.pattern, 'i'),
+        type: item.type,
+        negative: item.negative === true,
+        confidence: item.confidence ?? 0.7
+      });
+    }
+
+    for (const action of ['add', 'remove']) {
+      inventoryItems[action].push(...(pack.inventory?.[action] || []));
+    }
+  }
+
+  // 量词要等所有模式包合并后才能展开
+  const inventoryPatterns = {};
+  for (const action of ['add', 'remove']) {
+    inventoryPatterns[action] = inventoryItems[action].map(item => ({
+      name: item.name,
+      regex: new RegExp(expandPlaceholders(item.pattern, measureWords), 'i'),
+      confidence: item.confidence ?? 0.6
+    }));
+  }
+
+  return {
+    packs: packs.map(pack => pack.name),
+    emotionKeywords,
+    measureWords,
+    measureMultipliers,
+    measurePattern: measureAlternation(measureWords),
+    locationKeywords,
+    affectionPatterns,
+    inventoryPatterns
+  };
+}
+
+/**
+ * 按配置解析启用的模式包
+ * 指定世界时使用 state.patterns.worlds 中该世界的列表，否则使用 state.patterns.packs
+ *
+ * @param {Object} options - 选项
+ * @param {string} options.world - 世界名（默认: state.patterns.world）
+ * @param {Array<string>} options.packs - 直接指定模式包（优先于配置）
+ * @returns {Array<string>} 模式包名或路径
+ */
+export function resolvePacks(options = {}) {
+  if (options.packs) {
+    return options.packs;
+  }
+
+  const world = options.world ?? config.get('state.patterns.world', '');
+  if (world) {
+    const packs = config.get('state.patterns.worlds', {})[world];
+    if (!packs) {
+      throw new Error(`No pattern packs configured for world: ${world}`);
+    }
+    return packs;
+  }
+
+  return config.get('state.patterns.packs', DEFAULT_PACKS);
+}
+
+/**
+ * 列出可用的模式包
+ *
+ * @param {Array<string>} dirs - 额外的查找目录
+ * @returns {Array<string>} 模式包名
+ */
+export function listPacks(dirs = []) {
+  const names = new Set();
+
+  for (const dir of [...dirs, PACKS_DIR]) {
+    if (!existsSync(dir)) {
+      continue;
+    }
+    for (const file of readdirSync(dir)) {
+      if (PACK_EXTENSIONS.includes(extname(file))) {
+        names.add(basename(file, extname(file)));
+      }
+    }
+  }
+
+  return [...names].sort();
+}
+
+/**
+ * 模式包文件路径（名字在各目录中按扩展名查找；带扩展名时视为路径）
+ */
+function findPackFile(nameOrPath, dirs) {
+  if (PACK_EXTENSIONS.includes(extname(nameOrPath))) {
+    const path = isAbsolute(nameOrPath) ? nameOrPath : resolve(process.cwd(), nameOrPath);
+    return existsSync(path) ? path : null;
+  }
+
+  for (const dir of [...dirs, PACKS_DIR]) {
+    for (const extension of PACK_EXTENSIONS) {
+      const path = join(dir, `${nameOrPath}${extension}`);
+      if (existsSync(path)) {
+        return path;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 展开 {number} 和 {measure}
+ */
+function expandPlaceholders(pattern, measureWords) {
+  const measure = measureAlternation(measureWords);
+
+  return pattern
+    .replaceAll('{number}', `(?:${numeralPattern(measure)})`)
+    .replaceAll('{measure}', `(?<measure>${measure})`);
+}
+
+/**
+ * 量词的正则（较长的量词优先）
+ */
+function measureAlternation(measureWords) {
+  if (measureWords.length === 0) {
+    return '(?:)';
+  }
+
+  const escaped = [...measureWords]
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return `(?:${escaped.join('|')})`;
+}
+
+/**
+ * 导出
+ */
+export default loadPack;
@@ -0,0 +1,200 @@
+/**
+ * State Schema - 结构化状态提取的 JSON Schema
+ *
+ * 功能：
+ * - 定义 LLM 提取模式返回的 JSON 结构（好感度、情绪、位置、库存、事件）
+ * - 轻量的 JSON Schema 校验（支持本项目用到的子集）
+ *
+ * 支持的关键字：type（可为数组）、properties、required、additionalProperties、
+ * items、enum、minimum、maximum、minLength
+ *
+ * @module state/schema
+ * @version 0.1.0
+ */
+
+/**
+ * 合法的情绪（与 StateValidator 保持一致）
+ */
+export const EMOTIONS = [
+  'neutral', 'happy', 'sad', 'angry', 'excited',
+  'scared', 'confused', 'calm', 'anxious', 'loving'
+];
+
+const AFFECTION_SCHEMA = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    delta: { type: 'integer', minimum: -100, maximum: 100 },
+    value: { type: 'integer', minimum: 0, maximum: 100 }
+  }
+};
+
+const EMOTION_SCHEMA = {
+  type: ['object', 'null'],
+  required: ['emotion'],
+  additionalProperties: false,
+  properties: {
+    emotion: { type: 'string', enum: EMOTIONS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const LOCATION_SCHEMA = {
+  type: ['object', 'null'],
+  required: ['location'],
+  additionalProperties: false,
+  properties: {
+    location: { type: 'string', minLength: 1 }
+  }
+};
+
+const INVENTORY_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['action', 'item_name'],
+    additionalProperties: false,
+    properties: {
+      action: { type: 'string', enum: ['add', 'remove'] },
+      item_name: { type: 'string', minLength: 1 },
+      quantity: { type: 'integer', minimum: 1 }
+    }
+  }
+};
+
+/**
+ * 状态提取结果的 JSON Schema
+ * 顶层字段为回复角色本人的变化，characters（可选）为文中其他角色的变化
+ */
+export const STATE_EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['affection', 'emotion', 'location', 'inventory', 'events'],
+  additionalProperties: false,
+  properties: {
+    affection: AFFECTION_SCHEMA,
+    emotion: EMOTION_SCHEMA,
+    location: LOCATION_SCHEMA,
+    inventory: INVENTORY_SCHEMA,
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description'],
+        additionalProperties: false,
+        properties: {
+          event_type: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          importance: { type: 'integer', minimum: 1, maximum: 5 },
+          participants: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    characters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          affection: AFFECTION_SCHEMA,
+          emotion: EMOTION_SCHEMA,
+          location: LOCATION_SCHEMA,
+          inventory: INVENTORY_SCHEMA
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 校验值是否符合 Schema
+ *
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 当前路径（用于错误信息）
+ * @returns {Array<string>} 错误列表（为空表示通过）
+ *
+ * @example
+ * validateSchema({ emotion: 'happy' }, schema);
+ * // => ['$.affection: is required', ...]
+ */
+export function validateSchema(value, schema, path = '$') {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    return [`${path}: must be ${types.join(' or ')}`];
+  }
+
+  if (value === null) {
+    return [];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+    });
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * JSON Schema 类型判断
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 导出
+ */
+export default STATE_EXTRACTION_SCHEMA;
@@ -0,0 +1,421 @@
+/**
+ * Snapshot Store - 增量状态快照
+ *
+ * 功能：
+ * - 完整快照（full）保存各表的所有行；增量快照（delta）只保存相对基准（最近的完整快照）变化的行
+ * - 重建任意快照的完整状态
+ * - 比较两个快照（每个实体新增、修改、删除了哪些行）
+ * - 保留策略：按数量和天数清理旧快照，被清理的基准上仍有增量快照时把最早的一个转为完整快照并重新计算其余的增量
+ *
+ * 何时保存完整快照：
+ * - 还没有基准，或基准上的增量快照已达 baseInterval 个
+ * - 变化的行数超过基准行数的 maxDeltaRatio 倍
+ *
+ * 增量的计算：updated_at 不早于基准时间的行与基准比较（忽略时间戳），基准中有而当前没有的行记为删除。
+ * 因此所有写入都应该经过 DatabaseManager（insert / update 会更新时间戳）。
+ *
+ * @module state/snapshots
+ * @version 0.1.0
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../core/logger.js';
+import { config } from '../core/config.js';
+import DatabaseManager from '../core/database.js';
+import { JOURNAL_ENTITIES, diffRows } from './journal.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 快照类型
+ */
+export const SNAPSHOT_KINDS = {
+  FULL: 'full',
+  DELTA: 'delta'
+};
+
+/**
+ * 读取当前完整状态（各表的数据库行）
+ *
+ * @param {DatabaseManager} db - 数据库管理器
+ * @returns {Object} { characters: [行], timeline, locations, inventory, memories }
+ */
+export function readState(db) {
+  return Object.fromEntries(JOURNAL_ENTITIES.map(entity => [entity, db.getAll(entity)]));
+}
+
+/**
+ * 比较两份完整状态（按 id 匹配各表的行，忽略时间戳）
+ *
+ * @param {Object} before - 变化前的状态
+ * @param {Object} after - 变化后的状态
+ * @returns {Object} { 实体: { created: [行], updated: [{ id, before, after, changes }], deleted: [行] } }
+ */
+export function diffStates(before, after) {
+  const result = {};
+
+  for (const entity of JOURNAL_ENTITIES) {
+    const previous = new Map((before[entity] || []).map(row => [row.id, row]));
+    const changes = { created: [], updated: [], deleted: [] };
+
+    for (const row of after[entity] || []) {
+      const old = previous.get(row.id);
+      if (!old) {
+        changes.created.push(row);
+        continue;
+      }
+
+      const fields = diffRows(old, row);
+      if (Object.keys(fields).length > 0) {
+        changes.updated.push({ id: row.id, before: old, after: row, changes: fields });
+      }
+      previous.delete(row.id);
+    }
+
+    changes.deleted = [...previous.values()];
+    result[entity] = changes;
+  }
+
+  return result;
+}
+
+/**
+ * Snapshot Store 类
+ *
+ * 使用示例：
+ * ```javascript
+ * const snapshots = new SnapshotStore({ db, baseInterval: 50 });
+ *
+ * const before = snapshots.create('Turn 1');   // => { id, kind: 'full' }
+ * const after = snapshots.create('Turn 2');    // => { id, kind: 'delta', baseId: before.id }
+ *
+ * snapshots.diff(before.id, after.id);
+ * // => { from, to, changes: { characters: { created: [], updated: [{ id, changes: { affection: { from: 50, to: 60 } } }], deleted: [] }, ... } }
+ * ```
+ */
+class SnapshotStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {DatabaseManager} options.db - 数据库管理器
+   * @param {number} options.baseInterval - 每个基准上最多的增量快照数（默认: 配置 state.snapshots.baseInterval）
+   * @param {number} options.maxDeltaRatio - 变化行数超过基准行数的该倍数时保存完整快照（默认: 配置 state.snapshots.maxDeltaRatio）
+   * @param {Object} options.retention - 保留策略 { maxSnapshots, maxAgeDays }，0 表示不限（默认: 配置 state.snapshots.retention）
+   */
+  constructor(options = {}) {
+    this.db = options.db || new DatabaseManager();
+
+    this.options = {
+      baseInterval: options.baseInterval ?? config.get('state.snapshots.baseInterval', 50),
+      maxDeltaRatio: options.maxDeltaRatio ?? config.get('state.snapshots.maxDeltaRatio', 0.5),
+      retention: {
+        maxSnapshots: 0,
+        maxAgeDays: 0,
+        ...config.get('state.snapshots.retention', {}),
+        ...options.retention
+      }
+    };
+
+    // 最近使用的基准状态 { id, state: { 实体: Map<id, 行> } }
+    this.baseCache = null;
+
+    this.logger = logger.child({ module: 'SnapshotStore' });
+  }
+
+  /**
+   * 保存快照（完整或增量），配置了保留策略时随后清理旧快照
+   *
+   * @param {string} description - 快照描述
+   * @returns {Object} { id, kind, baseId }（完整快照没有 baseId）
+   */
+  create(description = '') {
+    const id = randomUUID();
+    const snapshotTime = Date.now();
+    const base = this._latestBase();
+
+    let delta = null;
+    if (base && this._deltaCount(base.id) < this.options.baseInterval) {
+      const baseState = this._baseState(base);
+      const candidate = this._changesSince(base, baseState);
+      const baseRows = JOURNAL_ENTITIES.reduce((sum, entity) => sum + baseState[entity].size, 0);
+
+      if (candidate.rows <= this.options.maxDeltaRatio * baseRows) {
+        delta = candidate.delta;
+      }
+    }
+
+    if (delta) {
+      this.db.insert('state_snapshots', {
+        id,
+        snapshot_time: snapshotTime,
+        state_data: JSON.stringify(delta),
+        description,
+        kind: SNAPSHOT_KINDS.DELTA,
+        base_id: base.id
+      });
+    } else {
+      const state = readState(this.db);
+      this.db.insert('state_snapshots', {
+        id,
+        snapshot_time: snapshotTime,
+        state_data: JSON.stringify(state),
+        description,
+        kind: SNAPSHOT_KINDS.FULL
+      });
+      this.baseCache = { id, state: toMaps(state) };
+    }
+
+    this.compact();
+
+    return delta
+      ? { id, kind: SNAPSHOT_KINDS.DELTA, baseId: base.id }
+      : { id, kind: SNAPSHOT_KINDS.FULL };
+  }
+
+  /**
+   * 重建快照的完整状态
+   *
+   * @param {string} snapshotId - 快照 ID
+   * @returns {Object} { characters: [行], timeline, locations, inventory, memories }
+   */
+  materialize(snapshotId) {
+    const snapshot = this.db.get('state_snapshots', { id: snapshotId });
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${snapshotId}`);
+    }
+
+    if (snapshot.kind !== SNAPSHOT_KINDS.DELTA) {
+      return JSON.parse(snapshot.state_data);
+    }
+
+    const base = this.db.get('state_snapshots', { id: snapshot.base_id });
+    if (!base) {
+      throw new Error(`Snapshot base not found: ${snapshot.base_id}`);
+    }
+
+    const state = {};
+    const delta = JSON.parse(snapshot.state_data);
+    const baseState = this._baseState(base);
+
+    for (const entity of JOURNAL_ENTITIES) {
+      const rows = new Map(baseState[entity]);
+      for (const id of delta[entity]?.delete || []) {
+        rows.delete(id);
+      }
+      for (const row of delta[entity]?.upsert || []) {
+        rows.set(row.id, row);
+      }
+      state[entity] = [...rows.values()];
+    }
+
+    return state;
+  }
+
+  /**
+   * 比较两个快照
+   *
+   * @param {string} fromId - 较早的快照 ID
+   * @param {string} toId - 较晚的快照 ID
+   * @returns {Object} { from, to, changes }，changes 同 diffStates()
+   */
+  diff(fromId, toId) {
+    return {
+      from: fromId,
+      to: toId,
+      changes: diffStates(this.materialize(fromId), this.materialize(toId))
+    };
+  }
+
+  /**
+   * 列出快照（最新的在前）
+   *
+   * @param {number} limit - 限制数量
+   * @returns {Array} 快照列表
+   */
+  list(limit = 10) {
+    return this.db.raw(
+      `SELECT id, snapshot_time, description, kind, base_id, created_at
+       FROM state_snapshots ORDER BY snapshot_time DESC, rowid DESC LIMIT ?`,
+      [limit]
+    );
+  }
+
+  /**
+   * 按保留策略清理旧快照
+   * 被清理的完整快照上仍有保留的增量快照时，最早的一个转为完整快照，其余改为相对它的增量
+   *
+   * @param {Object} retention - 保留策略（默认: options.retention）
+   * @param {number} retention.maxSnapshots - 最多保留的快照数（0 表示不限）
+   * @param {number} retention.maxAgeDays - 最多保留的天数（0 表示不限）
+   * @returns {Object} { removed: [快照 ID], rebased: [快照 ID] }
+   */
+  compact(retention = {}) {
+    const { maxSnapshots, maxAgeDays } = { ...this.options.retention, ...retention };
+    const result = { removed: [], rebased: [] };
+    if (!maxSnapshots && !maxAgeDays) {
+      return result;
+    }
+
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * DAY : -Infinity;
+    const snapshots = this.db.raw(
+      'SELECT id, snapshot_time FROM state_snapshots ORDER BY snapshot_time DESC, rowid DESC'
+    );
+    const removed = snapshots.filter((snapshot, i) =>
+      (maxSnapshots && i >= maxSnapshots) || snapshot.snapshot_time < cutoff
+    );
+    if (removed.length === 0) {
+      return result;
+    }
+
+    return this.remove(removed.map(snapshot => snapshot.id));
+  }
+
+  /**
+   * 删除指定的快照
+   * 被删除的完整快照上仍有保留的增量快照时，最早的一个转为完整快照，其余改为相对它的增量
+   *
+   * @param {Array<string>} snapshotIds - 快照 ID（不存在的忽略）
+   * @returns {Object} { removed: [快照 ID], rebased: [快照 ID] }
+   */
+  remove(snapshotIds) {
+    const ids = new Set(snapshotIds);
+    const result = { removed: [], rebased: [] };
+
+    const snapshots = this.db.raw(
+      'SELECT id, kind, base_id FROM state_snapshots ORDER BY snapshot_time DESC, rowid DESC'
+    );
+    const removed = snapshots.filter(snapshot => ids.has(snapshot.id));
+    const kept = snapshots.filter(snapshot => !ids.has(snapshot.id));
+    if (removed.length === 0) {
+      return result;
+    }
+
+    this.db.transaction(() => {
+      for (const base of removed.filter(snapshot => snapshot.kind !== SNAPSHOT_KINDS.DELTA)) {
+        // 从早到晚
+        const dependents = kept.filter(snapshot => snapshot.base_id === base.id).reverse();
+        if (dependents.length === 0) {
+          continue;
+        }
+
+        const [first, ...rest] = dependents.map(snapshot => ({ id: snapshot.id, state: this.materialize(snapshot.id) }));
+
+        this.db.update('state_snapshots', { id: first.id }, {
+          kind: SNAPSHOT_KINDS.FULL,
+          base_id: null,
+          state_data: JSON.stringify(first.state)
+        });
+        for (const snapshot of rest) {
+          this.db.update('state_snapshots', { id: snapshot.id }, {
+            base_id: first.id,
+            state_data: JSON.stringify(toDelta(diffStates(first.state, snapshot.state)))
+          });
+        }
+
+        result.rebased.push(...dependents.map(snapshot => snapshot.id));
+      }
+
+      result.removed = removed.map(snapshot => snapshot.id);
+      this.db.delete('state_snapshots', { id: { in: result.removed } });
+    });
+
+    this.baseCache = null;
+
+    this.logger.info('Snapshots removed', {
+      removed: result.removed.length,
+      rebased: result.rebased.length
+    });
+
+    return result;
+  }
+
+  /**
+   * 最近的完整快照
+   * @private
+   */
+  _latestBase() {
+    const [base] = this.db.raw(
+      'SELECT id, snapshot_time FROM state_snapshots WHERE kind = ? ORDER BY snapshot_time DESC, rowid DESC LIMIT 1',
+      [SNAPSHOT_KINDS.FULL]
+    );
+    return base || null;
+  }
+
+  /**
+   * 基准上的增量快照数
+   * @private
+   */
+  _deltaCount(baseId) {
+    const [{ count }] = this.db.raw('SELECT COUNT(*) AS count FROM state_snapshots WHERE base_id = ?', [baseId]);
+    return count;
+  }
+
+  /**
+   * 基准的状态（按实体分组的 Map，缓存最近使用的一个）
+   * @private
+   */
+  _baseState(base) {
+    if (this.baseCache?.id !== base.id) {
+      const { state_data: data } = base.state_data ? base : this.db.get('state_snapshots', { id: base.id });
+      this.baseCache = { id: base.id, state: toMaps(JSON.parse(data)) };
+    }
+    return this.baseCache.state;
+  }
+
+  /**
+   * 当前状态相对基准的变化
+   * @private
+   */
+  _changesSince(base, baseState) {
+    const delta = {};
+    let rows = 0;
+
+    for (const entity of JOURNAL_ENTITIES) {
+      const previous = baseState[entity];
+      const upsert = this.db.getAll(entity, { where: { updated_at: { gte: base.snapshot_time } } })
+        .filter(row => !previous.has(row.id) || Object.keys(diffRows(previous.get(row.id), row)).length > 0);
+
+      const current = new Set(this.db.raw(`SELECT id FROM ${entity}`).map(row => row.id));
+      const deleted = [...previous.keys()].filter(id => !current.has(id));
+
+      if (upsert.length > 0 || deleted.length > 0) {
+        delta[entity] = { upsert, delete: deleted };
+        rows += upsert.length + deleted.length;
+      }
+    }
+
+    return { delta, rows };
+  }
+}
+
+/**
+ * 完整状态 => 按实体分组的 Map<id, 行>
+ */
+function toMaps(state) {
+  return Object.fromEntries(
+    JOURNAL_ENTITIES.map(entity => [entity, new Map((state[entity] || []).map(row => [row.id, row]))])
+  );
+}
+
+/**
+ * diffStates() 的结果 => 增量快照数据 { 实体: { upsert: [行], delete: [id] } }
+ */
+function toDelta(changes) {
+  const delta = {};
+
+  for (const entity of JOURNAL_ENTITIES) {
+    const { created, updated, deleted } = changes[entity];
+    if (created.length > 0 || updated.length > 0 || deleted.length > 0) {
+      delta[entity] = {
+        upsert: [...created, ...updated.map(change => change.after)],
+        delete: deleted.map(row => row.id)
+      };
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * 导出
+ */
+export default SnapshotStore;
@@ -0,0 +1,412 @@
+/**
+ * API Server 单元测试
+ *
+ * 测试内容：
+ * - 路由匹配和参数解析
+ * - 角色、对话、消息接口
+ * - SSE 流式回复
+ * - 重新生成、编辑消息、切换分支
+ * - 全文搜索
+ * - 状态变化审核
+ * - 错误响应（400/404/405/413）
+ */
+
+import { jest } from '@jest/globals';
+import ApiServer from '../../src/api/server.js';
+import ChatService from '../../src/chat/service.js';
+import LLMClient from '../../src/llm/client.js';
+import ConversationManager from '../../src/conversation/manager.js';
+import StateIntegrator from '../../src/state/integrator.js';
+import DatabaseManager from '../../src/core/database.js';
+import { existsSync, unlinkSync } from 'fs';
+
+describe('ApiServer', () => {
+  let server;
+  let baseUrl;
+  let db;
+  const testDbPath = '/tmp/test-api-server.db';
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+
+    db = new DatabaseManager({ dbPath: testDbPath });
+
+    const llmClient = new LLMClient({ apiKey: 'test-api-key' });
+    llmClient.anthropic.messages.create = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: '欢迎光临！Alice 微笑着说。' }],
+      usage: { input_tokens: 80, output_tokens: 20 },
+      stop_reason: 'end_turn'
+    });
+
+    const chatService = new ChatService({
+      llmClient,
+      conversationManager: new ConversationManager({
+        db,
+        autoSave: false
+      }),
+      stateIntegrator: new StateIntegrator({ db })
+    });
+
+    server = new ApiServer({ chatService, host: '127.0.0.1' });
+    const { port } = await server.listen(0);
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    await server.close();
+    db.close();
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+  });
+
+  test('GET /health 应该返回 ok', async () => {
+    const res = await request('GET', '/health');
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ok');
+  });
+
+  test('应该能完成一个完整的对话回合', async () => {
+    const created = await request('POST', '/api/conversations', {
+      title: 'Tavern',
+      character: { name: 'Alice', affection: 40 }
+    });
+    expect(created.status).toBe(201);
+
+    const conversationId = created.body.id;
+    const characterId = created.body.characterId;
+
+    const turn = await request('POST', `/api/conversations/${conversationId}/messages`, {
+      content: '你好！'
+    });
+    expect(turn.status).toBe(200);
+    expect(turn.body.assistantMessage.content).toContain('欢迎光临');
+    expect(turn.body.state.updates.some(u => u.type === 'emotion')).toBe(true);
+
+    const state = await request('GET', `/api/characters/${characterId}/state`);
+    expect(state.status).toBe(200);
+    expect(state.body.emotion).toBe('happy');
+
+    const conversation = await request('GET', `/api/conversations/${conversationId}`);
+    expect(conversation.body.messages).toHaveLength(2);
+
+    const list = await request('GET', '/api/conversations');
+    expect(list.body.conversations.some(c => c.id === conversationId)).toBe(true);
+  });
+
+  test('应该能通过 SSE 流式返回回复', async () => {
+    const created = await request('POST', '/api/conversations', {
+      character: { name: 'Alice' }
+    });
+
+    server.chatService.llmClient.anthropic.messages.stream = jest.fn().mockReturnValue({
+      async *[Symbol.asyncIterator]() {
+        yield { type: 'message_start', message: { usage: { input_tokens: 10 } } };
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: '你好，' } };
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: '旅人。' } };
+        yield { type: 'message_delta', delta: {}, usage: { output_tokens: 6 } };
+        yield { type: 'message_stop' };
+      }
+    });
+
+    const response = await fetch(
+      `${baseUrl}/api/conversations/${created.body.id}/messages/stream`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: '你好' })
+      }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+    const text = await response.text();
+    const events = text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', ''))
+      };
+    });
+
+    expect(events.filter(e => e.event === 'delta').map(e => e.data.content))
+      .toEqual(['你好，', '旅人。']);
+    expect(events[events.length - 1].event).toBe('done');
+    expect(events[events.length - 1].data.assistantMessage.content).toBe('你好，旅人。');
+  });
+
+  test('应该能分页读取对话历史和排序对话列表', async () => {
+    const first = await request('POST', '/api/conversations', {
+      title: 'B',
+      character: { name: 'Alice' }
+    });
+    await request('POST', '/api/conversations', { title: 'A', character: { name: 'Bob' } });
+
+    for (const content of ['一', '二', '三']) {
+      await request('POST', `/api/conversations/${first.body.id}/messages`, { content });
+    }
+
+    const page = await request('GET', `/api/conversations/${first.body.id}/messages?limit=2&offset=2`);
+    expect(page.status).toBe(200);
+    expect(page.body.messages.map(m => m.content)).toEqual(['二', '欢迎光临！Alice 微笑着说。']);
+    expect(page.body).toMatchObject({ total: 6, hasMore: true });
+
+    const list = await request('GET', '/api/conversations?orderBy=title&order=asc');
+    expect(list.body.conversations.map(c => c.title)).toEqual(['A', 'B']);
+
+    const invalid = await request('GET', '/api/conversations?orderBy=secret');
+    expect(invalid.status).toBe(400);
+
+    const badLimit = await request('GET', `/api/conversations/${first.body.id}/messages?limit=-1`);
+    expect(badLimit.status).toBe(400);
+  });
+
+  test('应该能重新生成、编辑消息并切换分支', async () => {
+    const created = await request('POST', '/api/conversations', {
+      character: { name: 'Alice' }
+    });
+    const conversationId = created.body.id;
+
+    const first = await request('POST', `/api/conversations/${conversationId}/messages`, {
+      content: '你好！'
+    });
+
+    const regenerated = await request('POST', `/api/conversations/${conversationId}/regenerate`, {});
+    expect(regenerated.status).toBe(200);
+    expect(regenerated.body.swipes).toEqual({ index: 1, total: 2 });
+
+    const edited = await request('PUT',
+      `/api/conversations/${conversationId}/messages/${first.body.userMessage.id}`,
+      { content: '晚上好！' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.userMessage.content).toBe('晚上好！');
+
+    const selected = await request('POST', `/api/conversations/${conversationId}/branches`, {
+      messageId: first.body.assistantMessage.id
+    });
+    expect(selected.status).toBe(200);
+    expect(selected.body.messages.map(m => m.id)).toEqual([
+      first.body.userMessage.id,
+      first.body.assistantMessage.id
+    ]);
+
+    const conversation = await request('GET', `/api/conversations/${conversationId}`);
+    expect(conversation.body.messages).toHaveLength(5);
+  });
+
+  test('分支接口的参数错误应该返回 400 / 404', async () => {
+    const created = await request('POST', '/api/conversations', {
+      character: { name: 'Alice' }
+    });
+    const conversationId = created.body.id;
+
+    const empty = await request('POST', `/api/conversations/${conversationId}/regenerate`, {});
+    expect(empty.status).toBe(400);
+
+    const turn = await request('POST', `/api/conversations/${conversationId}/messages`, {
+      content: '你好！'
+    });
+
+    const wrongRole = await request('PUT',
+      `/api/conversations/${conversationId}/messages/${turn.body.assistantMessage.id}`,
+      { content: '改' });
+    expect(wrongRole.status).toBe(400);
+
+    const missing = await request('POST', `/api/conversations/${conversationId}/branches`, {
+      messageId: 'missing'
+    });
+    expect(missing.status).toBe(404);
+
+    const noId = await request('POST', `/api/conversations/${conversationId}/branches`, {});
+    expect(noId.status).toBe(400);
+  });
+
+  test('应该能撤销最后 N 个回合', async () => {
+    const created = await request('POST', '/api/conversations', {
+      character: { name: 'Alice' }
+    });
+    const conversationId = created.body.id;
+
+    const first = await request('POST', `/api/conversations/${conversationId}/messages`, { content: '一' });
+    await request('POST', `/api/conversations/${conversationId}/messages`, { content: '二' });
+
+    const tooMany = await request('POST', `/api/conversations/${conversationId}/undo`, { turns: 3 });
+    expect(tooMany.status).toBe(400);
+
+    const invalid = await request('POST', `/api/conversations/${conversationId}/undo`, { turns: 'all' });
+    expect(invalid.status).toBe(400);
+
+    const undone = await request('POST', `/api/conversations/${conversationId}/undo`, {});
+    expect(undone.status).toBe(200);
+    expect(undone.body.undone).toHaveLength(2);
+    expect(undone.body.messages.map(m => m.id)).toEqual([
+      first.body.userMessage.id,
+      first.body.assistantMessage.id
+    ]);
+
+    const missing = await request('POST', '/api/conversations/missing/undo', {});
+    expect(missing.status).toBe(404);
+  });
+
+  test('应该能全文搜索对话历史', async () => {
+    const created = await request('POST', '/api/conversations', {
+      title: 'Tavern',
+      character: { name: 'Alice' }
+    });
+    await request('POST', `/api/conversations/${created.body.id}/messages`, {
+      content: '银色钥匙在哪里？'
+    });
+
+    const res = await request('GET', `/api/search?q=${encodeURIComponent('银色钥匙')}&types=message`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.hits).toHaveLength(1);
+    expect(res.body.hits[0].conversation.title).toBe('Tavern');
+    expect(res.body.hits[0].character.name).toBe('Alice');
+
+    expect((await request('GET', '/api/search')).status).toBe(400);
+    expect((await request('GET', '/api/search?q=x&types=files')).status).toBe(400);
+  });
+
+  test('应该能审核状态变化集', async () => {
+    const character = await request('POST', '/api/characters', { name: 'Alice', affection: 50 });
+    const integrator = server.chatService.stateIntegrator;
+    const { changeSet } = await integrator.processMessage(
+      character.body.id,
+      'Alice 对你的好感度增加了 10 点，递给你一把钥匙',
+      { review: true }
+    );
+    const affection = changeSet.changes.find(c => c.type === 'affection');
+    const inventory = changeSet.changes.find(c => c.type === 'inventory');
+
+    const pending = await request('GET', '/api/change-sets?status=pending');
+    expect(pending.body.changeSets.map(c => c.id)).toEqual([changeSet.id]);
+
+    const edited = await request('PATCH', `/api/change-sets/${changeSet.id}/changes/${inventory.id}`, {
+      data: { quantity: 2 }
+    });
+    expect(edited.body).toMatchObject({ edited: true, diff: { after: 2 } });
+
+    const approved = await request('POST', `/api/change-sets/${changeSet.id}/changes/${affection.id}/approve`);
+    expect(approved.body.applied).toBe(true);
+
+    const rejected = await request('POST', `/api/change-sets/${changeSet.id}/changes/${inventory.id}/reject`, {
+      reason: 'QA'
+    });
+    expect(rejected.body.changes.find(c => c.id === inventory.id)).toMatchObject({ status: 'rejected', reason: 'QA' });
+
+    const rest = await request('POST', `/api/change-sets/${changeSet.id}/reject`);
+    expect(rest.body.status).toBe('applied');
+
+    const again = await request('POST', `/api/change-sets/${changeSet.id}/changes/${affection.id}/approve`);
+    expect(again.status).toBe(409);
+
+    const state = await request('GET', `/api/characters/${character.body.id}/state`);
+    expect(state.body.affection).toBe(60);
+    expect(state.body.inventory).toEqual([]);
+
+    expect((await request('GET', '/api/change-sets/missing')).status).toBe(404);
+    expect((await request('POST', '/api/change-sets/missing/approve')).status).toBe(404);
+    expect((await request('GET', '/api/change-sets?status=maybe')).status).toBe(400);
+    expect((await request('PATCH', `/api/change-sets/${changeSet.id}/changes/${inventory.id}`, {})).status).toBe(400);
+  });
+
+  test('应该能查询状态变化历史', async () => {
+    const created = await request('POST', '/api/conversations', {
+      character: { name: 'Alice', affection: 40 }
+    });
+    const { characterId } = created.body;
+
+    const turn = await request('POST', `/api/conversations/${created.body.id}/messages`, { content: '你好！' });
+
+    const history = await request('GET', `/api/history/characters/${characterId}?field=emotion&limit=1`);
+    expect(history.status).toBe(200);
+    expect(history.body.history).toEqual([
+      expect.objectContaining({
+        operation: 'update',
+        cause: expect.objectContaining({ type: 'message', messageId: turn.body.assistantMessage.id })
+      })
+    ]);
+
+    expect((await request('GET', `/api/history/users/${characterId}`)).status).toBe(400);
+  });
+
+  test('应该能用已有角色创建对话', async () => {
+    const character = await request('POST', '/api/characters', { name: 'Bob' });
+    expect(character.status).toBe(201);
+
+    const created = await request('POST', '/api/conversations', {
+      characterId: character.body.id
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.characterName).toBe('Bob');
+  });
+
+  test('缺少参数应该返回 400', async () => {
+    const res = await request('POST', '/api/conversations', {});
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBeDefined();
+  });
+
+  test('不存在的资源应该返回 404', async () => {
+    const conversation = await request('POST', '/api/conversations/missing/messages', {
+      content: 'hi'
+    });
+    expect(conversation.status).toBe(404);
+
+    const character = await request('GET', '/api/characters/missing/state');
+    expect(character.status).toBe(404);
+
+    const route = await request('GET', '/api/unknown');
+    expect(route.status).toBe(404);
+  });
+
+  test('错误的方法应该返回 405', async () => {
+    const res = await request('DELETE', '/api/conversations');
+    expect(res.status).toBe(405);
+  });
+
+  test('非法 JSON 应该返回 400', async () => {
+    const response = await fetch(`${baseUrl}/api/characters`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{not json'
+    });
+    expect(response.status).toBe(400);
+  });
+
+  test('不是对象的 JSON 请求体应该返回 400', async () => {
+    for (const body of ['null', '123', '"x"', '[]']) {
+      const response = await fetch(`${baseUrl}/api/conversations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+      });
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('Invalid JSON body');
+    }
+  });
+
+  test('无法解码的路径参数应该返回 400', async () => {
+    const res = await request('GET', '/api/characters/%E0%A4%A/state');
+    expect(res.status).toBe(400);
+  });
+
+  test('过大的请求体应该返回 413', async () => {
+    const res = await request('POST', '/api/characters', { name: 'x'.repeat(2 * 1024 * 1024) });
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBe('Request body too large');
+  });
+});
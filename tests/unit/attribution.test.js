@@ -0,0 +1,89 @@
+/**
+ * Character Attribution 单元测试
+ *
+ * 测试内容：
+ * - 角色名和别名的识别（长度优先、单词边界）
+ * - 文本区域的归属规则
+ * - 区域遮盖
+ */
+
+import { findMentions, characterNames, attributeRegions, maskText } from '../../src/state/attribution.js';
+
+const CHARACTERS = [
+  { id: 'alice', name: 'Alice', aliases: ['Ally', '爱丽丝'] },
+  { id: 'bob', name: 'Bob', aliases: '["鲍勃"]' },
+  { id: 'bobby', name: 'Bobby' },
+  { id: 'carol', name: 'Carol' }
+];
+
+/**
+ * 角色区域内的文本
+ */
+const regionText = (text, regions, id) =>
+  (regions.get(id) || []).map(({ start, end }) => text.slice(start, end)).join('|');
+
+describe('Character Attribution', () => {
+  describe('findMentions', () => {
+    test('应该识别名字和别名并按位置排序', () => {
+      const mentions = findMentions('鲍勃看着爱丽丝，Ally 笑了', CHARACTERS);
+
+      expect(mentions).toEqual([
+        { characterId: 'bob', name: '鲍勃', start: 0, end: 2 },
+        { characterId: 'alice', name: '爱丽丝', start: 4, end: 7 },
+        { characterId: 'alice', name: 'Ally', start: 8, end: 12 }
+      ]);
+    });
+
+    test('英文名应该按单词边界匹配，较长的名字优先', () => {
+      const mentions = findMentions('Bobby met bob and Bobbie.', CHARACTERS);
+
+      expect(mentions.map(m => m.characterId)).toEqual(['bobby', 'bob']);
+      expect(mentions[1]).toMatchObject({ start: 10, end: 13 });
+    });
+
+    test('characterNames 应该支持 JSON 字符串形式的别名', () => {
+      expect(characterNames(CHARACTERS[1])).toEqual(['Bob', '鲍勃']);
+      expect(characterNames({ name: 'Carol', aliases: null })).toEqual(['Carol']);
+    });
+  });
+
+  describe('attributeRegions', () => {
+    const attribute = text => attributeRegions(text, findMentions(text, CHARACTERS), 'alice');
+
+    test('分句内从角色名到下一个角色名之前属于该角色', () => {
+      const text = 'Alice gave Bob a sword and Carol got angry.';
+      const regions = attribute(text);
+
+      expect(regionText(text, regions, 'alice')).toBe('Alice gave ');
+      expect(regionText(text, regions, 'bob')).toBe('Bob a sword and ');
+      expect(regionText(text, regions, 'carol')).toBe('Carol got angry.');
+    });
+
+    test('没有角色名的分句属于句子的主语', () => {
+      const text = 'Bob 走进房间，很开心。';
+      const regions = attribute(text);
+
+      expect(regionText(text, regions, 'bob')).toBe('Bob 走进房间，很开心。');
+      expect(regions.has('alice')).toBe(false);
+    });
+
+    test('没有提到角色的句子沿用上一句的主语，开头部分属于默认角色', () => {
+      const text = '我很开心。Carol 来了。她很生气。';
+      const regions = attribute(text);
+
+      expect(regionText(text, regions, 'alice')).toBe('我很开心。');
+      expect(regionText(text, regions, 'carol')).toBe('Carol 来了。她很生气。');
+    });
+  });
+
+  describe('maskText', () => {
+    test('应该保持长度和位置不变', () => {
+      const text = 'Alice gave Bob a sword';
+      const masked = maskText(text, [{ start: 11, end: 22 }]);
+
+      expect(masked).toHaveLength(text.length);
+      expect(masked.indexOf('sword')).toBe(text.indexOf('sword'));
+      expect(masked.trim()).toBe('Bob a sword');
+    });
+  });
+});
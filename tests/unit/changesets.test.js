@@ -0,0 +1,86 @@
+/**
+ * Change Sets 单元测试
+ *
+ * 测试内容：
+ * - 保存和读取变化集
+ * - 按状态、角色列出
+ * - 更新变化并重新计算变化集的状态
+ */
+
+import ChangeSetStore, { changeSetStatus } from '../../src/state/changesets.js';
+import StateManager from '../../src/state/manager.js';
+import DatabaseManager from '../../src/core/database.js';
+
+describe('ChangeSetStore', () => {
+  let db;
+  let store;
+  let characterId;
+
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
+    store = new ChangeSetStore({ db });
+    characterId = new StateManager({ db }).createCharacter({ name: 'Alice' }).id;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const create = () => store.create({
+    characterId,
+    sourceText: 'Alice 很高兴',
+    changes: [
+      { type: 'emotion', characterId, data: { emotion: 'happy' } },
+      { type: 'event', characterId: null, data: { description: '相遇' } }
+    ],
+    warnings: [],
+    metadata: { conversationId: 'conv-1' }
+  });
+
+  test('应该保存变化集，并为各项变化补上 id 和状态', () => {
+    const changeSet = create();
+
+    expect(changeSet).toMatchObject({
+      characterId,
+      status: 'pending',
+      sourceText: 'Alice 很高兴',
+      warnings: [],
+      metadata: { conversationId: 'conv-1' },
+      reviewedAt: null
+    });
+    expect(changeSet.changes.map(c => c.status)).toEqual(['pending', 'pending']);
+    expect(new Set(changeSet.changes.map(c => c.id)).size).toBe(2);
+    expect(store.get(changeSet.id)).toEqual(changeSet);
+  });
+
+  test('应该按状态和角色列出', () => {
+    const changeSet = create();
+
+    expect(store.list({ status: 'pending', characterId })).toHaveLength(1);
+    expect(store.list({ status: 'applied' })).toEqual([]);
+    expect(() => store.list({ status: 'maybe' })).toThrow('Invalid change set status: maybe');
+
+    const [emotion] = changeSet.changes;
+    store.updateChange(changeSet.id, emotion.id, { status: 'applied' });
+
+    expect(store.list({ status: 'pending' })).toHaveLength(1);
+  });
+
+  test('全部审核后应该更新变化集的状态', () => {
+    const changeSet = create();
+    const [emotion, event] = changeSet.changes;
+
+    store.updateChange(changeSet.id, emotion.id, { status: 'rejected' });
+    const updated = store.updateChange(changeSet.id, event.id, { status: 'applied' });
+
+    expect(updated.status).toBe('applied');
+    expect(updated.reviewedAt).toEqual(expect.any(Number));
+    expect(() => store.updateChange(changeSet.id, 'missing', {})).toThrow('Change not found: missing');
+  });
+
+  test('变化集状态：有待审核为 pending，全部拒绝为 rejected，否则为 applied', () => {
+    expect(changeSetStatus([{ status: 'pending' }, { status: 'applied' }])).toBe('pending');
+    expect(changeSetStatus([{ status: 'rejected' }, { status: 'rejected' }])).toBe('rejected');
+    expect(changeSetStatus([{ status: 'rejected' }, { status: 'applied' }])).toBe('applied');
+  });
+});
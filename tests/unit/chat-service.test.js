@@ -0,0 +1,667 @@
+/**
+ * Chat Service 单元测试
+ *
+ * 测试内容：
+ * - 角色和对话创建
+ * - 完整对话回合（上下文 → LLM → 状态更新 → 历史）
+ * - 流式回合
+ * - 系统提示词构建
+ * - 长对话自动压缩
+ * - 状态标签（优先于正文、不展示给用户）
+ * - 重新生成、编辑消息、切换分支（世界状态随分支恢复）
+ * - 回合检查点和撤销最后 N 个回合
+ * - 错误处理
+ */
+
+import { jest } from '@jest/globals';
+import ChatService from '../../src/chat/service.js';
+import LLMClient from '../../src/llm/client.js';
+import ConversationManager from '../../src/conversation/manager.js';
+import StateIntegrator from '../../src/state/integrator.js';
+import ConversationSummarizer from '../../src/conversation/summarizer.js';
+import DatabaseManager from '../../src/core/database.js';
+import { existsSync, unlinkSync } from 'fs';
+
+describe('ChatService', () => {
+  let chat;
+  let db;
+  let mockCreate;
+  const testDbPath = '/tmp/test-chat-service.db';
+
+  beforeEach(() => {
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+
+    db = new DatabaseManager({ dbPath: testDbPath });
+
+    const llmClient = new LLMClient({ apiKey: 'test-api-key' });
+    mockCreate = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: 'Alice 很高兴，对你的好感度增加了 5 点' }],
+      usage: { input_tokens: 120, output_tokens: 30 },
+      stop_reason: 'end_turn'
+    });
+    llmClient.anthropic.messages.create = mockCreate;
+
+    chat = new ChatService({
+      llmClient,
+      conversationManager: new ConversationManager({
+        db,
+        autoSave: false
+      }),
+      stateIntegrator: new StateIntegrator({ db })
+    });
+  });
+
+  afterEach(() => {
+    if (db) {
+      db.close();
+    }
+    if (existsSync(testDbPath)) {
+      unlinkSync(testDbPath);
+    }
+  });
+
+  describe('角色和对话', () => {
+    test('应该能创建角色并返回完整状态', () => {
+      const character = chat.createCharacter({ name: 'Alice', affection: 50 });
+
+      expect(character.id).toBeDefined();
+      expect(character.name).toBe('Alice');
+      expect(character.inventory).toEqual([]);
+      expect(character.location).toBeNull();
+    });
+
+    test('应该能创建绑定角色的对话', () => {
+      const character = chat.createCharacter({ name: 'Alice' });
+      const conversation = chat.createConversation({
+        characterId: character.id,
+        title: 'Tavern'
+      });
+
+      expect(conversation.characterId).toBe(character.id);
+      expect(conversation.characterName).toBe('Alice');
+      expect(conversation.title).toBe('Tavern');
+    });
+
+    test('角色不存在时创建对话应该抛出异常', () => {
+      expect(() => chat.createConversation({ characterId: 'missing' }))
+        .toThrow('Character not found');
+    });
+
+    test('对话不存在时应该返回 null', async () => {
+      const conversation = await chat.getConversation('missing');
+      expect(conversation).toBeNull();
+    });
+  });
+
+  describe('对话回合', () => {
+    let character;
+    let conversation;
+
+    beforeEach(() => {
+      character = chat.createCharacter({ name: 'Alice', affection: 50 });
+      conversation = chat.createConversation({ characterId: character.id });
+    });
+
+    test('应该返回角色回复并写入历史', async () => {
+      const turn = await chat.sendMessage(conversation.id, '你好，Alice！');
+
+      expect(turn.assistantMessage.content).toContain('好感度增加了 5 点');
+      expect(turn.userMessage.content).toBe('你好，Alice！');
+      expect(conversation.messages).toHaveLength(2);
+      expect(conversation.messages[1].metadata.usage.inputTokens).toBe(120);
+    });
+
+    test('应该通过 StateIntegrator 更新角色状态', async () => {
+      const turn = await chat.sendMessage(conversation.id, '送你一朵花');
+
+      expect(turn.state.updates.some(u => u.type === 'affection')).toBe(true);
+      expect(turn.character.affection).toBe(55);
+    });
+
+    test('状态变化日志应该记录引起变化的回复', async () => {
+      const turn = await chat.sendMessage(conversation.id, '送你一朵花');
+
+      const [last] = chat.stateManager.getHistory('characters', character.id, { field: 'affection', limit: 1 });
+      expect(last.changes.affection).toEqual({ from: 50, to: 55 });
+      expect(last.cause).toMatchObject({ type: 'message', messageId: turn.assistantMessage.id });
+    });
+
+    test('审核模式下应该保存变化集而不更新状态', async () => {
+      chat.stateIntegrator.options.review = true;
+
+      const turn = await chat.sendMessage(conversation.id, '送你一朵花');
+
+      expect(turn.character.affection).toBe(50);
+      expect(turn.state.changeSet.metadata).toEqual({
+        conversationId: conversation.id,
+        messageId: turn.assistantMessage.id
+      });
+      expect(turn.assistantMessage.metadata.changeSetId).toBe(turn.state.changeSet.id);
+    });
+
+    test('应该把历史消息和系统提示词传给 LLM', async () => {
+      await chat.sendMessage(conversation.id, '第一句');
+      await chat.sendMessage(conversation.id, '第二句');
+
+      const params = mockCreate.mock.calls[1][0];
+      expect(params.messages).toHaveLength(3);
+      expect(params.messages[2]).toEqual({ role: 'user', content: '第二句' });
+      expect(params.system).toContain('你是Alice');
+      expect(params.system).toContain('好感度：55/100');
+    });
+
+    test('LLM 失败时不应该写入对话历史', async () => {
+      mockCreate.mockRejectedValueOnce(new Error('API Error'));
+
+      await expect(chat.sendMessage(conversation.id, '你好')).rejects.toThrow();
+      expect(conversation.messages).toHaveLength(0);
+    });
+
+    test('应该支持流式回合，结束后再更新状态', async () => {
+      chat.llmClient.anthropic.messages.stream = jest.fn().mockReturnValue({
+        async *[Symbol.asyncIterator]() {
+          yield { type: 'message_start', message: { usage: { input_tokens: 40 } } };
+          yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Alice 的好感度' } };
+          yield { type: 'content_block_delta', delta: { type: 'text_delta', text: '增加了 10 点' } };
+          yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } };
+          yield { type: 'message_stop' };
+        }
+      });
+
+      const events = [];
+      for await (const event of chat.streamMessage(conversation.id, '你好')) {
+        events.push(event);
+      }
+
+      expect(events.filter(e => e.type === 'delta')).toHaveLength(2);
+
+      const done = events[events.length - 1];
+      expect(done.type).toBe('done');
+      expect(done.assistantMessage.content).toBe('Alice 的好感度增加了 10 点');
+      expect(done.assistantMessage.metadata.usage.outputTokens).toBe(9);
+      expect(done.character.affection).toBe(60);
+      expect(conversation.messages).toHaveLength(2);
+    });
+
+    test('空消息应该抛出异常', async () => {
+      await expect(chat.sendMessage(conversation.id, ''))
+        .rejects.toThrow('Message content must be a non-empty string');
+    });
+  });
+
+  describe('状态标签', () => {
+    let character;
+    let conversation;
+
+    const replyWith = (text) => {
+      mockCreate.mockResolvedValueOnce({
+        content: [{ type: 'text', text }],
+        usage: { input_tokens: 100, output_tokens: 20 },
+        stop_reason: 'end_turn'
+      });
+    };
+
+    beforeEach(() => {
+      character = chat.createCharacter({ name: 'Alice', affection: 50 });
+      conversation = chat.createConversation({ characterId: character.id });
+    });
+
+    test('系统提示词应该说明状态标签格式', async () => {
+      await chat.sendMessage(conversation.id, '你好');
+
+      expect(mockCreate.mock.calls[0][0].system).toContain('<state>{"affection": +5');
+    });
+
+    test('stateTags: false 时不应该要求状态标签', () => {
+      const plain = new ChatService({
+        llmClient: chat.llmClient,
+        conversationManager: chat.conversationManager,
+        stateIntegrator: chat.stateIntegrator,
+        stateTags: false
+      });
+
+      expect(plain._buildSystemPrompt(plain.stateManager.getCharacterState(character.id)))
+        .not.toContain('<state>');
+    });
+
+    test('应该按标签更新状态，并从回复中移除标签', async () => {
+      replyWith('Alice 接过花，脸红了。\n<state>{"affection": +3, "emotion": "happy"}</state>');
+
+      const turn = await chat.sendMessage(conversation.id, '送你一朵花');
+
+      expect(turn.character.affection).toBe(53);
+      expect(turn.character.emotion).toBe('happy');
+      expect(turn.assistantMessage.content).toBe('Alice 接过花，脸红了。');
+      expect(turn.assistantMessage.metadata.stateTags[0].data).toEqual({
+        affection: { delta: 3 },
+        emotion: { emotion: 'happy' }
+      });
+    });
+
+    test('格式错误的标签应该作为警告返回', async () => {
+      replyWith('Alice 点了点头。[STATE: affection=很多]');
+
+      const turn = await chat.sendMessage(conversation.id, '你好');
+
+      expect(turn.assistantMessage.content).toBe('Alice 点了点头。');
+      expect(turn.state.warnings[0]).toMatchObject({ field: 'state_tag', severity: 'warning' });
+      expect(turn.character.affection).toBe(50);
+    });
+
+    test('流式输出不应该包含标签', async () => {
+      chat.llmClient.anthropic.messages.stream = jest.fn().mockReturnValue({
+        async *[Symbol.asyncIterator]() {
+          yield { type: 'message_start', message: { usage: { input_tokens: 40 } } };
+          for (const text of ['Alice 笑了。', '<sta', 'te>{"affection"', ': +2}</state>']) {
+            yield { type: 'content_block_delta', delta: { type: 'text_delta', text } };
+          }
+          yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } };
+          yield { type: 'message_stop' };
+        }
+      });
+
+      const events = [];
+      for await (const event of chat.streamMessage(conversation.id, '你好')) {
+        events.push(event);
+      }
+
+      const shown = events.filter(e => e.type === 'delta').map(e => e.content).join('');
+      expect(shown).toBe('Alice 笑了。');
+      expect(events.at(-1).character.affection).toBe(52);
+    });
+  });
+
+  describe('分支', () => {
+    let character;
+    let conversation;
+
+    const reply = (text) => ({
+      content: [{ type: 'text', text }],
+      usage: { input_tokens: 100, output_tokens: 20 },
+      stop_reason: 'end_turn'
+    });
+
+    beforeEach(() => {
+      character = chat.createCharacter({ name: 'Alice', affection: 50 });
+      conversation = chat.createConversation({ characterId: character.id });
+    });
+
+    test('每个回合应该记录状态快照', async () => {
+      const turn = await chat.sendMessage(conversation.id, '你好');
+
+      expect(conversation.baseSnapshotId).toBeTruthy();
+      expect(turn.assistantMessage.stateSnapshotId).toBeTruthy();
+      expect(turn.swipes).toEqual({ index: 0, total: 1 });
+    });
+
+    test('重新生成应该从回合之前的状态开始，并保留原回复', async () => {
+      await chat.sendMessage(conversation.id, '你好');
+      mockCreate.mockResolvedValueOnce(reply('Alice 非常感动，好感度增加了 10 点'));
+
+      const turn = await chat.regenerate(conversation.id);
+
+      // 50 + 10，而不是 55 + 10
+      expect(turn.character.affection).toBe(60);
+      expect(turn.swipes).toEqual({ index: 1, total: 2 });
+      expect(conversation.messages).toHaveLength(2);
+
+      // 上下文不包含被替换的回复
+      const params = mockCreate.mock.calls.at(-1)[0];
+      expect(params.messages).toEqual([{ role: 'user', content: '你好' }]);
+    });
+
+    test('切换分支应该恢复对应的世界状态', async () => {
+      const first = await chat.sendMessage(conversation.id, '你好');
+      mockCreate.mockResolvedValueOnce(reply('Alice 非常感动，好感度增加了 10 点'));
+      await chat.regenerate(conversation.id);
+
+      const result = await chat.selectBranch(conversation.id, first.assistantMessage.id);
+
+      expect(result.character.affection).toBe(55);
+      expect(result.messages.at(-1).id).toBe(first.assistantMessage.id);
+    });
+
+    test('编辑历史消息应该从该处分叉，原分支保留', async () => {
+      const first = await chat.sendMessage(conversation.id, '第一句');
+      await chat.sendMessage(conversation.id, '第二句');
+      expect(chat.getCharacterState(character.id).affection).toBe(60);
+
+      mockCreate.mockResolvedValueOnce(reply('Alice 有点失望，好感度减少了 5 点'));
+      const second = conversation.messages[2];
+      const turn = await chat.editMessage(conversation.id, second.id, '第二句（改）');
+
+      expect(turn.userMessage.metadata.editedFrom).toBe(second.id);
+      expect(turn.character.affection).toBe(50);
+      expect(conversation.messages.map(m => m.content)).toEqual([
+        '第一句',
+        first.assistantMessage.content,
+        '第二句（改）',
+        'Alice 有点失望，好感度减少了 5 点'
+      ]);
+
+      const params = mockCreate.mock.calls.at(-1)[0];
+      expect(params.messages.at(-1)).toEqual({ role: 'user', content: '第二句（改）' });
+      expect(params.messages).toHaveLength(3);
+
+      // 切回原分支
+      await chat.selectBranch(conversation.id, second.id);
+      expect(chat.getCharacterState(character.id).affection).toBe(60);
+      expect(conversation.messages).toHaveLength(4);
+    });
+
+    test('切换到对话开头应该恢复初始状态', async () => {
+      const first = await chat.sendMessage(conversation.id, '你好');
+      mockCreate.mockResolvedValueOnce(reply('Alice 点了点头'));
+      await chat.editMessage(conversation.id, first.userMessage.id, '嗨');
+
+      // 新分支的回复没有状态变化
+      expect(chat.getCharacterState(character.id).affection).toBe(50);
+
+      await chat.selectBranch(conversation.id, first.userMessage.id);
+      expect(chat.getCharacterState(character.id).affection).toBe(55);
+    });
+
+    test('重新生成失败时应该恢复当前分支的状态', async () => {
+      await chat.sendMessage(conversation.id, '你好');
+      mockCreate.mockRejectedValueOnce(new Error('API Error'));
+
+      await expect(chat.regenerate(conversation.id)).rejects.toThrow();
+
+      expect(chat.getCharacterState(character.id).affection).toBe(55);
+      expect(conversation.nodes.size).toBe(2);
+    });
+
+    test('编辑不在当前路径上的消息应该抛出异常，且不改变世界状态', async () => {
+      await chat.sendMessage(conversation.id, '第一句');
+      await chat.sendMessage(conversation.id, '第二句');
+      const second = conversation.messages[2];
+      await chat.editMessage(conversation.id, second.id, '第二句（改）');
+      expect(chat.getCharacterState(character.id).affection).toBe(60);
+
+      const seq = chat.stateManager.journal.getLatestSeq();
+      await expect(chat.editMessage(conversation.id, second.id, '第二句（再改）'))
+        .rejects.toThrow('Message not on active path');
+      await expect(chat.regenerate(conversation.id, { messageId: second.activeChildId }))
+        .rejects.toThrow('Message not on active path');
+
+      expect(chat.getCharacterState(character.id).affection).toBe(60);
+      expect(chat.stateManager.journal.getLatestSeq()).toBe(seq);
+    });
+
+    test('没有回复时重新生成应该抛出异常', async () => {
+      await expect(chat.regenerate(conversation.id))
+        .rejects.toThrow('No assistant message to regenerate');
+    });
+
+    test('只能编辑用户消息', async () => {
+      const turn = await chat.sendMessage(conversation.id, '你好');
+
+      await expect(chat.editMessage(conversation.id, turn.assistantMessage.id, '改'))
+        .rejects.toThrow('User message not found');
+    });
+  });
+
+  describe('撤销回合', () => {
+    let character;
+    let conversation;
+
+    const sendTurns = async (count) => {
+      const turns = [];
+      for (let i = 0; i < count; i++) {
+        turns.push(await chat.sendMessage(conversation.id, `第 ${i + 1} 句`));
+      }
+      return turns;
+    };
+
+    beforeEach(() => {
+      character = chat.createCharacter({ name: 'Alice', affection: 50 });
+      conversation = chat.createConversation({ characterId: character.id });
+    });
+
+    test('回复应该记录应用状态变化之前的检查点', async () => {
+      const [turn] = await sendTurns(1);
+
+      const { checkpointId } = turn.assistantMessage.metadata;
+      const state = chat.stateManager.snapshots.materialize(checkpointId);
+
+      expect(state.characters).toEqual([expect.objectContaining({ id: character.id, affection: 50 })]);
+    });
+
+    test('应该同时回退对话和世界状态，撤销的回合保留为分支', async () => {
+      const turns = await sendTurns(3);
+      expect(chat.getCharacterState(character.id).affection).toBe(65);
+
+      const result = await chat.undoTurns(conversation.id, 2);
+
+      expect(result.character.affection).toBe(55);
+      expect(result.snapshotId).toBe(turns[1].assistantMessage.metadata.checkpointId);
+      expect(result.undone).toEqual([
+        turns[1].userMessage.id,
+        turns[1].assistantMessage.id,
+        turns[2].userMessage.id,
+        turns[2].assistantMessage.id
+      ]);
+      expect(conversation.messages.map(m => m.id)).toEqual([
+        turns[0].userMessage.id,
+        turns[0].assistantMessage.id
+      ]);
+      expect(conversation.nodes.size).toBe(6);
+
+      // 继续对话不受撤销的回合影响
+      const next = await chat.sendMessage(conversation.id, '换个话题');
+      expect(next.character.affection).toBe(60);
+      expect(mockCreate.mock.calls.at(-1)[0].messages).toHaveLength(3);
+
+      // 可以切回撤销的分支
+      await chat.selectBranch(conversation.id, turns[2].assistantMessage.id);
+      expect(chat.getCharacterState(character.id).affection).toBe(65);
+    });
+
+    test('状态没有变化时检查点应该沿用已有的快照', async () => {
+      const [first, second] = await sendTurns(2);
+      expect(second.assistantMessage.metadata.checkpointId).toBe(first.assistantMessage.stateSnapshotId);
+
+      mockCreate.mockResolvedValueOnce({
+        content: [{ type: 'text', text: '好的。' }],
+        usage: { input_tokens: 100, output_tokens: 5 },
+        stop_reason: 'end_turn'
+      });
+      const [quiet] = await sendTurns(1);
+      expect(quiet.assistantMessage.stateSnapshotId).toBe(second.assistantMessage.stateSnapshotId);
+
+      // 对话开头 + 第一回合的检查点 + 两个有变化的回合
+      expect(db.getAll('state_snapshots')).toHaveLength(4);
+
+      const regenerated = await chat.regenerate(conversation.id);
+      expect(regenerated.assistantMessage.metadata.checkpointId).toBe(second.assistantMessage.stateSnapshotId);
+    });
+
+    test('应该恢复到回合之前的状态，包括回合之间的修改', async () => {
+      const [first] = await sendTurns(1);
+      chat.stateManager.updateCharacterState(character.id, { affection: 80 });
+      const [second] = await sendTurns(1);
+
+      expect(second.assistantMessage.metadata.checkpointId).not.toBe(first.assistantMessage.stateSnapshotId);
+
+      const result = await chat.undoTurns(conversation.id);
+
+      expect(result.character.affection).toBe(80);
+    });
+
+    test('撤销全部回合后重新加载应该保持空的当前路径', async () => {
+      await sendTurns(2);
+
+      await chat.undoTurns(conversation.id, 2);
+      await chat.conversationManager.save(conversation.id);
+
+      const loaded = await new ConversationManager({ db, autoSave: false }).load(conversation.id);
+      expect(loaded.messages).toEqual([]);
+      expect(loaded.nodes.size).toBe(4);
+      expect(chat.getCharacterState(character.id).affection).toBe(50);
+    });
+
+    test('只保留最近 checkpointTurns 个回合的检查点，更早的回合恢复上一回合的快照', async () => {
+      chat.options.checkpointTurns = 2;
+      const turns = await sendTurns(3);
+
+      const [first, ...rest] = turns.map(turn => conversation.getMessage(turn.assistantMessage.id));
+      expect(first.metadata.checkpointId).toBeUndefined();
+      expect(db.get('state_snapshots', { id: turns[0].assistantMessage.metadata.checkpointId })).toBeFalsy();
+      expect(rest.every(reply => reply.metadata.checkpointId)).toBe(true);
+
+      const result = await chat.undoTurns(conversation.id, 3);
+
+      expect(result.snapshotId).toBe(conversation.baseSnapshotId);
+      expect(result.character.affection).toBe(50);
+    });
+
+    test('清理检查点时不应该删除仍被回复引用的快照', async () => {
+      chat.options.checkpointTurns = 1;
+      const turns = await sendTurns(3);
+
+      const second = conversation.getMessage(turns[1].assistantMessage.id);
+      expect(second.metadata.checkpointId).toBeUndefined();
+      for (const turn of turns) {
+        expect(db.get('state_snapshots', { id: turn.assistantMessage.stateSnapshotId })).toBeTruthy();
+      }
+
+      const result = await chat.undoTurns(conversation.id, 2);
+      expect(result.snapshotId).toBe(turns[0].assistantMessage.stateSnapshotId);
+      expect(result.character.affection).toBe(55);
+    });
+
+    test('关闭检查点时应该恢复上一回合之后的快照', async () => {
+      chat.options.checkpoints = false;
+      const [first, second] = await sendTurns(2);
+
+      expect(second.assistantMessage.metadata.checkpointId).toBeUndefined();
+
+      const result = await chat.undoTurns(conversation.id);
+
+      expect(result.snapshotId).toBe(first.assistantMessage.stateSnapshotId);
+      expect(result.character.affection).toBe(55);
+    });
+
+    test('应该拒绝撤销的回合留下的待审核变化集', async () => {
+      chat.stateIntegrator.options.review = true;
+      const [turn] = await sendTurns(1);
+
+      await chat.undoTurns(conversation.id);
+
+      expect(chat.stateIntegrator.getChangeSet(turn.state.changeSet.id).status).toBe('rejected');
+    });
+
+    test('回合数无效或超过当前路径上的回合时应该抛出异常', async () => {
+      await sendTurns(1);
+
+      await expect(chat.undoTurns(conversation.id, 0)).rejects.toThrow('Invalid turn count: 0');
+      await expect(chat.undoTurns(conversation.id, 2))
+        .rejects.toThrow('Cannot undo 2 turns: only 1 on the current branch');
+      expect(conversation.messages).toHaveLength(2);
+    });
+  });
+
+  describe('系统提示词', () => {
+    test('应该包含性格和位置', () => {
+      const tavern = chat.stateManager.createLocation({ name: '酒馆' });
+      const created = chat.createCharacter({
+        name: 'Bob',
+        personality: ['开朗', '健谈'],
+        current_location: tavern.id
+      });
+
+      const prompt = chat._buildSystemPrompt(chat.stateManager.getCharacterState(created.id));
+
+      expect(prompt).toContain('性格：开朗、健谈');
+      expect(prompt).toContain('当前位置：酒馆');
+    });
+
+    test('应该注入与当前输入相关的记忆', async () => {
+      const character = chat.createCharacter({ name: 'Alice' });
+      chat.stateManager.addMemory(character.id, { content: 'Alice 把银色钥匙藏在了书架后面', importance: 4 });
+      const conversation = chat.createConversation({ characterId: character.id });
+
+      const turn = await chat.sendMessage(conversation.id, '银色钥匙在哪里？');
+
+      const params = mockCreate.mock.calls[0][0];
+      expect(params.system).toContain('Alice记得的相关往事');
+      expect(params.system).toContain('- Alice 把银色钥匙藏在了书架后面');
+      expect(turn.memories).toHaveLength(1);
+    });
+
+    test('关闭记忆检索时不应该注入记忆', async () => {
+      const plain = new ChatService({
+        llmClient: chat.llmClient,
+        conversationManager: chat.conversationManager,
+        stateIntegrator: chat.stateIntegrator,
+        memoryRetriever: null
+      });
+      const character = plain.createCharacter({ name: 'Alice' });
+      plain.stateManager.addMemory(character.id, { content: 'Alice 把银色钥匙藏在了书架后面' });
+      const conversation = plain.createConversation({ characterId: character.id });
+
+      await plain.sendMessage(conversation.id, '银色钥匙在哪里？');
+
+      expect(mockCreate.mock.calls[0][0].system).not.toContain('相关往事');
+    });
+  });
+
+  describe('自动压缩', () => {
+    let conversation;
+
+    beforeEach(() => {
+      chat.summarizer = new ConversationSummarizer({
+        llmClient: chat.llmClient,
+        triggerTokens: 50,
+        keepRecentMessages: 2
+      });
+
+      const character = chat.createCharacter({ name: 'Alice' });
+      conversation = chat.createConversation({ characterId: character.id });
+    });
+
+    test('超过阈值后应该生成摘要，并在下一回合放入系统提示词', async () => {
+      // 摘要请求返回提要，其余请求返回角色回复
+      mockCreate.mockImplementation(async (params) => ({
+        content: [{
+          type: 'text',
+          text: params.messages[0].content.includes('前情提要')
+            ? '你们在酒馆相遇，Alice 答应明天带你去森林。'
+            : 'Alice 笑着点了点头，说起了很多关于酒馆和森林的往事。'
+        }],
+        usage: { input_tokens: 100, output_tokens: 30 },
+        stop_reason: 'end_turn'
+      }));
+
+      await chat.sendMessage(conversation.id, '你好，我们在酒馆见过吗？');
+      const second = await chat.sendMessage(conversation.id, '明天能带我去森林吗？');
+
+      expect(second.summary).not.toBeNull();
+      expect(conversation.summaries).toHaveLength(1);
+      expect(conversation.messages).toHaveLength(4);
+
+      await chat.sendMessage(conversation.id, '我们出发吧');
+
+      // 最后一个对话回合的请求（摘要请求没有系统提示词）
+      const params = mockCreate.mock.calls.map(call => call[0]).filter(p => p.system).at(-1);
+      expect(params.system).toContain('前情提要');
+      expect(params.system).toContain('Alice 答应明天带你去森林');
+      // 被摘要覆盖的回合不再出现在上下文中
+      expect(params.messages.map(m => m.content)).not.toContain('你好，我们在酒馆见过吗？');
+    });
+
+    test('压缩失败不应该影响本回合', async () => {
+      chat.summarizer.summarize = async () => {
+        throw new Error('Summary failed');
+      };
+      chat.summarizer.needsSummary = () => true;
+
+      const result = await chat.sendMessage(conversation.id, '你好');
+
+      expect(result.summary).toBeNull();
+      expect(conversation.messages).toHaveLength(2);
+    });
+  });
+});
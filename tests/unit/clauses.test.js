@@ -0,0 +1,138 @@
+/**
+ * Clause Analysis 单元测试
+ *
+ * 测试内容：
+ * - 句子、分句和引号的切分
+ * - 否定、假设、疑问、引语、转述的识别
+ * - 回归语料：StateExtractor 在这些语境中的提取结果（tests/fixtures/clause-corpus.json）
+ */
+
+import { readFileSync } from 'fs';
+import { analyzeClauses, spanContext, DOWNGRADE_FACTOR } from '../../src/state/clauses.js';
+import StateExtractor from '../../src/state/extractor.js';
+import StateManager from '../../src/state/manager.js';
+import DatabaseManager from '../../src/core/database.js';
+
+const corpus = JSON.parse(
+  readFileSync(new URL('../fixtures/clause-corpus.json', import.meta.url), 'utf8')
+);
+
+/**
+ * 关键词在文本中的语境（第 n 次出现）
+ */
+const contextOf = (text, keyword, nth = 0) => {
+  let start = -1;
+  for (let i = 0; i <= nth; i++) {
+    start = text.indexOf(keyword, start + 1);
+  }
+  return spanContext(analyzeClauses(text), { start, end: start + keyword.length });
+};
+
+describe('Clause Analysis', () => {
+  describe('切分', () => {
+    test('应该按句末标点切分句子，连续标点属于同一句', () => {
+      const { sentences } = analyzeClauses('她笑了。你呢？！Fine. 3.5 points');
+
+      expect(sentences.map(s => [s.start, s.end])).toEqual([[0, 4], [4, 8], [8, 13], [13, 24]]);
+    });
+
+    test('应该识别成对的引号，未闭合的引号到文本末尾', () => {
+      const { quotes } = analyzeClauses('她说：“好的。”然后「走吧');
+
+      expect(quotes).toEqual([{ start: 4, end: 7 }, { start: 11, end: 13 }]);
+    });
+  });
+
+  describe('语境', () => {
+    test('否定只作用于同一分句', () => {
+      expect(contextOf('她并没有很生气，反而很开心', '生气').flags).toEqual(['negated']);
+      expect(contextOf('她并没有很生气，反而很开心', '开心').flags).toEqual([]);
+    });
+
+    test('含“不”的普通词语不应该被当作否定', () => {
+      expect(contextOf('她忍不住开心起来', '开心').suppressed).toBe(false);
+      expect(contextOf('不久，她很开心', '开心').suppressed).toBe(false);
+    });
+
+    test('否定不应该跨过换了的主语或“地”', () => {
+      expect(contextOf('不一会儿他走进了酒馆。', '酒馆').flags).toEqual([]);
+      expect(contextOf('他无聊地走进了酒馆。', '酒馆').flags).toEqual([]);
+      expect(contextOf('她不高兴地走进了酒馆。', '酒馆').flags).toEqual([]);
+      expect(contextOf('他没有走进酒馆。', '酒馆').flags).toEqual(['negated']);
+    });
+
+    test('假设从假设词开始到句末', () => {
+      expect(contextOf('如果你给我一把剑，我会很高兴。', '高兴').flags).toEqual(['conditional']);
+      expect(contextOf('我很高兴，如果你来的话。', '高兴').flags).toEqual([]);
+      expect(contextOf('你去了森林的话，会很危险。', '森林').flags).toEqual(['conditional']);
+    });
+
+    test('疑问作用于整个句子', () => {
+      expect(contextOf('你开心吗？', '开心').flags).toEqual(['question']);
+      expect(contextOf('你开心吗', '开心').flags).toEqual(['question']);
+      expect(contextOf('她很开心。你呢？', '开心').flags).toEqual([]);
+    });
+
+    test('引语和转述应该降低置信度而不是忽略', () => {
+      const quoted = contextOf('她喊道：“我好生气！”', '生气');
+      const reported = contextOf('Bob 说他很生气。', '生气');
+
+      expect(quoted).toEqual({ flags: ['quoted'], suppressed: false, weight: DOWNGRADE_FACTOR });
+      expect(reported).toEqual({ flags: ['reported'], suppressed: false, weight: DOWNGRADE_FACTOR });
+    });
+
+    test('转述只作用于转述动词所在的分句', () => {
+      expect(contextOf('她笑着说，其实心里很开心。', '开心').flags).toEqual([]);
+    });
+
+    test('应该支持英文', () => {
+      expect(contextOf("He wasn't scared at all.", 'scared').flags).toEqual(['negated']);
+      expect(contextOf('If you stay, I will be happy.', 'happy').flags).toEqual(['conditional']);
+      expect(contextOf('Are you angry?', 'angry').flags).toEqual(['question']);
+      expect(contextOf('She said she was angry.', 'angry').flags).toEqual(['reported']);
+    });
+  });
+
+  describe('回归语料', () => {
+    let db;
+    let extractor;
+    let characterId;
+
+    beforeAll(() => {
+      db = new DatabaseManager({ dbPath: ':memory:' });
+      const stateManager = new StateManager({ db });
+      extractor = new StateExtractor({ db, stateManager });
+      characterId = stateManager.createCharacter({ name: 'Alice', affection: 50 }).id;
+    });
+
+    afterAll(() => {
+      db.close();
+    });
+
+    test.each(corpus.map(entry => [entry.note, entry.text, entry.expect]))(
+      '%s：%s',
+      (note, text, expected) => {
+        const result = extractor.extractAllStates(characterId, text);
+
+        if ('emotion' in expected) {
+          expect(result.emotion?.emotion ?? null).toBe(expected.emotion);
+        }
+        if (expected.context) {
+          expect(result.emotion.context).toEqual(expected.context);
+        }
+        if ('location' in expected) {
+          expect(result.location?.location ?? null).toBe(expected.location);
+        }
+        if ('affection' in expected) {
+          expect(result.affection?.delta ?? null).toBe(expected.affection);
+        }
+        if (expected.inventory) {
+          expect(result.inventory).toHaveLength(expected.inventory.length);
+          expected.inventory.forEach((item, i) => {
+            expect(result.inventory[i]).toMatchObject(item);
+          });
+        }
+      }
+    );
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Conversation 分支单元测试
+ *
+ * 测试内容：
+ * - 重新生成（swipe）与分支位置
+ * - 编辑历史用户消息并分叉
+ * - 切换分支（沿用各节点上次选中的子节点）
+ * - 当前路径上的上下文（beforeMessageId）
+ * - 状态快照查找
+ * - 序列化与旧格式兼容
+ */
+
+import { Conversation } from '../../src/conversation/manager.js';
+
+/**
+ * 创建包含 n 个回合的对话（每条回复带快照 ID snap-i）
+ */
+function createConversation(turns) {
+  const conversation = new Conversation({
+    id: 'conv-1',
+    title: 'Test',
+    characterName: 'Alice',
+    createdAt: Date.now(),
+    baseSnapshotId: 'snap-base'
+  });
+
+  for (let i = 0; i < turns; i++) {
+    conversation.addMessage({ role: 'user', content: `问题 ${i}` });
+    conversation.addMessage({ role: 'assistant', content: `回答 ${i}`, stateSnapshotId: `snap-${i}` });
+  }
+
+  return conversation;
+}
+
+describe('Conversation 分支', () => {
+  describe('重新生成', () => {
+    test('新回复应该成为兄弟分支并切换到它', () => {
+      const conversation = createConversation(2);
+      const original = conversation.messages[3];
+
+      const swipe = conversation.addSwipe(original.id, { content: '回答 1（重写）' });
+
+      expect(conversation.messages).toHaveLength(4);
+      expect(conversation.messages[3].id).toBe(swipe.id);
+      expect(swipe.parentId).toBe(original.parentId);
+      expect(conversation.getMessage(original.id).content).toBe('回答 1');
+    });
+
+    test('应该返回分支位置', () => {
+      const conversation = createConversation(1);
+      const original = conversation.messages[1];
+      conversation.addSwipe(original.id, { content: '第二版' });
+      const third = conversation.addSwipe(original.id, { content: '第三版' });
+
+      const swipes = conversation.getSwipes(third.id);
+
+      expect(swipes).toMatchObject({ index: 2, total: 3 });
+      expect(swipes.messages.map(m => m.content)).toEqual(['回答 0', '第二版', '第三版']);
+    });
+
+    test('只能对 assistant 消息重新生成', () => {
+      const conversation = createConversation(1);
+
+      expect(() => conversation.addSwipe(conversation.messages[0].id, { content: 'x' }))
+        .toThrow('Only assistant messages can be swiped');
+    });
+  });
+
+  describe('编辑消息', () => {
+    test('编辑应该从该消息处分叉，原分支保留', () => {
+      const conversation = createConversation(3);
+      const original = conversation.messages[2];
+
+      const edited = conversation.editMessage(original.id, '问题 1（改）');
+
+      expect(conversation.messages.map(m => m.content)).toEqual(['问题 0', '回答 0', '问题 1（改）']);
+      expect(edited.metadata.editedFrom).toBe(original.id);
+      expect(conversation.nodes.size).toBe(7);
+      expect(conversation.getStats().branches).toBe(4);
+    });
+
+    test('编辑第一条消息应该创建新的根分支', () => {
+      const conversation = createConversation(1);
+      const edited = conversation.editMessage(conversation.messages[0].id, '重新开始');
+
+      expect(edited.parentId).toBeNull();
+      expect(conversation.activeRootId).toBe(edited.id);
+      expect(conversation.getChildren(null)).toHaveLength(2);
+    });
+
+    test('只能编辑 user 消息', () => {
+      const conversation = createConversation(1);
+
+      expect(() => conversation.editMessage(conversation.messages[1].id, 'x'))
+        .toThrow('Only user messages can be edited');
+    });
+  });
+
+  describe('切换分支', () => {
+    test('切回原分支应该恢复其后续消息', () => {
+      const conversation = createConversation(3);
+      const original = conversation.messages[2];
+      conversation.editMessage(original.id, '问题 1（改）');
+      conversation.addMessage({ role: 'assistant', content: '新的回答' });
+
+      const path = conversation.selectBranch(original.id);
+
+      expect(path.map(m => m.content)).toEqual(['问题 0', '回答 0', '问题 1', '回答 1', '问题 2', '回答 2']);
+    });
+
+    test('切换后应该沿用分支上次选中的子节点', () => {
+      const conversation = createConversation(2);
+      const firstReply = conversation.messages[1];
+      const swipe = conversation.addSwipe(firstReply.id, { content: '另一个回答' });
+      conversation.addMessage({ role: 'user', content: '在新分支上继续' });
+
+      conversation.selectBranch(firstReply.id);
+      conversation.selectBranch(swipe.id);
+
+      expect(conversation.messages.at(-1).content).toBe('在新分支上继续');
+    });
+
+    test('新消息应该追加到当前分支末尾', () => {
+      const conversation = createConversation(2);
+      const firstReply = conversation.messages[1];
+      conversation.addSwipe(firstReply.id, { content: '另一个回答' });
+
+      const message = conversation.addMessage({ role: 'user', content: '继续' });
+
+      expect(message.parentId).toBe(conversation.messages[1].id);
+      expect(conversation.messages).toHaveLength(3);
+    });
+
+    test('消息不存在时应该抛出异常', () => {
+      expect(() => createConversation(1).selectBranch('missing')).toThrow('Message not found');
+    });
+  });
+
+  describe('回退', () => {
+    test('应该把当前路径截断到该消息，之后的消息保留为分支', () => {
+      const conversation = createConversation(3);
+      const [, firstReply, secondQuestion] = conversation.messages;
+
+      const path = conversation.rewindTo(firstReply.id);
+
+      expect(path.map(m => m.content)).toEqual(['问题 0', '回答 0']);
+      expect(conversation.nodes.size).toBe(6);
+      expect(conversation.getStateSnapshotId()).toBe('snap-0');
+
+      conversation.addMessage({ role: 'user', content: '新问题' });
+      expect(conversation.getSwipes(secondQuestion.id).total).toBe(2);
+
+      conversation.selectBranch(secondQuestion.id);
+      expect(conversation.messages).toHaveLength(6);
+    });
+
+    test('回退到开头后当前路径为空，重新加载后保持为空', () => {
+      const conversation = createConversation(2);
+
+      expect(conversation.rewindTo(null)).toEqual([]);
+
+      const restored = Conversation.fromJSON(JSON.parse(JSON.stringify(conversation.toJSON())));
+      expect(restored.messages).toEqual([]);
+      expect(restored.nodes.size).toBe(4);
+    });
+  });
+
+  describe('上下文', () => {
+    test('beforeMessageId 应该只返回该消息之前的路径', () => {
+      const conversation = createConversation(3);
+      const target = conversation.messages[4];
+
+      const messages = conversation.getMessages({ beforeMessageId: target.id });
+
+      expect(messages.map(m => m.content)).toEqual(['问题 0', '回答 0', '问题 1', '回答 1']);
+    });
+
+    test('不在当前路径上的消息应该抛出异常', () => {
+      const conversation = createConversation(2);
+      const original = conversation.messages[3];
+      conversation.addSwipe(original.id, { content: '另一个回答' });
+
+      expect(() => conversation.getMessages({ beforeMessageId: original.id }))
+        .toThrow('Message not on active path');
+    });
+
+    test('摘要只在覆盖范围位于该点之前时生效', () => {
+      const conversation = createConversation(3);
+      conversation.addSummary({
+        content: '前情',
+        fromMessageId: conversation.messages[0].id,
+        toMessageId: conversation.messages[3].id
+      });
+
+      expect(conversation.getContext({ beforeMessageId: conversation.messages[4].id }).summary).toBe('前情');
+      expect(conversation.getContext({ beforeMessageId: conversation.messages[2].id }).summary).toBeNull();
+    });
+
+    test('其他分支上的摘要不应该生效', () => {
+      const conversation = createConversation(3);
+      conversation.addSummary({
+        content: '前情',
+        fromMessageId: conversation.messages[0].id,
+        toMessageId: conversation.messages[3].id
+      });
+
+      conversation.editMessage(conversation.messages[2].id, '问题 1（改）');
+
+      expect(conversation.getContext().summary).toBeNull();
+      expect(conversation.getMessages()).toHaveLength(3);
+    });
+  });
+
+  describe('状态快照', () => {
+    test('应该返回最近记录了快照的消息', () => {
+      const conversation = createConversation(2);
+
+      expect(conversation.getStateSnapshotId()).toBe('snap-1');
+      // user 消息向上找到上一条回复的快照
+      expect(conversation.getStateSnapshotId(conversation.messages[2].id)).toBe('snap-0');
+    });
+
+    test('对话开头应该返回初始快照', () => {
+      const conversation = createConversation(1);
+
+      expect(conversation.getStateSnapshotId(conversation.messages[0].id)).toBe('snap-base');
+      expect(new Conversation({ id: 'empty', createdAt: Date.now() }).getStateSnapshotId()).toBeNull();
+    });
+
+    test('切换分支后应该返回该分支的快照', () => {
+      const conversation = createConversation(1);
+      const original = conversation.messages[1];
+      conversation.addSwipe(original.id, { content: '另一个回答', stateSnapshotId: 'snap-swipe' });
+
+      expect(conversation.getStateSnapshotId()).toBe('snap-swipe');
+
+      conversation.selectBranch(original.id);
+      expect(conversation.getStateSnapshotId()).toBe('snap-0');
+    });
+  });
+
+  describe('序列化', () => {
+    test('应该保留整棵消息树和当前分支', () => {
+      const conversation = createConversation(2);
+      const original = conversation.messages[3];
+      conversation.addSwipe(original.id, { content: '另一个回答' });
+      conversation.selectBranch(original.id);
+
+      const restored = Conversation.fromJSON(JSON.parse(JSON.stringify(conversation.toJSON())));
+
+      expect(restored.nodes.size).toBe(5);
+      expect(restored.baseSnapshotId).toBe('snap-base');
+      expect(restored.messages.map(m => m.id)).toEqual(conversation.messages.map(m => m.id));
+      expect(restored.getSwipes(original.id).total).toBe(2);
+    });
+
+    test('旧格式的扁平消息列表应该按顺序串成一条路径', () => {
+      const restored = Conversation.fromJSON({
+        id: 'legacy',
+        title: 't',
+        createdAt: Date.now(),
+        messages: [
+          { id: 'm1', role: 'user', content: '你好', metadata: {}, timestamp: 1 },
+          { id: 'm2', role: 'assistant', content: '你好呀', metadata: {}, timestamp: 2 }
+        ]
+      });
+
+      expect(restored.messages.map(m => m.id)).toEqual(['m1', 'm2']);
+      expect(restored.getMessage('m2').parentId).toBe('m1');
+
+      restored.addMessage({ role: 'user', content: '继续' });
+      expect(restored.messages).toHaveLength(3);
+    });
+  });
+});
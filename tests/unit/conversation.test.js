@@ -6,27 +6,27 @@
  * - 消息添加和检索
  * - Token 估算
  * - 上下文窗口管理
- * - 持久化（保存/加载）
+ * - 持久化（SQLite 增量保存/加载、分页历史）
+ * - 旧版 JSON 文件导入
  * - 统计追踪
  */
 
 import { ConversationManager, Conversation } from '../../src/conversation/manager.js';
-import { existsSync } from 'fs';
-import { unlink, mkdir } from 'fs/promises';
+import DatabaseManager from '../../src/core/database.js';
+import { rm, mkdir, writeFile } from 'fs/promises';
 import { join } from 'path';
 import { jest } from '@jest/globals';
 
 describe('ConversationManager', () => {
   let manager;
+  let db;
   const testStorageDir = '/tmp/test-conversations';
 
-  beforeEach(async () => {
-    // 创建测试目录
-    if (!existsSync(testStorageDir)) {
-      await mkdir(testStorageDir, { recursive: true });
-    }
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
 
     manager = new ConversationManager({
+      db,
       storageDir: testStorageDir,
       maxContextTokens: 10000,
       autoSave: false
@@ -34,18 +34,8 @@ describe('ConversationManager', () => {
   });
 
   afterEach(async () => {
-    // 清理测试文件
-    try {
-      const conversations = manager.listConversations();
-      for (const conv of conversations) {
-        const filePath = join(testStorageDir, `${conv.id}.json`);
-        if (existsSync(filePath)) {
-          await unlink(filePath);
-        }
-      }
-    } catch (error) {
-      // 忽略清理错误
-    }
+    db.close();
+    await rm(testStorageDir, { recursive: true, force: true });
   });
 
   describe('对话创建', () => {
@@ -277,34 +267,83 @@ describe('ConversationManager', () => {
   });
 
   describe('对话持久化', () => {
-    test('应该能保存对话到文件', async () => {
+    test('应该能保存对话到数据库', async () => {
       const conversation = manager.createConversation({ title: 'Test' });
       conversation.addMessage({ role: 'user', content: 'Hello' });
 
       await manager.save(conversation.id);
 
-      const filePath = join(testStorageDir, `${conversation.id}.json`);
-      expect(existsSync(filePath)).toBe(true);
+      expect(db.get('conversations', { id: conversation.id }).title).toBe('Test');
+      expect(db.getAll('messages', { where: { conversation_id: conversation.id } })).toHaveLength(1);
     });
 
-    test('应该能从文件加载对话', async () => {
-      const conversation = manager.createConversation({ title: 'Test' });
+    test('应该能从数据库加载对话', async () => {
+      const conversation = manager.createConversation({ title: 'Test', customData: { theme: 'dark' } });
       conversation.addMessage({ role: 'user', content: 'Hello' });
-      conversation.addMessage({ role: 'assistant', content: 'Hi' });
+      conversation.addMessage({ role: 'assistant', content: 'Hi', metadata: { model: 'm' } });
 
       await manager.save(conversation.id);
 
       // 创建新的管理器实例
-      const newManager = new ConversationManager({
-        storageDir: testStorageDir
-      });
+      const newManager = new ConversationManager({ db });
 
       const loaded = await newManager.load(conversation.id);
 
       expect(loaded.id).toBe(conversation.id);
       expect(loaded.title).toBe('Test');
+      expect(loaded.customData.theme).toBe('dark');
+      expect(loaded.createdAt).toBe(conversation.createdAt);
       expect(loaded.messages).toHaveLength(2);
       expect(loaded.messages[0].content).toBe('Hello');
+      expect(loaded.messages[1].metadata.model).toBe('m');
+    });
+
+    test('应该只写入新增的消息', async () => {
+      const conversation = manager.createConversation();
+      conversation.addMessage({ role: 'user', content: 'Hello' });
+      conversation.addMessage({ role: 'assistant', content: 'Hi' });
+      await manager.save(conversation.id);
+
+      conversation.addMessage({ role: 'user', content: 'Again' });
+      const { messages } = conversation.getPendingChanges();
+
+      // 新消息 + 父消息（选中分支变化）
+      expect(messages.map(m => m.content)).toEqual(['Again', 'Hi']);
+
+      await manager.save(conversation.id);
+      expect(conversation.getPendingChanges().messages).toHaveLength(0);
+      expect(db.getAll('messages', { where: { conversation_id: conversation.id } })).toHaveLength(3);
+    });
+
+    test('应该保存消息树和当前分支', async () => {
+      const conversation = manager.createConversation();
+      conversation.addMessage({ role: 'user', content: 'Hello' });
+      const original = conversation.addMessage({ role: 'assistant', content: 'Hi' });
+      await manager.save(conversation.id);
+
+      conversation.addSwipe(original.id, { content: 'Hey', stateSnapshotId: 'snap-1' });
+      await manager.save(conversation.id);
+
+      const loaded = await new ConversationManager({ db }).load(conversation.id);
+
+      expect(loaded.messages.map(m => m.content)).toEqual(['Hello', 'Hey']);
+      expect(loaded.getSwipes(original.id).total).toBe(2);
+      expect(loaded.getStateSnapshotId()).toBe('snap-1');
+
+      // 切换分支后只更新选中的子消息
+      loaded.selectBranch(original.id);
+      expect(loaded.getPendingChanges().messages.map(m => m.content)).toEqual(['Hello']);
+    });
+
+    test('清空后保存应该删除已存储的消息', async () => {
+      const conversation = manager.createConversation();
+      conversation.addMessage({ role: 'user', content: 'Hello' });
+      await manager.save(conversation.id);
+
+      conversation.clear();
+      await manager.save(conversation.id);
+
+      expect(db.getAll('messages', { where: { conversation_id: conversation.id } })).toHaveLength(0);
     });
 
     test('加载不存在的对话应该抛出异常', async () => {
@@ -330,6 +369,103 @@ describe('ConversationManager', () => {
     });
   });
 
+  describe('分页历史', () => {
+    let conversation;
+
+    beforeEach(() => {
+      conversation = manager.createConversation();
+      for (let i = 0; i < 25; i++) {
+        conversation.addMessage({ role: i % 2 === 0 ? 'user' : 'assistant', content: `Message ${i}` });
+      }
+    });
+
+    test('应该从最新的消息开始分页，页内按时间正序', async () => {
+      const page = await manager.getHistory(conversation.id, { limit: 10 });
+
+      expect(page.messages.map(m => m.content)[0]).toBe('Message 15');
+      expect(page.messages.at(-1).content).toBe('Message 24');
+      expect(page).toMatchObject({ total: 25, hasMore: true });
+    });
+
+    test('offset 应该向前翻页', async () => {
+      const last = await manager.getHistory(conversation.id, { limit: 10, offset: 20 });
+
+      expect(last.messages.map(m => m.content)).toEqual(['Message 0', 'Message 1', 'Message 2', 'Message 3', 'Message 4']);
+      expect(last.hasMore).toBe(false);
+    });
+
+    test('应该只返回当前分支的消息', async () => {
+      conversation.editMessage(conversation.messages[20].id, 'Edited');
+
+      const page = await manager.getHistory(conversation.id, { limit: 5 });
+
+      expect(page.total).toBe(21);
+      expect(page.messages.at(-1).content).toBe('Edited');
+    });
+
+    test('对话不存在时应该抛出异常', async () => {
+      await expect(manager.getHistory('missing')).rejects.toThrow('Conversation not found');
+    });
+  });
+
+  describe('导入旧版文件', () => {
+    const legacy = (id, title, messages) => ({
+      id,
+      title,
+      characterName: 'Alice',
+      createdAt: 1000,
+      updatedAt: 2000,
+      messages: messages.map((content, i) => ({
+        id: `${id}-m${i}`,
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content,
+        metadata: {},
+        timestamp: 1000 + i
+      }))
+    });
+
+    beforeEach(async () => {
+      await mkdir(testStorageDir, { recursive: true });
+      await writeFile(join(testStorageDir, 'a.json'), JSON.stringify(legacy('conv-a', 'A', ['你好', '你好呀'])));
+      await writeFile(join(testStorageDir, 'b.json'), JSON.stringify(legacy('conv-b', 'B', ['嗨'])));
+      await writeFile(join(testStorageDir, 'broken.json'), '{ not json');
+    });
+
+    test('应该导入目录中的对话文件', async () => {
+      const result = await manager.importFromDirectory();
+
+      expect(result.imported).toBe(2);
+      expect(result.failed.map(f => f.file)).toEqual(['broken.json']);
+
+      const loaded = await manager.load('conv-a');
+      expect(loaded.messages.map(m => m.content)).toEqual(['你好', '你好呀']);
+      expect(loaded.updatedAt).toBe(2000);
+    });
+
+    test('重复导入应该跳过已存在的对话', async () => {
+      await manager.importFromDirectory();
+      const again = await manager.importFromDirectory();
+
+      expect(again).toMatchObject({ imported: 0, skipped: 2 });
+      expect(manager.listConversations()).toHaveLength(2);
+    });
+
+    test('overwrite 应该覆盖已存在的对话', async () => {
+      await manager.importFromDirectory();
+      await writeFile(join(testStorageDir, 'b.json'), JSON.stringify(legacy('conv-b', 'B2', ['新内容'])));
+
+      const result = await manager.importFromDirectory(testStorageDir, { overwrite: true });
+
+      expect(result.imported).toBe(2);
+      expect((await manager.load('conv-b')).title).toBe('B2');
+    });
+
+    test('目录不存在时应该返回空结果', async () => {
+      const result = await manager.importFromDirectory('/tmp/test-missing-conversations');
+      expect(result).toEqual({ imported: 0, skipped: 0, failed: [] });
+    });
+  });
+
   describe('对话列表', () => {
     test('应该能列出所有对话', () => {
       manager.createConversation({ title: 'Chat 1' });
@@ -374,6 +510,53 @@ describe('ConversationManager', () => {
       expect(list[0]).toHaveProperty('updatedAt');
       expect(list[0].messageCount).toBe(1);
     });
+
+    test('应该列出未加载到内存的已存储对话', async () => {
+      const conversation = manager.createConversation({ title: 'Stored' });
+      await manager.save(conversation.id);
+
+      const list = new ConversationManager({ db }).listConversations();
+
+      expect(list.map(c => c.title)).toEqual(['Stored']);
+    });
+
+    test('应该支持排序、筛选和分页', () => {
+      manager.createConversation({ title: 'B', characterId: 'char-1' });
+      manager.createConversation({ title: 'A', characterId: 'char-1' });
+      manager.createConversation({ title: 'C', characterId: 'char-2' });
+
+      expect(manager.listConversations({ orderBy: 'title', order: 'asc' }).map(c => c.title))
+        .toEqual(['A', 'B', 'C']);
+      expect(manager.listConversations({ characterId: 'char-1', orderBy: 'title' }).map(c => c.title))
+        .toEqual(['B', 'A']);
+      expect(manager.listConversations({ orderBy: 'title', order: 'asc', limit: 1, offset: 1 }).map(c => c.title))
+        .toEqual(['B']);
+    });
+
+    test('列表只应该写入有未保存修改的对话', () => {
+      const clean = manager.createConversation({ title: 'Clean' });
+      const changed = manager.createConversation({ title: 'Changed' });
+      const message = changed.addMessage({ role: 'user', content: 'Hello' });
+      manager.listConversations();
+
+      const raw = jest.spyOn(db, 'raw');
+      const upserts = () => raw.mock.calls
+        .filter(([sql]) => sql.includes('INSERT INTO conversations'))
+        .map(([, params]) => params[0]);
+
+      manager.listConversations();
+      expect(upserts()).toEqual([]);
+
+      changed.addSummary({ content: 'Summary', toMessageId: message.id });
+      manager.listConversations();
+      expect(upserts()).toEqual([changed.id]);
+      expect(upserts()).not.toContain(clean.id);
+    });
+
+    test('无效的排序字段应该抛出异常', () => {
+      expect(() => manager.listConversations({ orderBy: 'id; DROP TABLE messages' }))
+        .toThrow('Invalid orderBy');
+    });
   });
 
   describe('对话删除', () => {
@@ -393,6 +576,17 @@ describe('ConversationManager', () => {
       const list = manager.listConversations();
       expect(list.map(c => c.id)).not.toContain(conversation.id);
     });
+
+    test('应该同时删除已存储的对话和消息', async () => {
+      const conversation = manager.createConversation();
+      conversation.addMessage({ role: 'user', content: 'Hello' });
+      await manager.save(conversation.id);
+
+      manager.deleteConversation(conversation.id);
+
+      await expect(manager.load(conversation.id)).rejects.toThrow('Conversation not found');
+      expect(db.getAll('messages')).toHaveLength(0);
+    });
   });
 
   describe('序列化', () => {
@@ -65,6 +65,40 @@ describe('DatabaseManager', () => {
       const result = db.db.pragma('foreign_keys');
       expect(result[0].foreign_keys).toBe(1);
     });
+
+    test('应该为旧库补充新增的列', () => {
+      db.close();
+
+      // 模拟旧版 memories 表（没有归档列）
+      const Database = db.db.constructor;
+      const legacy = new Database(testDbPath);
+      legacy.exec(`DROP TABLE memories;
+        CREATE TABLE memories (
+          id TEXT PRIMARY KEY, character_id TEXT NOT NULL, content TEXT NOT NULL,
+          importance INTEGER DEFAULT 1, timestamp INTEGER NOT NULL, tags TEXT, metadata TEXT,
+          created_at INTEGER NOT NULL, updated_at INTEGER NOT NULL
+        );
+        ALTER TABLE characters DROP COLUMN aliases;
+        ALTER TABLE locations DROP COLUMN aliases;
+        ALTER TABLE state_snapshots DROP COLUMN kind;
+        ALTER TABLE state_snapshots DROP COLUMN base_id;`);
+      legacy.close();
+
+      db = new DatabaseManager({ dbPath: testDbPath });
+      const columns = db.raw('PRAGMA table_info(memories)').map(c => c.name);
+
+      expect(columns).toContain('archived_at');
+      expect(columns).toContain('consolidated_into');
+
+      const characterColumns = db.raw('PRAGMA table_info(characters)').map(c => c.name);
+      expect(characterColumns).toContain('aliases');
+
+      const locationColumns = db.raw('PRAGMA table_info(locations)').map(c => c.name);
+      expect(locationColumns).toContain('aliases');
+
+      const snapshotColumns = db.raw('PRAGMA table_info(state_snapshots)').map(c => c.name);
+      expect(snapshotColumns).toEqual(expect.arrayContaining(['kind', 'base_id']));
+    });
   });
 
   describe('插入操作', () => {
@@ -147,6 +181,17 @@ describe('DatabaseManager', () => {
       expect(characters.map(c => c.name)).toContain('Bob');
     });
 
+    test('null 条件应该匹配 IS NULL', () => {
+      db.insert('characters', { name: 'Dave' });
+      db.update('characters', { name: 'Alice' }, { current_location: 'tavern' });
+
+      const characters = db.getAll('characters', {
+        where: { current_location: null }
+      });
+
+      expect(characters.map(c => c.name)).toEqual(['Bob', 'Charlie', 'Dave']);
+    });
+
     test('应该支持排序', () => {
       const characters = db.getAll('characters', {
         orderBy: 'affection',
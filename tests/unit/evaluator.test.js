@@ -0,0 +1,141 @@
+/**
+ * Extraction Evaluator 单元测试
+ *
+ * 测试内容：
+ * - 单条语料计分（单值、物品、事件）
+ * - 精确率、召回率、F1
+ * - 基线对比
+ * - 标注语料上的 regex 基线（tests/fixtures/extraction-gold.json）
+ * - regex 与 llm 模式对比
+ */
+
+import { readFileSync } from 'fs';
+import ExtractionEvaluator, {
+  scoreCase,
+  summarize,
+  compareBaseline,
+  toBaseline,
+  formatReport
+} from '../../src/state/evaluator.js';
+import LLMClient from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+
+const readFixture = name => JSON.parse(
+  readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8')
+);
+
+const gold = readFixture('extraction-gold.json');
+const baseline = readFixture('extraction-baseline.json');
+
+const EMPTY = { affection: null, emotion: null, location: null, inventory: [], events: [] };
+
+describe('ExtractionEvaluator', () => {
+  describe('计分', () => {
+    test('一致的结果记 TP，不一致时同时记 FP 和 FN', () => {
+      const { counts, mismatches } = scoreCase(
+        { affection: 10, emotion: 'happy', location: 'Library' },
+        { ...EMPTY, affection: { delta: 10 }, emotion: { emotion: 'sad' }, location: { location: ' library ' } }
+      );
+
+      expect(counts.affection).toEqual({ tp: 1, fp: 0, fn: 0 });
+      expect(counts.emotion).toEqual({ tp: 0, fp: 1, fn: 1 });
+      expect(counts.location).toEqual({ tp: 1, fp: 0, fn: 0 });
+      expect(mismatches).toEqual([{ type: 'emotion', expected: 'happy', actual: 'sad' }]);
+    });
+
+    test('物品应该逐项匹配，事件按是否记录计分', () => {
+      const { counts } = scoreCase(
+        { inventory: [{ action: 'add', item_name: '古书' }, { action: 'remove', item_name: '地图' }] },
+        {
+          ...EMPTY,
+          inventory: [{ action: 'add', item_name: '古书' }, { action: 'add', item_name: '地图' }],
+          events: [{ description: '...' }]
+        }
+      );
+
+      expect(counts.inventory).toEqual({ tp: 1, fp: 1, fn: 1 });
+      expect(counts.event).toEqual({ tp: 0, fp: 1, fn: 0 });
+    });
+
+    test('应该计算精确率、召回率和 F1', () => {
+      expect(summarize({ tp: 3, fp: 1, fn: 2 })).toEqual({
+        tp: 3, fp: 1, fn: 2, precision: 0.75, recall: 0.6, f1: 0.667
+      });
+      expect(summarize({ tp: 0, fp: 0, fn: 0 })).toMatchObject({ precision: 1, recall: 1, f1: 1 });
+    });
+  });
+
+  describe('基线', () => {
+    const report = {
+      types: { emotion: summarize({ tp: 8, fp: 2, fn: 0 }) },
+      overall: summarize({ tp: 8, fp: 2, fn: 0 })
+    };
+
+    test('低于基线的指标应该被报告', () => {
+      const regressions = compareBaseline(report, {
+        types: { emotion: { precision: 0.9, recall: 1, f1: 0.8 } }
+      });
+
+      expect(regressions).toEqual([{ type: 'emotion', metric: 'precision', baseline: 0.9, actual: 0.8 }]);
+    });
+
+    test('与自身生成的基线对比不应该有退化', () => {
+      expect(compareBaseline(report, toBaseline(report))).toEqual([]);
+    });
+  });
+
+  describe('标注语料', () => {
+    let evaluator;
+
+    beforeEach(() => {
+      evaluator = new ExtractionEvaluator();
+    });
+
+    afterEach(() => {
+      evaluator.close();
+    });
+
+    test('regex 模式不应该低于保存的基线', async () => {
+      const report = await evaluator.evaluate(gold, 'regex');
+
+      expect(report.cases).toBe(gold.cases.length);
+      expect(compareBaseline(report, baseline.regex)).toEqual([]);
+    });
+
+    test('应该生成情绪混淆矩阵和文本报告', async () => {
+      const report = await evaluator.evaluate(gold, 'regex');
+      const happy = gold.cases.filter(c => c.expect.emotion === 'happy').length;
+
+      expect(Object.values(report.confusion.happy).reduce((a, b) => a + b, 0)).toBe(happy);
+      expect(formatReport(report)).toContain('Emotion confusion');
+    });
+
+    test('应该能对比 regex 和 llm 模式', async () => {
+      // 按标注回答的 LLM：llm 模式的情绪应该全部正确，且没有回退
+      const byText = new Map(gold.cases.map(c => [c.text.replace(/<state>.*<\/state>/, ''), c.expect]));
+      const provider = new MockProvider({
+        respond: (request) => {
+          const prompt = request.messages.at(-1).content;
+          const [, expect] = [...byText].find(([text]) => prompt.includes(text)) || [null, {}];
+          return JSON.stringify({
+            ...EMPTY,
+            emotion: expect.emotion ? { emotion: expect.emotion } : null
+          });
+        }
+      });
+      const llmEvaluator = new ExtractionEvaluator({
+        llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' })
+      });
+
+      try {
+        const reports = await llmEvaluator.compare(gold);
+
+        expect(Object.keys(reports)).toEqual(['regex', 'llm']);
+        expect(reports.llm.types.emotion.f1).toBe(1);
+        expect(reports.llm.fallbacks).toBe(0);
+      } finally {
+        llmEvaluator.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Gazetteer 单元测试
+ *
+ * 测试内容：
+ * - 地点名规范化（冠词、指示词、方位词）
+ * - 相似度
+ * - 解析到已有地点（名字、别名、规范化名、前缀、模糊匹配）
+ * - 登记地点和添加别名
+ */
+
+import Gazetteer, { normalizePlaceName, canonicalPlaceName, similarity } from '../../src/state/gazetteer.js';
+import DatabaseManager from '../../src/core/database.js';
+
+describe('Gazetteer', () => {
+  describe('规范化', () => {
+    test.each([
+      ['酒馆里', '酒馆'],
+      ['那家酒馆', '酒馆'],
+      ['这座城堡里面', '城堡'],
+      ['图书馆门口', '图书馆'],
+      ['城里', '城里'],
+      ['The Tavern.', 'tavern'],
+      ['  an   old mill ', 'old mill']
+    ])('%s => %s', (name, normalized) => {
+      expect(normalizePlaceName(name)).toBe(normalized);
+    });
+
+    test('规范名应该保留大小写', () => {
+      expect(canonicalPlaceName('the Old Mill')).toBe('Old Mill');
+    });
+
+    test('相似度为字符二元组的 Dice 系数', () => {
+      expect(similarity('铁匠铺', '老铁匠铺')).toBe(0.8);
+      expect(similarity('酒馆', '酒馆')).toBe(1);
+      expect(similarity('酒馆', '码头')).toBe(0);
+    });
+  });
+
+  describe('解析', () => {
+    let db;
+    let gazetteer;
+    let tavern;
+
+    beforeEach(() => {
+      db = new DatabaseManager({ dbPath: ':memory:' });
+      gazetteer = new Gazetteer({ db, threshold: 0.75 });
+      tavern = gazetteer.register('Tavern', { aliases: ['酒馆'] }).location;
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test.each([
+      ['Tavern', 'exact', 1],
+      ['酒馆', 'alias', 1],
+      ['那家酒馆里', 'normalized', 1],
+      ['the tavern', 'normalized', 1],
+      ['酒馆坐下', 'prefix', 0.9]
+    ])('%s 应该通过 %s 匹配', (name, match, score) => {
+      const resolution = gazetteer.resolve(name);
+
+      expect(resolution.location.id).toBe(tavern.id);
+      expect(resolution.match).toBe(match);
+      expect(resolution.score).toBe(score);
+    });
+
+    test('英文前缀要在单词边界结束', () => {
+      expect(gazetteer.resolve('tavernkeeper').location).toBeNull();
+    });
+
+    test('相似度达到阈值时模糊匹配，否则返回候选地点', () => {
+      const smithy = gazetteer.register('老铁匠铺').location;
+
+      expect(gazetteer.resolve('铁匠铺')).toMatchObject({
+        location: { id: smithy.id },
+        match: 'fuzzy',
+        score: 0.8
+      });
+
+      expect(gazetteer.resolve('铁匠工坊')).toMatchObject({
+        location: null,
+        match: null,
+        candidates: [{ id: smithy.id, name: '老铁匠铺', score: 0.333 }]
+      });
+    });
+
+    test('登记能解析到的地点时不应该重复创建', () => {
+      const again = gazetteer.register('那家酒馆');
+
+      expect(again).toEqual({ location: expect.objectContaining({ id: tavern.id }), created: false });
+      expect(db.getAll('locations')).toHaveLength(1);
+    });
+
+    test('应该能添加别名', () => {
+      gazetteer.addAlias(tavern.id, 'Prancing Pony');
+      gazetteer.addAlias(tavern.id, '酒馆');
+
+      expect(gazetteer.resolve('the Prancing Pony').location.id).toBe(tavern.id);
+      expect(gazetteer.stateManager.getLocation(tavern.id).aliases).toEqual(['酒馆', 'Prancing Pony']);
+      expect(() => gazetteer.addAlias('missing', 'x')).toThrow('Location not found: missing');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * State Journal 单元测试
+ *
+ * 测试内容：
+ * - 记录创建、更新、删除（变化前后的行、原因、游戏内时间）
+ * - 原因的嵌套和默认值
+ * - 实体的变化历史
+ * - 事务回滚时丢弃日志
+ * - 恢复快照的差异
+ * - 重放到任意时刻
+ */
+
+import StateManager from '../../src/state/manager.js';
+import DatabaseManager from '../../src/core/database.js';
+import { diffRows } from '../../src/state/journal.js';
+
+describe('StateJournal', () => {
+  let db;
+  let stateManager;
+  let journal;
+  let alice;
+
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
+    stateManager = new StateManager({ db });
+    journal = stateManager.journal;
+    alice = stateManager.createCharacter({ name: 'Alice', affection: 50 });
+  });
+
+  afterEach(() => {
+    stateManager.close();
+    db.close();
+  });
+
+  describe('记录', () => {
+    test('应该记录创建、更新和删除的前后值', () => {
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      stateManager.deleteCharacter(alice.id);
+
+      const history = journal.getHistory('characters', alice.id);
+
+      expect(history.map(entry => entry.operation)).toEqual(['create', 'update', 'delete']);
+      expect(history[0].before).toBeNull();
+      expect(history[0].after).toMatchObject({ name: 'Alice', affection: 50 });
+      expect(history[1].changes).toEqual({ affection: { from: 50, to: 60 } });
+      expect(history[2].after).toBeNull();
+      expect(history.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    });
+
+    test('没有指定原因时记为 manual', () => {
+      const [entry] = journal.getHistory('characters', alice.id);
+
+      expect(entry.cause).toEqual({ type: 'manual' });
+      expect(entry.gameTime).toEqual(expect.any(Number));
+    });
+
+    test('没有实际变化的更新不应该记录', () => {
+      stateManager.updateCharacterState(alice.id, { affection: 50 });
+      stateManager.updateCharacterState('missing', { affection: 10 });
+
+      expect(journal.getHistory('characters', alice.id)).toHaveLength(1);
+      expect(journal.getHistory('characters', 'missing')).toHaveLength(0);
+    });
+
+    test('嵌套的原因应该合并，离开后恢复', () => {
+      stateManager.withCause({ type: 'message', messageId: 'msg-1' }, () => {
+        stateManager.withCause({ rule: 'affection.zh.increase' }, () => {
+          stateManager.updateCharacterState(alice.id, { affection: 60 });
+        });
+        stateManager.updateCharacterState(alice.id, { emotion: 'happy' });
+      });
+      stateManager.updateCharacterState(alice.id, { affection: 70 });
+
+      const causes = journal.getHistory('characters', alice.id).slice(1).map(entry => entry.cause);
+
+      expect(causes).toEqual([
+        { type: 'message', messageId: 'msg-1', rule: 'affection.zh.increase' },
+        { type: 'message', messageId: 'msg-1' },
+        { type: 'manual' }
+      ]);
+      expect(journal.list({ messageId: 'msg-1' })).toHaveLength(2);
+    });
+
+    test('删除角色时级联删除的库存和记忆也应该记录', () => {
+      const item = stateManager.addInventoryItem(alice.id, { item_name: '钥匙' });
+      const memory = stateManager.addMemory(alice.id, { content: '第一次见面' });
+
+      stateManager.deleteCharacter(alice.id);
+
+      expect(journal.getHistory('inventory', item.id).map(entry => entry.operation)).toEqual(['create', 'delete']);
+      expect(journal.getHistory('memories', memory.id).map(entry => entry.operation)).toEqual(['create', 'delete']);
+    });
+
+    test('事务回滚时不应该留下日志', () => {
+      expect(() => stateManager.transaction(() => {
+        stateManager.updateCharacterState(alice.id, { affection: 60 });
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(journal.getHistory('characters', alice.id)).toHaveLength(1);
+      expect(journal.getLatestSeq()).toBe(1);
+    });
+
+    test('写入失败时不应该记录', () => {
+      expect(() => stateManager.updateCharacterState(alice.id, { affection: 150 })).toThrow();
+
+      expect(journal.getHistory('characters', alice.id)).toHaveLength(1);
+    });
+  });
+
+  describe('历史', () => {
+    test('应该能按字段筛选并只取最近的几条', () => {
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      stateManager.updateCharacterState(alice.id, { emotion: 'happy' });
+      stateManager.withCause({ type: 'message', messageId: 'msg-2' }, () => {
+        stateManager.updateCharacterState(alice.id, { affection: 73 });
+      });
+
+      const affection = stateManager.getHistory('characters', alice.id, { field: 'affection' });
+      expect(affection.map(entry => entry.after.affection)).toEqual([50, 60, 73]);
+
+      const [last] = stateManager.getHistory('characters', alice.id, { field: 'affection', limit: 1 });
+      expect(last.changes.affection).toEqual({ from: 60, to: 73 });
+      expect(last.cause).toEqual({ type: 'message', messageId: 'msg-2' });
+    });
+
+    test('无效的实体应该抛出异常', () => {
+      expect(() => journal.getHistory('users', alice.id)).toThrow('Invalid journal entity: users');
+    });
+
+    test('比较行时应该忽略时间戳', () => {
+      expect(diffRows(
+        { affection: 50, updated_at: 1 },
+        { affection: 60, updated_at: 2 }
+      )).toEqual({ affection: { from: 50, to: 60 } });
+    });
+  });
+
+  describe('恢复快照', () => {
+    test('应该把恢复前后的差异记为 restore', () => {
+      const snapshot = stateManager.createSnapshot('before');
+      stateManager.updateCharacterState(alice.id, { affection: 80 });
+      const item = stateManager.addInventoryItem(alice.id, { item_name: '钥匙' });
+
+      stateManager.restoreSnapshot(snapshot.id);
+
+      const [restored] = stateManager.getHistory('characters', alice.id).slice(-1);
+      expect(restored.changes).toEqual({ affection: { from: 80, to: 50 } });
+      expect(restored.cause).toEqual({ type: 'restore', snapshotId: snapshot.id });
+
+      const [removed] = journal.getHistory('inventory', item.id).slice(-1);
+      expect(removed.operation).toBe('delete');
+    });
+  });
+
+  describe('重放', () => {
+    const byId = rows => Object.fromEntries(rows.map(row => [row.id, row]));
+
+    test('重放全部日志应该得到当前状态', () => {
+      const tavern = stateManager.createLocation({ name: 'Tavern' });
+      stateManager.updateCharacterState(alice.id, { affection: 60, current_location: tavern.id });
+      const item = stateManager.addInventoryItem(alice.id, { item_name: '钥匙', quantity: 2 });
+      stateManager.updateInventoryItem(item.id, { quantity: 1 });
+      stateManager.addInventoryItem(alice.id, { item_name: '地图' });
+      stateManager.deleteInventoryItem(item.id);
+      stateManager.addTimelineEvent({ event_type: 'meeting', description: '在酒馆见面' });
+      stateManager.addMemory(alice.id, { content: '在酒馆见面' });
+
+      const { seq, state } = journal.replay();
+
+      expect(seq).toBe(journal.getLatestSeq());
+      for (const table of ['characters', 'timeline', 'locations', 'inventory', 'memories']) {
+        expect(byId(state[table])).toEqual(byId(db.getAll(table)));
+      }
+    });
+
+    test('应该能重建任意时刻的状态', () => {
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      const checkpoint = journal.getLatestSeq();
+      stateManager.updateCharacterState(alice.id, { affection: 73 });
+      stateManager.addInventoryItem(alice.id, { item_name: '钥匙' });
+
+      const { seq, state } = journal.replay({ untilSeq: checkpoint });
+
+      expect(seq).toBe(checkpoint);
+      expect(state.characters).toEqual([expect.objectContaining({ id: alice.id, affection: 60 })]);
+      expect(state.inventory).toEqual([]);
+      expect(journal.replay({ untilSeq: 0 }).state.characters).toEqual([]);
+    });
+  });
+});
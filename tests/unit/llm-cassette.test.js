@@ -0,0 +1,209 @@
+/**
+ * Cassette 单元测试
+ *
+ * 测试内容：
+ * - 稳定哈希
+ * - 录制 → 回放（generate / generateStream）
+ * - 严格模式
+ * - 回放时的统计和成本
+ */
+
+import { existsSync, unlinkSync, readFileSync } from 'fs';
+import LLMClient from '../../src/llm/client.js';
+import Cassette, { CASSETTE_MODES, stableStringify } from '../../src/llm/cassette.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+
+const CASSETTE_PATH = '/tmp/test-cassette.json';
+
+/**
+ * 带价格的模拟模型（验证成本计算）
+ */
+const PRICED_MODELS = [{
+  id: 'mock-priced',
+  name: 'Mock Priced',
+  tier: 'balanced',
+  costPer1MInput: 3,
+  costPer1MOutput: 15
+}];
+
+function createClient(mode, responses = ['录制的回复']) {
+  const provider = new MockProvider({ responses, models: PRICED_MODELS, chunkSize: 3 });
+  const client = new LLMClient({
+    providers: [provider],
+    defaultProvider: 'mock',
+    cassette: new Cassette({ path: CASSETTE_PATH, mode })
+  });
+
+  return { client, provider };
+}
+
+const PARAMS = {
+  messages: [{ role: 'user', content: 'Alice 今天心情怎么样？' }],
+  systemPrompt: '你是 Alice',
+  temperature: 0.7
+};
+
+describe('Cassette', () => {
+  beforeEach(() => {
+    if (existsSync(CASSETTE_PATH)) {
+      unlinkSync(CASSETTE_PATH);
+    }
+  });
+
+  afterAll(() => {
+    if (existsSync(CASSETTE_PATH)) {
+      unlinkSync(CASSETTE_PATH);
+    }
+  });
+
+  describe('请求哈希', () => {
+    test('哈希应该与对象键顺序无关', () => {
+      const cassette = new Cassette({ path: CASSETTE_PATH });
+
+      const a = cassette.keyFor({ model: 'm', max_tokens: 10, messages: [{ role: 'user', content: 'x' }] });
+      const b = cassette.keyFor({ messages: [{ content: 'x', role: 'user' }], max_tokens: 10, model: 'm' });
+
+      expect(a).toBe(b);
+      expect(a).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('请求内容不同哈希应该不同', () => {
+      const cassette = new Cassette({ path: CASSETTE_PATH });
+
+      expect(cassette.keyFor({ model: 'm', temperature: 0.7 }))
+        .not.toBe(cassette.keyFor({ model: 'm', temperature: 0.8 }));
+    });
+
+    test('stableStringify 应该忽略 undefined 字段', () => {
+      expect(stableStringify({ b: 1, a: undefined, c: [2, { y: 1, x: 2 }] }))
+        .toBe('{"b":1,"c":[2,{"x":2,"y":1}]}');
+    });
+  });
+
+  describe('录制与回放', () => {
+    test('严格模式应该回放录制的响应，且不调用提供方', async () => {
+      const recording = createClient(CASSETTE_MODES.RECORD);
+      const recorded = await recording.client.generate(PARAMS);
+
+      expect(recording.provider.requests).toHaveLength(1);
+      expect(existsSync(CASSETTE_PATH)).toBe(true);
+
+      const replaying = createClient(CASSETTE_MODES.STRICT, ['不应该被调用']);
+      const replayed = await replaying.client.generate(PARAMS);
+
+      expect(replaying.provider.requests).toHaveLength(0);
+      expect(replayed.content).toBe(recorded.content);
+      expect(replayed.usage).toEqual(recorded.usage);
+      expect(replayed.stopReason).toBe(recorded.stopReason);
+    });
+
+    test('回放时统计和成本应该与真实调用一致', async () => {
+      const recording = createClient(CASSETTE_MODES.RECORD);
+      const recorded = await recording.client.generate(PARAMS);
+
+      const replaying = createClient(CASSETTE_MODES.STRICT);
+      const replayed = await replaying.client.generate(PARAMS);
+
+      expect(replayed.costUsd).toBeGreaterThan(0);
+      expect(replayed.costUsd).toBe(recorded.costUsd);
+      expect(replaying.client.stats.byModel['mock-priced'].successes).toBe(1);
+      expect(replaying.client.costAccumulated).toBe(recording.client.costAccumulated);
+      expect(replaying.client.getStats().cassette).toMatchObject({ hits: 1, misses: 0 });
+    });
+
+    test('严格模式下未录制的请求应该失败', async () => {
+      const { client } = createClient(CASSETTE_MODES.STRICT);
+
+      await expect(client.generate(PARAMS)).rejects.toThrow('Cassette miss (strict mode)');
+      expect(client.stats.total.failures).toBe(1);
+    });
+
+    test('回放模式下未命中时应该调用提供方并补录', async () => {
+      const first = createClient(CASSETTE_MODES.REPLAY);
+      await first.client.generate(PARAMS);
+      await first.client.generate(PARAMS);
+
+      // 第二次命中录制，只调用一次提供方
+      expect(first.provider.requests).toHaveLength(1);
+      expect(first.client.cassette.getStats()).toMatchObject({ hits: 1, misses: 1, recorded: 1 });
+    });
+
+    test('录制模式应该覆盖已有录制', async () => {
+      await createClient(CASSETTE_MODES.RECORD, ['旧回复']).client.generate(PARAMS);
+      await createClient(CASSETTE_MODES.RECORD, ['新回复']).client.generate(PARAMS);
+
+      const result = await createClient(CASSETTE_MODES.STRICT).client.generate(PARAMS);
+      expect(result.content).toBe('新回复');
+    });
+
+    test('录制文件应该只保存稳定字段', async () => {
+      await createClient(CASSETTE_MODES.RECORD).client.generate(PARAMS);
+
+      const data = JSON.parse(readFileSync(CASSETTE_PATH, 'utf8'));
+      const [entry] = Object.values(data.entries);
+
+      expect(data.version).toBe(1);
+      expect(entry.request.system).toBe('你是 Alice');
+      expect(Object.keys(entry.response).sort()).toEqual(['content', 'stop_reason', 'usage']);
+    });
+
+    test('流式生成应该按录制的分块回放', async () => {
+      const collect = async (client) => {
+        const chunks = [];
+        for await (const chunk of client.generateStream(PARAMS)) {
+          chunks.push(chunk);
+        }
+        return chunks;
+      };
+
+      const recording = createClient(CASSETTE_MODES.RECORD, ['一二三四五六七']);
+      const recorded = await collect(recording.client);
+
+      const replaying = createClient(CASSETTE_MODES.STRICT);
+      const replayed = await collect(replaying.client);
+
+      expect(replaying.provider.requests).toHaveLength(0);
+      expect(replayed.filter(c => c.delta).map(c => c.content))
+        .toEqual(['一二三', '四五六', '七']);
+      expect(replayed.at(-1).usage).toEqual(recorded.at(-1).usage);
+      expect(replayed.at(-1).costUsd).toBe(recorded.at(-1).costUsd);
+    });
+
+    test('非流式录制也可以用于流式回放', async () => {
+      await createClient(CASSETTE_MODES.RECORD, ['完整回复']).client.generate(PARAMS);
+
+      const { client } = createClient(CASSETTE_MODES.STRICT);
+      const chunks = [];
+      for await (const chunk of client.generateStream(PARAMS)) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks.at(-1).content).toBe('完整回复');
+    });
+  });
+
+  describe('配置', () => {
+    test('无效模式应该抛出错误', () => {
+      expect(() => new Cassette({ path: CASSETTE_PATH, mode: 'rewind' })).toThrow('Invalid cassette mode');
+    });
+
+    test('启用时缺少路径应该抛出错误', () => {
+      expect(() => new Cassette({ mode: CASSETTE_MODES.STRICT })).toThrow('Cassette path is required');
+    });
+
+    test('关闭模式应该直接调用提供方', async () => {
+      const provider = new MockProvider({ responses: ['直连'] });
+      const client = new LLMClient({
+        providers: [provider],
+        defaultProvider: 'mock',
+        cassette: new Cassette({ mode: CASSETTE_MODES.OFF })
+      });
+
+      await client.generate(PARAMS);
+      await client.generate(PARAMS);
+
+      expect(provider.requests).toHaveLength(2);
+      expect(existsSync(CASSETTE_PATH)).toBe(false);
+    });
+  });
+});
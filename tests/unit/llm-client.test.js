@@ -240,6 +240,11 @@ describe('LLMClient', () => {
             type: 'content_block_delta',
             delta: { type: 'text_delta', text: ' world' }
           };
+          yield {
+            type: 'message_delta',
+            delta: { stop_reason: 'end_turn' },
+            usage: { output_tokens: 12 }
+          };
           yield {
             type: 'message_stop'
           };
@@ -247,17 +252,59 @@ describe('LLMClient', () => {
       };
 
       // Mock anthropic.messages.stream
-      const mockStream = jest.fn().mockResolvedValue(mockStreamObject);
+      const mockStream = jest.fn().mockReturnValue(mockStreamObject);
       client.anthropic.messages.stream = mockStream;
 
       const chunks = [];
       for await (const chunk of client.generateStream({
-        messages: [{ role: 'user', content: 'Test' }]
+        messages: [{ role: 'user', content: 'Test' }],
+        taskType: TASK_TYPES.NARRATIVE
       })) {
         chunks.push(chunk);
       }
 
-      expect(chunks.length).toBeGreaterThan(0);
+      // 文本增量
+      const deltas = chunks.filter(c => c.delta);
+      expect(deltas.map(c => c.content)).toEqual(['Hello', ' world']);
+
+      // 最终记录（使用 message_delta 中的真实 token 数）
+      const final = chunks[chunks.length - 1];
+      expect(final.finished).toBe(true);
+      expect(final.content).toBe('Hello world');
+      expect(final.usage).toEqual({ inputTokens: 50, outputTokens: 12 });
+      expect(final.stopReason).toBe('end_turn');
+      expect(final.costUsd).toBeCloseTo(
+        client._calculateCost(MODELS.SONNET, { input_tokens: 50, output_tokens: 12 }),
+        10
+      );
+
+      // 请求参数中不应包含 stream 标志（messages.stream 自行处理）
+      expect(mockStream.mock.calls[0][0].stream).toBeUndefined();
+    });
+
+    test('流式响应应该计入按模型统计', async () => {
+      client.anthropic.messages.stream = jest.fn().mockReturnValue({
+        async *[Symbol.asyncIterator]() {
+          yield { type: 'message_start', message: { usage: { input_tokens: 30 } } };
+          yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } };
+          yield { type: 'message_delta', delta: {}, usage: { output_tokens: 5 } };
+          yield { type: 'message_stop' };
+        }
+      });
+
+      for await (const chunk of client.generateStream({
+        messages: [{ role: 'user', content: 'Test' }],
+        taskType: TASK_TYPES.STATE_MANAGEMENT
+      })) {
+        expect(chunk).toBeDefined();
+      }
+
+      const haikuStats = client.stats.byModel[MODELS.HAIKU.id];
+      expect(haikuStats.requests).toBe(1);
+      expect(haikuStats.successes).toBe(1);
+      expect(haikuStats.totalInputTokens).toBe(30);
+      expect(haikuStats.totalOutputTokens).toBe(5);
+      expect(client.getStats().summary.totalTokens).toBe(35);
     });
 
     test('应该支持系统提示词', async () => {
@@ -0,0 +1,273 @@
+/**
+ * LLM Providers 单元测试
+ *
+ * 测试内容：
+ * - Mock 提供方（确定性回复、流式输出）
+ * - OpenAI 兼容提供方（请求/响应/流事件转换）
+ * - LLMClient 提供方注册与跨提供方模型选择
+ */
+
+import { jest } from '@jest/globals';
+import LLMClient, { MODELS, TASK_TYPES, MODEL_SELECTION_STRATEGY } from '../../src/llm/client.js';
+import LLMProvider from '../../src/llm/providers/base.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+import OpenAICompatibleProvider from '../../src/llm/providers/openai.js';
+import LlamaCppProvider from '../../src/llm/providers/llamacpp.js';
+
+/**
+ * 构造一个 SSE 响应体
+ */
+function sseResponse(events) {
+  const body = events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('');
+  return new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+describe('LLM Providers', () => {
+  describe('LLMProvider 基类', () => {
+    test('应该为模型补全默认字段并标注提供方', () => {
+      const provider = new LLMProvider({ name: 'custom', models: [{ id: 'm1', name: 'M1' }] });
+
+      expect(provider.models[0]).toMatchObject({
+        id: 'm1',
+        provider: 'custom',
+        tier: 'balanced',
+        costPer1MInput: 0,
+        bestFor: []
+      });
+    });
+
+    test('缺少名称应该抛出错误', () => {
+      expect(() => new LLMProvider({})).toThrow('Provider name is required');
+    });
+
+    test('未实现的方法应该抛出错误', async () => {
+      const provider = new LLMProvider({ name: 'custom' });
+      await expect(provider.generate({})).rejects.toThrow('not implemented');
+    });
+
+    test('未知模型的价格查询应该抛出错误', () => {
+      const provider = new LLMProvider({ name: 'custom' });
+      expect(() => provider.getPricing('unknown')).toThrow('unknown model');
+    });
+  });
+
+  describe('MockProvider', () => {
+    test('默认应该回显最后一条用户消息', async () => {
+      const provider = new MockProvider();
+      const response = await provider.generate({
+        model: 'mock-balanced',
+        messages: [{ role: 'user', content: '你好' }]
+      });
+
+      expect(response.content[0].text).toBe('（模拟回复）你好');
+      expect(response.stop_reason).toBe('end_turn');
+      expect(response.usage.output_tokens).toBeGreaterThan(0);
+    });
+
+    test('应该按顺序返回固定回复，用完后重复最后一条', async () => {
+      const provider = new MockProvider({ responses: ['第一条', '第二条'] });
+      const request = { messages: [{ role: 'user', content: 'x' }] };
+
+      const texts = [];
+      for (let i = 0; i < 3; i++) {
+        const response = await provider.generate(request);
+        texts.push(response.content[0].text);
+      }
+
+      expect(texts).toEqual(['第一条', '第二条', '第二条']);
+      expect(provider.requests).toHaveLength(3);
+    });
+
+    test('应该支持自定义回复函数', async () => {
+      const provider = new MockProvider({
+        respond: (request) => `模型：${request.model}`
+      });
+
+      const response = await provider.generate({ model: 'mock-fast', messages: [] });
+      expect(response.content[0].text).toBe('模型：mock-fast');
+    });
+
+    test('流式输出应该按块产出 Anthropic 格式事件', async () => {
+      const provider = new MockProvider({ responses: ['abcdefghij'], chunkSize: 4 });
+
+      const events = [];
+      for await (const event of provider.stream({ messages: [{ role: 'user', content: 'x' }] })) {
+        events.push(event);
+      }
+
+      expect(events[0].type).toBe('message_start');
+      expect(events.filter(e => e.type === 'content_block_delta').map(e => e.delta.text))
+        .toEqual(['abcd', 'efgh', 'ij']);
+      expect(events.at(-2).type).toBe('message_delta');
+      expect(events.at(-1).type).toBe('message_stop');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    let provider;
+    let fetchSpy;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({
+        baseUrl: 'http://localhost:9999/v1/',
+        apiKey: 'sk-test',
+        models: [{ id: 'gpt-test', name: 'GPT Test', tier: 'fast', costPer1MInput: 1, costPer1MOutput: 2 }]
+      });
+      fetchSpy = jest.spyOn(globalThis, 'fetch');
+    });
+
+    afterEach(() => {
+      fetchSpy.mockRestore();
+    });
+
+    test('应该转换请求和响应格式', async () => {
+      fetchSpy.mockResolvedValue(new Response(JSON.stringify({
+        choices: [{ message: { content: '你好！' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      }), { status: 200 }));
+
+      const response = await provider.generate({
+        model: 'gpt-test',
+        system: '你是 Alice',
+        max_tokens: 100,
+        temperature: 0.5,
+        messages: [{ role: 'user', content: '嗨' }]
+      });
+
+      const [url, init] = fetchSpy.mock.calls[0];
+      const body = JSON.parse(init.body);
+
+      expect(url).toBe('http://localhost:9999/v1/chat/completions');
+      expect(init.headers.Authorization).toBe('Bearer sk-test');
+      expect(body.messages).toEqual([
+        { role: 'system', content: '你是 Alice' },
+        { role: 'user', content: '嗨' }
+      ]);
+      expect(body.max_tokens).toBe(100);
+
+      expect(response.content[0].text).toBe('你好！');
+      expect(response.usage).toEqual({ input_tokens: 12, output_tokens: 3 });
+      expect(response.stop_reason).toBe('max_tokens');
+    });
+
+    test('HTTP 错误应该带上状态码', async () => {
+      fetchSpy.mockResolvedValue(new Response('rate limited', { status: 429 }));
+
+      await expect(provider.generate({ model: 'gpt-test', messages: [] }))
+        .rejects.toMatchObject({ status: 429 });
+    });
+
+    test('应该把 SSE 流转换为 Anthropic 流事件', async () => {
+      fetchSpy.mockResolvedValue(sseResponse([
+        { choices: [{ delta: { content: '你' } }] },
+        { choices: [{ delta: { content: '好' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 20, completion_tokens: 2 } },
+        '[DONE]'
+      ]));
+
+      const events = [];
+      for await (const event of provider.stream({ model: 'gpt-test', messages: [] })) {
+        events.push(event);
+      }
+
+      const body = JSON.parse(fetchSpy.mock.calls[0][1].body);
+      expect(body.stream).toBe(true);
+
+      expect(events.filter(e => e.type === 'content_block_delta').map(e => e.delta.text))
+        .toEqual(['你', '好']);
+
+      const messageDelta = events.find(e => e.type === 'message_delta');
+      expect(messageDelta.delta.stop_reason).toBe('end_turn');
+      expect(messageDelta.usage).toEqual({ input_tokens: 20, output_tokens: 2 });
+      expect(events.at(-1).type).toBe('message_stop');
+    });
+
+    test('llama.cpp 提供方应该使用本地默认配置', () => {
+      const llamacpp = new LlamaCppProvider();
+
+      expect(llamacpp.name).toBe('llamacpp');
+      expect(llamacpp.options.baseUrl).toBe('http://localhost:8080/v1');
+      expect(llamacpp.getPricing('llamacpp-local')).toEqual({ costPer1MInput: 0, costPer1MOutput: 0 });
+    });
+  });
+
+  describe('LLMClient 集成', () => {
+    test('只注册 Mock 提供方时应该完全离线运行', async () => {
+      const mock = new MockProvider({ responses: ['离线回复'] });
+      const client = new LLMClient({ providers: [mock], defaultProvider: 'mock' });
+
+      expect(client.anthropic).toBeNull();
+
+      const result = await client.generate({
+        messages: [{ role: 'user', content: '你好' }],
+        taskType: TASK_TYPES.CONVERSATION
+      });
+
+      expect(result.content).toBe('离线回复');
+      expect(result.model.id).toBe('mock-balanced');
+      expect(result.costUsd).toBe(0);
+      expect(client.stats.byModel['mock-balanced'].successes).toBe(1);
+    });
+
+    test('平衡策略应该在默认提供方中按档位选择', () => {
+      const client = new LLMClient({
+        providers: [new MockProvider()],
+        defaultProvider: 'mock'
+      });
+
+      expect(client._selectModel({ taskType: TASK_TYPES.STATE_MANAGEMENT }).id).toBe('mock-fast');
+      expect(client._selectModel({ taskType: TASK_TYPES.NARRATIVE }).id).toBe('mock-balanced');
+      expect(client._selectModel({ taskType: TASK_TYPES.COMPLEX_REASONING }).id).toBe('mock-premium');
+    });
+
+    test('缺少对应档位时应该选择最接近的档位', () => {
+      const client = new LLMClient({
+        providers: [new LlamaCppProvider()],
+        defaultProvider: 'llamacpp'
+      });
+
+      expect(client._selectModel({ taskType: TASK_TYPES.STATE_MANAGEMENT }).id).toBe('llamacpp-local');
+    });
+
+    test('成本优化策略应该跨提供方选择', () => {
+      const client = new LLMClient({ apiKey: 'test-api-key' });
+      client.registerProvider(new MockProvider());
+
+      const model = client._selectModel({
+        taskType: TASK_TYPES.GENERAL,
+        strategy: MODEL_SELECTION_STRATEGY.COST_OPTIMIZED
+      });
+
+      expect(model.provider).toBe('mock');
+      // 平衡策略仍然优先默认提供方
+      expect(client._selectModel({ taskType: TASK_TYPES.NARRATIVE }).id).toBe(MODELS.SONNET.id);
+    });
+
+    test('重复注册提供方应该抛出错误', () => {
+      const client = new LLMClient({ providers: [new MockProvider()] });
+
+      expect(() => client.registerProvider(new MockProvider())).toThrow('Provider already registered');
+    });
+
+    test('流式生成应该通过提供方完成并统计 usage', async () => {
+      const client = new LLMClient({
+        providers: [new MockProvider({ responses: ['流式离线回复'], chunkSize: 2 })],
+        defaultProvider: 'mock'
+      });
+
+      const chunks = [];
+      for await (const chunk of client.generateStream({ messages: [{ role: 'user', content: 'x' }] })) {
+        chunks.push(chunk);
+      }
+
+      const final = chunks.at(-1);
+      expect(chunks.filter(c => c.delta).map(c => c.content).join('')).toBe('流式离线回复');
+      expect(final.finished).toBe(true);
+      expect(final.usage.outputTokens).toBeGreaterThan(0);
+      expect(client.stats.total.successes).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Memory Consolidator 单元测试
+ *
+ * 测试内容：
+ * - 相关记忆分组、合并、归档
+ * - 游戏内时间的重要程度衰减
+ * - 幂等（重复运行不再改动）
+ * - 失败处理与后台运行
+ */
+
+import { jest } from '@jest/globals';
+import MemoryConsolidator from '../../src/state/consolidator.js';
+import MemoryRetriever from '../../src/state/memory.js';
+import LLMClient from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+import DatabaseManager from '../../src/core/database.js';
+import StateManager from '../../src/state/manager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+
+describe('MemoryConsolidator', () => {
+  let db;
+  let stateManager;
+  let provider;
+  let consolidator;
+  let alice;
+
+  const addMemory = (content, options = {}) => stateManager.addMemory(alice.id, {
+    content,
+    importance: options.importance || 2,
+    timestamp: START + (options.day || 0) * DAY,
+    tags: options.tags
+  });
+
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
+    stateManager = new StateManager({ db });
+
+    provider = new MockProvider({
+      respond: () => 'Alice 把银色钥匙藏在书架后面，后来又告诉了玩家'
+    });
+
+    consolidator = new MemoryConsolidator({
+      db,
+      llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' })
+    });
+
+    alice = stateManager.createCharacter({ name: 'Alice' });
+  });
+
+  afterEach(() => {
+    consolidator.stop();
+    db.close();
+  });
+
+  describe('合并', () => {
+    test('应该合并相关记忆并归档原记忆', async () => {
+      const first = addMemory('Alice 把银色钥匙藏在书架后面', { tags: ['钥匙'] });
+      const second = addMemory('Alice 告诉玩家银色钥匙藏在书架后面', { importance: 3, day: 1 });
+      addMemory('Alice 在集市买了一袋苹果', { day: 2 });
+
+      const report = await consolidator.run({ now: START + 2 * DAY });
+
+      expect(report.consolidated).toHaveLength(1);
+      expect(report.consolidated[0].memoryIds).toEqual([first.id, second.id]);
+
+      const active = stateManager.getMemories(alice.id);
+      const summary = active.find(m => m.id === report.consolidated[0].summaryId);
+      expect(active).toHaveLength(2);
+      expect(summary.importance).toBe(4);
+      expect(summary.tags).toEqual(['钥匙']);
+      expect(summary.metadata.consolidatedFrom).toEqual([first.id, second.id]);
+
+      const archived = stateManager.getMemories(alice.id, { includeArchived: true })
+        .filter(m => m.archived_at);
+      expect(archived.map(m => m.consolidated_into)).toEqual([summary.id, summary.id]);
+    });
+
+    test('应该把角色名和记忆传给 LLM', async () => {
+      addMemory('Alice 把银色钥匙藏在书架后面');
+      addMemory('Alice 把银色钥匙藏在了书架后面', { day: 1 });
+
+      await consolidator.run();
+
+      const prompt = provider.requests[0].messages[0].content;
+      expect(prompt).toContain('请把Alice的以下几条相关记忆合并为一条记忆');
+      expect(prompt).toContain('- Alice 把银色钥匙藏在书架后面\n- Alice 把银色钥匙藏在了书架后面');
+    });
+
+    test('不相关的记忆不应该被合并', async () => {
+      addMemory('Alice 在集市买了一袋苹果');
+      addMemory('暴风雨冲垮了北边的桥', { day: 1 });
+
+      const report = await consolidator.run();
+
+      expect(report.consolidated).toEqual([]);
+      expect(provider.requests).toHaveLength(0);
+    });
+
+    test('不同角色的记忆不应该合并在一起', async () => {
+      const bob = stateManager.createCharacter({ name: 'Bob' });
+      addMemory('Alice 把银色钥匙藏在书架后面');
+      stateManager.addMemory(bob.id, { content: 'Alice 把银色钥匙藏在书架后面', timestamp: START });
+
+      const report = await consolidator.run();
+
+      expect(report.characters).toBe(2);
+      expect(report.consolidated).toEqual([]);
+    });
+
+    test('归档的记忆不应该再被检索到', async () => {
+      addMemory('Alice 把银色钥匙藏在书架后面');
+      addMemory('Alice 告诉玩家银色钥匙藏在书架后面', { day: 1 });
+
+      await consolidator.run();
+
+      const memories = await new MemoryRetriever({ db }).retrieve(alice.id, '银色钥匙', { now: START });
+      expect(memories).toHaveLength(1);
+      expect(memories[0].metadata.consolidatedFrom).toHaveLength(2);
+    });
+  });
+
+  describe('衰减', () => {
+    test('琐碎记忆应该按游戏内时间衰减，重要记忆保持不变', async () => {
+      const trivial = addMemory('Alice 喝了一杯咖啡', { importance: 3 });
+      const important = addMemory('Alice 第一次见到玩家', { importance: 5 });
+
+      const report = await consolidator.run({ now: START + 15 * DAY });
+
+      expect(report.decayed).toEqual([{ id: trivial.id, characterId: alice.id, from: 3, to: 1 }]);
+      expect(db.get('memories', { id: important.id }).importance).toBe(5);
+    });
+
+    test('衰减应该记入变化日志', async () => {
+      const trivial = addMemory('Alice 喝了一杯咖啡', { importance: 3 });
+
+      await consolidator.run({ now: START + 15 * DAY });
+
+      const [last] = stateManager.getHistory('memories', trivial.id, { field: 'importance', limit: 1 });
+      expect(last.changes.importance).toEqual({ from: 3, to: 1 });
+      expect(last.cause).toEqual({ type: 'rule', rule: 'memory-decay' });
+      expect(last.gameTime).toBe(START + 15 * DAY);
+    });
+
+    test('decayMaxImportance 为 0 时应该不衰减任何记忆', async () => {
+      const noDecay = new MemoryConsolidator({
+        db,
+        llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' }),
+        decayMaxImportance: 0
+      });
+      const trivial = addMemory('Alice 喝了一杯咖啡', { importance: 3 });
+
+      const report = await noDecay.run({ now: START + 15 * DAY });
+
+      expect(noDecay.options.decayMaxImportance).toBe(0);
+      expect(report.decayed).toEqual([]);
+      expect(db.get('memories', { id: trivial.id }).importance).toBe(3);
+    });
+
+    test('默认以时间线中最新的时间作为当前时间', async () => {
+      const trivial = addMemory('Alice 喝了一杯咖啡', { importance: 3 });
+      stateManager.addTimelineEvent({
+        event_type: 'travel',
+        description: '一周后，众人抵达王都',
+        timestamp: START + 7 * DAY
+      });
+
+      const report = await consolidator.run();
+
+      expect(report.now).toBe(START + 7 * DAY);
+      expect(db.get('memories', { id: trivial.id }).importance).toBe(2);
+    });
+  });
+
+  describe('幂等', () => {
+    test('重复运行不应该再次改动记忆', async () => {
+      addMemory('Alice 把银色钥匙藏在书架后面');
+      addMemory('Alice 告诉玩家银色钥匙藏在书架后面', { day: 1 });
+      addMemory('Alice 喝了一杯咖啡', { importance: 3 });
+
+      const now = START + 10 * DAY;
+      await consolidator.run({ now });
+      const before = db.getAll('memories', { orderBy: 'id' });
+
+      const report = await consolidator.run({ now });
+
+      expect(report.consolidated).toEqual([]);
+      expect(report.decayed).toEqual([]);
+      expect(db.getAll('memories', { orderBy: 'id' })).toEqual(before);
+      expect(provider.requests).toHaveLength(1);
+    });
+
+    test('衰减应该从原始重要程度计算，不会累积', async () => {
+      const memory = addMemory('Alice 喝了一杯咖啡', { importance: 3 });
+
+      await consolidator.run({ now: START + 8 * DAY });
+      await consolidator.run({ now: START + 8 * DAY });
+      expect(db.get('memories', { id: memory.id }).importance).toBe(2);
+
+      await consolidator.run({ now: START + 14 * DAY });
+      expect(db.get('memories', { id: memory.id }).importance).toBe(1);
+    });
+
+    test('并发调用应该共用同一次运行', async () => {
+      addMemory('Alice 把银色钥匙藏在书架后面');
+      addMemory('Alice 告诉玩家银色钥匙藏在书架后面', { day: 1 });
+
+      const [a, b] = await Promise.all([consolidator.run(), consolidator.run()]);
+
+      expect(a).toBe(b);
+      expect(provider.requests).toHaveLength(1);
+    });
+  });
+
+  describe('错误处理', () => {
+    test('LLM 失败时应该保留原记忆并继续', async () => {
+      provider.options.respond = () => '   ';
+      addMemory('Alice 把银色钥匙藏在书架后面');
+      addMemory('Alice 告诉玩家银色钥匙藏在书架后面', { day: 1 });
+
+      const report = await consolidator.run();
+
+      expect(report.failed).toHaveLength(1);
+      expect(report.failed[0].error).toBe('Empty consolidation response');
+      expect(stateManager.getMemories(alice.id)).toHaveLength(2);
+    });
+
+    test('缺少 llmClient 应该抛出异常', () => {
+      expect(() => new MemoryConsolidator({ db })).toThrow('llmClient is required');
+    });
+  });
+
+  describe('后台运行', () => {
+    test('应该按间隔运行，停止后不再运行', () => {
+      jest.useFakeTimers();
+      const run = jest.spyOn(consolidator, 'run').mockResolvedValue({});
+
+      try {
+        consolidator.start(1000);
+        jest.advanceTimersByTime(2500);
+        consolidator.stop();
+        jest.advanceTimersByTime(2000);
+
+        expect(run).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Memory Retriever 单元测试
+ *
+ * 测试内容：
+ * - 词法相关度（FTS5 bm25，中文 trigram）
+ * - 重要程度、时间衰减、标签匹配
+ * - 嵌入钩子
+ * - 提示词渲染
+ */
+
+import { jest } from '@jest/globals';
+import MemoryRetriever, { buildMatchQuery, cosineSimilarity } from '../../src/state/memory.js';
+import DatabaseManager from '../../src/core/database.js';
+import StateManager from '../../src/state/manager.js';
+import PromptManager from '../../src/llm/prompt.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+describe('MemoryRetriever', () => {
+  let db;
+  let stateManager;
+  let retriever;
+  let alice;
+
+  const addMemory = (content, options = {}) => stateManager.addMemory(alice.id, {
+    content,
+    importance: options.importance || 2,
+    timestamp: NOW - (options.daysAgo || 0) * DAY,
+    tags: options.tags
+  });
+
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
+    stateManager = new StateManager({ db });
+    retriever = new MemoryRetriever({ db });
+
+    alice = stateManager.createCharacter({ name: 'Alice' });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('相关度', () => {
+    test('应该优先返回与输入相关的记忆，而不是最近的记忆', async () => {
+      addMemory('Alice 把银色钥匙藏在了书架后面', { daysAgo: 10 });
+      addMemory('Alice 今天早上喝了一杯咖啡', { daysAgo: 0 });
+      addMemory('Alice 在集市买了一袋苹果', { daysAgo: 1 });
+
+      const [top] = await retriever.retrieve(alice.id, '你还记得那把银色钥匙在哪里吗？', { now: NOW });
+
+      expect(top.content).toBe('Alice 把银色钥匙藏在了书架后面');
+      expect(top.scores.relevance).toBe(1);
+    });
+
+    test('没有关键词命中时应该按重要程度和时间返回', async () => {
+      addMemory('普通的一天', { importance: 1, daysAgo: 0 });
+      addMemory('第一次见面', { importance: 5, daysAgo: 3 });
+
+      const results = await retriever.retrieve(alice.id, '嗯', { now: NOW });
+
+      expect(results[0].content).toBe('第一次见面');
+      expect(results.every(m => m.scores.relevance === 0)).toBe(true);
+    });
+
+    test('英文应该按单词匹配', async () => {
+      addMemory('Alice lost her silver key in the forest');
+      addMemory('Alice baked bread');
+
+      const [top] = await retriever.retrieve(alice.id, 'Where is the SILVER key?', { now: NOW });
+
+      expect(top.content).toContain('silver key');
+    });
+
+    test('只返回该角色的记忆', async () => {
+      const bob = stateManager.createCharacter({ name: 'Bob' });
+      stateManager.addMemory(bob.id, { content: 'Bob 也见过银色钥匙' });
+
+      expect(await retriever.retrieve(alice.id, '银色钥匙')).toEqual([]);
+    });
+  });
+
+  describe('评分', () => {
+    test('时间衰减应该按半衰期计算', async () => {
+      addMemory('一周前的事', { daysAgo: 7 });
+
+      const [memory] = await retriever.retrieve(alice.id, '随便聊聊', { now: NOW });
+
+      expect(memory.scores.recency).toBeCloseTo(0.5, 5);
+    });
+
+    test('重要程度应该归一化到 0-1', async () => {
+      addMemory('很重要', { importance: 5 });
+      addMemory('不重要', { importance: 1 });
+
+      const results = await retriever.retrieve(alice.id, '', { now: NOW });
+
+      expect(results.map(m => m.scores.importance)).toEqual([1, 0]);
+    });
+
+    test('标签应该匹配显式标签和输入中出现的标签', async () => {
+      addMemory('在酒馆第一次见面', { tags: ['first_meeting', '酒馆'] });
+
+      const explicit = await retriever.retrieve(alice.id, '你好', { tags: ['first_meeting'], now: NOW });
+      const inText = await retriever.retrieve(alice.id, '我们去酒馆吧', { now: NOW });
+
+      expect(explicit[0].scores.tags).toBe(0.5);
+      expect(inText[0].scores.tags).toBe(0.5);
+    });
+
+    test('应该支持自定义权重、条数和最低分数', async () => {
+      addMemory('很久以前的重要记忆', { importance: 5, daysAgo: 365 });
+      addMemory('刚刚发生的小事', { importance: 1, daysAgo: 0 });
+
+      const recencyOnly = new MemoryRetriever({
+        db,
+        weights: { relevance: 0, importance: 0, recency: 1, tags: 0 }
+      });
+
+      const results = await recencyOnly.retrieve(alice.id, '', { now: NOW, limit: 1 });
+      expect(results.map(m => m.content)).toEqual(['刚刚发生的小事']);
+
+      const filtered = await recencyOnly.retrieve(alice.id, '', { now: NOW, minScore: 0.9 });
+      expect(filtered).toHaveLength(1);
+    });
+  });
+
+  describe('嵌入钩子', () => {
+    test('应该加入语义相似度并缓存记忆向量', async () => {
+      addMemory('猫');
+      addMemory('狗');
+
+      const vectors = { 猫: [1, 0], 狗: [0, 1], 小猫咪: [0.9, 0.1] };
+      const embed = jest.fn(async (text) => vectors[text]);
+      const semantic = new MemoryRetriever({
+        db,
+        embed,
+        weights: { relevance: 0, importance: 0, recency: 0, tags: 0, semantic: 1 }
+      });
+
+      const [top] = await semantic.retrieve(alice.id, '小猫咪', { now: NOW });
+      await semantic.retrieve(alice.id, '小猫咪', { now: NOW });
+
+      expect(top.content).toBe('猫');
+      expect(top.scores.semantic).toBeGreaterThan(0.9);
+      // 2 条记忆各嵌入一次 + 2 次查询
+      expect(embed).toHaveBeenCalledTimes(4);
+    });
+
+    test('余弦相似度', () => {
+      expect(cosineSimilarity([1, 0], [1, 0])).toBe(1);
+      expect(cosineSimilarity([1, 0], [-1, 0])).toBe(-1);
+      expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    });
+  });
+
+  describe('FTS 查询', () => {
+    test('中文应该拆成 3 字符窗口，英文取长单词', () => {
+      expect(buildMatchQuery('银色钥匙')).toBe('"银色钥" OR "色钥匙"');
+      expect(buildMatchQuery('the silver key')).toBe('"the" OR "silver" OR "key"');
+      expect(buildMatchQuery('嗯 ok')).toBeNull();
+    });
+  });
+
+  describe('提示词', () => {
+    test('应该渲染为 memory-recall 模板', async () => {
+      addMemory('Alice 把银色钥匙藏在了书架后面', { importance: 5 });
+
+      const memories = await retriever.retrieve(alice.id, '银色钥匙', { now: NOW });
+      const prompt = retriever.render(memories, { characterName: 'Alice' });
+
+      expect(prompt).toContain('Alice记得的相关往事');
+      expect(prompt).toContain('- Alice 把银色钥匙藏在了书架后面');
+    });
+
+    test('没有记忆时应该返回空字符串', () => {
+      expect(retriever.render([])).toBe('');
+    });
+
+    test('应该注册到传入的 PromptManager', () => {
+      const promptManager = new PromptManager();
+      new MemoryRetriever({ db, promptManager });
+
+      expect(promptManager.getTemplate('memory-recall')).not.toBeNull();
+    });
+  });
+});
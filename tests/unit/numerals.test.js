@@ -0,0 +1,120 @@
+/**
+ * Numerals 单元测试
+ *
+ * 测试内容：
+ * - 中文数字（十/百/千/万、零、两、省略写法、与阿拉伯数字混写）
+ * - 约数和分数
+ * - 结合量词计算数量
+ * - StateExtractor 库存提取中的数量
+ */
+
+import { parseNumeral, parseQuantity, numeralPattern } from '../../src/state/numerals.js';
+import StateExtractor from '../../src/state/extractor.js';
+import StateManager from '../../src/state/manager.js';
+import DatabaseManager from '../../src/core/database.js';
+
+describe('Numerals', () => {
+  describe('parseNumeral', () => {
+    test.each([
+      ['七', 7],
+      ['十', 10],
+      ['十三', 13],
+      ['二十三', 23],
+      ['一百零五', 105],
+      ['一百五', 150],
+      ['一千零一', 1001],
+      ['两千三', 2300],
+      ['两万三千', 23000],
+      ['三万五', 35000],
+      ['两万零五百', 20500],
+      ['十二万', 120000],
+      ['一亿两千万', 120000000],
+      ['42', 42],
+      ['3万', 30000],
+      ['1千2百', 1200]
+    ])('%s => %d', (text, value) => {
+      expect(parseNumeral(text)).toEqual({ value, approximate: false, fractional: false });
+    });
+
+    test.each([
+      ['几', 3],
+      ['好几', 3],
+      ['若干', 3],
+      ['几十', 30],
+      ['数十', 30],
+      ['十几', 15],
+      ['二十几', 25],
+      ['二十多', 20],
+      ['三十来', 30],
+      ['两三', 2]
+    ])('约数 %s => %d', (text, value) => {
+      expect(parseNumeral(text)).toEqual({ value, approximate: true, fractional: false });
+    });
+
+    test('应该解析分数', () => {
+      expect(parseNumeral('半')).toEqual({ value: 0.5, approximate: false, fractional: true });
+      expect(parseNumeral('一半')).toEqual({ value: 0.5, approximate: false, fractional: true });
+      expect(parseNumeral('四分之三')).toEqual({ value: 0.75, approximate: false, fractional: true });
+      expect(parseNumeral('1.5')).toEqual({ value: 1.5, approximate: false, fractional: true });
+    });
+
+    test('无法解析时返回 null', () => {
+      expect(parseNumeral('')).toBeNull();
+      expect(parseNumeral('多')).toBeNull();
+      expect(parseNumeral('零分之一')).toBeNull();
+      expect(parseNumeral('些')).toBeNull();
+    });
+  });
+
+  describe('parseQuantity', () => {
+    test('应该乘上量词的倍数', () => {
+      expect(parseQuantity('两', '打', { 打: 12 })).toEqual({ quantity: 24, unit: '打', approximate: false, fractional: false });
+      expect(parseQuantity('半', '打', { 打: 12 })).toEqual({ quantity: 6, unit: '打', approximate: false, fractional: false });
+      expect(parseQuantity('半', '瓶', { 打: 12 })).toEqual({ quantity: 0.5, unit: '瓶', approximate: false, fractional: true });
+    });
+
+    test('没有数量时为 1，无法解析时记为约数 1', () => {
+      expect(parseQuantity(undefined, '把')).toEqual({ quantity: 1, unit: '把', approximate: false, fractional: false });
+      expect(parseQuantity('些')).toEqual({ quantity: 1, unit: null, approximate: true, fractional: false });
+    });
+
+    test('“半”只在后接量词时算作数量', () => {
+      const regex = new RegExp(`^(?<quantity>${numeralPattern('(?:瓶|把)')})?(?<item>.+)`);
+
+      expect(regex.exec('半瓶药水').groups.quantity).toBe('半');
+      expect(regex.exec('半月刀').groups.quantity).toBeUndefined();
+    });
+  });
+
+  describe('库存提取', () => {
+    let db;
+    let extractor;
+    let characterId;
+
+    beforeAll(() => {
+      db = new DatabaseManager({ dbPath: ':memory:' });
+      const stateManager = new StateManager({ db });
+      extractor = new StateExtractor({ db, stateManager, world: '' });
+      characterId = stateManager.createCharacter({ name: 'Alice' }).id;
+    });
+
+    afterAll(() => {
+      db.close();
+    });
+
+    test.each([
+      ['她递给你二十三枚金币', { item_name: '金币', quantity: 23, unit: '枚' }],
+      ['你获得了一百零五支箭', { item_name: '箭', quantity: 105, unit: '支' }],
+      ['她给了你几个苹果', { item_name: '苹果', quantity: 3, unit: '个', approximate: true }],
+      ['你得到了半瓶药水', { item_name: '药水', quantity: 0.5, unit: '瓶', fractional: true }],
+      ['她递给你两打鸡蛋', { item_name: '鸡蛋', quantity: 24, unit: '打' }],
+      ['你获得了半月刀', { item_name: '半月刀', quantity: 1 }]
+    ])('%s', (text, expected) => {
+      const [item] = extractor.extractInventoryChanges(characterId, text);
+
+      expect(item).toMatchObject(expected);
+      expect(item.approximate).toBe(expected.approximate);
+      expect(item.fractional).toBe(expected.fractional);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Pattern Packs 单元测试
+ *
+ * 测试内容：
+ * - 加载内置模式包（JSON / YAML）和自定义目录中的模式包
+ * - 模式包校验（Schema、正则、命名捕获组）
+ * - 合并规则和量词展开
+ * - 按世界启用模式包
+ * - StateExtractor 使用题材模式包提取
+ */
+
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { loadPack, listPacks, validatePack, mergePacks, resolvePacks, DEFAULT_PACKS } from '../../src/state/packs.js';
+import StateExtractor from '../../src/state/extractor.js';
+import StateManager from '../../src/state/manager.js';
+import DatabaseManager from '../../src/core/database.js';
+
+describe('Pattern Packs', () => {
+  describe('加载', () => {
+    test('应该列出并加载内置的 JSON 和 YAML 模式包', () => {
+      expect(listPacks()).toEqual(['en-core', 'en-fantasy', 'sci-fi', 'wuxia', 'zh-core']);
+
+      expect(loadPack('wuxia').measureWords).toContain('柄');
+      expect(loadPack('en-fantasy').locationVerbs).toContain('ventured into');
+    });
+
+    test('应该优先从额外目录查找，也可以按路径加载', () => {
+      const dir = '/tmp/test-packs';
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(`${dir}/wuxia.yml`, 'name: my-wuxia\nlocationVerbs: [御剑飞到]\n');
+
+      try {
+        expect(loadPack('wuxia', [dir]).name).toBe('my-wuxia');
+        expect(loadPack(`${dir}/wuxia.yml`).locationVerbs).toEqual(['御剑飞到']);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('找不到模式包时应该抛出错误', () => {
+      expect(() => loadPack('steampunk')).toThrow('Pattern pack not found: steampunk');
+    });
+  });
+
+  describe('校验', () => {
+    test('应该拒绝未知情绪、缺少捕获组和无效的正则', () => {
+      expect(validatePack({ name: 'x', emotions: { grumpy: ['哼'] } }))
+        .toEqual(['$.emotions.grumpy: is not allowed']);
+      expect(validatePack({ name: 'x', measureMultipliers: { 打: 0 } }))
+        .toEqual(['$.measureMultipliers.打: must be a positive number']);
+
+      expect(validatePack({
+        name: 'x',
+        affection: [{ name: 'a', pattern: '好感(\\d+)', type: 'delta' }],
+        inventory: { add: [{ name: 'b', pattern: '获得((?<item>.+)' }] }
+      })).toEqual([
+        '$.affection[0].pattern: must capture (?<value>...)',
+        expect.stringMatching(/^\$\.inventory\.add\[0\]\.pattern: Invalid regular expression/)
+      ]);
+    });
+  });
+
+  describe('合并', () => {
+    test('关键词按启用顺序去重合并，量词展开到库存模式中', () => {
+      const merged = mergePacks([
+        { name: 'a', emotions: { happy: ['开心'] }, measureWords: ['个'] },
+        {
+          name: 'b',
+          emotions: { happy: ['开心', '雀跃'] },
+          measureWords: ['柄'],
+          inventory: { add: [{ name: 'b.get', pattern: '得到{number}?{measure}?(?<item>.+)' }] }
+        }
+      ]);
+
+      expect(merged.packs).toEqual(['a', 'b']);
+      expect(merged.emotionKeywords.happy).toEqual(['开心', '雀跃']);
+      expect(merged.inventoryPatterns.add[0].regex.exec('得到一柄剑').groups.item).toBe('剑');
+    });
+
+    test('应该按世界解析启用的模式包', () => {
+      expect(resolvePacks({ world: '' })).toEqual(DEFAULT_PACKS);
+      expect(resolvePacks({ world: 'wuxia' })).toEqual(['zh-core', 'en-core', 'wuxia']);
+      expect(resolvePacks({ packs: ['en-core'] })).toEqual(['en-core']);
+      expect(() => resolvePacks({ world: 'steampunk' })).toThrow('No pattern packs configured for world: steampunk');
+    });
+  });
+
+  describe('StateExtractor', () => {
+    let db;
+    let stateManager;
+    let characterId;
+
+    beforeEach(() => {
+      db = new DatabaseManager({ dbPath: ':memory:' });
+      stateManager = new StateManager({ db });
+      characterId = stateManager.createCharacter({ name: 'Alice', affection: 50 }).id;
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    test('武侠世界应该识别题材的量词、赠予和情绪', () => {
+      const core = new StateExtractor({ db, stateManager, world: '' });
+      const wuxia = new StateExtractor({ db, stateManager, world: 'wuxia' });
+
+      expect(core.extractInventoryChanges(characterId, '她递给你一柄长剑')[0].item_name).toBe('柄长剑');
+      expect(wuxia.extractInventoryChanges(characterId, '她递给你一柄长剑')[0].item_name).toBe('长剑');
+
+      const result = wuxia.extractAllStates(characterId, '她抚掌大笑，赠予你三颗丹药，交情加深了 5 点。');
+      expect(result.emotion.emotion).toBe('happy');
+      expect(result.inventory[0]).toMatchObject({
+        item_name: '丹药',
+        quantity: 3,
+        source: { strategy: 'regex', pattern: 'inventory.wuxia.bestow' }
+      });
+      expect(result.affection).toMatchObject({ delta: 5, source: { pattern: 'affection.wuxia.bond-up' } });
+    });
+
+    test('应该支持英文奇幻模式包（YAML）', () => {
+      const fantasy = new StateExtractor({ db, stateManager, world: 'fantasy' });
+
+      const result = fantasy.extractAllStates(characterId, 'She beamed and ventured into the caves.');
+
+      expect(result.emotion.emotion).toBe('happy');
+      expect(result.location.location).toBe('the caves');
+      expect(fantasy.extractInventoryChanges(characterId, 'The elder bestowed upon you an elven cloak')[0].item_name)
+        .toBe('elven cloak');
+    });
+
+    test('应该能在运行时启用模式包', () => {
+      const extractor = new StateExtractor({ db, stateManager, world: '' });
+
+      expect(extractor.extractLocationChange('他们传送到空间站')).toBeNull();
+
+      const packs = extractor.loadPatternPack({ name: 'my-world', locationVerbs: ['传送到'] });
+
+      expect(packs).toEqual(['zh-core', 'en-core', 'my-world']);
+      expect(extractor.extractLocationChange('他们传送到空间站').location).toBe('空间站');
+      expect(() => extractor.loadPatternPack({ name: 'bad', emotions: { grumpy: [] } })).toThrow('Invalid pattern pack bad');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Search Engine 单元测试
+ *
+ * 测试内容：
+ * - 中文全文搜索（trigram）与短词 LIKE 回退
+ * - 消息 / 记忆 / 时间线的上下文信息
+ * - 相关度排序、筛选、片段
+ * - 记忆合并后不返回已归档的原始记忆
+ * - 索引同步（更新、删除、快照恢复、已有数据补建索引）
+ */
+
+import SearchEngine, { SEARCH_TYPES } from '../../src/search/engine.js';
+import DatabaseManager from '../../src/core/database.js';
+import StateManager from '../../src/state/manager.js';
+import { ConversationManager } from '../../src/conversation/manager.js';
+import MemoryConsolidator from '../../src/state/consolidator.js';
+import LLMClient from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+
+describe('SearchEngine', () => {
+  let db;
+  let stateManager;
+  let conversations;
+  let search;
+  let alice;
+  let bob;
+  let conversation;
+
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
+    stateManager = new StateManager({ db });
+    conversations = new ConversationManager({ db, autoSave: false });
+
+    alice = stateManager.createCharacter({ name: 'Alice' });
+    bob = stateManager.createCharacter({ name: 'Bob' });
+
+    conversation = conversations.createConversation({
+      title: '酒馆',
+      characterName: 'Alice',
+      characterId: alice.id
+    });
+    conversation.addMessage({ role: 'user', content: '你见过那把银色钥匙吗？' });
+    conversation.addMessage({ role: 'assistant', content: 'Alice 压低声音：银色钥匙被我藏在书架后面了。' });
+    conversation.addMessage({ role: 'user', content: '那我们明天去森林吧。' });
+    conversations.flush();
+
+    stateManager.addMemory(alice.id, { content: '玩家问起了银色钥匙的下落', importance: 4 });
+    stateManager.addMemory(bob.id, { content: 'Bob 丢了一把铜钥匙' });
+    stateManager.addTimelineEvent({
+      event_type: 'discovery',
+      description: 'Alice 和 Bob 在地下室发现了银色钥匙',
+      participants: ['Alice', 'Bob'],
+      location: '地下室'
+    });
+
+    search = new SearchEngine({ db });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('中文搜索', () => {
+    test('应该在消息、记忆和时间线中找到中文词', () => {
+      const { hits } = search.search('银色钥匙');
+
+      expect(hits.map(h => h.type).sort()).toEqual(['memory', 'message', 'message', 'timeline']);
+      expect(hits.every(h => h.content.includes('银色钥匙'))).toBe(true);
+    });
+
+    test('少于 3 个字符的词应该回退到子串匹配', () => {
+      const { hits } = search.search('钥匙');
+
+      expect(hits).toHaveLength(5);
+      expect(hits.map(h => h.content)).toContain('Bob 丢了一把铜钥匙');
+    });
+
+    test('多个词应该全部匹配（长词与短词混合）', () => {
+      const { hits } = search.search('银色钥匙 书架');
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].role).toBe('assistant');
+    });
+
+    test('英文应该不区分大小写', () => {
+      expect(search.search('alice', { types: [SEARCH_TYPES.MESSAGE] }).hits).toHaveLength(1);
+    });
+
+    test('FTS 语法字符应该按普通文本处理', () => {
+      expect(search.search('"钥匙 OR* (').hits).toEqual([]);
+    });
+  });
+
+  describe('结果上下文', () => {
+    test('消息命中应该带对话和角色信息', () => {
+      const hit = search.search('书架后面').hits[0];
+
+      expect(hit.type).toBe('message');
+      expect(hit.conversation).toEqual({ id: conversation.id, title: '酒馆' });
+      expect(hit.character).toEqual({ id: alice.id, name: 'Alice' });
+      expect(hit.score).toBeGreaterThan(0);
+    });
+
+    test('记忆命中应该带角色信息', () => {
+      const hit = search.search('下落').hits[0];
+
+      expect(hit.type).toBe('memory');
+      expect(hit.character.name).toBe('Alice');
+      expect(hit.importance).toBe(4);
+    });
+
+    test('时间线命中应该带参与者和地点', () => {
+      const hit = search.search('地下室发现').hits[0];
+
+      expect(hit.type).toBe('timeline');
+      expect(hit.participants).toEqual(['Alice', 'Bob']);
+      expect(hit.location).toBe('地下室');
+    });
+
+    test('片段应该标记命中词并截取附近内容', () => {
+      const long = new SearchEngine({ db, snippetRadius: 4 });
+      const hit = long.search('书架', { types: [SEARCH_TYPES.MESSAGE] }).hits[0];
+
+      expect(hit.snippet).toBe('…被我藏在[书架]后面了。');
+    });
+  });
+
+  describe('排序与筛选', () => {
+    test('相关度高的结果应该排在前面', () => {
+      conversation.addMessage({ role: 'assistant', content: '银色钥匙、银色钥匙，还是银色钥匙。' });
+      conversations.flush();
+
+      const { hits } = search.search('银色钥匙', { types: [SEARCH_TYPES.MESSAGE] });
+
+      expect(hits[0].content).toBe('银色钥匙、银色钥匙，还是银色钥匙。');
+      expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    });
+
+    test('应该按角色筛选', () => {
+      const { hits } = search.search('钥匙', { characterId: bob.id });
+
+      expect(hits.map(h => h.type).sort()).toEqual(['memory', 'timeline']);
+    });
+
+    test('按对话筛选时只返回该对话的消息', () => {
+      const other = conversations.createConversation({ title: '另一个对话' });
+      other.addMessage({ role: 'user', content: '银色钥匙在哪里？' });
+      conversations.flush();
+
+      const { hits } = search.search('银色钥匙', { conversationId: conversation.id });
+
+      expect(hits).toHaveLength(2);
+      expect(hits.every(h => h.conversation.id === conversation.id)).toBe(true);
+    });
+
+    test('应该限制结果数量', () => {
+      expect(search.search('钥匙', { limit: 2 }).hits).toHaveLength(2);
+    });
+
+    test('空查询或无效类型应该抛出异常', () => {
+      expect(() => search.search('  ')).toThrow('Search query must contain at least one term');
+      expect(() => search.search('钥匙', { types: ['unknown'] })).toThrow('Invalid search type');
+    });
+  });
+
+  describe('归档的记忆', () => {
+    test('记忆合并后应该只返回合并后的记忆，includeArchived 时包括原始记忆', async () => {
+      const originals = [
+        stateManager.addMemory(alice.id, { content: 'Alice 把银色钥匙藏在书架后面' }),
+        stateManager.addMemory(alice.id, { content: 'Alice 告诉玩家银色钥匙藏在书架后面' })
+      ];
+      const consolidator = new MemoryConsolidator({
+        db,
+        llmClient: new LLMClient({
+          providers: [new MockProvider({ respond: () => 'Alice 把银色钥匙藏在书架后面，后来告诉了玩家' })],
+          defaultProvider: 'mock'
+        })
+      });
+
+      const report = await consolidator.run({ characterId: alice.id });
+      const [merged] = report.consolidated;
+
+      const ids = search.search('书架后面', { types: [SEARCH_TYPES.MEMORY] }).hits.map(hit => hit.id);
+      expect(ids).toEqual([merged.summaryId]);
+
+      const all = search.search('书架后面', { types: [SEARCH_TYPES.MEMORY], includeArchived: true }).hits;
+      expect(all.map(hit => hit.id).sort()).toEqual([merged.summaryId, ...originals.map(m => m.id)].sort());
+    });
+  });
+
+  describe('索引同步', () => {
+    test('删除对话后消息不应该再被搜索到', () => {
+      conversations.deleteConversation(conversation.id);
+
+      expect(search.search('书架后面').hits).toEqual([]);
+    });
+
+    test('恢复快照后索引应该与记忆一致', () => {
+      const snapshot = stateManager.createSnapshot();
+      stateManager.addMemory(alice.id, { content: '快照之后的新记忆' });
+      expect(search.search('新记忆').hits).toHaveLength(1);
+
+      stateManager.restoreSnapshot(snapshot.id);
+
+      expect(search.search('新记忆').hits).toEqual([]);
+      expect(search.search('下落').hits).toHaveLength(1);
+    });
+
+    test('索引缺失时应该在初始化时补建', () => {
+      db.raw("INSERT INTO memories_fts(memories_fts) VALUES ('delete-all')");
+      expect(search.search('钥匙的下落').hits).toEqual([]);
+
+      const rebuilt = new SearchEngine({ db });
+
+      expect(rebuilt.search('钥匙的下落').hits).toHaveLength(1);
+    });
+  });
+});
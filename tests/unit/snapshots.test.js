@@ -0,0 +1,200 @@
+/**
+ * Snapshot Store 单元测试
+ *
+ * 测试内容：
+ * - 完整快照和增量快照的选择
+ * - 重建增量快照的完整状态
+ * - 比较两个快照
+ * - 只写入变化的行的恢复
+ * - 保留策略、删除指定快照和重新计算增量
+ */
+
+import StateManager from '../../src/state/manager.js';
+import SnapshotStore, { readState } from '../../src/state/snapshots.js';
+import DatabaseManager from '../../src/core/database.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('SnapshotStore', () => {
+  let db;
+  let stateManager;
+  let alice;
+
+  const useStore = (options) => {
+    stateManager.snapshots = new SnapshotStore({ db, ...options });
+  };
+
+  beforeEach(() => {
+    db = new DatabaseManager({ dbPath: ':memory:' });
+    stateManager = new StateManager({ db });
+    useStore({ baseInterval: 50, maxDeltaRatio: 0.5 });
+
+    alice = stateManager.createCharacter({ name: 'Alice', affection: 50 });
+    for (let i = 0; i < 9; i++) {
+      stateManager.addTimelineEvent({ event_type: 'talk', description: `第 ${i + 1} 次对话`, timestamp: i + 1 });
+    }
+  });
+
+  afterEach(() => {
+    stateManager.close();
+    db.close();
+  });
+
+  describe('增量快照', () => {
+    test('有基准时应该只保存变化的行', () => {
+      const base = stateManager.createSnapshot('base');
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      const item = stateManager.addInventoryItem(alice.id, { item_name: '钥匙' });
+
+      const delta = stateManager.createSnapshot('delta');
+
+      expect(base.kind).toBe('full');
+      expect(delta).toEqual({ id: delta.id, kind: 'delta', baseId: base.id });
+
+      const stored = JSON.parse(db.get('state_snapshots', { id: delta.id }).state_data);
+      expect(Object.keys(stored).sort()).toEqual(['characters', 'inventory']);
+      expect(stored.characters.upsert).toEqual([expect.objectContaining({ id: alice.id, affection: 60 })]);
+      expect(stored.inventory).toEqual({ upsert: [expect.objectContaining({ id: item.id })], delete: [] });
+    });
+
+    test('增量快照应该能重建完整状态', () => {
+      stateManager.createSnapshot('base');
+      stateManager.updateCharacterState(alice.id, { emotion: 'happy' });
+      const [first] = stateManager.getTimeline({ limit: 100 });
+      db.delete('timeline', { id: first.id });
+      const expected = readState(db);
+
+      const delta = stateManager.createSnapshot('delta');
+
+      expect(delta.kind).toBe('delta');
+      expect(stateManager.snapshots.materialize(delta.id)).toEqual(expected);
+    });
+
+    test('变化超过基准的 maxDeltaRatio 倍时应该保存完整快照', () => {
+      stateManager.createSnapshot('base');
+      for (let i = 0; i < 6; i++) {
+        stateManager.addMemory(alice.id, { content: `记忆 ${i}` });
+      }
+
+      expect(stateManager.createSnapshot('big').kind).toBe('full');
+    });
+
+    test('基准上的增量快照达到 baseInterval 个时应该保存新的基准', () => {
+      useStore({ baseInterval: 2 });
+
+      const kinds = [1, 2, 3, 4].map(() => stateManager.createSnapshot().kind);
+
+      expect(kinds).toEqual(['full', 'delta', 'delta', 'full']);
+    });
+  });
+
+  describe('比较', () => {
+    test('应该报告每个实体新增、修改和删除的行', () => {
+      const before = stateManager.createSnapshot('before');
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      const bob = stateManager.createCharacter({ name: 'Bob' });
+      const [event] = stateManager.getTimeline({ limit: 1 });
+      db.delete('timeline', { id: event.id });
+      const after = stateManager.createSnapshot('after');
+
+      const { from, to, changes } = stateManager.diffSnapshots(before.id, after.id);
+
+      expect([from, to]).toEqual([before.id, after.id]);
+      expect(changes.characters.created).toEqual([expect.objectContaining({ id: bob.id })]);
+      expect(changes.characters.updated).toEqual([
+        expect.objectContaining({ id: alice.id, changes: { affection: { from: 50, to: 60 } } })
+      ]);
+      expect(changes.timeline.deleted).toEqual([expect.objectContaining({ id: event.id })]);
+      expect(changes.inventory).toEqual({ created: [], updated: [], deleted: [] });
+    });
+
+    test('不存在的快照应该抛出异常', () => {
+      const snapshot = stateManager.createSnapshot();
+
+      expect(() => stateManager.diffSnapshots(snapshot.id, 'missing')).toThrow('Snapshot not found: missing');
+    });
+  });
+
+  describe('恢复', () => {
+    test('应该只写入与当前状态不同的行', () => {
+      const snapshot = stateManager.createSnapshot('before');
+      const events = db.getAll('timeline');
+      stateManager.updateCharacterState(alice.id, { affection: 80 });
+      stateManager.addInventoryItem(alice.id, { item_name: '钥匙' });
+      stateManager.createSnapshot('after');
+
+      const result = stateManager.restoreSnapshot(snapshot.id);
+
+      expect(result).toEqual({ success: true, created: 0, updated: 1, deleted: 1 });
+      expect(stateManager.getCharacterState(alice.id).affection).toBe(50);
+      expect(db.getAll('inventory')).toEqual([]);
+      expect(db.getAll('timeline')).toEqual(events);
+    });
+
+    test('应该能恢复增量快照', () => {
+      stateManager.createSnapshot('base');
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      const delta = stateManager.createSnapshot('delta');
+      stateManager.deleteCharacter(alice.id);
+
+      stateManager.restoreSnapshot(delta.id);
+
+      expect(stateManager.getCharacterState(alice.id).affection).toBe(60);
+    });
+  });
+
+  describe('保留策略', () => {
+    test('清理基准时应该把最早保留的增量转为完整快照并重新计算其余增量', () => {
+      const base = stateManager.createSnapshot('base');
+      const ids = [60, 70, 80].map(affection => {
+        stateManager.updateCharacterState(alice.id, { affection });
+        return stateManager.createSnapshot(`affection ${affection}`).id;
+      });
+      const expected = ids.map(id => stateManager.snapshots.materialize(id));
+
+      const result = stateManager.compactSnapshots({ maxSnapshots: 2 });
+
+      expect(result.removed.sort()).toEqual([base.id, ids[0]].sort());
+      expect(result.rebased).toEqual([ids[1], ids[2]]);
+
+      const snapshots = stateManager.listSnapshots();
+      expect(snapshots.map(s => [s.id, s.kind, s.base_id])).toEqual([
+        [ids[2], 'delta', ids[1]],
+        [ids[1], 'full', null]
+      ]);
+      expect(stateManager.snapshots.materialize(ids[1])).toEqual(expected[1]);
+      expect(stateManager.snapshots.materialize(ids[2])).toEqual(expected[2]);
+    });
+
+    test('应该按天数清理，配置后创建快照时自动清理', () => {
+      const old = stateManager.createSnapshot('old');
+      db.update('state_snapshots', { id: old.id }, { snapshot_time: Date.now() - 40 * DAY });
+      useStore({ retention: { maxAgeDays: 30 } });
+
+      const fresh = stateManager.createSnapshot('fresh');
+
+      expect(stateManager.listSnapshots().map(s => s.id)).toEqual([fresh.id]);
+    });
+
+    test('删除指定的基准时应该重新计算依赖它的增量', () => {
+      const base = stateManager.createSnapshot('base');
+      stateManager.updateCharacterState(alice.id, { affection: 60 });
+      const delta = stateManager.createSnapshot('delta');
+      const expected = stateManager.snapshots.materialize(delta.id);
+
+      const result = stateManager.deleteSnapshots([base.id, 'missing']);
+
+      expect(result).toEqual({ removed: [base.id], rebased: [delta.id] });
+      expect(stateManager.listSnapshots().map(s => [s.id, s.kind])).toEqual([[delta.id, 'full']]);
+      expect(stateManager.snapshots.materialize(delta.id)).toEqual(expected);
+    });
+
+    test('没有配置保留策略时不应该清理', () => {
+      stateManager.createSnapshot();
+      stateManager.createSnapshot();
+
+      expect(stateManager.compactSnapshots()).toEqual({ removed: [], rebased: [] });
+      expect(stateManager.listSnapshots()).toHaveLength(2);
+    });
+  });
+});
@@ -9,9 +9,16 @@
  * - 事件提取
  * - 模式匹配
  * - 准确率验证
+ * - LLM 结构化提取（Schema 校验、回退到正则）
+ * - 状态标签（解析、优先级、警告、流式过滤）
+ * - 置信度、命中位置和来源
+ * - 多角色归属
  */
 
-import StateExtractor from '../../src/state/extractor.js';
+import StateExtractor, { EXTRACTION_MODES, StateTagFilter } from '../../src/state/extractor.js';
+import { STATE_EXTRACTION_SCHEMA, validateSchema } from '../../src/state/schema.js';
+import LLMClient from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
 import DatabaseManager from '../../src/core/database.js';
 import StateManager from '../../src/state/manager.js';
 import { existsSync, unlinkSync } from 'fs';
@@ -261,4 +268,376 @@ describe('StateExtractor', () => {
       expect(accuracy).toBeGreaterThanOrEqual(0.8);
     });
   });
+
+  describe('LLM 提取模式', () => {
+    let provider;
+    let llmExtractor;
+
+    const EMPTY = { affection: null, emotion: null, location: null, inventory: [], events: [] };
+
+    const respondWith = (value) => {
+      provider.options.respond = () => (typeof value === 'string' ? value : JSON.stringify(value));
+    };
+
+    beforeEach(() => {
+      provider = new MockProvider();
+      llmExtractor = new StateExtractor({
+        db,
+        stateManager,
+        mode: EXTRACTION_MODES.LLM,
+        llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' })
+      });
+    });
+
+    test('应该把 JSON 转换为与正则提取相同的结构', async () => {
+      respondWith({
+        affection: { delta: 8 },
+        emotion: { emotion: 'happy', confidence: 0.9 },
+        location: { location: '图书馆' },
+        inventory: [{ action: 'add', item_name: '古书' }],
+        events: [{ description: 'Alice 把古书送给了你', importance: 3, participants: ['Alice'] }]
+      });
+
+      const result = await llmExtractor.extractAllStatesAsync(characterId, 'Alice 笑着把那本古书塞进你怀里。');
+      const source = { strategy: 'llm', pattern: 'state-extraction' };
+
+      expect(result.affection).toEqual({
+        delta: 8, newValue: 58, currentValue: 50, confidence: 0.8, span: null, source
+      });
+      expect(result.emotion).toEqual({
+        emotion: 'happy', confidence: 0.9, alternatives: [], span: null, source
+      });
+      expect(result.location).toEqual({ location: '图书馆', confidence: 0.8, span: null, source });
+      expect(result.inventory).toEqual([{
+        action: 'add',
+        item_name: '古书',
+        quantity: 1,
+        character_id: characterId,
+        confidence: 0.8,
+        span: { start: 11, end: 13 },
+        source
+      }]);
+      expect(result.events[0]).toMatchObject({
+        event_type: 'general',
+        description: 'Alice 把古书送给了你',
+        importance: 3,
+        participants: ['Alice']
+      });
+    });
+
+    test('绝对值应该换算为变化量', async () => {
+      respondWith({ ...EMPTY, affection: { value: 80 } });
+
+      const result = await llmExtractor.extractAllStatesAsync(characterId, '她对你的信任已经很深了');
+
+      expect(result.affection).toMatchObject({ delta: 30, newValue: 80, currentValue: 50 });
+    });
+
+    test('应该使用快速模型并在提示词中带上当前状态', async () => {
+      respondWith(EMPTY);
+
+      await llmExtractor.extractAllStatesAsync(characterId, '你好');
+
+      const request = provider.requests[0];
+      expect(request.model).toBe('mock-fast');
+      expect(request.messages[0].content).toContain('好感度：50/100');
+      expect(request.messages[0].content).toContain('阅读下面这段Alice的回复');
+    });
+
+    test('应该接受代码块包裹的 JSON', async () => {
+      respondWith('```json\n' + JSON.stringify({ ...EMPTY, emotion: { emotion: 'sad' } }) + '\n```');
+
+      const result = await llmExtractor.extractAllStatesAsync(characterId, 'Alice 低下了头');
+
+      expect(result.emotion.emotion).toBe('sad');
+    });
+
+    test('不符合 Schema 时应该回退到正则提取', async () => {
+      respondWith({ ...EMPTY, emotion: { emotion: 'ecstatic' } });
+
+      const result = await llmExtractor.extractAllStatesAsync(characterId, 'Alice 对你的好感度增加了 10 点');
+
+      expect(result.affection).toMatchObject({ delta: 10, newValue: 60, currentValue: 50 });
+      expect(result.affection.source.strategy).toBe('regex');
+    });
+
+    test('无法解析或调用失败时应该回退到正则提取', async () => {
+      respondWith('我觉得 Alice 很高兴');
+      const unparsable = await llmExtractor.extractAllStatesAsync(characterId, 'Alice 很高兴');
+
+      provider.options.respond = () => {
+        throw new Error('provider down');
+      };
+      const failed = await llmExtractor.extractAllStatesAsync(characterId, 'Alice 很高兴');
+
+      expect(unparsable.emotion.emotion).toBe('happy');
+      expect(failed.emotion.emotion).toBe('happy');
+    });
+
+    test('extractAllStates 在 llm 模式下也应该同步返回正则结果', async () => {
+      const result = llmExtractor.extractAllStates(characterId, 'Alice 对你的好感度增加了 10 点');
+
+      expect(result).not.toBeInstanceOf(Promise);
+      expect(result.affection.source.strategy).toBe('regex');
+      expect(provider.requests).toHaveLength(0);
+
+      await expect(extractor.extractAllStatesAsync(characterId, 'Alice 很高兴'))
+        .resolves.toMatchObject({ emotion: { emotion: 'happy' } });
+    });
+
+    test('llm 模式缺少 llmClient 或模式无效时应该抛出异常', () => {
+      expect(() => new StateExtractor({ stateManager, mode: EXTRACTION_MODES.LLM }))
+        .toThrow('llmClient is required for llm extraction mode');
+      expect(() => new StateExtractor({ stateManager, mode: 'magic' }))
+        .toThrow('Invalid extraction mode: magic');
+    });
+  });
+
+  describe('置信度与来源', () => {
+    const text = 'Alice 很高兴，好感度增加了 10 点。她走进了图书馆，递给你 3 本古书。';
+    const spanText = (item) => text.slice(item.span.start, item.span.end);
+
+    test('每个正则提取结果都应该带有置信度、命中位置和模式名', () => {
+      const result = extractor.extractAllStates(characterId, text);
+
+      expect(result.affection).toMatchObject({
+        confidence: 0.9,
+        source: { strategy: 'regex', pattern: 'affection.zh.increase' }
+      });
+      expect(spanText(result.affection)).toBe('好感度增加了 10 点');
+
+      expect(result.emotion.source).toEqual({ strategy: 'regex', pattern: 'emotion.happy:高兴' });
+      expect(spanText(result.emotion)).toBe('高兴');
+
+      expect(result.location.confidence).toBe(0.6);
+      expect(spanText(result.location)).toBe('走进了图书馆');
+
+      expect(result.inventory[0].source.pattern).toBe('inventory.zh.give');
+      expect(spanText(result.inventory[0])).toBe('递给你 3 本古书');
+
+      expect(result.events[0].source.strategy).toBe('regex');
+      expect(result.events[0].confidence).toBeGreaterThan(0);
+    });
+
+    test('明确的描述应该比简写有更高的置信度', () => {
+      const explicit = extractor.extractAffectionChange(characterId, '好感度增加了 5 点');
+      const shorthand = extractor.extractAffectionChange(characterId, '好感 +5');
+
+      expect(explicit.confidence).toBeGreaterThan(shorthand.confidence);
+    });
+
+    test('位置应该基于去掉状态标签后的文本', () => {
+      const result = extractor.extractAllStates(characterId, '<state>{"emotion": "calm"}</state>她走进了酒馆');
+
+      expect(result.emotion.source.strategy).toBe('tag');
+      expect(result.emotion.span).toBeNull();
+      expect(result.location.span).toEqual({ start: 1, end: 6 });
+    });
+  });
+
+  describe('状态标签', () => {
+    test('应该解析 JSON 标签（数字可带 + 号）并从文本中移除', () => {
+      const parsed = extractor.parseStateTags('Alice 笑了。\n\n<state>{"affection": +5, "location": "酒馆"}</state>');
+
+      expect(parsed.text).toBe('Alice 笑了。');
+      expect(parsed.tags[0].data).toEqual({ affection: { delta: 5 }, location: { location: '酒馆' } });
+      expect(parsed.warnings).toEqual([]);
+    });
+
+    test('应该解析 [STATE: ...] 键值标签', () => {
+      const parsed = extractor.parseStateTags('[STATE: affection-3, emotion=sad, gain=古书, gain=火把, event=争吵] 她转身离开。');
+
+      expect(parsed.text).toBe('她转身离开。');
+      expect(parsed.tags[0].data).toEqual({
+        affection: { delta: -3 },
+        emotion: { emotion: 'sad' },
+        inventory: [{ action: 'add', item_name: '古书' }, { action: 'add', item_name: '火把' }],
+        events: [{ description: '争吵' }]
+      });
+    });
+
+    test('标签中的字段应该优先于正则，其余字段仍由正则提取', () => {
+      const result = extractor.extractAllStates(
+        characterId,
+        'Alice 很生气，好感度减少了 10 点。<state>{"affection": -2}</state>'
+      );
+
+      expect(result.affection).toEqual({
+        delta: -2,
+        newValue: 48,
+        currentValue: 50,
+        confidence: 1,
+        span: null,
+        source: { strategy: 'tag', pattern: '<state>{"affection": -2}</state>' }
+      });
+      expect(result.emotion).toMatchObject({ emotion: 'angry', source: { strategy: 'regex' } });
+    });
+
+    test('多个标签应该按顺序合并', () => {
+      const result = extractor.extractAllStates(
+        characterId,
+        '<state>{"affection": 1, "gain": ["苹果"]}</state>……<state>{"affection": 4, "lose": ["钥匙"]}</state>'
+      );
+
+      expect(result.affection.delta).toBe(4);
+      expect(result.inventory.map(i => `${i.action}:${i.item_name}`)).toEqual(['add:苹果', 'remove:钥匙']);
+    });
+
+    test('格式错误的标签应该被移除并记为警告，状态回退到正则', () => {
+      const result = extractor.extractAllStates(
+        characterId,
+        '好感度增加了 10 点。<state>{"affection": "很多"}</state><state>not json</state>'
+      );
+
+      expect(result.affection.delta).toBe(10);
+      expect(result.warnings).toHaveLength(2);
+      expect(result.warnings[0]).toMatchObject({
+        field: 'state_tag',
+        severity: 'warning',
+        tag: '<state>{"affection": "很多"}</state>'
+      });
+      expect(result.warnings[0].message).toContain('$.affection.delta: must be integer');
+    });
+
+    test('未闭合和包含未知字段的标签应该产生警告', () => {
+      const unknown = extractor.parseStateTags('<state>{"mood": "good", "emotion": "happy"}</state>');
+      const unclosed = extractor.parseStateTags('她笑了。<state>{"affection": 5');
+
+      expect(unknown.tags[0].data).toEqual({ emotion: { emotion: 'happy' } });
+      expect(unknown.warnings[0].message).toBe('Unknown state tag fields: mood');
+      expect(unclosed.text).toBe('她笑了。');
+      expect(unclosed.warnings[0].message).toBe('Unclosed state tag');
+    });
+
+    test('LLM 模式下有有效标签时不应该再调用 LLM', async () => {
+      const provider = new MockProvider();
+      const llmExtractor = new StateExtractor({
+        db,
+        stateManager,
+        mode: EXTRACTION_MODES.LLM,
+        llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' })
+      });
+
+      const result = await llmExtractor.extractAllStatesAsync(characterId, '好的。[STATE: affection+1]');
+
+      expect(result.affection.delta).toBe(1);
+      expect(provider.requests).toHaveLength(0);
+    });
+
+    test('流式过滤器应该隐藏跨片段的标签', () => {
+      const filter = new StateTagFilter();
+      const chunks = ['她笑了。<st', 'ate>{"affection"', ': +5}</sta', 'te>好的 [', 'STATE: emotion=happy]', '！<'];
+
+      const shown = chunks.map(chunk => filter.push(chunk)).join('') + filter.flush();
+
+      expect(shown).toBe('她笑了。好的 ！<');
+    });
+  });
+
+  describe('多角色归属', () => {
+    let bobId;
+    let carolId;
+
+    beforeEach(() => {
+      bobId = stateManager.createCharacter({ name: 'Bob', aliases: ['鲍勃'] }).id;
+      carolId = stateManager.createCharacter({ name: 'Carol' }).id;
+    });
+
+    test('应该把变化归属到文中提到的角色', () => {
+      const text = 'Alice gave Bob a sword and Carol got angry.';
+      const result = extractor.extractAllStates(characterId, text);
+
+      expect(result.emotion).toBeNull();
+      expect(result.inventory).toEqual([
+        expect.objectContaining({ action: 'remove', item_name: 'sword', character_id: characterId })
+      ]);
+
+      expect(result.byCharacter[bobId].inventory).toEqual([
+        expect.objectContaining({
+          action: 'add',
+          item_name: 'sword',
+          source: { strategy: 'regex', pattern: 'inventory.en.gave-to' }
+        })
+      ]);
+      expect(result.byCharacter[carolId].emotion.emotion).toBe('angry');
+      expect(result.events[0].participants).toEqual(expect.arrayContaining(['Bob', 'Carol']));
+    });
+
+    test('应该按别名识别角色，没有提到的句子沿用上一句的主语', () => {
+      const result = extractor.extractAllStates(characterId, '我很开心。鲍勃走进了酒馆。他很生气。');
+
+      expect(result.emotion.emotion).toBe('happy');
+      expect(result.location).toBeNull();
+      expect(result.byCharacter[bobId]).toMatchObject({
+        location: { location: '酒馆' },
+        emotion: { emotion: 'angry' }
+      });
+    });
+
+    test('没有提到其他角色时 byCharacter 为空', () => {
+      const result = extractor.extractAllStates(characterId, 'Alice 很开心，走进了图书馆。');
+
+      expect(result.emotion.emotion).toBe('happy');
+      expect(result.location.location).toBe('图书馆');
+      expect(result.byCharacter).toEqual({});
+    });
+
+    test('LLM 输出的 characters 应该按名字解析，未知角色忽略', async () => {
+      const provider = new MockProvider({
+        respond: () => JSON.stringify({
+          affection: null,
+          emotion: null,
+          location: null,
+          inventory: [],
+          events: [],
+          characters: [
+            { name: 'bob', inventory: [{ action: 'add', item_name: 'sword' }] },
+            { name: 'Carol', emotion: { emotion: 'angry' } },
+            { name: 'Dave', emotion: { emotion: 'happy' } }
+          ]
+        })
+      });
+      const llmExtractor = new StateExtractor({
+        db,
+        stateManager,
+        mode: EXTRACTION_MODES.LLM,
+        llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' })
+      });
+
+      const result = await llmExtractor.extractAllStatesAsync(characterId, 'Alice gave Bob a sword and Carol got angry.');
+
+      expect(Object.keys(result.byCharacter).sort()).toEqual([bobId, carolId].sort());
+      expect(result.byCharacter[bobId].inventory[0]).toMatchObject({
+        action: 'add',
+        item_name: 'sword',
+        source: { strategy: 'llm' }
+      });
+      expect(result.byCharacter[carolId].emotion.emotion).toBe('angry');
+    });
+  });
+
+  describe('Schema 校验', () => {
+    test('应该报告缺失字段、类型和取值错误', () => {
+      const errors = validateSchema({
+        affection: { delta: 1.5 },
+        emotion: null,
+        location: { location: '' },
+        inventory: [{ action: 'steal', item_name: '剑', extra: true }]
+      }, STATE_EXTRACTION_SCHEMA);
+
+      expect(errors).toEqual([
+        '$.events: is required',
+        '$.affection.delta: must be integer',
+        '$.location.location: must not be empty',
+        '$.inventory[0].action: must be one of add, remove',
+        '$.inventory[0].extra: is not allowed'
+      ]);
+    });
+
+    test('空结果应该通过校验', () => {
+      expect(validateSchema({
+        affection: null, emotion: null, location: null, inventory: [], events: []
+      }, STATE_EXTRACTION_SCHEMA)).toEqual([]);
+    });
+  });
 });
@@ -6,10 +6,20 @@
  * - 自动提取和应用
  * - 验证集成
  * - Dry run 模式
+ * - LLM 提取模式
+ * - 最低置信度
+ * - 位置解析和未知地点策略
+ * - 事务和应用策略
+ * - 审核模式（变化集的批准、修改、拒绝）
+ * - 多角色归属
  * - 错误处理
  */
 
+import { jest } from '@jest/globals';
 import StateIntegrator from '../../src/state/integrator.js';
+import StateExtractor, { EXTRACTION_MODES } from '../../src/state/extractor.js';
+import LLMClient from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
 import DatabaseManager from '../../src/core/database.js';
 import { existsSync, unlinkSync } from 'fs';
 
@@ -163,6 +173,25 @@ describe('StateIntegrator', () => {
       const inventory = integrator.stateManager.getInventory(characterId);
       expect(inventory).toHaveLength(0);
     });
+    test('移除时应该只扣除提到的数量', async () => {
+      integrator.stateManager.addInventoryItem(characterId, { item_name: '金币', quantity: 5 });
+
+      await integrator.processMessage(characterId, 'Alice 丢失了两枚金币');
+
+      expect(integrator.stateManager.getInventory(characterId)).toMatchObject([{ item_name: '金币', quantity: 3 }]);
+    });
+
+    test('约数应该按估计值应用并记为警告', async () => {
+      integrator.stateManager.addInventoryItem(characterId, { item_name: '金币', quantity: 5 });
+
+      const result = await integrator.processMessage(characterId, 'Alice 丢失了几枚金币');
+
+      expect(result.warnings).toContainEqual(expect.objectContaining({
+        field: 'quantity',
+        message: 'Approximate quantity of 金币 applied as 3'
+      }));
+      expect(integrator.stateManager.getInventory(characterId)).toMatchObject([{ item_name: '金币', quantity: 2 }]);
+    });
   });
 
   describe('时间线事件', () => {
@@ -190,6 +219,389 @@ describe('StateIntegrator', () => {
       const character = integrator.stateManager.getCharacterState(characterId);
       expect(character.current_location).toBeDefined();
     });
+
+    test('同一地点的不同说法不应该重复创建', async () => {
+      const tavern = integrator.gazetteer.register('酒馆', { aliases: ['tavern'] }).location;
+
+      for (const message of ['Alice 走进了酒馆里', '她来到那家酒馆', 'Alice entered the tavern']) {
+        const result = await integrator.processMessage(characterId, message);
+        const update = result.updates.find(u => u.type === 'location');
+
+        expect(update.data.resolved.locationId).toBe(tavern.id);
+      }
+
+      expect(db.getAll('locations')).toHaveLength(1);
+      expect(integrator.stateManager.getCharacterState(characterId).current_location).toBe(tavern.id);
+    });
+
+    test('新地点应该以规范名登记，原始写法记为别名', async () => {
+      await integrator.processMessage(characterId, 'Alice 走进了那座图书馆');
+
+      const [location] = db.getAll('locations');
+      expect(location.name).toBe('图书馆');
+      expect(JSON.parse(location.aliases)).toEqual(['那座图书馆']);
+    });
+
+    test('ask 策略应该不应用未知地点，并附上候选地点', async () => {
+      const askIntegrator = new StateIntegrator({ db, unknownLocationPolicy: 'ask' });
+      askIntegrator.gazetteer.register('老铁匠铺');
+
+      const result = await askIntegrator.processMessage(characterId, 'Alice 走进了铁匠工坊');
+
+      expect(result.updates.some(u => u.type === 'location')).toBe(false);
+      expect(result.warnings).toContainEqual(expect.objectContaining({
+        field: 'location',
+        message: 'Unknown location needs confirmation: 铁匠工坊',
+        policy: 'ask',
+        characterId,
+        candidates: [expect.objectContaining({ name: '老铁匠铺' })]
+      }));
+      expect(db.getAll('locations')).toHaveLength(1);
+    });
+
+    test('reject 策略应该拒绝未知地点，但仍能进入已知地点', async () => {
+      const rejectIntegrator = new StateIntegrator({ db, unknownLocationPolicy: 'reject' });
+      const library = rejectIntegrator.gazetteer.register('图书馆').location;
+
+      const rejected = await rejectIntegrator.processMessage(characterId, 'Alice 走进了地下室');
+      expect(rejected.warnings).toContainEqual(expect.objectContaining({
+        message: 'Unknown location rejected: 地下室',
+        policy: 'reject'
+      }));
+
+      const accepted = await rejectIntegrator.processMessage(characterId, 'Alice 走进了图书馆里');
+      expect(accepted.updates.find(u => u.type === 'location').data.resolved.locationId).toBe(library.id);
+      expect(db.getAll('locations')).toHaveLength(1);
+    });
+
+    test('无效的策略应该抛出错误', () => {
+      expect(() => new StateIntegrator({ db, unknownLocationPolicy: 'maybe' }))
+        .toThrow('Invalid unknown location policy: maybe');
+    });
+  });
+
+  describe('LLM 提取模式', () => {
+    test('应该应用 LLM 提取的状态变化', async () => {
+      const provider = new MockProvider({
+        responses: [JSON.stringify({
+          affection: { delta: 6 },
+          emotion: { emotion: 'happy' },
+          location: null,
+          inventory: [],
+          events: []
+        })]
+      });
+      integrator.extractor = new StateExtractor({
+        db,
+        stateManager: integrator.stateManager,
+        mode: EXTRACTION_MODES.LLM,
+        llmClient: new LLMClient({ providers: [provider], defaultProvider: 'mock' })
+      });
+
+      const result = await integrator.processMessage(characterId, 'Alice 眼睛一亮，笑着接过了花。');
+
+      expect(result.updates.map(u => u.type)).toEqual(['affection', 'emotion']);
+      expect(integrator.stateManager.getCharacterState(characterId).affection).toBe(56);
+    });
+  });
+
+  describe('状态标签', () => {
+    test('标签应该优先于正文，格式错误的标签记为警告', async () => {
+      const result = await integrator.processMessage(
+        characterId,
+        'Alice 的好感度增加了 10 点。<state>{"affection": +2}</state>[STATE: {broken}]'
+      );
+
+      expect(result.extracted.affection.delta).toBe(2);
+      expect(result.warnings.some(w => w.field === 'state_tag')).toBe(true);
+      expect(integrator.stateManager.getCharacterState(characterId).affection).toBe(52);
+    });
+  });
+
+  describe('最低置信度', () => {
+    test('低于 minConfidence 的变化应该记为警告而不应用', async () => {
+      const cautious = new StateIntegrator({ db, minConfidence: 0.8 });
+
+      const result = await cautious.processMessage(characterId, 'Alice 好感度 +5，她来到了花园。');
+
+      expect(result.updates).toEqual([]);
+      expect(integrator.stateManager.getCharacterState(characterId).affection).toBe(50);
+
+      const skipped = result.warnings.find(w => w.field === 'affection');
+      expect(skipped).toMatchObject({
+        severity: 'warning',
+        message: 'Low confidence affection change skipped (0.70 < 0.8)',
+        confidence: 0.7,
+        span: { start: 6, end: 12 },
+        source: { strategy: 'regex', pattern: 'affection.zh.plus' }
+      });
+      expect(result.warnings.some(w => w.field === 'location')).toBe(true);
+    });
+
+    test('达到 minConfidence 的变化应该正常应用', async () => {
+      const cautious = new StateIntegrator({ db, minConfidence: 0.8 });
+
+      const result = await cautious.processMessage(
+        characterId,
+        'Alice 对你的好感度增加了 10 点 <state>{"location": "花园"}</state>'
+      );
+
+      expect(result.updates.map(u => u.type)).toEqual(['affection', 'location']);
+      expect(result.updates[0].data.confidence).toBe(0.9);
+      expect(result.updates[1].data.source.strategy).toBe('tag');
+    });
+
+    test('默认不过滤任何变化', async () => {
+      const result = await integrator.processMessage(characterId, 'Alice 好感度 +5');
+
+      expect(integrator.options.minConfidence).toBe(0);
+      expect(result.updates.some(u => u.type === 'affection')).toBe(true);
+    });
+  });
+
+  describe('变化日志', () => {
+    test('应该记录引起变化的消息和提取规则', async () => {
+      await integrator.processMessage(characterId, 'Alice 对你的好感度增加了 10 点', { messageId: 'msg-1' });
+
+      const [last] = integrator.stateManager.getHistory('characters', characterId, { field: 'affection', limit: 1 });
+
+      expect(last.changes.affection).toEqual({ from: 50, to: 60 });
+      expect(last.cause).toEqual({
+        type: 'message',
+        messageId: 'msg-1',
+        rule: expect.stringMatching(/^affection\./),
+        strategy: 'regex'
+      });
+    });
+
+    test('批准变化时应该记录变化集和原消息', async () => {
+      const { changeSet } = await integrator.processMessage(characterId, 'Alice 对你的好感度增加了 10 点', {
+        review: true,
+        messageId: 'msg-2'
+      });
+      const change = changeSet.changes.find(c => c.type === 'affection');
+
+      integrator.approveChange(changeSet.id, change.id);
+
+      const [last] = integrator.stateManager.getHistory('characters', characterId, { limit: 1 });
+      expect(last.cause).toMatchObject({ type: 'message', messageId: 'msg-2', changeSetId: changeSet.id });
+    });
+  });
+
+  describe('事务', () => {
+    const message = 'Alice 走进了花园，好感度增加了 5 点，还递给你一把钥匙';
+
+    const failInventory = (target) => {
+      jest.spyOn(target.stateManager, 'addInventoryItem').mockImplementation(() => {
+        throw new Error('disk full');
+      });
+    };
+
+    test('all-or-nothing 策略下任何一项出错都应该回滚整条消息', async () => {
+      const strict = new StateIntegrator({ db, applyPolicy: 'all-or-nothing' });
+      strict.stateManager.getCharacterState(characterId); // 填充缓存
+      failInventory(strict);
+      const seq = strict.stateManager.journal.getLatestSeq();
+
+      const result = await strict.processMessage(characterId, message);
+
+      expect(result.rolledBack).toBe(true);
+      expect(result.updates).toEqual([]);
+      expect(result.errors).toContainEqual({ field: 'inventory', message: 'disk full' });
+
+      const character = strict.stateManager.getCharacterState(characterId);
+      expect(character.affection).toBe(50);
+      expect(character.current_location).toBeNull();
+      expect(db.getAll('locations')).toHaveLength(0);
+      expect(strict.stateManager.getTimeline()).toHaveLength(0);
+      expect(strict.stateManager.journal.getLatestSeq()).toBe(seq);
+    });
+
+    test('skip-invalid 策略下只跳过出错的更新', async () => {
+      const lenient = new StateIntegrator({ db, applyPolicy: 'skip-invalid' });
+      failInventory(lenient);
+
+      const result = await lenient.processMessage(characterId, message);
+
+      expect(result.rolledBack).toBeUndefined();
+      expect(result.updates.map(u => u.type)).toEqual(['affection', 'location', 'event']);
+      expect(result.errors).toContainEqual({ field: 'inventory', message: 'disk full' });
+
+      const character = lenient.stateManager.getCharacterState(characterId);
+      expect(character.affection).toBe(55);
+      expect(character.current_location).toBe(db.getAll('locations')[0].id);
+    });
+
+    test('skip-invalid 策略下出错的一项不应该留下部分写入', async () => {
+      const lenient = new StateIntegrator({ db, applyPolicy: 'skip-invalid' });
+      const update = lenient.stateManager.updateCharacterState.bind(lenient.stateManager);
+      jest.spyOn(lenient.stateManager, 'updateCharacterState').mockImplementation((id, updates) => {
+        if (updates.current_location) {
+          throw new Error('locked');
+        }
+        return update(id, updates);
+      });
+
+      const result = await lenient.processMessage(characterId, message);
+
+      // 新地点已登记，但设置位置失败：登记也应该回滚
+      expect(result.errors).toContainEqual({ field: 'location', message: 'locked' });
+      expect(db.getAll('locations')).toHaveLength(0);
+      expect(result.updates.map(u => u.type)).toEqual(['affection', 'inventory', 'event']);
+    });
+
+    test('无效的应用策略应该抛出错误', () => {
+      expect(() => new StateIntegrator({ db, applyPolicy: 'best-effort' }))
+        .toThrow('Invalid apply policy: best-effort');
+    });
+  });
+
+  describe('审核模式', () => {
+    const message = 'Alice 对你的好感度增加了 10 点，递给你一把钥匙';
+    let changeSet;
+
+    const changeOf = (type) => changeSet.changes.find(c => c.type === type);
+
+    beforeEach(async () => {
+      ({ changeSet } = await integrator.processMessage(characterId, message, { review: true }));
+    });
+
+    test('应该保存待审核的变化集而不应用', () => {
+      expect(changeSet).toMatchObject({
+        characterId,
+        status: 'pending',
+        sourceText: message
+      });
+      expect(changeOf('affection')).toMatchObject({
+        status: 'pending',
+        diff: { field: 'affection', before: 50, after: 60 },
+        validation: { passed: true, errors: [] }
+      });
+      expect(changeOf('inventory').diff).toEqual({ field: 'inventory', item: '钥匙', before: 0, after: 1 });
+
+      expect(integrator.stateManager.getCharacterState(characterId).affection).toBe(50);
+      expect(integrator.listChangeSets({ status: 'pending' }).map(c => c.id)).toEqual([changeSet.id]);
+    });
+
+    test('批准时应该按当前状态应用，好感度按变化量重新计算', () => {
+      integrator.stateManager.updateCharacterState(characterId, { affection: 55 });
+
+      const outcome = integrator.approveChange(changeSet.id, changeOf('affection').id);
+
+      expect(outcome.applied).toBe(true);
+      expect(outcome.change).toMatchObject({ status: 'applied', diff: { before: 55, after: 65 } });
+      expect(outcome.changeSet.status).toBe('pending');
+      expect(integrator.stateManager.getCharacterState(characterId).affection).toBe(65);
+    });
+
+    test('应该能修改后再批准，并拒绝其余变化', () => {
+      const edited = integrator.editChange(changeSet.id, changeOf('inventory').id, { quantity: 3 });
+      expect(edited).toMatchObject({ edited: true, status: 'pending', diff: { after: 3 } });
+
+      integrator.approveChange(changeSet.id, changeOf('inventory').id);
+      const rejected = integrator.rejectChangeSet(changeSet.id, '与剧情不符');
+
+      expect(rejected.status).toBe('applied');
+      expect(rejected.changes.find(c => c.type === 'affection')).toMatchObject({
+        status: 'rejected',
+        reason: '与剧情不符'
+      });
+      expect(integrator.stateManager.getInventory(characterId)).toMatchObject([{ item_name: '钥匙', quantity: 3 }]);
+      expect(integrator.stateManager.getCharacterState(characterId).affection).toBe(50);
+    });
+
+    test('验证不通过时应该保持待审核', () => {
+      const outcome = integrator.approveChange(changeSet.id, changeOf('affection').id, { newValue: 150 });
+
+      expect(outcome.applied).toBe(false);
+      expect(outcome.errors.length).toBeGreaterThan(0);
+      expect(outcome.change).toMatchObject({ status: 'pending', validation: { passed: false } });
+    });
+
+    test('已审核的变化不能再次审核', () => {
+      const changeId = changeOf('affection').id;
+      integrator.rejectChange(changeSet.id, changeId);
+
+      expect(() => integrator.approveChange(changeSet.id, changeId))
+        .toThrow(`Change already reviewed: ${changeId} (rejected)`);
+      expect(() => integrator.rejectChange('missing', changeId)).toThrow('Change set not found: missing');
+    });
+
+    test('批准整个变化集时应该确认未知地点', async () => {
+      const asking = new StateIntegrator({ db, unknownLocationPolicy: 'ask', review: true });
+      const { changeSet: proposed } = await asking.processMessage(characterId, 'Alice 走进了地下室');
+
+      const location = proposed.changes.find(c => c.type === 'location');
+      expect(location.validation.warnings[0].message).toBe('Unknown location needs confirmation: 地下室');
+
+      const outcome = asking.approveChangeSet(proposed.id);
+
+      expect(outcome.applied).toEqual(proposed.changes.map(c => c.id));
+      expect(outcome.failed).toEqual([]);
+      expect(outcome.changeSet.status).toBe('applied');
+      expect(db.getAll('locations').map(l => l.name)).toEqual(['地下室']);
+    });
+
+    test('没有变化时不保存变化集', async () => {
+      const result = await integrator.processMessage(characterId, '今天天气不错', { review: true });
+
+      expect(result.changeSet).toBeNull();
+    });
+  });
+
+  describe('多角色归属', () => {
+    test('应该把变化应用到文中提到的各个角色', async () => {
+      const bobId = integrator.stateManager.createCharacter({ name: 'Bob' }).id;
+      const carolId = integrator.stateManager.createCharacter({ name: 'Carol', emotion: 'neutral' }).id;
+
+      const result = await integrator.processMessage(characterId, 'Alice gave Bob a sword and Carol got angry.');
+
+      expect(result.updates).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'inventory', characterId: bobId, applied: true }),
+        expect.objectContaining({ type: 'emotion', characterId: carolId, applied: true })
+      ]));
+      expect(result.updates.some(u => u.characterId === characterId && !['event', 'inventory'].includes(u.type)))
+        .toBe(false);
+
+      const inventory = integrator.stateManager.getInventory(bobId);
+      expect(inventory.map(item => item.item_name)).toContain('sword');
+      expect(integrator.stateManager.getCharacterState(carolId).emotion).toBe('angry');
+      expect(integrator.stateManager.getCharacterState(characterId).emotion).toBe('neutral');
+    });
+
+    test('交出的物品应该从给出的角色移到接收的角色', async () => {
+      const bobId = integrator.stateManager.createCharacter({ name: 'Bob' }).id;
+      integrator.stateManager.addInventoryItem(characterId, { item_name: 'sword' });
+
+      await integrator.processMessage(characterId, 'Alice gave Bob a sword.');
+
+      expect(integrator.stateManager.getInventory(characterId)).toEqual([]);
+      expect(integrator.stateManager.getInventory(bobId).map(item => item.item_name)).toEqual(['sword']);
+    });
+
+    test('交出的数量应该从给出的角色的物品中扣除', async () => {
+      const bobId = integrator.stateManager.createCharacter({ name: 'Bob' }).id;
+      integrator.stateManager.addInventoryItem(characterId, { item_name: '金币', quantity: 23 });
+
+      const { changeSet } = await integrator.processMessage(characterId, '她递给了Bob三枚金币。', { review: true });
+      expect(changeSet.changes.find(c => c.characterId === characterId && c.type === 'inventory').diff)
+        .toEqual({ field: 'inventory', item: '金币', before: 23, after: 20 });
+
+      integrator.approveChangeSet(changeSet.id);
+
+      expect(integrator.stateManager.getInventory(characterId).map(item => item.quantity)).toEqual([20]);
+      expect(integrator.stateManager.getInventory(bobId).map(item => item.quantity)).toEqual([3]);
+    });
+
+    test('没有提到给出的角色时应该从默认角色移除', async () => {
+      const bobId = integrator.stateManager.createCharacter({ name: 'Bob', aliases: ['鲍勃'] }).id;
+      integrator.stateManager.addInventoryItem(characterId, { item_name: '古书' });
+
+      await integrator.processMessage(characterId, '她把手伸向前，递给了鲍勃一本古书。');
+
+      expect(integrator.stateManager.getInventory(characterId)).toEqual([]);
+      expect(integrator.stateManager.getInventory(bobId).map(item => item.item_name)).toEqual(['古书']);
+    });
   });
 
   describe('统计信息', () => {
@@ -9,6 +9,7 @@
  * - 记忆管理
  * - 快照和回滚
  * - 缓存功能
+ * - 事务和缓存失效
  * - 性能验证
  */
 
@@ -481,6 +482,57 @@ describe('StateManager', () => {
     });
   });
 
+  describe('事务', () => {
+    test('提交后才使缓存失效，事务内读取不使用缓存', () => {
+      const created = stateManager.createCharacter({ name: 'Alice', affection: 50 });
+      stateManager.getCharacterState(created.id); // 填充缓存
+
+      stateManager.transaction(() => {
+        stateManager.updateCharacterState(created.id, { affection: 60 });
+
+        expect(stateManager.getCharacterState(created.id).affection).toBe(60);
+        expect(stateManager.cache.characters.get(created.id).data.affection).toBe(50);
+      });
+
+      expect(stateManager.cache.characters.has(created.id)).toBe(false);
+      expect(stateManager.getCharacterState(created.id).affection).toBe(60);
+    });
+
+    test('回滚时应该撤销写入并保留缓存', () => {
+      const created = stateManager.createCharacter({ name: 'Alice', affection: 50 });
+      stateManager.getCharacterState(created.id);
+
+      expect(() => stateManager.transaction(() => {
+        stateManager.updateCharacterState(created.id, { affection: 60 });
+        stateManager.addInventoryItem(created.id, { item_name: '钥匙' });
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(stateManager.getCharacterState(created.id).affection).toBe(50);
+      expect(db.get('characters', { id: created.id }).affection).toBe(50);
+      expect(stateManager.getInventory(created.id)).toHaveLength(0);
+    });
+
+    test('嵌套事务出错时只回滚内层的写入', () => {
+      const created = stateManager.createCharacter({ name: 'Alice', affection: 50 });
+
+      stateManager.transaction(() => {
+        stateManager.updateCharacterState(created.id, { affection: 60 });
+        try {
+          stateManager.transaction(() => {
+            stateManager.addInventoryItem(created.id, { item_name: '钥匙' });
+            throw new Error('boom');
+          });
+        } catch {
+          // 忽略内层错误
+        }
+      });
+
+      expect(stateManager.getCharacterState(created.id).affection).toBe(60);
+      expect(stateManager.getInventory(created.id)).toHaveLength(0);
+    });
+  });
+
   describe('统计信息', () => {
     test('应该能获取统计信息', () => {
       stateManager.createCharacter({ name: 'Alice' });
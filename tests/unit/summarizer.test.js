@@ -0,0 +1,220 @@
+/**
+ * Conversation Summarizer 单元测试
+ *
+ * 测试内容：
+ * - 触发条件（Token 阈值、保留最近消息）
+ * - 摘要块的生成与存储
+ * - 滚动摘要（包含上一份摘要）
+ * - 上下文窗口（摘要 + 未摘要消息）
+ * - 原始消息保留
+ */
+
+import LLMClient, { MODELS } from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+import ConversationSummarizer from '../../src/conversation/summarizer.js';
+import { Conversation } from '../../src/conversation/manager.js';
+
+/**
+ * 创建包含 n 个回合的对话
+ */
+function createConversation(turns, content = '这是一段比较长的对话内容。') {
+  const conversation = new Conversation({
+    id: 'conv-1',
+    title: 'Test',
+    characterName: 'Alice',
+    createdAt: Date.now()
+  });
+
+  for (let i = 0; i < turns; i++) {
+    conversation.addMessage({ role: 'user', content: `第 ${i} 轮：${content}` });
+    conversation.addMessage({ role: 'assistant', content: `回复 ${i}：${content}` });
+  }
+
+  return conversation;
+}
+
+describe('ConversationSummarizer', () => {
+  let provider;
+  let summarizer;
+
+  beforeEach(() => {
+    provider = new MockProvider({
+      respond: (request) => `摘要#${provider.requests.length}`
+    });
+
+    const llmClient = new LLMClient({ providers: [provider], defaultProvider: 'mock' });
+
+    summarizer = new ConversationSummarizer({
+      llmClient,
+      triggerTokens: 100,
+      keepRecentMessages: 4
+    });
+  });
+
+  describe('触发条件', () => {
+    test('未超过阈值时不需要压缩', () => {
+      const conversation = createConversation(1);
+      expect(summarizer.needsSummary(conversation)).toBe(false);
+    });
+
+    test('消息数不超过保留数量时不需要压缩', () => {
+      const conversation = createConversation(2, '长'.repeat(500));
+      expect(summarizer.needsSummary(conversation)).toBe(false);
+    });
+
+    test('超过阈值时需要压缩', () => {
+      const conversation = createConversation(10);
+      expect(summarizer.needsSummary(conversation)).toBe(true);
+    });
+
+    test('缺少 llmClient 应该抛出异常', () => {
+      expect(() => new ConversationSummarizer({})).toThrow('llmClient is required');
+    });
+  });
+
+  describe('生成摘要', () => {
+    test('应该压缩较早的回合并保留最近的消息', async () => {
+      const conversation = createConversation(10);
+      const summary = await summarizer.summarize(conversation);
+
+      expect(summary.content).toBe('摘要#1');
+      expect(summary.messageCount).toBe(16);
+      expect(summary.fromMessageId).toBe(conversation.messages[0].id);
+      expect(summary.toMessageId).toBe(conversation.messages[15].id);
+      expect(summary.tokens).toBeGreaterThan(0);
+
+      // 原始消息全部保留
+      expect(conversation.messages).toHaveLength(20);
+      expect(conversation.getUnsummarizedMessages()).toHaveLength(4);
+    });
+
+    test('应该使用 STATE_MANAGEMENT 任务类型（快速模型）', async () => {
+      const llmClient = new LLMClient({ apiKey: 'test-api-key' });
+      let captured;
+      llmClient.anthropic.messages.create = async (request) => {
+        captured = request;
+        return {
+          content: [{ type: 'text', text: '摘要' }],
+          usage: { input_tokens: 100, output_tokens: 10 },
+          stop_reason: 'end_turn'
+        };
+      };
+
+      const haikuSummarizer = new ConversationSummarizer({
+        llmClient,
+        triggerTokens: 100,
+        keepRecentMessages: 4
+      });
+
+      const summary = await haikuSummarizer.summarize(createConversation(10));
+
+      expect(captured.model).toBe(MODELS.HAIKU.id);
+      expect(summary.model).toBe(MODELS.HAIKU.id);
+    });
+
+    test('切分点应该落在 assistant 消息之后', async () => {
+      const conversation = createConversation(10);
+      // 保留 5 条时，第 15 条是 user 消息，需要向前退到 assistant 消息
+      summarizer.options.keepRecentMessages = 5;
+
+      const summary = await summarizer.summarize(conversation);
+      const remaining = conversation.getUnsummarizedMessages();
+
+      expect(summary.messageCount).toBe(14);
+      expect(remaining[0].role).toBe('user');
+    });
+
+    test('提示词应该包含对话记录和角色名', async () => {
+      await summarizer.summarize(createConversation(10));
+
+      const prompt = provider.requests[0].messages[0].content;
+      expect(prompt).toContain('Alice：回复 0');
+      expect(prompt).toContain('用户：第 0 轮');
+      expect(prompt).not.toContain('第 9 轮');
+    });
+
+    test('滚动摘要应该把上一份摘要传给模型', async () => {
+      const conversation = createConversation(10);
+      await summarizer.summarize(conversation);
+
+      for (let i = 10; i < 20; i++) {
+        conversation.addMessage({ role: 'user', content: `第 ${i} 轮：新的内容。` });
+        conversation.addMessage({ role: 'assistant', content: `回复 ${i}：新的内容。` });
+      }
+
+      const second = await summarizer.summarize(conversation);
+      const prompt = provider.requests[1].messages[0].content;
+
+      expect(prompt).toContain('摘要#1');
+      expect(prompt).not.toContain('第 0 轮');
+      expect(second.content).toBe('摘要#2');
+      expect(conversation.summaries).toHaveLength(2);
+    });
+
+    test('未达到阈值时不应该调用模型', async () => {
+      const result = await summarizer.summarize(createConversation(1));
+
+      expect(result).toBeNull();
+      expect(provider.requests).toHaveLength(0);
+    });
+
+    test('force 选项应该跳过阈值检查', async () => {
+      const conversation = createConversation(3);
+      const summary = await summarizer.summarize(conversation, { force: true });
+
+      expect(summary.messageCount).toBe(2);
+    });
+  });
+
+  describe('上下文窗口', () => {
+    test('上下文应该包含最新摘要和未摘要的消息', async () => {
+      const conversation = createConversation(10);
+      await summarizer.summarize(conversation);
+
+      const context = conversation.getContext();
+
+      expect(context.summary).toBe('摘要#1');
+      expect(context.messages).toHaveLength(4);
+      expect(context.messages[0].content).toContain('第 8 轮');
+    });
+
+    test('摘要应该占用 Token 预算', () => {
+      const conversation = createConversation(2, '字'.repeat(20));
+      conversation.addSummary({
+        content: '提'.repeat(50),
+        fromMessageId: conversation.messages[0].id,
+        toMessageId: conversation.messages[1].id
+      });
+
+      // 每条消息约 28 tokens（含开销），摘要占用 50
+      expect(conversation.getContext({ maxTokens: 120 }).messages).toHaveLength(2);
+      expect(conversation.getContext({ maxTokens: 100 }).messages).toHaveLength(1);
+    });
+
+    test('includeSummarized 应该返回全部原始消息', async () => {
+      const conversation = createConversation(10);
+      await summarizer.summarize(conversation);
+
+      expect(conversation.getMessages()).toHaveLength(4);
+      expect(conversation.getMessages({ includeSummarized: true })).toHaveLength(20);
+    });
+
+    test('摘要应该随对话序列化', async () => {
+      const conversation = createConversation(10);
+      await summarizer.summarize(conversation);
+
+      const restored = Conversation.fromJSON(JSON.parse(JSON.stringify(conversation.toJSON())));
+
+      expect(restored.summaries).toHaveLength(1);
+      expect(restored.getUnsummarizedMessages()).toHaveLength(4);
+      expect(restored.getStats()).toMatchObject({ summaries: 1, summarizedMessages: 16 });
+    });
+
+    test('摘要指向不存在的消息应该抛出异常', () => {
+      const conversation = createConversation(1);
+
+      expect(() => conversation.addSummary({ content: 'x', toMessageId: 'missing' }))
+        .toThrow('Message not found');
+    });
+  });
+});
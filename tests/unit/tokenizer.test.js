@@ -0,0 +1,193 @@
+/**
+ * Token Counter 单元测试
+ *
+ * 测试内容：
+ * - 中日韩 / 英文 / 数字 / 标点分段计数
+ * - 自定义分词器
+ * - 文本缓存与消息缓存
+ * - 上下文裁剪和成本估算的接入（成本估算使用提供方的 countTokens）
+ */
+
+import { jest } from '@jest/globals';
+import TokenCounter, { tokenCounter } from '../../src/llm/tokenizer.js';
+import { Conversation } from '../../src/conversation/manager.js';
+import LLMClient, { MODELS } from '../../src/llm/client.js';
+import MockProvider from '../../src/llm/providers/mock.js';
+
+describe('TokenCounter', () => {
+  let counter;
+
+  beforeEach(() => {
+    counter = new TokenCounter();
+  });
+
+  describe('计数', () => {
+    test('中文应该按字计数', () => {
+      expect(counter.count('你好世界')).toBe(4);
+      // 全角标点各计 1
+      expect(counter.count('你好，世界！')).toBe(6);
+    });
+
+    test('英文应该按约 4 字符一个 token 计数', () => {
+      expect(counter.count('a'.repeat(400))).toBe(100);
+      expect(counter.count('Hello world')).toBe(2);
+    });
+
+    test('中文计数应该远高于 length / 4', () => {
+      const text = 'Alice 看起来很开心，她对你笑了笑，然后递给你一杯热茶。';
+      expect(counter.count(text)).toBeGreaterThan(Math.ceil(text.length / 4) * 3);
+    });
+
+    test('应该处理日文、韩文、数字和表情', () => {
+      expect(counter.count('こんにちは')).toBe(5);
+      expect(counter.count('안녕')).toBe(2);
+      expect(counter.count('123456')).toBe(2);
+      expect(counter.count('😀')).toBe(2);
+    });
+
+    test('空白不应该计数', () => {
+      expect(counter.count('  \n\t ')).toBe(0);
+      expect(counter.count('')).toBe(0);
+      expect(counter.count(undefined)).toBe(0);
+    });
+
+    test('应该支持自定义系数', () => {
+      const custom = new TokenCounter({ cjkTokensPerChar: 1.5 });
+      expect(custom.count('你好世界')).toBe(6);
+    });
+  });
+
+  describe('自定义分词器', () => {
+    test('返回数组时应该使用数组长度', () => {
+      const custom = new TokenCounter({ tokenizer: (text) => text.split('') });
+      expect(custom.count('abc')).toBe(3);
+    });
+
+    test('返回数字时应该直接使用', () => {
+      const custom = new TokenCounter({ tokenizer: () => 42 });
+      expect(custom.count('任意文本')).toBe(42);
+    });
+  });
+
+  describe('缓存', () => {
+    test('相同文本应该命中缓存', () => {
+      counter.count('你好');
+      counter.count('你好');
+
+      expect(counter.getStats()).toMatchObject({ hits: 1, misses: 1, cacheSize: 1 });
+    });
+
+    test('超过容量时应该淘汰最久未使用的条目', () => {
+      const small = new TokenCounter({ cacheSize: 2 });
+      small.count('一');
+      small.count('二');
+      small.count('一'); // 刷新
+      small.count('三'); // 淘汰 '二'
+
+      expect(small.cache.has('一')).toBe(true);
+      expect(small.cache.has('二')).toBe(false);
+    });
+
+    test('消息计数应该包含格式开销并按消息缓存', () => {
+      const message = { role: 'user', content: '你好' };
+
+      expect(counter.countMessage(message)).toBe(2 + 4);
+      counter.countMessage(message);
+      expect(counter.getStats().hits).toBe(1);
+    });
+
+    test('消息内容变化后应该重新计数', () => {
+      const message = { role: 'user', content: '你好' };
+      counter.countMessage(message);
+
+      message.content = '你好世界';
+      expect(counter.countMessage(message)).toBe(4 + 4);
+    });
+
+    test('清空缓存后应该重新计算', () => {
+      counter.count('你好');
+      counter.clearCache();
+
+      expect(counter.getStats().cacheSize).toBe(0);
+    });
+  });
+
+  describe('接入', () => {
+    test('上下文裁剪应该按中文实际 token 数计算', () => {
+      const conversation = new Conversation({ id: 'c1', title: 't', createdAt: Date.now() });
+
+      // 每条 50 个汉字 ≈ 54 tokens（含开销），按 length / 4 只有 13
+      for (let i = 0; i < 10; i++) {
+        conversation.addMessage({ role: i % 2 ? 'assistant' : 'user', content: '字'.repeat(50) });
+      }
+
+      const messages = conversation.getMessages({ maxTokens: 200 });
+      expect(messages).toHaveLength(3);
+      expect(conversation.estimatedTokens).toBe(500);
+    });
+
+    test('从 JSON 恢复时应该重新计算 Token 数', () => {
+      const conversation = Conversation.fromJSON({
+        id: 'c2',
+        title: 't',
+        createdAt: Date.now(),
+        messages: [{ id: 'm1', role: 'user', content: '你好世界', metadata: {}, timestamp: Date.now() }]
+      });
+
+      expect(conversation.estimatedTokens).toBe(4);
+    });
+
+    test('成本估算应该使用实际内容计数', () => {
+      const client = new LLMClient({ apiKey: 'test-api-key' });
+
+      const short = client._estimateCost(MODELS.SONNET, {
+        messages: [{ role: 'user', content: '嗨' }]
+      });
+      const long = client._estimateCost(MODELS.SONNET, {
+        messages: [{ role: 'user', content: '嗨'.repeat(2000) }]
+      });
+
+      // 2000 个汉字 ≈ 2000 tokens，而不是按消息条数估算的 100
+      expect(long - short).toBeCloseTo((1999 / 1000000) * MODELS.SONNET.costPer1MInput, 6);
+    });
+
+    test('成本估算应该使用模型所属提供方的 countTokens', () => {
+      const provider = new MockProvider();
+      provider.countTokens = jest.fn(() => 1000);
+      provider.getPricing = jest.fn(() => ({ costPer1MInput: 3, costPer1MOutput: 15 }));
+      const client = new LLMClient({ providers: [provider], defaultProvider: 'mock' });
+      const model = client.models.get('mock-balanced');
+
+      const cost = client._estimateCost(model, {
+        systemPrompt: '系统提示',
+        messages: [{ role: 'user', content: '嗨' }],
+        maxTokens: 200
+      });
+
+      expect(provider.countTokens).toHaveBeenCalledWith('系统提示');
+      expect(provider.countTokens).toHaveBeenCalledWith('嗨');
+      expect(provider.getPricing).toHaveBeenCalledWith(model.id);
+      // 输入 1000 + 1000 + 消息开销，输出按 maxTokens 计
+      expect(cost).toBeCloseTo((2004 / 1000000) * 3 + (200 / 1000000) * 15, 9);
+    });
+
+    test('提供方没有 countTokens 时应该使用 TokenCounter', () => {
+      const client = new LLMClient({ apiKey: 'test-api-key' });
+      client.providers.get('anthropic').countTokens = undefined;
+
+      const cost = client._estimateCost(MODELS.SONNET, {
+        messages: [{ role: 'user', content: '嗨'.repeat(1000) }],
+        maxTokens: 1
+      });
+
+      expect(cost).toBeCloseTo(
+        (1004 / 1000000) * MODELS.SONNET.costPer1MInput + (1 / 1000000) * MODELS.SONNET.costPer1MOutput,
+        9
+      );
+    });
+
+    test('共享实例应该可以直接使用', () => {
+      expect(tokenCounter.count('测试')).toBe(2);
+    });
+  });
+});